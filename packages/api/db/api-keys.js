@@ -0,0 +1,180 @@
+// API keys: one per user in users.api_key, stored as a hash, with scopes, expiry, rotation and revocation
+const crypto = require('crypto');
+const { toIso, fromJson } = require('./index');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const SCOPES = [
+  'search:read',
+  'scan:social',
+  'scan:email',
+  'scan:phone',
+  'scan:network',
+  'scan:breach',
+  'scan:comprehensive',
+  'jobs:read',
+  'jobs:write',
+  'investigations:read',
+  'investigations:write',
+  'wordlists:write',
+  'scopes:read',
+  'scopes:write'
+];
+
+// ib_ followed by 32 base64url characters (24 random bytes)
+const KEY_PATTERN = /^ib_[A-Za-z0-9_-]{32}$/;
+// Enough of the key to tell keys apart in listings and logs, too little to guess the rest
+const PREFIX_LENGTH = 11;
+
+/**
+ * Keys are random, so a fast hash is enough and lets authentication look the key up by index.
+ * API_KEY_PEPPER makes the hash an HMAC; changing it invalidates every issued key.
+ */
+class ApiKeyStore {
+  constructor(options = {}) {
+    this.db = options.db;
+    this.pepper = options.pepper || process.env.API_KEY_PEPPER || null;
+    this.ttlDays = options.ttlDays || parseInt(process.env.API_KEY_TTL_DAYS, 10) || 365;
+    this.graceMs = options.graceMs ?? (parseInt(process.env.API_KEY_ROTATION_GRACE_HOURS, 10) || 24) * HOUR;
+  }
+
+  static generate() {
+    return `ib_${crypto.randomBytes(24).toString('base64url')}`;
+  }
+
+  static prefix(key) {
+    return key.slice(0, PREFIX_LENGTH);
+  }
+
+  hash(key) {
+    const digest = this.pepper ? crypto.createHmac('sha256', this.pepper) : crypto.createHash('sha256');
+    return digest.update(key).digest('hex');
+  }
+
+  // Replaces any key the user has, without a grace period; returns the plaintext key once, or null for an unknown user
+  async issue(userId, { scopes = SCOPES, expiresInDays = this.ttlDays } = {}) {
+    const key = ApiKeyStore.generate();
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + expiresInDays * DAY).toISOString();
+
+    const updated = await this.db.transaction(async tx => {
+      const [user] = await tx.query('SELECT id FROM users WHERE id = $1', [userId]);
+      if (!user) return false;
+      await tx.query(
+        `UPDATE users SET api_key = $2, api_key_prefix = $3, api_key_scopes = $4, api_key_created_at = $5,
+           api_key_expires_at = $6, api_key_last_used_at = NULL, api_key_revoked_at = NULL,
+           previous_api_key = NULL, previous_api_key_expires_at = NULL, updated_at = $5
+         WHERE id = $1`,
+        [userId, this.hash(key), ApiKeyStore.prefix(key), JSON.stringify(scopes), now.toISOString(), expiresAt]
+      );
+      return true;
+    });
+
+    return updated ? { key, ...await this.describe(userId) } : null;
+  }
+
+  /**
+   * New key with the same scopes; the replaced one keeps working for the grace period
+   * (never past its own expiry) so clients can be switched over. Null when the user has no key.
+   */
+  async rotate(userId) {
+    const key = ApiKeyStore.generate();
+    const now = new Date();
+
+    const updated = await this.db.transaction(async tx => {
+      const [row] = await tx.query('SELECT api_key, api_key_scopes, api_key_expires_at FROM users WHERE id = $1', [userId]);
+      if (!row || !row.api_key) return false;
+
+      const currentExpiry = row.api_key_expires_at ? new Date(toIso(row.api_key_expires_at)).getTime() : Infinity;
+      const graceUntil = new Date(Math.min(now.getTime() + this.graceMs, currentExpiry)).toISOString();
+      await tx.query(
+        `UPDATE users SET previous_api_key = api_key, previous_api_key_expires_at = $2,
+           api_key = $3, api_key_prefix = $4, api_key_created_at = $5, api_key_expires_at = $6,
+           api_key_last_used_at = NULL, updated_at = $5
+         WHERE id = $1`,
+        [userId, graceUntil, this.hash(key), ApiKeyStore.prefix(key), now.toISOString(), new Date(now.getTime() + this.ttlDays * DAY).toISOString()]
+      );
+      return true;
+    });
+
+    return updated ? { key, ...await this.describe(userId) } : null;
+  }
+
+  // Both the current and a still-valid previous key stop working immediately; false when there was nothing to revoke
+  async revoke(userId) {
+    return this.db.transaction(async tx => {
+      const [row] = await tx.query('SELECT api_key, previous_api_key FROM users WHERE id = $1', [userId]);
+      if (!row || (!row.api_key && !row.previous_api_key)) return false;
+
+      const now = new Date().toISOString();
+      await tx.query(
+        `UPDATE users SET api_key = NULL, previous_api_key = NULL, previous_api_key_expires_at = NULL,
+           api_key_revoked_at = $2, updated_at = $2
+         WHERE id = $1`,
+        [userId, now]
+      );
+      return true;
+    });
+  }
+
+  // { status: 'valid', key } with the caller's identity and scopes, or { status: 'invalid' | 'expired' }
+  async authenticate(key) {
+    if (typeof key !== 'string' || !KEY_PATTERN.test(key)) return { status: 'invalid' };
+
+    const hash = this.hash(key);
+    const [row] = await this.db.query('SELECT * FROM users WHERE api_key = $1 OR previous_api_key = $1', [hash]);
+    if (!row) return { status: 'invalid' };
+
+    const rotated = row.api_key !== hash;
+    const expiresAt = toIso(rotated ? row.previous_api_key_expires_at : row.api_key_expires_at);
+    if (expiresAt && new Date(expiresAt).getTime() <= Date.now()) return { status: 'expired' };
+
+    return {
+      status: 'valid',
+      key: {
+        userId: row.id,
+        email: row.email,
+        plan: row.subscription_plan,
+        organizationId: row.organization_id || null,
+        prefix: ApiKeyStore.prefix(key),
+        scopes: fromJson(row.api_key_scopes, []),
+        expiresAt,
+        rotated
+      }
+    };
+  }
+
+  // Key metadata, never the key or its hash; null for an unknown user
+  async describe(userId) {
+    const [row] = await this.db.query('SELECT * FROM users WHERE id = $1', [userId]);
+    return row ? this.toKey(row) : null;
+  }
+
+  // Records use at most once a minute per user, so busy keys do not write on every request
+  async touch(userId) {
+    const now = Date.now();
+    await this.db.query(
+      'UPDATE users SET api_key_last_used_at = $2 WHERE id = $1 AND (api_key_last_used_at IS NULL OR api_key_last_used_at < $3)',
+      [userId, new Date(now).toISOString(), new Date(now - 60 * 1000).toISOString()]
+    );
+  }
+
+  toKey(row) {
+    return {
+      userId: row.id,
+      active: Boolean(row.api_key),
+      prefix: row.api_key ? row.api_key_prefix : null,
+      scopes: fromJson(row.api_key_scopes, []),
+      createdAt: toIso(row.api_key_created_at),
+      expiresAt: toIso(row.api_key_expires_at),
+      lastUsedAt: toIso(row.api_key_last_used_at),
+      revokedAt: toIso(row.api_key_revoked_at),
+      previousKeyExpiresAt: row.previous_api_key ? toIso(row.previous_api_key_expires_at) : null
+    };
+  }
+}
+
+ApiKeyStore.SCOPES = SCOPES;
+
+module.exports = ApiKeyStore;
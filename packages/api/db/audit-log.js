@@ -0,0 +1,192 @@
+// Append-only audit trail of searches, scans and security events, hash-chained so tampering shows up in verify()
+const crypto = require('crypto');
+const { toIso } = require('./index');
+
+// Serializes appends across processes sharing one Postgres database, so each entry links to the one before it
+const AUDIT_LOCK_ID = 72912;
+const GENESIS_HASH = '0'.repeat(64);
+const VERIFY_BATCH = 1000;
+
+const ACTIONS = ['search', 'scan', 'scan_completed', 'security', 'audit_access'];
+
+// Field order is part of the hash format: changing it breaks verification of every existing entry
+const HASHED_FIELDS = [
+  'seq', 'createdAt', 'action', 'type', 'actorUserId', 'apiKeyPrefix', 'ip', 'method', 'path',
+  'status', 'target', 'query', 'purpose', 'resultCount', 'details'
+];
+
+function clip(value, length) {
+  if (value === null || value === undefined) return null;
+  const text = String(value);
+  return text.length > length ? text.slice(0, length) : text;
+}
+
+/**
+ * hash = SHA-256(prevHash + '\n' + JSON of the fields in HASHED_FIELDS order). AUDIT_CHAIN_KEY makes it an HMAC,
+ * so someone with write access to the table but not the key cannot rebuild the chain after editing it.
+ */
+class AuditLog {
+  constructor(options = {}) {
+    this.db = options.db;
+    this.chainKey = options.chainKey || process.env.AUDIT_CHAIN_KEY || null;
+  }
+
+  hash(prevHash, entry) {
+    const digest = this.chainKey ? crypto.createHmac('sha256', this.chainKey) : crypto.createHash('sha256');
+    const fields = JSON.stringify(HASHED_FIELDS.map(field => entry[field] ?? null));
+    return digest.update(`${prevHash}\n${fields}`).digest('hex');
+  }
+
+  // entry: { action, type?, actorUserId?, apiKeyPrefix?, ip?, method?, path?, status?, target?, query?, purpose?, resultCount?, details? }
+  async append(entry) {
+    if (!ACTIONS.includes(entry.action)) throw new Error(`Unknown audit action: ${entry.action}`);
+
+    return this.db.transaction(async tx => {
+      if (tx.dialect === 'postgres') {
+        await tx.query('SELECT pg_advisory_xact_lock($1)', [AUDIT_LOCK_ID]);
+      }
+      const [last] = await tx.query('SELECT seq, hash FROM audit_log ORDER BY seq DESC LIMIT 1');
+
+      const record = {
+        seq: last ? Number(last.seq) + 1 : 1,
+        createdAt: new Date().toISOString(),
+        action: entry.action,
+        type: clip(entry.type, 50),
+        actorUserId: entry.actorUserId || null,
+        apiKeyPrefix: entry.apiKeyPrefix || null,
+        ip: clip(entry.ip, 64),
+        method: entry.method || null,
+        path: clip(entry.path, 255),
+        status: Number.isInteger(entry.status) ? entry.status : null,
+        target: clip(entry.target, 320),
+        query: clip(entry.query, 2000),
+        purpose: clip(entry.purpose, 500),
+        resultCount: Number.isInteger(entry.resultCount) ? entry.resultCount : null,
+        details: entry.details ? JSON.stringify(entry.details) : null,
+        prevHash: last ? last.hash : GENESIS_HASH
+      };
+      record.hash = this.hash(record.prevHash, record);
+
+      await tx.query(
+        `INSERT INTO audit_log (seq, created_at, action, type, actor_user_id, api_key_prefix, ip, method, path, status,
+           target, query, purpose, result_count, details, prev_hash, hash)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)`,
+        [record.seq, record.createdAt, record.action, record.type, record.actorUserId, record.apiKeyPrefix, record.ip,
+          record.method, record.path, record.status, record.target, record.query, record.purpose, record.resultCount,
+          record.details, record.prevHash, record.hash]
+      );
+      return this.toEntry(record);
+    });
+  }
+
+  // Newest first; from/to are ISO timestamps, fromSeq/toSeq bound the sequence numbers (both inclusive)
+  async list({ actor, apiKey, action, type, target, ip, from, to, fromSeq, toSeq, limit = 100, offset = 0, order = 'desc' } = {}) {
+    const clauses = ['1 = 1'];
+    const params = [];
+    const add = (sql, value) => {
+      params.push(value);
+      clauses.push(sql.replace('?', `$${params.length}`));
+    };
+
+    if (actor) add('actor_user_id = ?', actor);
+    if (apiKey) add('api_key_prefix = ?', apiKey);
+    if (action) add('action = ?', action);
+    if (type) add('type = ?', type);
+    if (target) add('LOWER(target) = ?', target.toLowerCase());
+    if (ip) add('ip = ?', ip);
+    if (from) add('created_at >= ?', from);
+    if (to) add('created_at <= ?', to);
+    if (fromSeq) add('seq >= ?', fromSeq);
+    if (toSeq) add('seq <= ?', toSeq);
+
+    const where = clauses.join(' AND ');
+    const [{ count }] = await this.db.query(`SELECT COUNT(*) AS count FROM audit_log WHERE ${where}`, params);
+    const rows = await this.db.query(
+      `SELECT * FROM audit_log WHERE ${where} ORDER BY seq ${order === 'asc' ? 'ASC' : 'DESC'} LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    return { total: Number(count), limit, offset, items: rows.map(row => this.toEntry(this.fromRow(row))) };
+  }
+
+  async head() {
+    const [row] = await this.db.query('SELECT seq, hash FROM audit_log ORDER BY seq DESC LIMIT 1');
+    return row ? { seq: Number(row.seq), hash: row.hash } : { seq: 0, hash: GENESIS_HASH };
+  }
+
+  /**
+   * Walks the chain in order from fromSeq (default: the first entry), recomputing every hash. Reports the first
+   * break: a missing sequence number (deleted row), a prevHash that does not match (deleted or reordered rows)
+   * or a hash that does not match (edited row). Cutting entries off the end leaves a valid chain, which is
+   * what comparing head against an earlier signed export catches.
+   */
+  async verify({ fromSeq = 1, toSeq = null } = {}) {
+    let expectedSeq = fromSeq;
+    let prevHash = null;
+    let checked = 0;
+
+    if (fromSeq > 1) {
+      const [previous] = await this.db.query('SELECT hash FROM audit_log WHERE seq = $1', [fromSeq - 1]);
+      if (!previous) return { valid: false, checked, head: null, error: { seq: fromSeq - 1, reason: 'missing' } };
+      prevHash = previous.hash;
+    } else {
+      prevHash = GENESIS_HASH;
+    }
+
+    let head = null;
+    for (;;) {
+      const params = [expectedSeq, VERIFY_BATCH];
+      const upper = toSeq ? ` AND seq <= $${params.push(toSeq)}` : '';
+      const rows = await this.db.query(`SELECT * FROM audit_log WHERE seq >= $1${upper} ORDER BY seq LIMIT $2`, params);
+
+      for (const row of rows) {
+        const entry = this.fromRow(row);
+        const error = entry.seq !== expectedSeq ? { seq: expectedSeq, reason: 'missing' }
+          : entry.prevHash !== prevHash ? { seq: entry.seq, reason: 'prev_hash_mismatch' }
+            : entry.hash !== this.hash(prevHash, entry) ? { seq: entry.seq, reason: 'hash_mismatch' }
+              : null;
+        if (error) return { valid: false, checked, head, error };
+
+        checked += 1;
+        prevHash = entry.hash;
+        head = { seq: entry.seq, hash: entry.hash };
+        expectedSeq += 1;
+      }
+      if (rows.length < VERIFY_BATCH) break;
+    }
+
+    return { valid: true, checked, head, error: null };
+  }
+
+  fromRow(row) {
+    return {
+      seq: Number(row.seq),
+      createdAt: toIso(row.created_at),
+      action: row.action,
+      type: row.type,
+      actorUserId: row.actor_user_id,
+      apiKeyPrefix: row.api_key_prefix,
+      ip: row.ip,
+      method: row.method,
+      path: row.path,
+      status: row.status === null ? null : Number(row.status),
+      target: row.target,
+      query: row.query,
+      purpose: row.purpose,
+      resultCount: row.result_count === null ? null : Number(row.result_count),
+      details: row.details,
+      prevHash: row.prev_hash,
+      hash: row.hash
+    };
+  }
+
+  // details stays the hashed JSON text in the chain; entries handed out carry it parsed
+  toEntry(record) {
+    return { ...record, details: record.details ? JSON.parse(record.details) : null };
+  }
+}
+
+AuditLog.ACTIONS = ACTIONS;
+AuditLog.GENESIS_HASH = GENESIS_HASH;
+
+module.exports = AuditLog;
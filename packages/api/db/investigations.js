@@ -0,0 +1,399 @@
+// Investigations: cases with their targets, the scan runs attached to them and the findings those runs produced
+const crypto = require('crypto');
+const { toIso, fromJson } = require('./index');
+const { EnvelopeEncryption, DecryptionError, createEncryption } = require('../../shared/envelope-encryption');
+
+const STATUSES = ['open', 'closed'];
+const TARGET_TYPES = ['username', 'email', 'domain', 'ip', 'phone', 'crypto'];
+
+// Columns holding collected data, encrypted when a master key is configured: [table, column, key id column, aad].
+// Job payloads and results are sealed by SqlJobBackend (packages/shared/job-queue.js) and rotated here with the rest
+const ENCRYPTED_COLUMNS = [
+  ['findings', 'data', 'data_key_id', id => `finding:${id}`],
+  ['scan_runs', 'summary', 'summary_key_id', id => `scan_run:${id}`],
+  ['jobs', 'payload', 'payload_key_id', id => `job:${id}:payload`],
+  ['jobs', 'result', 'result_key_id', id => `job:${id}:result`]
+];
+
+class InvestigationStore {
+  constructor(options = {}) {
+    this.db = options.db;
+    // Findings (with their evidence) and run summaries are encrypted at rest once a master key is set
+    this.encryption = options.encryption !== undefined ? options.encryption : createEncryption();
+  }
+
+  async create({ title, description = null, tags = [], targets = [], ownerId = null }) {
+    const now = new Date().toISOString();
+    const id = crypto.randomUUID();
+
+    await this.db.transaction(async tx => {
+      await tx.query(
+        `INSERT INTO investigations (id, title, description, status, tags, owner_id, created_at, updated_at)
+         VALUES ($1, $2, $3, 'open', $4, $5, $6, $6)`,
+        [id, title, description, JSON.stringify(tags), ownerId, now]
+      );
+      for (const target of targets) {
+        await this.insertTarget(tx, id, target, now);
+      }
+    });
+
+    return this.get(id);
+  }
+
+  // Archived investigations are hidden unless asked for. ownerId limits the list to one user's
+  // investigations (null: the ones created anonymously); leave it undefined for all of them
+  async list({ status, archived = false, search, ownerId, limit = 50, offset = 0 } = {}) {
+    const clauses = [archived ? 'archived_at IS NOT NULL' : 'archived_at IS NULL'];
+    const params = [];
+
+    if (status) {
+      params.push(status);
+      clauses.push(`status = $${params.length}`);
+    }
+    if (ownerId === null) {
+      clauses.push('owner_id IS NULL');
+    } else if (ownerId !== undefined) {
+      params.push(ownerId);
+      clauses.push(`owner_id = $${params.length}`);
+    }
+    if (search) {
+      params.push(`%${search.toLowerCase()}%`);
+      clauses.push(`(LOWER(title) LIKE $${params.length} OR LOWER(COALESCE(description, '')) LIKE $${params.length})`);
+    }
+
+    const where = clauses.join(' AND ');
+    const [{ count }] = await this.db.query(`SELECT COUNT(*) AS count FROM investigations WHERE ${where}`, params);
+    const rows = await this.db.query(
+      `SELECT * FROM investigations WHERE ${where} ORDER BY updated_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    return { total: Number(count), limit, offset, items: rows.map(row => this.toInvestigation(row)) };
+  }
+
+  // options.ownerId as for list(): someone else's investigation is not found
+  async get(id, options = {}) {
+    const [row] = await this.db.query('SELECT * FROM investigations WHERE id = $1', [id]);
+    if (!row) return null;
+    if (options.ownerId !== undefined && (row.owner_id ?? null) !== options.ownerId) return null;
+
+    const [targets, runs, counts] = await Promise.all([
+      this.db.query('SELECT * FROM investigation_targets WHERE investigation_id = $1 ORDER BY created_at', [id]),
+      this.db.query('SELECT * FROM scan_runs WHERE investigation_id = $1 ORDER BY started_at DESC LIMIT 20', [id]),
+      this.db.query(
+        'SELECT status, COUNT(DISTINCT finding_key) AS count FROM findings WHERE investigation_id = $1 GROUP BY status',
+        [id]
+      )
+    ]);
+
+    return {
+      ...this.toInvestigation(row),
+      targets: targets.map(target => this.toTarget(target)),
+      recentRuns: runs.map(run => this.toRun(run)),
+      findingCounts: Object.fromEntries(counts.map(entry => [entry.status, Number(entry.count)]))
+    };
+  }
+
+  async update(id, patch) {
+    const columns = [];
+    const params = [];
+
+    for (const field of ['title', 'description', 'status']) {
+      if (patch[field] !== undefined) {
+        params.push(patch[field]);
+        columns.push(`${field} = $${params.length}`);
+      }
+    }
+    if (patch.tags !== undefined) {
+      params.push(JSON.stringify(patch.tags));
+      columns.push(`tags = $${params.length}`);
+    }
+
+    params.push(new Date().toISOString());
+    columns.push(`updated_at = $${params.length}`);
+    params.push(id);
+
+    // Archived investigations are read-only until restored
+    const rows = await this.db.query(
+      `UPDATE investigations SET ${columns.join(', ')} WHERE id = $${params.length} AND archived_at IS NULL RETURNING id`,
+      params
+    );
+    return rows.length > 0 ? this.get(id) : null;
+  }
+
+  async archive(id) {
+    return this.setArchived(id, new Date().toISOString());
+  }
+
+  async restore(id) {
+    return this.setArchived(id, null);
+  }
+
+  async setArchived(id, archivedAt) {
+    const rows = await this.db.query(
+      'UPDATE investigations SET archived_at = $1, updated_at = $2 WHERE id = $3 RETURNING id',
+      [archivedAt, new Date().toISOString(), id]
+    );
+    return rows.length > 0 ? this.get(id) : null;
+  }
+
+  // Adding a target that is already on the investigation returns the existing one
+  async addTarget(investigationId, target) {
+    return this.db.transaction(tx => this.insertTarget(tx, investigationId, target, new Date().toISOString()));
+  }
+
+  async insertTarget(tx, investigationId, { type, value, label = null }, now) {
+    const [existing] = await tx.query(
+      'SELECT * FROM investigation_targets WHERE investigation_id = $1 AND type = $2 AND value = $3',
+      [investigationId, type, value]
+    );
+    if (existing) return this.toTarget(existing);
+
+    const id = crypto.randomUUID();
+    await tx.query(
+      'INSERT INTO investigation_targets (id, investigation_id, type, value, label, created_at) VALUES ($1, $2, $3, $4, $5, $6)',
+      [id, investigationId, type, value, label, now]
+    );
+    return { id, investigationId, type, value, label, createdAt: now };
+  }
+
+  async startRun(investigationId, { kind, target, params = {} }) {
+    return this.db.transaction(async tx => {
+      const now = new Date().toISOString();
+      const saved = target ? await this.insertTarget(tx, investigationId, target, now) : null;
+      const id = crypto.randomUUID();
+
+      await tx.query(
+        `INSERT INTO scan_runs (id, investigation_id, target_id, kind, status, params, started_at)
+         VALUES ($1, $2, $3, $4, 'running', $5, $6)`,
+        [id, investigationId, saved ? saved.id : null, kind, JSON.stringify(params), now]
+      );
+      await tx.query('UPDATE investigations SET updated_at = $1 WHERE id = $2', [now, investigationId]);
+
+      return { id, investigationId, targetId: saved ? saved.id : null, kind, status: 'running', params, startedAt: now };
+    });
+  }
+
+  // Stores the run's findings and closes it; summary is the scan report minus its findings
+  async completeRun(runId, { findings = [], summary = null }) {
+    await this.db.transaction(async tx => {
+      const [run] = await tx.query('SELECT investigation_id FROM scan_runs WHERE id = $1', [runId]);
+      if (!run) throw new Error(`Unknown scan run: ${runId}`);
+
+      // The plaintext value column is left empty for encrypted findings; the value is inside data
+      for (const finding of findings) {
+        const id = crypto.randomUUID();
+        const [data, keyId] = this.seal(finding, `finding:${id}`);
+        await tx.query(
+          `INSERT INTO findings (id, investigation_id, scan_run_id, finding_key, entity_type, value, source, status, severity, confidence, data, data_key_id, observed_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)`,
+          [
+            id, run.investigation_id, runId, finding.id, finding.entityType, keyId ? null : finding.value,
+            finding.source, finding.status, finding.severity, finding.confidence, data, keyId, finding.observedAt
+          ]
+        );
+      }
+
+      const [sealedSummary, summaryKeyId] = this.seal(summary, `scan_run:${runId}`);
+      await tx.query(
+        `UPDATE scan_runs SET status = 'completed', summary = $1, summary_key_id = $2, finished_at = $3 WHERE id = $4`,
+        [sealedSummary, summaryKeyId, new Date().toISOString(), runId]
+      );
+    });
+
+    return this.getRun(runId);
+  }
+
+  async failRun(runId, error) {
+    await this.db.query(
+      `UPDATE scan_runs SET status = 'failed', error = $1, finished_at = $2 WHERE id = $3`,
+      [error, new Date().toISOString(), runId]
+    );
+    return this.getRun(runId);
+  }
+
+  async getRun(runId) {
+    const [row] = await this.db.query('SELECT * FROM scan_runs WHERE id = $1', [runId]);
+    return row ? this.toRun(row) : null;
+  }
+
+  async listRuns(investigationId, { limit = 50, offset = 0 } = {}) {
+    const rows = await this.db.query(
+      'SELECT * FROM scan_runs WHERE investigation_id = $1 ORDER BY started_at DESC LIMIT $2 OFFSET $3',
+      [investigationId, limit, offset]
+    );
+    return rows.map(row => this.toRun(row));
+  }
+
+  async listFindings(investigationId, { runId, entityType, status, limit = 200, offset = 0 } = {}) {
+    const clauses = ['investigation_id = $1'];
+    const params = [investigationId];
+
+    for (const [column, value] of [['scan_run_id', runId], ['entity_type', entityType], ['status', status]]) {
+      if (value) {
+        params.push(value);
+        clauses.push(`${column} = $${params.length}`);
+      }
+    }
+
+    const rows = await this.db.query(
+      `SELECT id, scan_run_id, data FROM findings WHERE ${clauses.join(' AND ')} ORDER BY observed_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+    return rows.map(row => ({ ...this.open(row.data, `finding:${row.id}`), runId: row.scan_run_id }));
+  }
+
+  // [stored JSON, master key id] for a column value; the key id is null when stored in the clear
+  seal(value, aad) {
+    if (value === null || value === undefined) return [null, null];
+    if (!this.encryption) return [JSON.stringify(value), null];
+    return [JSON.stringify(this.encryption.encrypt(value, aad)), this.encryption.currentKeyId];
+  }
+
+  open(stored, aad) {
+    const value = fromJson(stored);
+    if (!EnvelopeEncryption.isEnvelope(value)) return value;
+    if (!this.encryption) throw new DecryptionError('Encrypted data found but no master key is configured');
+    return this.encryption.decrypt(value, aad);
+  }
+
+  /**
+   * WHERE clause for rows of one encrypted column that are not on the current master key but can be
+   * moved to it: stored in the clear, or wrapped by an older key that is still configured. params
+   * receives the placeholder values.
+   */
+  staleCondition(column, keyColumn, params) {
+    const older = [...this.encryption.keyRing.keys.keys()].filter(id => id !== this.encryption.currentKeyId);
+    const placeholders = older.map(id => `$${params.push(id)}`);
+    return `${column} IS NOT NULL AND (${keyColumn} IS NULL${placeholders.length ? ` OR ${keyColumn} IN (${placeholders.join(', ')})` : ''})`;
+  }
+
+  // Rows that re-encryption can move onto the current master key, including those stored before encryption was enabled
+  async countStale() {
+    if (!this.encryption) return 0;
+    let total = 0;
+    for (const [table, column, keyColumn] of ENCRYPTED_COLUMNS) {
+      const params = [];
+      const [{ count }] = await this.db.query(
+        `SELECT COUNT(*) AS count FROM ${table} WHERE ${this.staleCondition(column, keyColumn, params)}`,
+        params
+      );
+      total += Number(count);
+    }
+    return total;
+  }
+
+  // Rows wrapped by a master key that is no longer configured; nothing can read or re-encrypt them
+  async countUnreadable() {
+    if (!this.encryption) return 0;
+    const ids = [...this.encryption.keyRing.keys.keys()];
+    let total = 0;
+    for (const [table, column, keyColumn] of ENCRYPTED_COLUMNS) {
+      const [{ count }] = await this.db.query(
+        `SELECT COUNT(*) AS count FROM ${table}
+         WHERE ${column} IS NOT NULL AND ${keyColumn} IS NOT NULL AND ${keyColumn} NOT IN (${ids.map((_, i) => `$${i + 1}`).join(', ')})`,
+        ids
+      );
+      total += Number(count);
+    }
+    return total;
+  }
+
+  /**
+   * Moves every finding, run summary and job payload and result onto the current master key: data keys wrapped by an older
+   * key are rewrapped, and rows stored in the clear are encrypted. Rows whose key is no longer
+   * configured are skipped and reported as unreadable; rows that fail to decrypt are counted as
+   * failed and left alone. Safe to run again, e.g. after an interruption.
+   */
+  async reencrypt({ batchSize = 200, progress = async () => {} } = {}) {
+    if (!this.encryption) throw new Error('No master key configured (DATA_ENCRYPTION_KEYS or DATA_ENCRYPTION_KEY_FILE)');
+
+    const keyId = this.encryption.currentKeyId;
+    const total = await this.countStale();
+    const counts = { findings: 0, scan_runs: 0, jobs: 0, failed: 0 };
+    let processed = 0;
+
+    for (const [table, column, keyColumn, aad] of ENCRYPTED_COLUMNS) {
+      let after = '00000000-0000-0000-0000-000000000000';
+      for (;;) {
+        const params = [after, batchSize];
+        const rows = await this.db.query(
+          `SELECT id, ${column} AS stored FROM ${table}
+           WHERE ${this.staleCondition(column, keyColumn, params)} AND id > $1
+           ORDER BY id LIMIT $2`,
+          params
+        );
+        if (rows.length === 0) break;
+
+        for (const row of rows) {
+          const value = fromJson(row.stored);
+          try {
+            const sealed = EnvelopeEncryption.isEnvelope(value)
+              ? this.encryption.rewrap(value)
+              : value === null ? null : this.encryption.encrypt(value, aad(row.id));
+            await this.db.query(
+              `UPDATE ${table} SET ${column} = $2, ${keyColumn} = $3${table === 'findings' ? ', value = NULL' : ''} WHERE id = $1`,
+              [row.id, sealed === null ? null : JSON.stringify(sealed), sealed === null ? null : keyId]
+            );
+            counts[table]++;
+          } catch (error) {
+            if (!(error instanceof DecryptionError)) throw error;
+            counts.failed++;
+          }
+        }
+
+        after = rows[rows.length - 1].id;
+        processed += rows.length;
+        await progress(total > 0 ? Math.min((processed / total) * 100, 100) : 100, `Re-encrypted ${processed} of ${total} rows`);
+      }
+    }
+
+    return { keyId, ...counts, unreadable: await this.countUnreadable() };
+  }
+
+  toInvestigation(row) {
+    return {
+      id: row.id,
+      title: row.title,
+      description: row.description,
+      status: row.status,
+      tags: fromJson(row.tags, []),
+      ownerId: row.owner_id,
+      archived: row.archived_at !== null && row.archived_at !== undefined,
+      createdAt: toIso(row.created_at),
+      updatedAt: toIso(row.updated_at),
+      archivedAt: toIso(row.archived_at)
+    };
+  }
+
+  toTarget(row) {
+    return {
+      id: row.id,
+      investigationId: row.investigation_id,
+      type: row.type,
+      value: row.value,
+      label: row.label,
+      createdAt: toIso(row.created_at)
+    };
+  }
+
+  toRun(row) {
+    return {
+      id: row.id,
+      investigationId: row.investigation_id,
+      targetId: row.target_id,
+      kind: row.kind,
+      status: row.status,
+      params: fromJson(row.params, {}),
+      summary: this.open(row.summary, `scan_run:${row.id}`),
+      error: row.error,
+      startedAt: toIso(row.started_at),
+      finishedAt: toIso(row.finished_at)
+    };
+  }
+}
+
+InvestigationStore.STATUSES = STATUSES;
+InvestigationStore.TARGET_TYPES = TARGET_TYPES;
+
+module.exports = InvestigationStore;
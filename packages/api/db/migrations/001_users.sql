@@ -0,0 +1,11 @@
+-- Same table docker/init-db.sql creates; ids and timestamps are supplied by the application
+CREATE TABLE IF NOT EXISTS users (
+    id UUID PRIMARY KEY,
+    email VARCHAR(255) UNIQUE NOT NULL,
+    password_hash VARCHAR(255) NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    api_key VARCHAR(255) UNIQUE,
+    subscription_plan VARCHAR(50) DEFAULT 'FREE',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,59 @@
+-- Investigations (cases), their targets, the scan runs attached to them and the findings each run produced
+CREATE TABLE investigations (
+    id UUID PRIMARY KEY,
+    title VARCHAR(200) NOT NULL,
+    description TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'open',
+    tags JSONB NOT NULL,
+    owner_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL,
+    updated_at TIMESTAMPTZ NOT NULL,
+    archived_at TIMESTAMPTZ
+);
+
+CREATE INDEX idx_investigations_owner ON investigations (owner_id);
+CREATE INDEX idx_investigations_updated ON investigations (updated_at);
+
+CREATE TABLE investigation_targets (
+    id UUID PRIMARY KEY,
+    investigation_id UUID NOT NULL REFERENCES investigations(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL,
+    value VARCHAR(320) NOT NULL,
+    label VARCHAR(200),
+    created_at TIMESTAMPTZ NOT NULL,
+    UNIQUE (investigation_id, type, value)
+);
+
+CREATE TABLE scan_runs (
+    id UUID PRIMARY KEY,
+    investigation_id UUID NOT NULL REFERENCES investigations(id) ON DELETE CASCADE,
+    target_id UUID REFERENCES investigation_targets(id) ON DELETE SET NULL,
+    kind VARCHAR(40) NOT NULL,
+    status VARCHAR(20) NOT NULL,
+    params JSONB NOT NULL,
+    summary JSONB,
+    error TEXT,
+    started_at TIMESTAMPTZ NOT NULL,
+    finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX idx_scan_runs_investigation ON scan_runs (investigation_id, started_at);
+
+-- finding_key is the stable Finding.id, so the same observation can be followed across runs
+CREATE TABLE findings (
+    id UUID PRIMARY KEY,
+    investigation_id UUID NOT NULL REFERENCES investigations(id) ON DELETE CASCADE,
+    scan_run_id UUID NOT NULL REFERENCES scan_runs(id) ON DELETE CASCADE,
+    finding_key VARCHAR(32) NOT NULL,
+    entity_type VARCHAR(30) NOT NULL,
+    value TEXT,
+    source VARCHAR(100) NOT NULL,
+    status VARCHAR(20) NOT NULL,
+    severity VARCHAR(20) NOT NULL,
+    confidence REAL,
+    data JSONB NOT NULL,
+    observed_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX idx_findings_run ON findings (scan_run_id);
+CREATE INDEX idx_findings_investigation ON findings (investigation_id, finding_key);
@@ -0,0 +1,22 @@
+-- Background jobs (packages/shared/job-queue.js); workers claim rows by taking a lease via locked_by/locked_until
+CREATE TABLE jobs (
+    id UUID PRIMARY KEY,
+    type VARCHAR(40) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL,
+    progress JSONB,
+    result JSONB,
+    error TEXT,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL,
+    cancel_requested BOOLEAN NOT NULL DEFAULT FALSE,
+    run_at TIMESTAMPTZ NOT NULL,
+    locked_by VARCHAR(200),
+    locked_until TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL,
+    started_at TIMESTAMPTZ,
+    finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX idx_jobs_claim ON jobs (status, run_at);
+CREATE INDEX idx_jobs_finished ON jobs (finished_at);
@@ -0,0 +1,12 @@
+-- API keys (packages/api/db/api-keys.js): users.api_key holds the hash of the current key, never the key itself.
+-- After a rotation the replaced key stays valid in previous_api_key until previous_api_key_expires_at
+ALTER TABLE users ADD COLUMN api_key_prefix VARCHAR(20);
+ALTER TABLE users ADD COLUMN api_key_scopes JSONB;
+ALTER TABLE users ADD COLUMN api_key_created_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN api_key_expires_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN api_key_last_used_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN api_key_revoked_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN previous_api_key VARCHAR(255);
+ALTER TABLE users ADD COLUMN previous_api_key_expires_at TIMESTAMPTZ;
+
+CREATE UNIQUE INDEX idx_users_previous_api_key ON users (previous_api_key);
@@ -0,0 +1,44 @@
+-- Accounts (packages/api/db/users.js): sign-up with email verification, cookie sessions, password resets
+-- and per-user search history. Sessions and one-time tokens are stored as SHA-256 hashes of the values handed out
+ALTER TABLE users ADD COLUMN username VARCHAR(50);
+ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMPTZ;
+
+CREATE UNIQUE INDEX idx_users_username ON users (username);
+
+CREATE TABLE sessions (
+    id UUID PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    ip VARCHAR(64),
+    user_agent VARCHAR(255),
+    created_at TIMESTAMPTZ NOT NULL,
+    last_seen_at TIMESTAMPTZ NOT NULL,
+    expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX idx_sessions_user ON sessions (user_id);
+CREATE INDEX idx_sessions_expires ON sessions (expires_at);
+
+-- purpose: verify_email or reset_password; a token works once
+CREATE TABLE auth_tokens (
+    id UUID PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    purpose VARCHAR(20) NOT NULL,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL,
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ
+);
+
+CREATE INDEX idx_auth_tokens_user ON auth_tokens (user_id, purpose);
+
+CREATE TABLE search_history (
+    id UUID PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    query VARCHAR(320) NOT NULL,
+    type VARCHAR(20) NOT NULL,
+    result_count INTEGER NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX idx_search_history_user ON search_history (user_id, created_at);
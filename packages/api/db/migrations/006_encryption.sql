@@ -0,0 +1,8 @@
+-- Encryption at rest (packages/shared/envelope-encryption.js): the master key id each encrypted column was
+-- last wrapped with, so rotation can find the rows still on an old key. NULL means stored in the clear.
+-- Job payloads and results are encrypted too, but jobs are pruned after a week instead of being rotated
+ALTER TABLE findings ADD COLUMN data_key_id VARCHAR(64);
+ALTER TABLE scan_runs ADD COLUMN summary_key_id VARCHAR(64);
+
+CREATE INDEX idx_findings_key ON findings (data_key_id);
+CREATE INDEX idx_scan_runs_key ON scan_runs (summary_key_id);
@@ -0,0 +1,26 @@
+-- Audit trail (packages/api/db/audit-log.js): who searched or scanned what, when and why, plus security events.
+-- Append-only and hash-chained: each entry's hash covers its fields and the previous entry's hash, so an edited,
+-- deleted or reordered row breaks the chain. details is TEXT rather than JSONB so it keeps the exact bytes that were hashed
+CREATE TABLE audit_log (
+    seq BIGINT PRIMARY KEY,
+    created_at TIMESTAMPTZ NOT NULL,
+    action VARCHAR(30) NOT NULL,
+    type VARCHAR(50),
+    actor_user_id UUID,
+    api_key_prefix VARCHAR(20),
+    ip VARCHAR(64),
+    method VARCHAR(10),
+    path VARCHAR(255),
+    status INTEGER,
+    target VARCHAR(320),
+    query TEXT,
+    purpose VARCHAR(500),
+    result_count INTEGER,
+    details TEXT,
+    prev_hash VARCHAR(64) NOT NULL,
+    hash VARCHAR(64) NOT NULL
+);
+
+CREATE INDEX idx_audit_log_created ON audit_log (created_at);
+CREATE INDEX idx_audit_log_actor ON audit_log (actor_user_id, created_at);
+CREATE INDEX idx_audit_log_target ON audit_log (target);
@@ -0,0 +1,26 @@
+-- Scan scopes (packages/api/db/scan-scopes.js): the domains and networks an organization may run active scans
+-- against. kind is domain or cidr; a domain counts once verified_at is set (verified_by: dns, http or admin),
+-- CIDRs are added by an administrator and verified on creation
+CREATE TABLE organizations (
+    id UUID PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL
+);
+
+ALTER TABLE users ADD COLUMN organization_id UUID REFERENCES organizations(id);
+
+CREATE INDEX idx_users_organization ON users (organization_id);
+
+CREATE TABLE scan_scopes (
+    id UUID PRIMARY KEY,
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    kind VARCHAR(10) NOT NULL,
+    value VARCHAR(255) NOT NULL,
+    verification_token VARCHAR(64),
+    verified_at TIMESTAMPTZ,
+    verified_by VARCHAR(10),
+    created_at TIMESTAMPTZ NOT NULL,
+    UNIQUE (organization_id, kind, value)
+);
+
+CREATE INDEX idx_scan_scopes_organization ON scan_scopes (organization_id);
@@ -0,0 +1,3 @@
+-- The user whose API key or session queued a job; only they (or the admin token) can read or cancel it.
+-- NULL for jobs queued anonymously (API_AUTH=off or optional) and for maintenance jobs
+ALTER TABLE jobs ADD COLUMN owner_id UUID;
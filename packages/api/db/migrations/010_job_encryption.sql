@@ -0,0 +1,4 @@
+-- Key ids for encrypted job payloads and results, so master key rotation rewraps them like findings.
+-- Rows from before this migration have NULL ids and are picked up (and labelled) by the next re-encryption run
+ALTER TABLE jobs ADD COLUMN payload_key_id VARCHAR(64);
+ALTER TABLE jobs ADD COLUMN result_key_id VARCHAR(64);
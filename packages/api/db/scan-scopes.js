@@ -0,0 +1,118 @@
+// Organizations and the domains / networks each one may actively scan
+const crypto = require('crypto');
+const { toIso } = require('./index');
+
+const SCOPE_KINDS = ['domain', 'cidr'];
+
+class ScanScopeStore {
+  constructor(options = {}) {
+    this.db = options.db;
+  }
+
+  async createOrganization({ name }) {
+    const organization = { id: crypto.randomUUID(), name, createdAt: new Date().toISOString() };
+    await this.db.query(
+      'INSERT INTO organizations (id, name, created_at) VALUES ($1, $2, $3)',
+      [organization.id, organization.name, organization.createdAt]
+    );
+    return organization;
+  }
+
+  async getOrganization(id) {
+    const [row] = await this.db.query('SELECT * FROM organizations WHERE id = $1', [id]);
+    return row ? { id: row.id, name: row.name, createdAt: toIso(row.created_at) } : null;
+  }
+
+  // A user belongs to at most one organization; false for an unknown user
+  async setMember(organizationId, userId) {
+    const updated = await this.db.query(
+      'UPDATE users SET organization_id = $1, updated_at = $2 WHERE id = $3 RETURNING id',
+      [organizationId, new Date().toISOString(), userId]
+    );
+    return updated.length > 0;
+  }
+
+  // value is already normalized (lower-case domain, canonical CIDR); returns { scope } or { conflict: true }
+  async addScope(organizationId, { kind, value, verifiedBy = null }) {
+    const now = new Date().toISOString();
+    const row = {
+      id: crypto.randomUUID(),
+      organization_id: organizationId,
+      kind,
+      value,
+      verification_token: verifiedBy ? null : crypto.randomBytes(16).toString('hex'),
+      verified_at: verifiedBy ? now : null,
+      verified_by: verifiedBy,
+      created_at: now
+    };
+
+    return this.db.transaction(async tx => {
+      const [existing] = await tx.query(
+        'SELECT id FROM scan_scopes WHERE organization_id = $1 AND kind = $2 AND value = $3',
+        [organizationId, kind, value]
+      );
+      if (existing) return { conflict: true };
+
+      await tx.query(
+        `INSERT INTO scan_scopes (id, organization_id, kind, value, verification_token, verified_at, verified_by, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [row.id, row.organization_id, row.kind, row.value, row.verification_token, row.verified_at, row.verified_by, row.created_at]
+      );
+      return { scope: this.toScope(row) };
+    });
+  }
+
+  async getScope(organizationId, id) {
+    const [row] = await this.db.query('SELECT * FROM scan_scopes WHERE id = $1 AND organization_id = $2', [id, organizationId]);
+    return row ? this.toScope(row) : null;
+  }
+
+  async listScopes(organizationId) {
+    const rows = await this.db.query('SELECT * FROM scan_scopes WHERE organization_id = $1 ORDER BY kind, value', [organizationId]);
+    return rows.map(row => this.toScope(row));
+  }
+
+  async markVerified(id, method) {
+    const [row] = await this.db.query(
+      'UPDATE scan_scopes SET verified_at = $1, verified_by = $2 WHERE id = $3 RETURNING *',
+      [new Date().toISOString(), method, id]
+    );
+    return row ? this.toScope(row) : null;
+  }
+
+  async removeScope(organizationId, id) {
+    const deleted = await this.db.query('DELETE FROM scan_scopes WHERE id = $1 AND organization_id = $2 RETURNING id', [id, organizationId]);
+    return deleted.length > 0;
+  }
+
+  // Verified entries only, in the shape ScanScope takes
+  async scopeFor(organizationId) {
+    const rows = await this.db.query(
+      'SELECT kind, value FROM scan_scopes WHERE organization_id = $1 AND verified_at IS NOT NULL',
+      [organizationId]
+    );
+    return {
+      organizationId,
+      domains: rows.filter(row => row.kind === 'domain').map(row => row.value),
+      cidrs: rows.filter(row => row.kind === 'cidr').map(row => row.value)
+    };
+  }
+
+  toScope(row) {
+    return {
+      id: row.id,
+      organizationId: row.organization_id,
+      kind: row.kind,
+      value: row.value,
+      verified: row.verified_at !== null && row.verified_at !== undefined,
+      verifiedAt: toIso(row.verified_at),
+      verifiedBy: row.verified_by,
+      verificationToken: row.verified_at ? null : row.verification_token,
+      createdAt: toIso(row.created_at)
+    };
+  }
+}
+
+ScanScopeStore.KINDS = SCOPE_KINDS;
+
+module.exports = ScanScopeStore;
@@ -0,0 +1,43 @@
+// Searches made by logged-in users (or with their API key), newest first
+const crypto = require('crypto');
+const { toIso } = require('./index');
+
+class SearchHistoryStore {
+  constructor(options = {}) {
+    this.db = options.db;
+  }
+
+  async record(userId, { query, type, resultCount }) {
+    const entry = { id: crypto.randomUUID(), query, type, resultCount, createdAt: new Date().toISOString() };
+    await this.db.query(
+      'INSERT INTO search_history (id, user_id, query, type, result_count, created_at) VALUES ($1, $2, $3, $4, $5, $6)',
+      [entry.id, userId, query, type, resultCount, entry.createdAt]
+    );
+    return entry;
+  }
+
+  async list(userId, { limit = 50, offset = 0 } = {}) {
+    const [{ count }] = await this.db.query('SELECT COUNT(*) AS count FROM search_history WHERE user_id = $1', [userId]);
+    const rows = await this.db.query(
+      'SELECT * FROM search_history WHERE user_id = $1 ORDER BY created_at DESC LIMIT $2 OFFSET $3',
+      [userId, limit, offset]
+    );
+    return { total: Number(count), limit, offset, items: rows.map(row => this.toEntry(row)) };
+  }
+
+  async clear(userId) {
+    await this.db.query('DELETE FROM search_history WHERE user_id = $1', [userId]);
+  }
+
+  toEntry(row) {
+    return {
+      id: row.id,
+      query: row.query,
+      type: row.type,
+      resultCount: Number(row.result_count),
+      createdAt: toIso(row.created_at)
+    };
+  }
+}
+
+module.exports = SearchHistoryStore;
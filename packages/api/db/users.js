@@ -0,0 +1,156 @@
+// Accounts: users, their login sessions and one-time email verification / password reset tokens
+const crypto = require('crypto');
+const { toIso } = require('./index');
+
+const TOKEN_PURPOSES = ['verify_email', 'reset_password'];
+
+// Session ids and one-time tokens are random, so a plain SHA-256 is enough to keep them out of the database
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function randomToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+class UserStore {
+  constructor(options = {}) {
+    this.db = options.db;
+  }
+
+  // passwordHash comes from SecurityManager.hashPassword; returns { user } or { conflict: 'email' | 'username' }
+  async create({ email, username, name, passwordHash }) {
+    const id = crypto.randomUUID();
+    const now = new Date().toISOString();
+
+    return this.db.transaction(async tx => {
+      const [existing] = await tx.query(
+        'SELECT email, username FROM users WHERE email = $1 OR username = $2',
+        [email.toLowerCase(), username]
+      );
+      if (existing) return { conflict: existing.email === email.toLowerCase() ? 'email' : 'username' };
+
+      await tx.query(
+        `INSERT INTO users (id, email, username, password_hash, name, subscription_plan, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, 'FREE', $6, $6)`,
+        [id, email.toLowerCase(), username, passwordHash, name, now]
+      );
+      return { user: this.toUser((await tx.query('SELECT * FROM users WHERE id = $1', [id]))[0]) };
+    });
+  }
+
+  async get(id) {
+    const [row] = await this.db.query('SELECT * FROM users WHERE id = $1', [id]);
+    return row ? this.toUser(row) : null;
+  }
+
+  // Includes passwordHash, for login only
+  async findByEmail(email) {
+    const [row] = await this.db.query('SELECT * FROM users WHERE email = $1', [String(email).toLowerCase()]);
+    return row ? { ...this.toUser(row), passwordHash: row.password_hash } : null;
+  }
+
+  async setPassword(id, passwordHash) {
+    await this.db.query('UPDATE users SET password_hash = $2, updated_at = $3 WHERE id = $1', [id, passwordHash, new Date().toISOString()]);
+  }
+
+  async markVerified(id) {
+    const now = new Date().toISOString();
+    await this.db.query('UPDATE users SET email_verified_at = COALESCE(email_verified_at, $2), updated_at = $2 WHERE id = $1', [id, now]);
+  }
+
+  // A new token replaces the user's unused ones for the same purpose; the raw token is returned once
+  async createToken(userId, purpose, ttlMs) {
+    if (!TOKEN_PURPOSES.includes(purpose)) throw new Error(`Unknown token purpose: ${purpose}`);
+    const token = randomToken();
+    const now = Date.now();
+
+    await this.db.transaction(async tx => {
+      await tx.query('DELETE FROM auth_tokens WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL', [userId, purpose]);
+      await tx.query(
+        'INSERT INTO auth_tokens (id, user_id, purpose, token_hash, created_at, expires_at) VALUES ($1, $2, $3, $4, $5, $6)',
+        [crypto.randomUUID(), userId, purpose, hashToken(token), new Date(now).toISOString(), new Date(now + ttlMs).toISOString()]
+      );
+    });
+    return token;
+  }
+
+  // Marks the token used and returns its user id; null when unknown, expired, already used or for another purpose
+  async consumeToken(token, purpose) {
+    if (typeof token !== 'string' || !token) return null;
+
+    return this.db.transaction(async tx => {
+      const [row] = await tx.query('SELECT * FROM auth_tokens WHERE token_hash = $1 AND purpose = $2', [hashToken(token), purpose]);
+      if (!row || row.used_at || new Date(toIso(row.expires_at)).getTime() <= Date.now()) return null;
+
+      await tx.query('UPDATE auth_tokens SET used_at = $2 WHERE id = $1', [row.id, new Date().toISOString()]);
+      return row.user_id;
+    });
+  }
+
+  // Returns the raw session token for the cookie; expired sessions are cleared out on the way
+  async createSession(userId, { ttlMs, ip = null, userAgent = null }) {
+    const token = randomToken();
+    const now = Date.now();
+
+    await this.db.query('DELETE FROM sessions WHERE expires_at < $1', [new Date(now).toISOString()]);
+    await this.db.query(
+      `INSERT INTO sessions (id, user_id, token_hash, ip, user_agent, created_at, last_seen_at, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $6, $7)`,
+      [crypto.randomUUID(), userId, hashToken(token), ip, userAgent ? userAgent.slice(0, 255) : null, new Date(now).toISOString(), new Date(now + ttlMs).toISOString()]
+    );
+    return token;
+  }
+
+  // { session, user } for a live session, or null
+  async getSession(token) {
+    if (typeof token !== 'string' || !token) return null;
+
+    const [row] = await this.db.query('SELECT * FROM sessions WHERE token_hash = $1', [hashToken(token)]);
+    if (!row) return null;
+    if (new Date(toIso(row.expires_at)).getTime() <= Date.now()) {
+      await this.db.query('DELETE FROM sessions WHERE id = $1', [row.id]);
+      return null;
+    }
+
+    const user = await this.get(row.user_id);
+    if (!user) return null;
+
+    // last_seen_at is written at most once a minute per session
+    const now = Date.now();
+    if (now - new Date(toIso(row.last_seen_at)).getTime() > 60 * 1000) {
+      await this.db.query('UPDATE sessions SET last_seen_at = $2 WHERE id = $1', [row.id, new Date(now).toISOString()]);
+    }
+
+    return {
+      session: { id: row.id, createdAt: toIso(row.created_at), expiresAt: toIso(row.expires_at) },
+      user
+    };
+  }
+
+  async deleteSession(token) {
+    await this.db.query('DELETE FROM sessions WHERE token_hash = $1', [hashToken(token)]);
+  }
+
+  // Logs the user out everywhere, e.g. after a password reset
+  async deleteSessions(userId) {
+    await this.db.query('DELETE FROM sessions WHERE user_id = $1', [userId]);
+  }
+
+  toUser(row) {
+    return {
+      id: row.id,
+      email: row.email,
+      username: row.username,
+      name: row.name,
+      plan: row.subscription_plan,
+      organizationId: row.organization_id || null,
+      emailVerified: row.email_verified_at !== null && row.email_verified_at !== undefined,
+      createdAt: toIso(row.created_at)
+    };
+  }
+}
+
+UserStore.TOKEN_PURPOSES = TOKEN_PURPOSES;
+
+module.exports = UserStore;
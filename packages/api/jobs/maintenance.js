@@ -0,0 +1,23 @@
+// Maintenance job handlers, run by the worker process
+function createMaintenanceHandlers({ investigations }) {
+  return {
+    // Queued by the worker at startup when rows are not on the current master key, or by scripts/reencrypt.js
+    async reencrypt({ batchSize } = {}, job) {
+      if (!investigations || !investigations.encryption) {
+        throw Object.assign(new Error('No master key configured (DATA_ENCRYPTION_KEYS or DATA_ENCRYPTION_KEY_FILE)'), { retryable: false });
+      }
+      const result = await investigations.reencrypt({ batchSize, progress: job.progress });
+      if (result.unreadable > 0) {
+        console.warn(`Re-encryption skipped ${result.unreadable} row(s): their master key is no longer configured`);
+      }
+      if (result.failed > 0) {
+        console.warn(`Re-encryption left ${result.failed} row(s) as they were: they could not be decrypted`);
+      }
+      return result;
+    }
+  };
+}
+
+module.exports = {
+  createMaintenanceHandlers
+};
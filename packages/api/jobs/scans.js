@@ -0,0 +1,152 @@
+// Scan job handlers, run by the worker process or the API's in-process worker
+const TaskRunner = require('../../shared/task-runner');
+const { JobCancelledError } = require('../../shared/job-queue');
+const { defaultCache } = require('../../shared/result-cache');
+const { appendQuietly, securityEventLogger } = require('../middleware/audit');
+const { ScanScope, ScopeError } = require('../../shared/scan-scope');
+const { isValidDomain, isValidIP, isValidPhone } = require('../validation');
+
+const BATCH_SCANS = ['social', 'email', 'phone'];
+
+/**
+ * Seed scans for the target, then pivots, then the report.
+ * progress(percent, message) is optional and throws once the job has been cancelled; signal (the job's)
+ * reaches every scan and pivot, so a cancelled job's queued probes never start and the running ones are aborted.
+ * scope (a ScanScope) limits the network scan's connections; it throws a ScopeError for a target out of scope.
+ */
+async function runComprehensiveScan(osint, target, { type = 'auto', maxDepth, budget, scope = null, signal, progress = async () => {} } = {}) {
+  const results = {};
+  const startTime = Date.now();
+  const stats = osint.runner.createStats();
+  const scans = [];
+
+  const networkTarget = (type === 'auto' || type === 'network') && (isValidDomain(target) || isValidIP(target));
+  // Checked again when the job runs, since the name may resolve somewhere else by now
+  if (networkTarget && scope) await scope.check(target);
+
+  // Determine target type and run appropriate scans side by side; the email local part
+  // and domain are reached through pivots rather than scanned here
+  let seed = { type: 'username', value: target };
+  if (type === 'auto' || type === 'social') {
+    if (target.includes('@')) {
+      seed = { type: 'email', value: target };
+      scans.push(osint.emailAnalysis(target, { stats, signal }).then(email => { results.email = email; }));
+    } else {
+      scans.push(osint.socialMediaScan(target, { stats, signal }).then(social => { results.social = social; }));
+    }
+  }
+
+  if (networkTarget) {
+    seed = { type: 'domain', value: target };
+    scans.push(osint.networkScan(target, { stats, signal, lookup: scope ? scope.lookup : undefined }).then(network => { results.network = network; }));
+  }
+
+  if (type === 'auto' || type === 'phone') {
+    if (isValidPhone(target)) {
+      scans.push(osint.phoneAnalysis(target).then(phone => { results.phone = phone; }));
+    }
+  }
+
+  await progress(5, 'Scanning target');
+  await Promise.all(scans);
+  signal?.throwIfAborted();
+
+  await progress(50, 'Following pivots');
+  const pivots = await osint.pivots.expand(seed, osint.collectFindings(target, results), { maxDepth, budget, stats, signal });
+
+  await progress(90, 'Building report');
+  const report = await osint.generateReport(target, results, { pivots });
+  report.executionTime = {
+    total: Date.now() - startTime,
+    tasks: TaskRunner.summarize(stats),
+    runner: { queued: osint.runner.queue.length, running: osint.runner.running }
+  };
+
+  return report;
+}
+
+async function runBatchTarget(osint, target, type, options = {}) {
+  switch (type) {
+    case 'social':
+      return osint.socialMediaScan(target, options);
+    case 'email':
+      return osint.emailAnalysis(target, options);
+    case 'phone':
+      return osint.phoneAnalysis(target);
+    default:
+      return { error: 'Unsupported scan type' };
+  }
+}
+
+/**
+ * Handlers for the 'comprehensive' and 'batch' job types; payload.cache is the request's cache mode.
+ * A comprehensive job carrying a runId records its outcome on that investigation run;
+ * the run is only failed once the job will not be retried. payload.scope is the requester's ScanScope;
+ * jobs queued without one may still only scan public addresses.
+ * With an audit log, each finished scan gets a scan_completed entry carrying the job id of the request's entry.
+ */
+function createScanHandlers({ osint, investigations = null, auditLog = null, cache = defaultCache() }) {
+  const logEvent = securityEventLogger(auditLog);
+  const audit = (job, type, target, resultCount, details = {}) => {
+    if (auditLog) appendQuietly(auditLog, { action: 'scan_completed', type, target, resultCount, details: { jobId: job.id, ...details } });
+  };
+
+  return {
+    async comprehensive({ target, type, maxDepth, budget, runId = null, cache: mode, scope = { mode: 'public' } }, job) {
+      const scanScope = ScanScope.fromJSON(scope, {
+        onRefused: error => logEvent('SCAN_SCOPE_REFUSED', { ...error.details, jobId: job.id, phase: 'connect' }, null)
+      });
+
+      let report;
+      try {
+        report = await cache.scope(mode, () => runComprehensiveScan(osint, target, { type, maxDepth, budget, scope: scanScope, signal: job.signal, progress: job.progress }));
+        job.throwIfCancelled();
+      } catch (error) {
+        if (error instanceof ScopeError) logEvent('SCAN_SCOPE_REFUSED', { ...error.details, jobId: job.id }, null);
+        const cancelled = error instanceof JobCancelledError || job.signal.aborted;
+        if (runId && investigations && (job.finalAttempt || cancelled || error.retryable === false)) {
+          await investigations.failRun(runId, cancelled ? 'Cancelled' : error.message);
+        }
+        throw error;
+      }
+
+      if (runId && investigations) {
+        const { findings, results, ...summary } = report;
+        report.runId = (await investigations.completeRun(runId, { findings, summary })).id;
+      }
+      audit(job, 'comprehensive', target, report.findings.length, runId ? { runId } : {});
+      return report;
+    },
+
+    // Targets that fail are reported per entry; only cancellation stops the batch
+    async batch({ targets, type, cache: mode }, job) {
+      const results = [];
+
+      for (const [index, target] of targets.entries()) {
+        await job.progress((index / targets.length) * 100, `Scanning ${target}`);
+        try {
+          results.push({ target, success: true, data: await cache.scope(mode, () => runBatchTarget(osint, target, type, { signal: job.signal })) });
+        } catch (error) {
+          job.throwIfCancelled();
+          results.push({ target, success: false, error: error.message });
+        }
+      }
+
+      audit(job, `batch:${type}`, targets.join(','), results.filter(r => r.success).length);
+      return {
+        results,
+        summary: {
+          total: targets.length,
+          successful: results.filter(r => r.success).length,
+          failed: results.filter(r => !r.success).length
+        }
+      };
+    }
+  };
+}
+
+module.exports = {
+  createScanHandlers,
+  runComprehensiveScan,
+  BATCH_SCANS
+};
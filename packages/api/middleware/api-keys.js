@@ -0,0 +1,100 @@
+// API key enforcement and per-key request logging for /api/*; used by osint-api.js and the frontend server
+const crypto = require('crypto');
+const { defaultLogEvent } = require('./audit');
+
+const AUTH_MODES = ['required', 'optional', 'off'];
+
+// X-API-Key, or Authorization: Bearer ib_... for clients that only set that header
+function readKey(req) {
+  const header = req.get('X-API-Key');
+  if (header) return header.trim();
+  const match = /^Bearer\s+(ib_\S+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1] : null;
+}
+
+// Constant-time comparison of the X-Admin-Token header with API_ADMIN_TOKEN
+function isAdmin(req, adminToken) {
+  const given = req.get('X-Admin-Token');
+  if (!adminToken || !given) return false;
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(given), digest(adminToken));
+}
+
+// The user behind the request's API key or session cookie; null for an anonymous request
+function requesterOf(req) {
+  return req.apiKey?.userId || req.user?.id || null;
+}
+
+/**
+ * rules: [{ method?, path: RegExp, scope?: string | (req) => string, public?: true }], matched in order
+ * against the path below the mount point. A request matching no rule needs a key but no particular scope.
+ * On public paths a key is optional, but one that is sent must be valid, so routes can still read req.apiKey.
+ *
+ * API_AUTH=required (the default with a key store) rejects requests without a key, optional checks the
+ * keys that are sent and lets the rest through anonymously, off skips the check entirely.
+ */
+function apiKeyAuth({ store, rules = [], mode = process.env.API_AUTH || (store ? 'required' : 'off'), logEvent = defaultLogEvent }) {
+  if (!AUTH_MODES.includes(mode)) {
+    throw new Error(`Unknown API_AUTH mode: ${mode}`);
+  }
+
+  const refuse = (req, res, status, error, details = {}) => {
+    logEvent('API_KEY_REFUSED', { method: req.method, path: req.originalUrl.split('?')[0], reason: error, ...details }, req.ip);
+    res.status(status).json({ success: false, error, code: status });
+  };
+
+  return async (req, res, next) => {
+    if (mode === 'off') return next();
+
+    try {
+      const rule = rules.find(entry => (!entry.method || entry.method === req.method) && entry.path.test(req.path));
+      const key = readKey(req);
+
+      if (!key) {
+        // A browser logged in with a session cookie (req.user, set by the frontend's sessionAuth) needs no key
+        if (mode === 'optional' || rule?.public || req.user) return next();
+        return refuse(req, res, 401, 'API key required');
+      }
+      if (!store) {
+        return res.status(503).json({ success: false, error: 'API key storage is not configured (set DATABASE_URL)' });
+      }
+
+      const result = await store.authenticate(key);
+      if (result.status !== 'valid') {
+        return refuse(req, res, 401, result.status === 'expired' ? 'API key expired' : 'Invalid API key', { key: key.slice(0, 11) });
+      }
+
+      req.apiKey = result.key;
+      const scope = typeof rule?.scope === 'function' ? rule.scope(req) : rule?.scope;
+      if (scope && !result.key.scopes.includes(scope)) {
+        return refuse(req, res, 403, `API key lacks the ${scope} scope`, { key: result.key.prefix, userId: result.key.userId });
+      }
+
+      store.touch(result.key.userId).catch(error => console.error('API key touch failed:', error.message));
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// One line per /api request naming the key that made it; query strings are left out since they carry search targets
+function requestLog({ log = console.log } = {}) {
+  return (req, res, next) => {
+    const startedAt = Date.now();
+    res.on('finish', () => {
+      const key = req.apiKey ? `key=${req.apiKey.prefix} user=${req.apiKey.userId}` : 'key=-';
+      log(`[API] ${req.method} ${req.originalUrl.split('?')[0]} ${res.statusCode} ${Date.now() - startedAt}ms ${key} ip=${req.ip}`);
+    });
+    next();
+  };
+}
+
+module.exports = {
+  apiKeyAuth,
+  requestLog,
+  readKey,
+  isAdmin,
+  requesterOf,
+  AUTH_MODES
+};
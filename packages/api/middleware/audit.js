@@ -0,0 +1,118 @@
+// Audit entries for the searches and scans made through /api/*; used by osint-api.js and the frontend server
+const TARGET_FIELDS = ['target', 'query', 'username', 'email', 'phone', 'domain', 'targets'];
+// Request settings that say nothing about what was looked up
+const UNAUDITED_FIELDS = ['purpose', 'cache'];
+
+// X-Audit-Purpose, or a purpose field for clients that cannot set headers (EventSource)
+function readPurpose(req) {
+  const value = req.get('X-Audit-Purpose') || req.body?.purpose || req.query?.purpose;
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+function readTarget(req) {
+  const params = req.method === 'GET' ? req.query : req.body || {};
+  const field = TARGET_FIELDS.find(name => params[name]);
+  if (!field) return null;
+  return Array.isArray(params[field]) ? params[field].join(',') : String(params[field]);
+}
+
+function describeQuery(req) {
+  const params = { ...(req.method === 'GET' ? req.query : req.body) };
+  for (const field of UNAUDITED_FIELDS) delete params[field];
+  return Object.keys(params).length > 0 ? JSON.stringify(params) : null;
+}
+
+// Best guess at the number of results from the response body, for routes that do not set res.locals.audit
+function countResults(body) {
+  const data = body?.data ?? body;
+  if (Array.isArray(data)) return data.length;
+  if (!data || typeof data !== 'object') return null;
+  const list = [data.findings, data.results, data.platforms, data.items].find(Array.isArray);
+  if (list) return list.length;
+  if (Number.isInteger(data.summary?.total)) return data.summary.total;
+  return Number.isInteger(data.total) ? data.total : null;
+}
+
+function appendQuietly(log, entry) {
+  log.append(entry).catch(error => console.error('Audit log error:', error.message));
+}
+
+/**
+ * rules: [{ method?, path: RegExp, action, type?: string | (req) => string }], matched in order against the
+ * path below the mount point like apiKeyAuth's. A matching request gets one entry once its response is done,
+ * refused and failed ones included. Routes can set res.locals.audit = { type, target, resultCount, details }
+ * with what only they know; otherwise they are read from the request and the JSON response.
+ *
+ * AUDIT_REQUIRE_PURPOSE=true refuses audited requests that do not state a purpose.
+ */
+function auditTrail({ log, rules = [], requirePurpose = process.env.AUDIT_REQUIRE_PURPOSE === 'true' }) {
+  return (req, res, next) => {
+    const rule = rules.find(entry => (!entry.method || entry.method === req.method) && entry.path.test(req.path));
+    if (!rule || !log) return next();
+
+    const purpose = readPurpose(req);
+    let body;
+    const json = res.json.bind(res);
+    res.json = value => {
+      body = value;
+      return json(value);
+    };
+
+    let recorded = false;
+    const record = () => {
+      if (recorded) return;
+      recorded = true;
+
+      const reported = res.locals.audit || {};
+      const jobId = body?.data?.jobId ?? body?.data?.job?.jobId;
+      const details = {
+        ...(jobId ? { jobId } : {}),
+        ...(res.writableFinished ? {} : { aborted: true }),
+        ...reported.details
+      };
+      appendQuietly(log, {
+        action: rule.action,
+        type: reported.type ?? (typeof rule.type === 'function' ? rule.type(req) : rule.type) ?? req.path.split('/').pop(),
+        actorUserId: req.user?.id || req.apiKey?.userId,
+        apiKeyPrefix: req.apiKey?.prefix,
+        ip: req.ip,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        target: reported.target ?? readTarget(req),
+        query: describeQuery(req),
+        purpose,
+        resultCount: reported.resultCount ?? countResults(body),
+        details: Object.keys(details).length > 0 ? details : null
+      });
+    };
+    res.on('finish', record);
+    res.on('close', record);
+
+    if (requirePurpose && !purpose) {
+      return res.status(400).json({ success: false, error: 'State a purpose: send an X-Audit-Purpose header or a purpose field' });
+    }
+    next();
+  };
+}
+
+// The [SECURITY] console line, for middleware not given a logEvent
+function defaultLogEvent(type, details, ip) {
+  console.warn(`[SECURITY] ${type}: ${JSON.stringify({ timestamp: new Date().toISOString(), type, details, ip })}`);
+}
+
+// logEvent for apiKeyAuth: the usual [SECURITY] console line, and the event in the audit log when there is one
+function securityEventLogger(log) {
+  return (type, details, ip) => {
+    defaultLogEvent(type, details, ip);
+    if (log) appendQuietly(log, { action: 'security', type, ip, details });
+  };
+}
+
+module.exports = {
+  auditTrail,
+  defaultLogEvent,
+  securityEventLogger,
+  readPurpose,
+  appendQuietly
+};
@@ -0,0 +1,58 @@
+// Scope checks for active scans under /api/*: the target must be one the caller's organization may scan
+const { ScanScope, ScopeError, SCOPE_MODES } = require('../../shared/scan-scope');
+const { defaultLogEvent } = require('./audit');
+
+/**
+ * rules: [{ method?, path: RegExp, target: (req) => string | null }], matched like apiKeyAuth's; a rule whose
+ * target comes back empty leaves the request to the route's own validation. A target that passes is checked
+ * again on every connection the scan makes: the route hands req.scanScope.lookup to the engine, and queued
+ * scans carry req.scanScope.toJSON() to the worker.
+ *
+ * SCAN_SCOPE=enforce (the default with a scope store) limits scans to the caller's organization's verified
+ * domains and CIDRs; public allows any public address. Reserved and private ranges are refused in both.
+ */
+function scanScopeGuard({ store, rules = [], mode = process.env.SCAN_SCOPE || (store ? 'enforce' : 'public'), logEvent = defaultLogEvent }) {
+  if (!SCOPE_MODES.includes(mode)) {
+    throw new Error(`Unknown SCAN_SCOPE mode: ${mode}`);
+  }
+
+  return async (req, res, next) => {
+    const rule = rules.find(entry => (!entry.method || entry.method === req.method) && entry.path.test(req.path));
+    const target = rule ? rule.target(req) : null;
+    if (typeof target !== 'string' || !target) return next();
+
+    const actor = { userId: req.user?.id || req.apiKey?.userId || null, path: req.originalUrl.split('?')[0] };
+    const refuse = (status, error, details) => {
+      logEvent('SCAN_SCOPE_REFUSED', { ...actor, ...details, error }, req.ip);
+      res.status(status).json({ success: false, error, code: status, reason: details.reason });
+    };
+
+    try {
+      const organizationId = req.apiKey?.organizationId || req.user?.organizationId || null;
+      if (mode === 'enforce' && !organizationId) {
+        return refuse(403, 'Active scans need an organization with a verified scope', { target, reason: 'no_organization' });
+      }
+      if (mode === 'enforce' && !store) {
+        return res.status(503).json({ success: false, error: 'Scan scopes are not configured (set DATABASE_URL)' });
+      }
+
+      const scope = new ScanScope({
+        mode,
+        ...(mode === 'enforce' ? await store.scopeFor(organizationId) : {}),
+        // Refusals at connection time mean the name was rebound after the check below
+        onRefused: error => logEvent('SCAN_SCOPE_REFUSED', { ...actor, ...error.details, phase: 'connect' }, req.ip)
+      });
+      await scope.check(target.trim());
+
+      req.scanScope = scope;
+      next();
+    } catch (error) {
+      if (error instanceof ScopeError) return refuse(403, error.message, error.details);
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  scanScopeGuard
+};
@@ -3,10 +3,50 @@ const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const OSINTEngine = require('../shared/osint-modules');
+const { JobQueue, Worker, createJobBackend, publicJob } = require('../shared/job-queue');
+const { createDatabase, migrate } = require('./db');
+const InvestigationStore = require('./db/investigations');
+const ApiKeyStore = require('./db/api-keys');
+const AuditLog = require('./db/audit-log');
+const ScanScopeStore = require('./db/scan-scopes');
+const createInvestigationRoutes = require('./routes/investigations');
+const createApiKeyRoutes = require('./routes/api-keys');
+const createAuditRoutes = require('./routes/audit');
+const createScanScopeRoutes = require('./routes/scan-scopes');
+const { apiKeyAuth, requestLog, isAdmin, requesterOf } = require('./middleware/api-keys');
+const { auditTrail, securityEventLogger } = require('./middleware/audit');
+const { scanScopeGuard } = require('./middleware/scan-scope');
+const { AuditSigner } = require('../shared/audit-signing');
+const { OwnershipVerifier } = require('../shared/scope-verification');
+const { createScanHandlers, BATCH_SCANS } = require('./jobs/scans');
+const { createMaintenanceHandlers } = require('./jobs/maintenance');
+const { detectTargetType, isValidEmail, isValidDomain, isValidIP, isValidPortList, MAX_PORTS } = require('./validation');
+const { ResultCache, defaultCache } = require('../shared/result-cache');
 
 const app = express();
 const osint = new OSINTEngine();
 
+// Investigations are only available when DATABASE_URL points at Postgres (or SQLite locally)
+const database = createDatabase();
+const investigations = database ? new InvestigationStore({ db: database }) : null;
+const apiKeys = database ? new ApiKeyStore({ db: database }) : null;
+const auditLog = database ? new AuditLog({ db: database }) : null;
+const scanScopes = database ? new ScanScopeStore({ db: database }) : null;
+const logSecurityEvent = securityEventLogger(auditLog);
+
+// Long scans run as jobs. With a database the queue is durable and packages/worker processes it;
+// the in-memory queue (JOB_BACKEND=memory, the default without DATABASE_URL) is worked in-process
+const jobs = new JobQueue({ backend: createJobBackend({ db: database }) });
+const inlineWorker = jobs.backend.db
+  ? null
+  : new Worker({ queue: jobs, handlers: { ...createScanHandlers({ osint, investigations, auditLog }), ...createMaintenanceHandlers({ investigations }) } });
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Hard ceilings for caller-supplied pivot settings
+const MAX_PIVOT_DEPTH = 3;
+const MAX_PIVOT_BUDGET = 50;
+
 // Security middleware
 app.use(helmet());
 app.use(cors());
@@ -25,8 +65,81 @@ const scanLimiter = rateLimit({
   message: { error: 'Scan rate limit exceeded' }
 });
 
+// Every upload writes a file of up to 20,000 words to disk
+const wordlistLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // limit each IP to 10 uploads per hour
+  message: { error: 'Wordlist upload rate limit exceeded' }
+});
+
+app.use('/api/', requestLog());
 app.use('/api/', apiLimiter);
 
+// The scope each endpoint needs from the caller's API key
+app.use('/api', apiKeyAuth({
+  store: apiKeys,
+  rules: [
+    { method: 'GET', path: /^\/health$/, public: true },
+    ...createApiKeyRoutes.rules,
+    ...createAuditRoutes.rules,
+    ...createScanScopeRoutes.rules,
+    { method: 'POST', path: /^\/scan\/comprehensive$/, scope: 'scan:comprehensive' },
+    { method: 'POST', path: /^\/scan\/batch$/, scope: req => `scan:${BATCH_SCANS.includes(req.body?.type) ? req.body.type : 'social'}` },
+    { method: 'POST', path: /^\/scan\/(social|email|phone)$/, scope: req => `scan:${req.path.split('/')[2]}` },
+    { method: 'POST', path: /^\/scan\/(network|registration|subdomains|ports)$/, scope: 'scan:network' },
+    { method: 'POST', path: /^\/scan\/breach-corpus$/, scope: 'scan:breach' },
+    { method: 'GET', path: /^\/wordlists$/, scope: 'scan:network' },
+    { method: 'POST', path: /^\/wordlists$/, scope: 'wordlists:write' },
+    { method: 'GET', path: /^\/jobs\//, scope: 'jobs:read' },
+    { path: /^\/jobs\//, scope: 'jobs:write' },
+    { method: 'GET', path: /^\/investigations(\/|$)/, scope: 'investigations:read' },
+    { path: /^\/investigations(\/|$)/, scope: 'investigations:write' }
+  ],
+  logEvent: logSecurityEvent
+}));
+
+// Who ran which scan on whom and why, refused attempts included
+app.use('/api', auditTrail({
+  log: auditLog,
+  rules: [
+    { method: 'POST', path: /^\/scan\/batch$/, action: 'scan', type: req => `batch:${req.body?.type || 'social'}` },
+    { method: 'POST', path: /^\/scan\//, action: 'scan' },
+    { method: 'POST', path: /^\/investigations\/[^/]+\/runs$/, action: 'scan', type: 'comprehensive' },
+    { method: 'GET', path: /^\/audit(\/export|\/verify)?$/, action: 'audit_access', type: req => req.path.split('/')[2] || 'list' }
+  ]
+}));
+
+// Scans that connect to the target only run against the caller's organization's verified scope (see API.md)
+const networkTarget = target => typeof target === 'string' && (isValidDomain(target) || isValidIP(target)) ? target : null;
+app.use('/api', scanScopeGuard({
+  store: scanScopes,
+  rules: [
+    { method: 'POST', path: /^\/scan\/(network|ports)$/, target: req => req.body?.target },
+    { method: 'POST', path: /^\/scan\/subdomains$/, target: req => req.body?.domain },
+    {
+      method: 'POST',
+      path: /^\/scan\/email$/,
+      target: req => req.body?.verifySmtp === true && typeof req.body.email === 'string' ? req.body.email.split('@')[1] : null
+    },
+    {
+      method: 'POST',
+      path: /^\/(scan\/comprehensive|investigations\/[^/]+\/runs)$/,
+      target: req => ['auto', 'network'].includes(req.body?.type ?? 'auto') ? networkTarget(req.body?.target) : null
+    }
+  ],
+  logEvent: logSecurityEvent
+}));
+
+// `cache: 'bypass'` skips the result cache for one scan, `cache: 'refresh'` re-fetches and stores the fresh answers
+app.use('/api/scan', (req, res, next) => {
+  const mode = req.body?.cache ?? 'default';
+  if (!ResultCache.MODES.includes(mode)) {
+    return res.status(400).json({ error: `cache must be one of: ${ResultCache.MODES.join(', ')}` });
+  }
+  req.cacheMode = mode;
+  defaultCache().scope(mode, next);
+});
+
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({ 
@@ -36,50 +149,50 @@ app.get('/api/health', (req, res) => {
   });
 });
 
-// Comprehensive OSINT scan
+// Comprehensive OSINT scan; queued as a job, poll GET /api/jobs/:id for progress and the report
 app.post('/api/scan/comprehensive', scanLimiter, async (req, res) => {
   try {
-    const { target, type = 'auto' } = req.body;
+    const { target, type = 'auto', pivot, investigationId } = req.body;
     
     if (!target) {
       return res.status(400).json({ error: 'Target is required' });
     }
 
-    const results = {};
-    const startTime = Date.now();
-
-    // Determine target type and run appropriate scans
-    if (type === 'auto' || type === 'social') {
-      if (target.includes('@')) {
-        results.email = await osint.emailAnalysis(target);
-        results.social = await osint.socialMediaScan(target.split('@')[0]);
-      } else {
-        results.social = await osint.socialMediaScan(target);
-      }
+    const settings = pivotSettings(pivot);
+    if (settings.error) {
+      return res.status(400).json({ error: settings.error });
     }
 
-    if (type === 'auto' || type === 'network') {
-      if (isValidDomain(target) || isValidIP(target)) {
-        results.network = {
-          dns: await osint.getDNSRecords(target),
-          subdomains: await osint.subdomainEnum(target),
-          openPorts: await osint.portScan(target)
-        };
+    // Optionally stored as a run on an existing investigation
+    let run = null;
+    if (investigationId) {
+      const investigation = investigations && UUID_PATTERN.test(investigationId)
+        ? await investigations.get(investigationId, isAdmin(req, process.env.API_ADMIN_TOKEN) ? {} : { ownerId: requesterOf(req) })
+        : null;
+      if (!investigation) {
+        return res.status(investigations ? 404 : 503).json({ error: investigations ? 'Investigation not found' : 'Investigation storage is not configured' });
       }
-    }
-
-    if (type === 'auto' || type === 'phone') {
-      if (isValidPhone(target)) {
-        results.phone = await osint.phoneAnalysis(target);
+      if (investigation.archived) {
+        return res.status(409).json({ error: 'Archived investigations are read-only' });
       }
+      run = await investigations.startRun(investigationId, {
+        kind: 'comprehensive',
+        target: { type: detectTargetType(target), value: target },
+        params: { type, pivot: pivot || null }
+      });
     }
 
-    const report = await osint.generateReport(target, results);
-    report.executionTime = Date.now() - startTime;
-
-    res.json({
+    const job = await enqueueScan({
+      target,
+      type,
+      ...settings,
+      cache: req.cacheMode,
+      runId: run ? run.id : null,
+      scope: req.scanScope ? req.scanScope.toJSON() : null
+    }, { ownerId: requesterOf(req) });
+    res.status(202).json({
       success: true,
-      data: report
+      data: jobAccepted(job, run)
     });
 
   } catch (error) {
@@ -92,6 +205,19 @@ app.post('/api/scan/comprehensive', scanLimiter, async (req, res) => {
   }
 });
 
+// Caller-supplied pivot settings, defaulting to the engine's
+function pivotSettings(pivot = {}) {
+  const maxDepth = pivot?.depth ?? osint.pivots.maxDepth;
+  const budget = pivot?.budget ?? osint.pivots.budget;
+  if (!Number.isInteger(maxDepth) || maxDepth < 0 || maxDepth > MAX_PIVOT_DEPTH) {
+    return { error: `pivot.depth must be an integer between 0 and ${MAX_PIVOT_DEPTH}` };
+  }
+  if (!Number.isInteger(budget) || budget < 0 || budget > MAX_PIVOT_BUDGET) {
+    return { error: `pivot.budget must be an integer between 0 and ${MAX_PIVOT_BUDGET}` };
+  }
+  return { maxDepth, budget };
+}
+
 // Social media reconnaissance
 app.post('/api/scan/social', scanLimiter, async (req, res) => {
   try {
@@ -139,9 +265,7 @@ app.post('/api/scan/network', scanLimiter, async (req, res) => {
 
     const results = {
       target,
-      dns: await osint.getDNSRecords(target),
-      subdomains: await osint.subdomainEnum(target),
-      openPorts: await osint.portScan(target)
+      ...await osint.networkScan(target, { lookup: req.scanScope.lookup })
     };
 
     res.json({
@@ -160,13 +284,18 @@ app.post('/api/scan/network', scanLimiter, async (req, res) => {
 // Email analysis
 app.post('/api/scan/email', scanLimiter, async (req, res) => {
   try {
-    const { email } = req.body;
+    const { email, verifySmtp = false } = req.body;
     
     if (!email || !isValidEmail(email)) {
       return res.status(400).json({ error: 'Valid email is required' });
     }
 
-    const results = await osint.emailAnalysis(email);
+    // The guard checked the email's domain; its MX is usually run by a mail provider, so that connection only
+    // has to stay off reserved addresses and private ones outside the organization's CIDRs
+    const results = await osint.emailAnalysis(email, {
+      verifySmtp: verifySmtp === true,
+      scope: req.scanScope ? req.scanScope.withMode('public') : undefined
+    });
     
     res.json({
       success: true,
@@ -181,16 +310,75 @@ app.post('/api/scan/email', scanLimiter, async (req, res) => {
   }
 });
 
+// Registration data (RDAP with WHOIS fallback)
+app.post('/api/scan/registration', scanLimiter, async (req, res) => {
+  try {
+    const { target } = req.body;
+
+    if (!target || !(isValidDomain(target) || isValidIP(target))) {
+      return res.status(400).json({ error: 'Valid domain or IP is required' });
+    }
+
+    const results = await osint.registrationLookup(target);
+
+    res.json({
+      success: true,
+      data: results
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Offline breach corpus lookup
+app.post('/api/scan/breach-corpus', scanLimiter, async (req, res) => {
+  try {
+    const { email, username, domain, limit } = req.body;
+    const given = [email, username, domain].filter(Boolean);
+
+    if (given.length !== 1) {
+      return res.status(400).json({ error: 'Exactly one of email, username or domain is required' });
+    }
+    if (email && !isValidEmail(email)) {
+      return res.status(400).json({ error: 'Invalid email' });
+    }
+    if (domain && !isValidDomain(domain)) {
+      return res.status(400).json({ error: 'Invalid domain' });
+    }
+
+    const results = await osint.breachCorpus.search({ email, username, domain }, { limit });
+
+    res.json({
+      success: true,
+      data: results
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Phone analysis
 app.post('/api/scan/phone', scanLimiter, async (req, res) => {
   try {
-    const { phone } = req.body;
+    const { phone, defaultRegion } = req.body;
     
-    if (!phone) {
+    if (!phone || typeof phone !== 'string') {
       return res.status(400).json({ error: 'Phone number is required' });
     }
 
-    const results = await osint.phoneAnalysis(phone);
+    if (defaultRegion !== undefined && !/^[A-Za-z]{2}$/.test(defaultRegion)) {
+      return res.status(400).json({ error: 'defaultRegion must be a two-letter region code' });
+    }
+
+    const results = await osint.phoneAnalysis(phone, { defaultRegion });
     
     res.json({
       success: true,
@@ -208,20 +396,31 @@ app.post('/api/scan/phone', scanLimiter, async (req, res) => {
 // Subdomain enumeration
 app.post('/api/scan/subdomains', scanLimiter, async (req, res) => {
   try {
-    const { domain } = req.body;
+    const { domain, wordlist = 'small', words, depth = 1 } = req.body;
     
     if (!domain || !isValidDomain(domain)) {
       return res.status(400).json({ error: 'Valid domain is required' });
     }
 
-    const subdomains = await osint.subdomainEnum(domain);
+    if (words !== undefined && (!Array.isArray(words) || words.length === 0)) {
+      return res.status(400).json({ error: 'Words must be a non-empty array' });
+    }
+
+    if (!words && !osint.wordlists.has(wordlist)) {
+      return res.status(400).json({ error: `Unknown wordlist: ${wordlist}` });
+    }
+
+    if (!Number.isInteger(depth) || depth < 1 || depth > 3) {
+      return res.status(400).json({ error: 'Depth must be an integer between 1 and 3' });
+    }
+
+    const scan = await osint.subdomainScan(domain, { wordlist, words, depth });
     
     res.json({
       success: true,
       data: {
-        domain,
-        subdomains,
-        count: subdomains.length
+        ...scan,
+        count: scan.subdomains.length
       }
     });
 
@@ -233,16 +432,50 @@ app.post('/api/scan/subdomains', scanLimiter, async (req, res) => {
   }
 });
 
+// Wordlists available for subdomain enumeration
+app.get('/api/wordlists', (req, res) => {
+  res.json({
+    success: true,
+    data: osint.wordlists.list()
+  });
+});
+
+// Upload a custom wordlist
+app.post('/api/wordlists', wordlistLimiter, async (req, res) => {
+  try {
+    const { name, words } = req.body;
+
+    if (!name || !Array.isArray(words) || words.length === 0) {
+      return res.status(400).json({ error: 'Name and a non-empty words array are required' });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: osint.wordlists.save(name, words)
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Port scanning
 app.post('/api/scan/ports', scanLimiter, async (req, res) => {
   try {
     const { target, ports } = req.body;
     
-    if (!target) {
+    if (!target || typeof target !== 'string') {
       return res.status(400).json({ error: 'Target is required' });
     }
 
-    const openPorts = await osint.portScan(target, ports);
+    if (ports !== undefined && !isValidPortList(ports)) {
+      return res.status(400).json({ error: `Ports must be an array of up to ${MAX_PORTS} unique integers between 1 and 65535` });
+    }
+
+    const openPorts = await osint.portScan(target, ports, { lookup: req.scanScope.lookup });
     
     res.json({
       success: true,
@@ -261,7 +494,7 @@ app.post('/api/scan/ports', scanLimiter, async (req, res) => {
   }
 });
 
-// Batch processing
+// Batch processing; queued as a job like the comprehensive scan
 app.post('/api/scan/batch', scanLimiter, async (req, res) => {
   try {
     const { targets, type = 'social' } = req.body;
@@ -274,51 +507,14 @@ app.post('/api/scan/batch', scanLimiter, async (req, res) => {
       return res.status(400).json({ error: 'Maximum 10 targets per batch' });
     }
 
-    const results = [];
-    
-    for (const target of targets) {
-      try {
-        let result;
-        
-        switch (type) {
-          case 'social':
-            result = await osint.socialMediaScan(target);
-            break;
-          case 'email':
-            result = await osint.emailAnalysis(target);
-            break;
-          case 'phone':
-            result = await osint.phoneAnalysis(target);
-            break;
-          default:
-            result = { error: 'Unsupported scan type' };
-        }
-        
-        results.push({
-          target,
-          success: true,
-          data: result
-        });
-        
-      } catch (error) {
-        results.push({
-          target,
-          success: false,
-          error: error.message
-        });
-      }
+    if (!BATCH_SCANS.includes(type)) {
+      return res.status(400).json({ error: `Unsupported scan type, use one of: ${BATCH_SCANS.join(', ')}` });
     }
 
-    res.json({
+    const job = await jobs.enqueue('batch', { targets, type, cache: req.cacheMode }, { ownerId: requesterOf(req) });
+    res.status(202).json({
       success: true,
-      data: {
-        results,
-        summary: {
-          total: targets.length,
-          successful: results.filter(r => r.success).length,
-          failed: results.filter(r => !r.success).length
-        }
-      }
+      data: jobAccepted(job)
     });
 
   } catch (error) {
@@ -329,27 +525,67 @@ app.post('/api/scan/batch', scanLimiter, async (req, res) => {
   }
 });
 
-// Validation functions
-function isValidEmail(email) {
-  const regex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return regex.test(email);
+// A job is only visible to the user who queued it (anonymous jobs to anonymous callers) and the admin token
+async function findJob(req) {
+  const job = UUID_PATTERN.test(req.params.id) ? await jobs.get(req.params.id) : null;
+  if (!job) return null;
+  return isAdmin(req, process.env.API_ADMIN_TOKEN) || job.ownerId === requesterOf(req) ? job : null;
 }
 
-function isValidDomain(domain) {
-  const regex = /^[a-zA-Z0-9][a-zA-Z0-9-]{1,61}[a-zA-Z0-9]\.[a-zA-Z]{2,}$/;
-  return regex.test(domain);
-}
+// Job status, progress and, once completed, the result
+app.get('/api/jobs/:id', async (req, res, next) => {
+  try {
+    const job = await findJob(req);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    res.json({ success: true, data: publicJob(job) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/jobs/:id/cancel', async (req, res, next) => {
+  try {
+    const job = await findJob(req) && await jobs.cancel(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    if (['completed', 'failed'].includes(job.status)) {
+      return res.status(409).json({ success: false, error: `Job already ${job.status}`, data: publicJob(job) });
+    }
+    res.status(202).json({ success: true, data: publicJob(job) });
+  } catch (error) {
+    next(error);
+  }
+});
 
-function isValidIP(ip) {
-  const regex = /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
-  return regex.test(ip);
+function enqueueScan(payload, options = {}) {
+  return jobs.enqueue('comprehensive', payload, options);
 }
 
-function isValidPhone(phone) {
-  const cleaned = phone.replace(/\D/g, '');
-  return cleaned.length >= 10 && cleaned.length <= 15;
+function jobAccepted(job, run = null) {
+  return {
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `/api/jobs/${job.id}`,
+    ...(run ? { runId: run.id } : {})
+  };
 }
 
+app.use('/api', createApiKeyRoutes({ store: apiKeys }));
+app.use('/api', createAuditRoutes({ log: auditLog, signer: AuditSigner.fromEnv() }));
+app.use('/api', createScanScopeRoutes({ store: scanScopes, verifier: new OwnershipVerifier(), logEvent: logSecurityEvent }));
+
+app.use('/api/investigations', createInvestigationRoutes({
+  store: investigations,
+  enqueueScan,
+  jobAccepted,
+  pivotSettings,
+  detectTargetType,
+  scanLimiter
+}));
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   console.error('API Error:', error);
@@ -369,8 +605,18 @@ app.use('*', (req, res) => {
 
 const PORT = process.env.API_PORT || 3001;
 
-app.listen(PORT, () => {
-  console.log(`OSINT API Server running on port ${PORT}`);
-});
+// Pending migrations are applied before the server accepts requests
+(database ? migrate(database) : Promise.resolve([]))
+  .then(applied => {
+    if (applied.length > 0) console.log(`Applied migrations: ${applied.join(', ')}`);
+    if (inlineWorker) inlineWorker.start();
+    app.listen(PORT, () => {
+      console.log(`OSINT API Server running on port ${PORT}`);
+    });
+  })
+  .catch(error => {
+    console.error('Database migration failed:', error);
+    process.exit(1);
+  });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,113 @@
+// API key issuance and lifecycle; mounted at /api by osint-api.js and the frontend server
+const express = require('express');
+const ApiKeyStore = require('../db/api-keys');
+const { isAdmin } = require('../middleware/api-keys');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_KEY_DAYS = 3650;
+
+function validateIssue({ userId, scopes, expiresInDays }) {
+  if (typeof userId !== 'string' || !UUID_PATTERN.test(userId)) {
+    return 'userId must be a user id';
+  }
+  if (scopes !== undefined && (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !ApiKeyStore.SCOPES.includes(scope)))) {
+    return `scopes must be a non-empty array of: ${ApiKeyStore.SCOPES.join(', ')}`;
+  }
+  if (expiresInDays !== undefined && (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_KEY_DAYS)) {
+    return `expiresInDays must be an integer between 1 and ${MAX_KEY_DAYS}`;
+  }
+  return null;
+}
+
+/**
+ * Issuing a key takes the admin token. The /keys endpoints act on the caller's own key (req.apiKey,
+ * set by apiKeyAuth), or on body.userId's key when called with the admin token instead.
+ */
+function createApiKeyRoutes({ store, adminToken = process.env.API_ADMIN_TOKEN }) {
+  const router = express.Router();
+
+  router.use(['/generate-key', '/keys'], (req, res, next) => {
+    if (!store) {
+      return res.status(503).json({ success: false, error: 'API key storage is not configured (set DATABASE_URL)' });
+    }
+    next();
+  });
+
+  // The user whose key a /keys request manages, or null after answering the request. A key replaced by
+  // a rotation still authenticates during its grace period, but can no longer rotate or revoke: a leaked
+  // old key must not be able to mint a new one
+  const subject = (req, res) => {
+    if (req.apiKey?.rotated) {
+      res.status(403).json({ success: false, error: 'This key has been rotated; use the current key', code: 403 });
+      return null;
+    }
+    if (req.apiKey) return req.apiKey.userId;
+    if (isAdmin(req, adminToken)) {
+      if (typeof req.body?.userId === 'string' && UUID_PATTERN.test(req.body.userId)) return req.body.userId;
+      res.status(400).json({ success: false, error: 'userId must be a user id' });
+      return null;
+    }
+    res.status(401).json({ success: false, error: 'API key required', code: 401 });
+    return null;
+  };
+
+  // The plaintext key is only ever in this response
+  router.post('/generate-key', async (req, res, next) => {
+    try {
+      if (!isAdmin(req, adminToken)) {
+        return res.status(403).json({ success: false, error: 'Issuing keys requires the admin token', code: 403 });
+      }
+      const error = validateIssue(req.body);
+      if (error) return res.status(400).json({ success: false, error });
+
+      const { userId, scopes, expiresInDays } = req.body;
+      const issued = await store.issue(userId, { scopes, expiresInDays });
+      if (!issued) return res.status(404).json({ success: false, error: 'User not found' });
+      res.status(201).json({ success: true, data: issued });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/keys/current', async (req, res, next) => {
+    try {
+      if (!req.apiKey) return res.status(401).json({ success: false, error: 'API key required', code: 401 });
+      res.json({ success: true, data: await store.describe(req.apiKey.userId) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/keys/rotate', async (req, res, next) => {
+    try {
+      const userId = subject(req, res);
+      if (!userId) return;
+      const rotated = await store.rotate(userId);
+      if (!rotated) return res.status(404).json({ success: false, error: 'No active API key' });
+      res.status(201).json({ success: true, data: rotated });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/keys/revoke', async (req, res, next) => {
+    try {
+      const userId = subject(req, res);
+      if (!userId) return;
+      if (!await store.revoke(userId)) return res.status(404).json({ success: false, error: 'No active API key' });
+      res.json({ success: true, data: await store.describe(userId) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+// apiKeyAuth rules for these endpoints: they authenticate callers themselves
+createApiKeyRoutes.rules = [
+  { path: /^\/generate-key$/, public: true },
+  { path: /^\/keys\//, public: true }
+];
+
+module.exports = createApiKeyRoutes;
@@ -0,0 +1,136 @@
+// Audit log reading, chain verification and signed export; mounted at /api by osint-api.js and the frontend server
+const express = require('express');
+const AuditLog = require('../db/audit-log');
+const { isAdmin } = require('../middleware/api-keys');
+
+const MAX_PAGE = 500;
+const MAX_EXPORT = 10000;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function positiveInt(value) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+// Query string filters shared by the listing and the export; { error } for a bad one
+function readFilters(query) {
+  const filters = {};
+  for (const field of ['from', 'to']) {
+    if (query[field] === undefined) continue;
+    const date = new Date(query[field]);
+    if (Number.isNaN(date.getTime())) return { error: `${field} must be an ISO date` };
+    filters[field] = date.toISOString();
+  }
+  for (const field of ['fromSeq', 'toSeq']) {
+    if (query[field] === undefined) continue;
+    filters[field] = positiveInt(query[field]);
+    if (!filters[field]) return { error: `${field} must be a positive integer` };
+  }
+  if (query.actor !== undefined && !UUID_PATTERN.test(query.actor)) return { error: 'actor must be a user id' };
+  if (query.action !== undefined && !AuditLog.ACTIONS.includes(query.action)) {
+    return { error: `action must be one of: ${AuditLog.ACTIONS.join(', ')}` };
+  }
+  for (const field of ['actor', 'apiKey', 'action', 'type', 'target', 'ip']) {
+    if (typeof query[field] === 'string' && query[field]) filters[field] = query[field];
+  }
+  return { filters };
+}
+
+/**
+ * Everything but the public key takes the admin token. Exports are signed with AUDIT_SIGNING_KEY (Ed25519):
+ * X-Audit-Signature is the base64 signature of the response body exactly as sent, X-Audit-Key-Id names the key.
+ */
+function createAuditRoutes({ log, signer, adminToken = process.env.API_ADMIN_TOKEN }) {
+  const router = express.Router();
+
+  router.use('/audit', (req, res, next) => {
+    if (req.path === '/public-key') return next();
+    if (!log) {
+      return res.status(503).json({ success: false, error: 'Audit log storage is not configured (set DATABASE_URL)' });
+    }
+    if (!isAdmin(req, adminToken)) {
+      return res.status(403).json({ success: false, error: 'The audit log requires the admin token', code: 403 });
+    }
+    next();
+  });
+
+  router.get('/audit', async (req, res, next) => {
+    try {
+      const { filters, error } = readFilters(req.query);
+      if (error) return res.status(400).json({ success: false, error });
+      const limit = Math.min(positiveInt(req.query.limit) || 100, MAX_PAGE);
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+      const page = await log.list({ ...filters, limit, offset });
+      res.locals.audit = { resultCount: page.items.length };
+      res.json({ success: true, data: page });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Recomputes the chain; 409 when it is broken, with the first entry that does not check out
+  router.get('/audit/verify', async (req, res, next) => {
+    try {
+      const fromSeq = req.query.fromSeq === undefined ? 1 : positiveInt(req.query.fromSeq);
+      const toSeq = req.query.toSeq === undefined ? null : positiveInt(req.query.toSeq);
+      if (!fromSeq || (req.query.toSeq !== undefined && !toSeq)) {
+        return res.status(400).json({ success: false, error: 'fromSeq and toSeq must be positive integers' });
+      }
+      const result = await log.verify({ fromSeq, toSeq });
+      res.status(result.valid ? 200 : 409).json({ success: result.valid, data: result });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Oldest first, with each entry's hashes and the chain head at export time, so the copy can be re-verified on its own
+  router.get('/audit/export', async (req, res, next) => {
+    try {
+      if (!signer) {
+        return res.status(503).json({ success: false, error: 'Export signing is not configured (set AUDIT_SIGNING_KEY)' });
+      }
+      const { filters, error } = readFilters(req.query);
+      if (error) return res.status(400).json({ success: false, error });
+      const limit = Math.min(positiveInt(req.query.limit) || MAX_EXPORT, MAX_EXPORT);
+
+      const [page, head] = await Promise.all([log.list({ ...filters, limit, order: 'asc' }), log.head()]);
+      const body = JSON.stringify({
+        format: 'infohub-audit-export/1',
+        exportedAt: new Date().toISOString(),
+        keyId: signer.keyId,
+        filters,
+        total: page.total,
+        truncated: page.total > page.items.length,
+        head,
+        entries: page.items
+      });
+
+      res.locals.audit = { resultCount: page.items.length };
+      res.set({
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Disposition': `attachment; filename="audit-${Date.now()}.json"`,
+        'X-Audit-Signature': signer.sign(body),
+        'X-Audit-Key-Id': signer.keyId
+      });
+      res.send(body);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/audit/public-key', (req, res) => {
+    if (!signer) {
+      return res.status(404).json({ success: false, error: 'Export signing is not configured' });
+    }
+    res.type('application/x-pem-file').set('X-Audit-Key-Id', signer.keyId).send(signer.publicKeyPem);
+  });
+
+  return router;
+}
+
+// apiKeyAuth rules for these endpoints: they check the admin token themselves
+createAuditRoutes.rules = [
+  { method: 'GET', path: /^\/audit(\/|$)/, public: true }
+];
+
+module.exports = createAuditRoutes;
@@ -0,0 +1,264 @@
+// REST endpoints for investigations; mounted at /api/investigations by osint-api.js
+const express = require('express');
+const InvestigationStore = require('../db/investigations');
+const { isAdmin, requesterOf } = require('../middleware/api-keys');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_TAGS = 20;
+
+function validateFields(body, { partial = false } = {}) {
+  const { title, description, status, tags } = body;
+
+  if (!partial || title !== undefined) {
+    if (typeof title !== 'string' || !title.trim() || title.length > 200) {
+      return 'title must be a non-empty string of at most 200 characters';
+    }
+  }
+  if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > 10000)) {
+    return 'description must be a string of at most 10000 characters';
+  }
+  if (status !== undefined && !InvestigationStore.STATUSES.includes(status)) {
+    return `status must be one of: ${InvestigationStore.STATUSES.join(', ')}`;
+  }
+  if (tags !== undefined && (!Array.isArray(tags) || tags.length > MAX_TAGS || tags.some(tag => typeof tag !== 'string' || tag.length > 50))) {
+    return `tags must be an array of at most ${MAX_TAGS} strings`;
+  }
+  return null;
+}
+
+function validateTarget(target) {
+  if (!target || typeof target.value !== 'string' || !target.value.trim() || target.value.length > 320) {
+    return 'target value is required';
+  }
+  if (!InvestigationStore.TARGET_TYPES.includes(target.type)) {
+    return `target type must be one of: ${InvestigationStore.TARGET_TYPES.join(', ')}`;
+  }
+  return null;
+}
+
+function paging(query, defaultLimit) {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), 500);
+  const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+  return { limit, offset };
+}
+
+/**
+ * enqueueScan(payload, { ownerId }) queues a comprehensive scan job and jobAccepted(job) describes it for the
+ * response; pivotSettings(pivot) validates pivot options (see osint-api.js) and detectTargetType(target)
+ * maps a raw target onto one of InvestigationStore.TARGET_TYPES.
+ *
+ * An investigation belongs to the user whose API key or session created it and is not found for anyone
+ * else; anonymous callers (API_AUTH=off or optional) share the ones created anonymously. The admin token
+ * reaches all of them.
+ */
+function createInvestigationRoutes({
+  store,
+  enqueueScan,
+  jobAccepted,
+  pivotSettings,
+  detectTargetType,
+  scanLimiter = (req, res, next) => next(),
+  adminToken = process.env.API_ADMIN_TOKEN
+}) {
+  const router = express.Router();
+
+  // ownerId for the store: undefined (everything) for the admin token
+  const owner = req => (isAdmin(req, adminToken) ? undefined : requesterOf(req));
+
+  router.use((req, res, next) => {
+    if (!store) {
+      return res.status(503).json({ success: false, error: 'Investigation storage is not configured (set DATABASE_URL)' });
+    }
+    next();
+  });
+
+  router.param('id', (req, res, next, id) => {
+    if (!UUID_PATTERN.test(id)) {
+      return res.status(404).json({ success: false, error: 'Investigation not found' });
+    }
+    next();
+  });
+
+  router.post('/', async (req, res, next) => {
+    try {
+      const error = validateFields(req.body);
+      if (error) return res.status(400).json({ success: false, error });
+
+      const targets = req.body.targets || [];
+      if (!Array.isArray(targets) || targets.length > 50) {
+        return res.status(400).json({ success: false, error: 'targets must be an array of at most 50 entries' });
+      }
+      const targetError = targets.map(validateTarget).find(Boolean);
+      if (targetError) return res.status(400).json({ success: false, error: targetError });
+
+      const investigation = await store.create({
+        title: req.body.title.trim(),
+        description: req.body.description || null,
+        tags: req.body.tags || [],
+        targets: targets.map(target => ({ type: target.type, value: target.value.trim(), label: target.label || null })),
+        ownerId: requesterOf(req)
+      });
+      res.status(201).json({ success: true, data: investigation });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/', async (req, res, next) => {
+    try {
+      const result = await store.list({
+        status: InvestigationStore.STATUSES.includes(req.query.status) ? req.query.status : undefined,
+        archived: req.query.archived === 'true',
+        search: typeof req.query.search === 'string' ? req.query.search.slice(0, 100) : undefined,
+        ownerId: owner(req),
+        ...paging(req.query, 50)
+      });
+      res.json({ success: true, data: result });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/:id', async (req, res, next) => {
+    try {
+      const investigation = await store.get(req.params.id, { ownerId: owner(req) });
+      if (!investigation) return res.status(404).json({ success: false, error: 'Investigation not found' });
+      res.json({ success: true, data: investigation });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.patch('/:id', async (req, res, next) => {
+    try {
+      const error = validateFields(req.body, { partial: true });
+      if (error) return res.status(400).json({ success: false, error });
+
+      const existing = await store.get(req.params.id, { ownerId: owner(req) });
+      if (!existing) return res.status(404).json({ success: false, error: 'Investigation not found' });
+      if (existing.archived) return res.status(409).json({ success: false, error: 'Archived investigations are read-only' });
+
+      const { title, description, status, tags } = req.body;
+      const investigation = await store.update(req.params.id, {
+        title: title === undefined ? undefined : title.trim(),
+        description,
+        status,
+        tags
+      });
+      res.json({ success: true, data: investigation });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/:id/archive', async (req, res, next) => {
+    try {
+      const investigation = await store.get(req.params.id, { ownerId: owner(req) }) && await store.archive(req.params.id);
+      if (!investigation) return res.status(404).json({ success: false, error: 'Investigation not found' });
+      res.json({ success: true, data: investigation });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/:id/restore', async (req, res, next) => {
+    try {
+      const investigation = await store.get(req.params.id, { ownerId: owner(req) }) && await store.restore(req.params.id);
+      if (!investigation) return res.status(404).json({ success: false, error: 'Investigation not found' });
+      res.json({ success: true, data: investigation });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/:id/targets', async (req, res, next) => {
+    try {
+      const error = validateTarget(req.body);
+      if (error) return res.status(400).json({ success: false, error });
+
+      const existing = await store.get(req.params.id, { ownerId: owner(req) });
+      if (!existing) return res.status(404).json({ success: false, error: 'Investigation not found' });
+      if (existing.archived) return res.status(409).json({ success: false, error: 'Archived investigations are read-only' });
+
+      const target = await store.addTarget(req.params.id, {
+        type: req.body.type,
+        value: req.body.value.trim(),
+        label: req.body.label || null
+      });
+      res.status(201).json({ success: true, data: target });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/:id/runs', async (req, res, next) => {
+    try {
+      const existing = await store.get(req.params.id, { ownerId: owner(req) });
+      if (!existing) return res.status(404).json({ success: false, error: 'Investigation not found' });
+      res.json({ success: true, data: await store.listRuns(req.params.id, paging(req.query, 50)) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Queues a comprehensive scan; the job stores the report and its findings on the run when it finishes
+  router.post('/:id/runs', scanLimiter, async (req, res, next) => {
+    try {
+      const { target, type = 'auto', pivot } = req.body;
+      if (typeof target !== 'string' || !target.trim()) {
+        return res.status(400).json({ success: false, error: 'Target is required' });
+      }
+      const settings = pivotSettings(pivot);
+      if (settings.error) {
+        return res.status(400).json({ success: false, error: settings.error });
+      }
+
+      const existing = await store.get(req.params.id, { ownerId: owner(req) });
+      if (!existing) return res.status(404).json({ success: false, error: 'Investigation not found' });
+      if (existing.archived) return res.status(409).json({ success: false, error: 'Archived investigations are read-only' });
+
+      const value = target.trim();
+      const run = await store.startRun(req.params.id, {
+        kind: 'comprehensive',
+        target: { type: detectTargetType(value), value },
+        params: { type, pivot: pivot || null }
+      });
+
+      let job;
+      try {
+        job = await enqueueScan(
+          { target: value, type, ...settings, runId: run.id, scope: req.scanScope ? req.scanScope.toJSON() : null },
+          { ownerId: requesterOf(req) }
+        );
+      } catch (error) {
+        await store.failRun(run.id, error.message);
+        throw error;
+      }
+
+      res.status(202).json({ success: true, data: { run, job: jobAccepted(job) } });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/:id/findings', async (req, res, next) => {
+    try {
+      const existing = await store.get(req.params.id, { ownerId: owner(req) });
+      if (!existing) return res.status(404).json({ success: false, error: 'Investigation not found' });
+
+      const findings = await store.listFindings(req.params.id, {
+        runId: UUID_PATTERN.test(req.query.runId || '') ? req.query.runId : undefined,
+        entityType: typeof req.query.entityType === 'string' ? req.query.entityType : undefined,
+        status: typeof req.query.status === 'string' ? req.query.status : undefined,
+        ...paging(req.query, 200)
+      });
+      res.json({ success: true, data: findings });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = createInvestigationRoutes;
@@ -0,0 +1,177 @@
+// Organizations and their scan scopes; mounted at /api by osint-api.js
+const express = require('express');
+const ScanScopeStore = require('../db/scan-scopes');
+const { isAdmin } = require('../middleware/api-keys');
+const { parseCidr, normalizeDomain } = require('../../shared/scan-scope');
+const { verificationInstructions, VERIFICATION_METHODS } = require('../../shared/scope-verification');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+// Pending domains carry where to publish their token
+function withInstructions(scope) {
+  return scope.verified ? scope : { ...scope, verification: verificationInstructions(scope.value, scope.verificationToken) };
+}
+
+/**
+ * Organizations and their members are managed with the admin token. Scope endpoints act on the caller's
+ * organization (from their API key or session), or on organizationId (body or query) with the admin token.
+ * Members add domains and prove control of them; CIDRs, including private ranges, only come from an admin.
+ */
+function createScanScopeRoutes({ store, verifier, adminToken = process.env.API_ADMIN_TOKEN, logEvent = () => {} }) {
+  const router = express.Router();
+
+  router.use(['/organizations', '/scopes'], (req, res, next) => {
+    if (!store) {
+      return res.status(503).json({ success: false, error: 'Scan scopes are not configured (set DATABASE_URL)' });
+    }
+    next();
+  });
+
+  // The organization a /scopes request acts on, or null after answering the request
+  const subject = (req, res) => {
+    if (isAdmin(req, adminToken)) {
+      const organizationId = req.body?.organizationId || req.query.organizationId;
+      if (typeof organizationId === 'string' && UUID_PATTERN.test(organizationId)) return organizationId;
+      res.status(400).json({ success: false, error: 'organizationId must be an organization id' });
+      return null;
+    }
+    const organizationId = req.apiKey?.organizationId || req.user?.organizationId;
+    if (organizationId) return organizationId;
+    res.status(req.apiKey || req.user ? 403 : 401).json({
+      success: false,
+      error: req.apiKey || req.user ? 'You are not a member of an organization' : 'API key required'
+    });
+    return null;
+  };
+
+  const requireAdmin = (req, res, next) => {
+    if (!isAdmin(req, adminToken)) {
+      return res.status(403).json({ success: false, error: 'Managing organizations requires the admin token', code: 403 });
+    }
+    next();
+  };
+
+  router.post('/organizations', requireAdmin, async (req, res, next) => {
+    try {
+      const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+      if (!name || name.length > 100) {
+        return res.status(400).json({ success: false, error: 'name is required (at most 100 characters)' });
+      }
+      res.status(201).json({ success: true, data: await store.createOrganization({ name }) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/organizations/:id/members', requireAdmin, async (req, res, next) => {
+    try {
+      const { userId } = req.body || {};
+      if (!UUID_PATTERN.test(req.params.id) || !await store.getOrganization(req.params.id)) {
+        return res.status(404).json({ success: false, error: 'Organization not found' });
+      }
+      if (typeof userId !== 'string' || !UUID_PATTERN.test(userId)) {
+        return res.status(400).json({ success: false, error: 'userId must be a user id' });
+      }
+      if (!await store.setMember(req.params.id, userId)) return res.status(404).json({ success: false, error: 'User not found' });
+      res.json({ success: true, data: { organizationId: req.params.id, userId } });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/scopes', async (req, res, next) => {
+    try {
+      const organizationId = subject(req, res);
+      if (!organizationId) return;
+      res.json({ success: true, data: (await store.listScopes(organizationId)).map(withInstructions) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // { kind: 'domain', value } → pending until verified; { kind: 'cidr', value } (admin) → in scope at once
+  router.post('/scopes', async (req, res, next) => {
+    try {
+      const organizationId = subject(req, res);
+      if (!organizationId) return;
+
+      const { kind, value } = req.body || {};
+      if (!ScanScopeStore.KINDS.includes(kind) || typeof value !== 'string') {
+        return res.status(400).json({ success: false, error: `kind must be one of: ${ScanScopeStore.KINDS.join(', ')}, with a value` });
+      }
+
+      let normalized;
+      if (kind === 'domain') {
+        normalized = normalizeDomain(value);
+        if (!DOMAIN_PATTERN.test(normalized)) return res.status(400).json({ success: false, error: 'value must be a domain name' });
+      } else {
+        if (!isAdmin(req, adminToken)) {
+          return res.status(403).json({ success: false, error: 'CIDR scopes are added by an administrator', code: 403 });
+        }
+        const parsed = parseCidr(value);
+        if (parsed.error) return res.status(400).json({ success: false, error: `value ${parsed.error}` });
+        normalized = parsed.cidr;
+      }
+
+      const { scope, conflict } = await store.addScope(organizationId, {
+        kind,
+        value: normalized,
+        verifiedBy: kind === 'cidr' || isAdmin(req, adminToken) ? 'admin' : null
+      });
+      if (conflict) return res.status(409).json({ success: false, error: `${normalized} is already in scope` });
+      res.status(201).json({ success: true, data: withInstructions(scope) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // { method?: 'dns' | 'http' }; without one both are tried
+  router.post('/scopes/:id/verify', async (req, res, next) => {
+    try {
+      const organizationId = subject(req, res);
+      if (!organizationId) return;
+
+      const method = req.body?.method;
+      if (method !== undefined && !VERIFICATION_METHODS.includes(method)) {
+        return res.status(400).json({ success: false, error: `method must be one of: ${VERIFICATION_METHODS.join(', ')}` });
+      }
+      const scope = UUID_PATTERN.test(req.params.id) ? await store.getScope(organizationId, req.params.id) : null;
+      if (!scope) return res.status(404).json({ success: false, error: 'Scope not found' });
+      if (scope.verified) return res.json({ success: true, data: scope });
+
+      const verifiedBy = await verifier.verify(scope.value, scope.verificationToken, method ? [method] : VERIFICATION_METHODS);
+      if (!verifiedBy) {
+        logEvent('SCOPE_VERIFICATION_FAILED', { organizationId, scopeId: scope.id, domain: scope.value, method: method || 'any' }, req.ip);
+        return res.status(422).json({ success: false, error: 'Verification token not found', data: withInstructions(scope) });
+      }
+      res.json({ success: true, data: await store.markVerified(scope.id, verifiedBy) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.delete('/scopes/:id', async (req, res, next) => {
+    try {
+      const organizationId = subject(req, res);
+      if (!organizationId) return;
+      if (!UUID_PATTERN.test(req.params.id) || !await store.removeScope(organizationId, req.params.id)) {
+        return res.status(404).json({ success: false, error: 'Scope not found' });
+      }
+      res.json({ success: true });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+// apiKeyAuth rules for these endpoints: organizations take the admin token, scopes the scopes:* key scopes
+createScanScopeRoutes.rules = [
+  { path: /^\/organizations(\/|$)/, public: true },
+  { method: 'GET', path: /^\/scopes$/, scope: 'scopes:read' },
+  { path: /^\/scopes(\/|$)/, scope: 'scopes:write' }
+];
+
+module.exports = createScanScopeRoutes;
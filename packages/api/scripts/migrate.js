@@ -0,0 +1,20 @@
+#!/usr/bin/env node
+// Applies pending schema migrations to the database in DATABASE_URL
+const { createDatabase, migrate } = require('../db');
+
+const database = createDatabase();
+
+if (!database) {
+  console.error('DATABASE_URL is not set');
+  process.exitCode = 1;
+} else {
+  migrate(database)
+    .then((applied) => {
+      console.log(applied.length > 0 ? `Applied migrations: ${applied.join(', ')}` : 'Database is up to date');
+    })
+    .catch((error) => {
+      console.error(`Migration failed: ${error.message}`);
+      process.exitCode = 1;
+    })
+    .finally(() => database.close());
+}
@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+// Queues a job that moves stored findings, run summaries and job data onto the current master key; packages/worker runs it
+const { createDatabase, migrate } = require('../db');
+const InvestigationStore = require('../db/investigations');
+const { JobQueue, SqlJobBackend } = require('../../shared/job-queue');
+
+const database = createDatabase();
+
+if (!database) {
+  console.error('DATABASE_URL is not set');
+  process.exitCode = 1;
+} else {
+  const investigations = new InvestigationStore({ db: database });
+
+  migrate(database)
+    .then(async () => {
+      if (!investigations.encryption) {
+        throw new Error('no master key configured (DATA_ENCRYPTION_KEYS or DATA_ENCRYPTION_KEY_FILE)');
+      }
+      const stale = await investigations.countStale();
+      if (stale === 0) {
+        console.log(`All rows are on master key ${investigations.encryption.currentKeyId}`);
+        return;
+      }
+      const queue = new JobQueue({ backend: new SqlJobBackend({ db: database }) });
+      const active = await queue.findActive('reencrypt');
+      if (active) {
+        console.log(`${stale} row(s) to re-encrypt; job ${active.id} is already ${active.status}`);
+        return;
+      }
+      const job = await queue.enqueue('reencrypt', {});
+      console.log(`Queued re-encryption of ${stale} row(s) as job ${job.id}`);
+    })
+    .catch((error) => {
+      console.error(`Re-encryption failed: ${error.message}`);
+      process.exitCode = 1;
+    })
+    .finally(() => database.close());
+}
@@ -0,0 +1,128 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { createDatabase, migrate } = require('../db');
+const ApiKeyStore = require('../db/api-keys');
+const UserStore = require('../db/users');
+const { apiKeyAuth, readKey } = require('../middleware/api-keys');
+
+let db;
+let keys;
+let userId;
+
+beforeEach(async () => {
+  db = createDatabase('sqlite::memory:');
+  await migrate(db);
+  keys = new ApiKeyStore({ db, pepper: 'test-pepper', graceMs: 60 * 60 * 1000 });
+  ({ user: { id: userId } } = await new UserStore({ db }).create({ email: 'ana@example.test', username: 'ana', name: 'Ana', passwordHash: 'x' }));
+});
+
+afterEach(() => db.close());
+
+// Runs the middleware on a request carrying headers; resolves with the status it answered, or 'next'
+function call(middleware, { method = 'GET', path = '/search', headers = {} } = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  const req = { method, path, originalUrl: `/api${path}?q=secret`, ip: '127.0.0.1', get: name => lower[name.toLowerCase()] };
+  return new Promise((resolve, reject) => {
+    const res = {
+      status(code) {
+        return { json: body => resolve({ status: code, body, req }) };
+      }
+    };
+    middleware(req, res, error => (error ? reject(error) : resolve({ status: 'next', req })));
+  });
+}
+
+test('an issued key authenticates with its scopes, and only its hash is stored', async () => {
+  const issued = await keys.issue(userId, { scopes: ['search:read'] });
+  const result = await keys.authenticate(issued.key);
+
+  assert.deepStrictEqual([result.status, result.key.userId, result.key.scopes, result.key.rotated], ['valid', userId, ['search:read'], false]);
+  const [row] = await db.query('SELECT api_key, api_key_prefix FROM users WHERE id = $1', [userId]);
+  assert.notStrictEqual(row.api_key, issued.key);
+  assert.strictEqual(row.api_key_prefix, issued.key.slice(0, 11));
+
+  assert.strictEqual((await keys.authenticate('ib_' + 'A'.repeat(32))).status, 'invalid');
+  assert.strictEqual((await keys.authenticate('not-a-key')).status, 'invalid');
+  assert.strictEqual(await keys.issue('no-such-user'), null);
+});
+
+test('an expired key is told apart from an unknown one', async () => {
+  const issued = await keys.issue(userId);
+  await db.query('UPDATE users SET api_key_expires_at = $2 WHERE id = $1', [userId, new Date(Date.now() - 1000).toISOString()]);
+
+  assert.strictEqual((await keys.authenticate(issued.key)).status, 'expired');
+});
+
+test('a rotated key keeps working for the grace period only', async () => {
+  const original = await keys.issue(userId, { scopes: ['scan:email'] });
+  const rotated = await keys.rotate(userId);
+
+  assert.deepStrictEqual(rotated.scopes, ['scan:email']);
+  assert.strictEqual((await keys.authenticate(rotated.key)).status, 'valid');
+  const old = await keys.authenticate(original.key);
+  assert.deepStrictEqual([old.status, old.key.rotated, old.key.expiresAt], ['valid', true, rotated.previousKeyExpiresAt]);
+
+  await db.query('UPDATE users SET previous_api_key_expires_at = $2 WHERE id = $1', [userId, new Date(Date.now() - 1000).toISOString()]);
+  assert.strictEqual((await keys.authenticate(original.key)).status, 'expired');
+  assert.strictEqual((await keys.authenticate(rotated.key)).status, 'valid');
+});
+
+test('the grace period never outlives the replaced key', async () => {
+  await keys.issue(userId, { expiresInDays: 1 / 24 / 60 });
+  const rotated = await keys.rotate(userId);
+
+  assert.ok(Date.parse(rotated.previousKeyExpiresAt) <= Date.now() + 60 * 1000);
+});
+
+test('revoking stops the current and the previous key at once', async () => {
+  const original = await keys.issue(userId);
+  const rotated = await keys.rotate(userId);
+
+  assert.strictEqual(await keys.revoke(userId), true);
+  assert.strictEqual((await keys.authenticate(original.key)).status, 'invalid');
+  assert.strictEqual((await keys.authenticate(rotated.key)).status, 'invalid');
+  assert.strictEqual(await keys.revoke(userId), false);
+  assert.strictEqual(await keys.rotate(userId), null);
+
+  const described = await keys.describe(userId);
+  assert.deepStrictEqual([described.active, described.prefix, described.previousKeyExpiresAt], [false, null, null]);
+  assert.ok(described.revokedAt);
+});
+
+test('the middleware enforces keys and scopes per rule', async () => {
+  const events = [];
+  const middleware = apiKeyAuth({
+    store: keys,
+    mode: 'required',
+    rules: [{ path: /^\/status$/, public: true }, { path: /^\/search$/, scope: 'search:read' }],
+    logEvent: (event, details) => events.push([event, details.reason, details.path])
+  });
+  const readOnly = await keys.issue(userId, { scopes: ['scan:email'] });
+
+  assert.strictEqual((await call(middleware, { path: '/status' })).status, 'next');
+  assert.strictEqual((await call(middleware)).status, 401);
+  assert.deepStrictEqual((await call(middleware, { headers: { 'X-API-Key': 'ib_' + 'B'.repeat(32) } })).body.error, 'Invalid API key');
+
+  const refused = await call(middleware, { headers: { Authorization: `Bearer ${readOnly.key}` } });
+  assert.deepStrictEqual([refused.status, refused.body.error], [403, 'API key lacks the search:read scope']);
+
+  const full = await keys.issue(userId);
+  const allowed = await call(middleware, { headers: { 'X-API-Key': full.key } });
+  assert.deepStrictEqual([allowed.status, allowed.req.apiKey.userId], ['next', userId]);
+
+  // Refusals are logged without the query string, which carries the search target
+  assert.deepStrictEqual(events, [
+    ['API_KEY_REFUSED', 'API key required', '/api/search'],
+    ['API_KEY_REFUSED', 'Invalid API key', '/api/search'],
+    ['API_KEY_REFUSED', 'API key lacks the search:read scope', '/api/search']
+  ]);
+});
+
+test('an optional mode lets anonymous requests through but still checks sent keys', async () => {
+  const middleware = apiKeyAuth({ store: keys, mode: 'optional', logEvent: () => {} });
+
+  assert.strictEqual((await call(middleware)).status, 'next');
+  assert.strictEqual((await call(middleware, { headers: { 'X-API-Key': 'ib_' + 'C'.repeat(32) } })).status, 401);
+  assert.throws(() => apiKeyAuth({ store: keys, mode: 'sometimes' }), /Unknown API_AUTH mode/);
+  assert.strictEqual(readKey({ get: name => (name === 'Authorization' ? 'Bearer basic-token' : undefined) }), null);
+});
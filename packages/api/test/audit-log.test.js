@@ -0,0 +1,55 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { createDatabase, migrate } = require('../db');
+const AuditLog = require('../db/audit-log');
+
+let db;
+let audit;
+
+beforeEach(async () => {
+  db = createDatabase('sqlite::memory:');
+  await migrate(db);
+  audit = new AuditLog({ db, chainKey: 'test-chain-key' });
+  for (const target of ['alice', 'bob', 'carol']) {
+    await audit.append({ action: 'search', type: 'username', target, ip: '192.0.2.1', status: 200 });
+  }
+});
+
+afterEach(() => db.close());
+
+test('entries are chained in order', async () => {
+  const entries = await audit.list({ order: 'asc' });
+  assert.deepStrictEqual(entries.items.map(entry => entry.seq), [1, 2, 3]);
+  assert.strictEqual(entries.items[1].prevHash, entries.items[0].hash);
+  assert.deepStrictEqual(await audit.head(), { seq: 3, hash: entries.items[2].hash });
+});
+
+test('verify accepts an untouched chain', async () => {
+  const result = await audit.verify();
+  assert.strictEqual(result.valid, true);
+  assert.strictEqual(result.checked, 3);
+  assert.strictEqual(result.head.seq, 3);
+});
+
+test('verify reports an edited row', async () => {
+  await db.query('UPDATE audit_log SET target = $1 WHERE seq = $2', ['mallory', 2]);
+  const result = await audit.verify();
+
+  assert.strictEqual(result.valid, false);
+  assert.strictEqual(result.checked, 1);
+  assert.deepStrictEqual(result.error, { seq: 2, reason: 'hash_mismatch' });
+});
+
+test('verify reports a deleted row', async () => {
+  await db.query('DELETE FROM audit_log WHERE seq = $1', [2]);
+  assert.deepStrictEqual((await audit.verify()).error, { seq: 2, reason: 'missing' });
+});
+
+test('an edited row with a recomputed hash still breaks without the chain key', async () => {
+  const forger = new AuditLog({ db });
+  const [row] = await db.query('SELECT * FROM audit_log WHERE seq = $1', [3]);
+  const entry = { ...forger.fromRow(row), target: 'mallory' };
+  await db.query('UPDATE audit_log SET target = $1, hash = $2 WHERE seq = $3', ['mallory', forger.hash(entry.prevHash, entry), 3]);
+
+  assert.deepStrictEqual((await audit.verify()).error, { seq: 3, reason: 'hash_mismatch' });
+});
@@ -0,0 +1,149 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { createDatabase, migrate } = require('../db');
+const UserStore = require('../db/users');
+const createAuthRoutes = require('../../frontend/routes/auth');
+const { sessionAuth } = require('../../frontend/middleware/session');
+
+let db;
+let users;
+let server;
+let base;
+let mail;
+let events;
+
+// Stands in for SecurityManager without the cost of the real KDF
+const security = {
+  hashPassword: async password => `test$${password}`,
+  verifyPassword: async (password, stored) => stored === `test$${password}`,
+  needsRehash: () => false,
+  generateSecureToken: () => 'dummy',
+  logSecurityEvent: (type, details) => events.push([type, details])
+};
+
+beforeEach(async () => {
+  db = createDatabase('sqlite::memory:');
+  await migrate(db);
+  users = new UserStore({ db });
+  mail = [];
+  events = [];
+
+  const app = express();
+  app.use(express.json());
+  app.use(sessionAuth({ store: users }));
+  app.use('/api/auth', createAuthRoutes({ users, security, appUrl: 'https://infohub.test', mailer: { send: async message => mail.push(message) } }));
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}/api/auth`;
+});
+
+afterEach(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await db.close();
+});
+
+function post(path, body, cookie) {
+  return fetch(`${base}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(cookie ? { Cookie: cookie } : {}) },
+    body: JSON.stringify(body)
+  });
+}
+
+// The token in the link of the last email sent
+function mailedToken(param) {
+  return new URL(/https:\S+/.exec(mail[mail.length - 1].text)[0]).searchParams.get(param);
+}
+
+async function register() {
+  const res = await post('/register', { name: 'Ana Lima', email: 'Ana@Example.test', username: 'ana', password: 'correct horse' });
+  assert.strictEqual(res.status, 201);
+  return (await res.json()).data.user;
+}
+
+async function login(password = 'correct horse') {
+  return post('/login', { email: 'ana@example.test', password });
+}
+
+test('login waits for the emailed verification link', async () => {
+  await register();
+  assert.strictEqual((await login()).status, 403);
+
+  const verify = await fetch(`${base}/verify?token=${encodeURIComponent(mailedToken('token'))}`, { redirect: 'manual' });
+  assert.strictEqual(verify.headers.get('location'), '/login.html?verified=1');
+
+  const res = await login();
+  assert.strictEqual(res.status, 200);
+  assert.match(res.headers.get('set-cookie'), /^ih_session=[^;]+;.*HttpOnly/);
+  assert.ok(!('passwordHash' in (await res.json()).data.user));
+});
+
+test('a wrong password or unknown address gets the same answer', async () => {
+  await register();
+  const wrong = await login('wrong password');
+  const unknown = await post('/login', { email: 'nobody@example.test', password: 'correct horse' });
+
+  assert.deepStrictEqual([wrong.status, unknown.status], [401, 401]);
+  assert.deepStrictEqual(await wrong.json(), await unknown.json());
+  assert.deepStrictEqual(events.map(([type]) => type), ['LOGIN_FAILED', 'LOGIN_FAILED']);
+});
+
+test('the session cookie identifies the user until logout', async () => {
+  const user = await register();
+  await users.markVerified(user.id);
+  const cookie = (await login()).headers.get('set-cookie').split(';')[0];
+
+  const me = await fetch(`${base}/me`, { headers: { Cookie: cookie } });
+  assert.strictEqual((await me.json()).data.user.id, user.id);
+
+  // A state-changing request from another site is refused even with the cookie
+  const crossSite = await fetch(`${base}/logout`, { method: 'POST', headers: { Cookie: cookie, Origin: 'https://evil.test' } });
+  assert.strictEqual(crossSite.status, 403);
+
+  assert.strictEqual((await post('/logout', {}, cookie)).status, 200);
+  assert.strictEqual((await fetch(`${base}/me`, { headers: { Cookie: cookie } })).status, 401);
+});
+
+test('a password reset works once, verifies the address and ends every session', async () => {
+  const user = await register();
+  await users.markVerified(user.id);
+  const cookie = (await login()).headers.get('set-cookie').split(';')[0];
+
+  assert.strictEqual((await post('/forgot-password', { email: 'nobody@example.test' })).status, 202);
+  assert.strictEqual(mail.length, 1);
+  assert.strictEqual((await post('/forgot-password', { email: 'ana@example.test' })).status, 202);
+  const token = mailedToken('reset');
+
+  assert.strictEqual((await post('/reset-password', { token, password: 'short' })).status, 400);
+  assert.strictEqual((await post('/reset-password', { token, password: 'new battery staple' })).status, 200);
+  assert.strictEqual((await post('/reset-password', { token, password: 'another password' })).status, 400);
+
+  assert.strictEqual((await fetch(`${base}/me`, { headers: { Cookie: cookie } })).status, 401);
+  assert.strictEqual((await login()).status, 401);
+  assert.strictEqual((await login('new battery staple')).status, 200);
+  assert.deepStrictEqual(events.map(([type]) => type), ['PASSWORD_RESET', 'LOGIN_FAILED']);
+});
+
+test('one-time tokens are single-use, per purpose and expire', async () => {
+  const { user } = await users.create({ email: 'bo@example.test', username: 'bo', name: 'Bo', passwordHash: 'x' });
+
+  const first = await users.createToken(user.id, 'reset_password', 60000);
+  const second = await users.createToken(user.id, 'reset_password', 60000);
+  assert.strictEqual(await users.consumeToken(first, 'reset_password'), null);
+  assert.strictEqual(await users.consumeToken(second, 'verify_email'), null);
+  assert.strictEqual(await users.consumeToken(second, 'reset_password'), user.id);
+
+  const expired = await users.createToken(user.id, 'verify_email', -1000);
+  assert.strictEqual(await users.consumeToken(expired, 'verify_email'), null);
+  await assert.rejects(users.createToken(user.id, 'login', 60000), /Unknown token purpose/);
+});
+
+test('duplicate addresses and usernames are reported as conflicts', async () => {
+  await register();
+  const email = await post('/register', { name: 'Other', email: 'ana@example.test', username: 'other', password: 'correct horse' });
+  const username = await post('/register', { name: 'Other', email: 'other@example.test', username: 'ana', password: 'correct horse' });
+
+  assert.deepStrictEqual([email.status, (await email.json()).error], [409, 'Email already registered']);
+  assert.deepStrictEqual([username.status, (await username.json()).error], [409, 'Username already taken']);
+});
@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createDatabase, migrate } = require('../db');
+
+const tick = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function database() {
+  const db = createDatabase('sqlite::memory:');
+  await db.exec('CREATE TABLE items (value INTEGER)');
+  return db;
+}
+
+async function values(db) {
+  return (await db.query('SELECT value FROM items ORDER BY value')).map(row => row.value);
+}
+
+test('migrate applies every migration once', async () => {
+  const db = createDatabase('sqlite::memory:');
+  const applied = await migrate(db);
+
+  assert.ok(applied.length > 0);
+  assert.deepStrictEqual(applied, [...applied].sort());
+  assert.deepStrictEqual(await migrate(db), []);
+  await db.close();
+});
+
+test('a transaction commits, and rolls back when its callback throws', async () => {
+  const db = await database();
+  await db.transaction(tx => tx.query('INSERT INTO items VALUES ($1)', [1]));
+  await assert.rejects(db.transaction(async (tx) => {
+    await tx.query('INSERT INTO items VALUES ($1)', [2]);
+    throw new Error('boom');
+  }), /boom/);
+
+  assert.deepStrictEqual(await values(db), [1]);
+  await db.close();
+});
+
+test('concurrent transactions queue instead of running inside each other', async () => {
+  const db = await database();
+  const failing = db.transaction(async (tx) => {
+    await tx.query('INSERT INTO items VALUES (1)');
+    await tick(20);
+    throw new Error('boom');
+  });
+  const other = db.transaction(async (tx) => {
+    await tx.query('INSERT INTO items VALUES (2)');
+    // nesting through the handle joins the same transaction
+    await tx.transaction(inner => inner.query('INSERT INTO items VALUES (3)'));
+  });
+
+  await assert.rejects(failing, /boom/);
+  await other;
+  assert.deepStrictEqual(await values(db), [2, 3]);
+  await db.close();
+});
+
+test('a statement outside a transaction waits for the open one instead of joining it', async () => {
+  const db = await database();
+  const failing = db.transaction(async (tx) => {
+    await tx.query('INSERT INTO items VALUES (1)');
+    await tick(20);
+    throw new Error('boom');
+  });
+  await tick(5);
+  await db.query('INSERT INTO items VALUES (4)');
+
+  await assert.rejects(failing, /boom/);
+  assert.deepStrictEqual(await values(db), [4]);
+  await db.close();
+});
@@ -0,0 +1,158 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { createDatabase, migrate } = require('../db');
+const InvestigationStore = require('../db/investigations');
+const UserStore = require('../db/users');
+const { EnvelopeEncryption, KeyRing } = require('../../shared/envelope-encryption');
+const { JobQueue, SqlJobBackend } = require('../../shared/job-queue');
+const { createFinding } = require('../../shared/findings');
+
+let db;
+let store;
+
+beforeEach(async () => {
+  db = createDatabase('sqlite::memory:');
+  await migrate(db);
+  store = new InvestigationStore({ db, encryption: null });
+});
+
+afterEach(() => db.close());
+
+async function createUser(username) {
+  const { user } = await new UserStore({ db }).create({ email: `${username}@example.test`, username, name: username, passwordHash: 'x' });
+  return user;
+}
+
+function finding(value, status = 'found') {
+  return createFinding({ entityType: 'subdomain', source: 'dns', status, value });
+}
+
+test('create stores the investigation with its targets', async () => {
+  const created = await store.create({
+    title: 'Acme',
+    description: 'Phishing lookalikes',
+    tags: ['phishing'],
+    targets: [{ type: 'domain', value: 'acme.test' }, { type: 'email', value: 'ceo@acme.test', label: 'CEO' }]
+  });
+
+  assert.strictEqual(created.title, 'Acme');
+  assert.strictEqual(created.status, 'open');
+  assert.deepStrictEqual(created.tags, ['phishing']);
+  assert.strictEqual(created.archived, false);
+  assert.deepStrictEqual(created.targets.map(target => [target.type, target.value, target.label]), [
+    ['domain', 'acme.test', null],
+    ['email', 'ceo@acme.test', 'CEO']
+  ]);
+  assert.deepStrictEqual(await store.get(created.id), created);
+});
+
+test('addTarget returns the existing target for a duplicate', async () => {
+  const { id } = await store.create({ title: 'Acme', targets: [{ type: 'domain', value: 'acme.test' }] });
+  const [existing] = (await store.get(id)).targets;
+
+  assert.strictEqual((await store.addTarget(id, { type: 'domain', value: 'acme.test' })).id, existing.id);
+  assert.strictEqual((await store.get(id)).targets.length, 1);
+});
+
+test('list filters by status and search, and hides archived investigations', async () => {
+  const first = await store.create({ title: 'Acme phishing' });
+  const second = await store.create({ title: 'Globex', description: 'Leaked PHISHING kit' });
+  await store.create({ title: 'Initech' });
+  await store.update(second.id, { status: 'closed' });
+  await store.archive(first.id);
+
+  assert.deepStrictEqual((await store.list({ search: 'phishing' })).items.map(item => item.id), [second.id]);
+  assert.deepStrictEqual((await store.list({ status: 'closed' })).items.map(item => item.id), [second.id]);
+  assert.strictEqual((await store.list()).total, 2);
+  assert.deepStrictEqual((await store.list({ archived: true })).items.map(item => item.id), [first.id]);
+});
+
+test('archived investigations are read-only until restored', async () => {
+  const { id } = await store.create({ title: 'Acme' });
+  await store.archive(id);
+
+  assert.strictEqual(await store.update(id, { title: 'Renamed' }), null);
+  assert.strictEqual((await store.restore(id)).archived, false);
+  assert.strictEqual((await store.update(id, { title: 'Renamed', tags: ['a'] })).title, 'Renamed');
+});
+
+test('ownerId limits list and get to one user', async () => {
+  const alice = await createUser('alice');
+  const bob = await createUser('bob');
+  const mine = await store.create({ title: 'Alice case', ownerId: alice.id });
+  const anonymous = await store.create({ title: 'Anonymous case' });
+
+  assert.deepStrictEqual((await store.list({ ownerId: alice.id })).items.map(item => item.id), [mine.id]);
+  assert.deepStrictEqual((await store.list({ ownerId: null })).items.map(item => item.id), [anonymous.id]);
+  assert.strictEqual((await store.list()).total, 2);
+  assert.strictEqual(await store.get(mine.id, { ownerId: bob.id }), null);
+  assert.strictEqual(await store.get(mine.id, { ownerId: null }), null);
+  assert.strictEqual((await store.get(mine.id, { ownerId: alice.id })).id, mine.id);
+});
+
+test('runs record their findings and summary', async () => {
+  const { id } = await store.create({ title: 'Acme' });
+  const run = await store.startRun(id, { kind: 'network', target: { type: 'domain', value: 'acme.test' }, params: { ports: [443] } });
+  assert.strictEqual(run.status, 'running');
+
+  const completed = await store.completeRun(run.id, {
+    findings: [finding('www.acme.test'), finding('old.acme.test', 'not_found')],
+    summary: { subdomains: 1 }
+  });
+  assert.strictEqual(completed.status, 'completed');
+  assert.deepStrictEqual(completed.summary, { subdomains: 1 });
+
+  const findings = await store.listFindings(id, { status: 'found' });
+  assert.deepStrictEqual(findings.map(entry => [entry.value, entry.runId]), [['www.acme.test', run.id]]);
+
+  const investigation = await store.get(id);
+  assert.deepStrictEqual(investigation.findingCounts, { found: 1, not_found: 1 });
+  assert.deepStrictEqual(investigation.recentRuns.map(entry => entry.id), [run.id]);
+
+  const failed = await store.failRun((await store.startRun(id, { kind: 'email' })).id, 'SMTP timeout');
+  assert.strictEqual(failed.status, 'failed');
+  assert.strictEqual(failed.error, 'SMTP timeout');
+  assert.strictEqual((await store.listRuns(id)).length, 2);
+});
+
+test('with a master key, findings are stored encrypted and read back', async () => {
+  const keyRing = new KeyRing({ keys: { k1: crypto.randomBytes(32) }, currentId: 'k1' });
+  const encrypted = new InvestigationStore({ db, encryption: new EnvelopeEncryption({ keyRing }) });
+  const { id } = await encrypted.create({ title: 'Acme' });
+  const run = await encrypted.startRun(id, { kind: 'network' });
+  await encrypted.completeRun(run.id, { findings: [finding('secret.acme.test')], summary: { subdomains: 1 } });
+
+  const [row] = await db.query('SELECT value, data, data_key_id FROM findings');
+  assert.strictEqual(row.value, null);
+  assert.strictEqual(row.data_key_id, 'k1');
+  assert.ok(!row.data.includes('secret.acme.test'));
+  assert.strictEqual((await encrypted.listFindings(id))[0].value, 'secret.acme.test');
+});
+
+test('re-encryption moves findings and job data onto the new master key', async () => {
+  const k1 = crypto.randomBytes(32);
+  const before = new EnvelopeEncryption({ keyRing: new KeyRing({ keys: { k1 }, currentId: 'k1' }) });
+  const after = new EnvelopeEncryption({ keyRing: new KeyRing({ keys: { k1, k2: crypto.randomBytes(32) }, currentId: 'k2' }) });
+
+  const old = new InvestigationStore({ db, encryption: before });
+  const { id } = await old.create({ title: 'Acme' });
+  const run = await old.startRun(id, { kind: 'network' });
+  await old.completeRun(run.id, { findings: [finding('www.acme.test')], summary: { subdomains: 1 } });
+  const backend = new SqlJobBackend({ db, encryption: before });
+  const job = await new JobQueue({ backend }).enqueue('comprehensive', { target: 'acme.test' });
+  await backend.update(job.id, { status: 'completed', result: { risk: 'low' } });
+
+  const rotated = new InvestigationStore({ db, encryption: after });
+  assert.strictEqual(await rotated.countStale(), 4);
+  const result = await rotated.reencrypt();
+
+  assert.deepStrictEqual(result, { keyId: 'k2', findings: 1, scan_runs: 1, jobs: 2, failed: 0, unreadable: 0 });
+  assert.strictEqual(await rotated.countStale(), 0);
+  const [row] = await db.query('SELECT payload_key_id, result_key_id FROM jobs');
+  assert.deepStrictEqual({ ...row }, { payload_key_id: 'k2', result_key_id: 'k2' });
+
+  const current = await new SqlJobBackend({ db, encryption: after }).get(job.id);
+  assert.deepStrictEqual([current.payload, current.result], [{ target: 'acme.test' }, { risk: 'low' }]);
+  assert.strictEqual((await rotated.listFindings(id))[0].value, 'www.acme.test');
+});
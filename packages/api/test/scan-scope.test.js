@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { scanScopeGuard } = require('../middleware/scan-scope');
+
+const RULES = [{ method: 'POST', path: /^\/scan\/ports$/, target: req => req.body.target }];
+
+// A scope store holding one organization's verified scope
+const store = {
+  scopeFor: async organizationId => ({ organizationId, domains: ['acme.test'], cidrs: ['93.184.216.0/24'] })
+};
+
+// Runs the guard on a request; resolves with the status it answered, or 'next'
+function call(guard, { target, organizationId = 'org-1', path = '/scan/ports' }) {
+  const req = {
+    method: 'POST',
+    path,
+    originalUrl: `/api${path}`,
+    ip: '127.0.0.1',
+    body: { target },
+    apiKey: organizationId ? { userId: 'user-1', organizationId } : null
+  };
+  return new Promise((resolve, reject) => {
+    const res = {
+      status(code) {
+        return { json: body => resolve({ status: code, body, req }) };
+      }
+    };
+    guard(req, res, error => (error ? reject(error) : resolve({ status: 'next', req })));
+  });
+}
+
+test('targets inside the organization scope pass with the scope attached', async () => {
+  const guard = scanScopeGuard({ store, rules: RULES, mode: 'enforce', logEvent: () => {} });
+  const { status, req } = await call(guard, { target: ' 93.184.216.34 ' });
+
+  assert.strictEqual(status, 'next');
+  assert.deepStrictEqual(req.scanScope.toJSON(), { mode: 'enforce', organizationId: 'org-1', domains: ['acme.test'], cidrs: ['93.184.216.0/24'] });
+});
+
+test('out-of-scope, reserved and organization-less targets are refused and logged', async () => {
+  const events = [];
+  const guard = scanScopeGuard({ store, rules: RULES, mode: 'enforce', logEvent: (event, details) => events.push([event, details.reason, details.userId]) });
+
+  const outside = await call(guard, { target: '8.8.8.8' });
+  assert.deepStrictEqual([outside.status, outside.body.reason], [403, 'out_of_scope']);
+  assert.deepStrictEqual((await call(guard, { target: '127.0.0.1' })).body.reason, 'reserved');
+  assert.deepStrictEqual((await call(guard, { target: '93.184.216.34', organizationId: null })).body.reason, 'no_organization');
+
+  assert.deepStrictEqual(events, [
+    ['SCAN_SCOPE_REFUSED', 'out_of_scope', 'user-1'],
+    ['SCAN_SCOPE_REFUSED', 'reserved', 'user-1'],
+    ['SCAN_SCOPE_REFUSED', 'no_organization', null]
+  ]);
+});
+
+test('public mode still refuses private and metadata addresses', async () => {
+  const guard = scanScopeGuard({ rules: RULES, logEvent: () => {} });
+
+  assert.strictEqual((await call(guard, { target: '8.8.8.8', organizationId: null })).status, 'next');
+  assert.strictEqual((await call(guard, { target: '192.168.1.1', organizationId: null })).body.reason, 'private');
+  assert.strictEqual((await call(guard, { target: '169.254.169.254', organizationId: null })).body.reason, 'metadata');
+});
+
+test('requests matching no rule, or naming no target, are left to the route', async () => {
+  const guard = scanScopeGuard({ store, rules: RULES, mode: 'enforce', logEvent: () => {} });
+
+  assert.strictEqual((await call(guard, { target: '127.0.0.1', path: '/scan/email' })).status, 'next');
+  assert.strictEqual((await call(guard, { target: undefined })).status, 'next');
+  assert.throws(() => scanScopeGuard({ mode: 'open' }), /Unknown SCAN_SCOPE mode/);
+});
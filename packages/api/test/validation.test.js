@@ -0,0 +1,22 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { isValidPortList, MAX_PORTS } = require('../validation');
+
+test('a port list is unique integers between 1 and 65535', () => {
+  assert.strictEqual(isValidPortList([22, 80, 443, 65535]), true);
+  assert.strictEqual(isValidPortList([1]), true);
+
+  assert.strictEqual(isValidPortList([80, 80]), false);
+  assert.strictEqual(isValidPortList([0]), false);
+  assert.strictEqual(isValidPortList([65536]), false);
+  assert.strictEqual(isValidPortList([80.5]), false);
+  assert.strictEqual(isValidPortList(['80']), false);
+  assert.strictEqual(isValidPortList('80,443'), false);
+  assert.strictEqual(isValidPortList([]), false);
+});
+
+test('a port list may name at most MAX_PORTS ports', () => {
+  const ports = Array.from({ length: MAX_PORTS + 1 }, (_, i) => i + 1);
+  assert.strictEqual(isValidPortList(ports.slice(0, MAX_PORTS)), true);
+  assert.strictEqual(isValidPortList(ports), false);
+});
@@ -0,0 +1,52 @@
+// Target validation shared by the API routes and the scan job handlers
+const { parsePhone } = require('../shared/phone');
+const { parseAddress } = require('../shared/crypto-address');
+
+const MAX_PORTS = 100;
+
+function detectTargetType(target) {
+  if (isValidEmail(target)) return 'email';
+  if (isValidIP(target)) return 'ip';
+  if (isValidDomain(target)) return 'domain';
+  if (isValidPhone(target)) return 'phone';
+  if (parseAddress(target).valid) return 'crypto';
+  return 'username';
+}
+
+function isValidEmail(email) {
+  const regex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  return regex.test(email);
+}
+
+function isValidDomain(domain) {
+  const regex = /^[a-zA-Z0-9][a-zA-Z0-9-]{1,61}[a-zA-Z0-9]\.[a-zA-Z]{2,}$/;
+  return regex.test(domain);
+}
+
+function isValidIP(ip) {
+  const regex = /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
+  return regex.test(ip);
+}
+
+function isValidPhone(phone) {
+  return parsePhone(phone).valid;
+}
+
+// Every port opens a connection, so a request may name at most MAX_PORTS of them
+function isValidPortList(ports) {
+  return Array.isArray(ports)
+    && ports.length > 0
+    && ports.length <= MAX_PORTS
+    && ports.every(port => Number.isInteger(port) && port >= 1 && port <= 65535)
+    && new Set(ports).size === ports.length;
+}
+
+module.exports = {
+  detectTargetType,
+  isValidEmail,
+  isValidDomain,
+  isValidIP,
+  isValidPhone,
+  isValidPortList,
+  MAX_PORTS
+};
@@ -0,0 +1,44 @@
+// Outgoing account emails (verification, password reset)
+// MAIL_TRANSPORT=log prints them to the console (the default, for development; in production the links'
+// tokens are masked and the transport must be chosen explicitly);
+// MAIL_TRANSPORT=webhook POSTs { from, to, subject, text } as JSON to MAIL_WEBHOOK_URL, e.g. a mail relay
+class Mailer {
+  constructor(options = {}) {
+    const production = (options.env || process.env.NODE_ENV) === 'production';
+    this.transport = options.transport || process.env.MAIL_TRANSPORT || (production ? null : 'log');
+    this.webhookUrl = options.webhookUrl || process.env.MAIL_WEBHOOK_URL || null;
+    this.from = options.from || process.env.MAIL_FROM || 'InfoHub OSINT <no-reply@infohub-osint.com>';
+    // Production logs must not hold working verification or reset links
+    this.redact = production;
+
+    if (!this.transport) {
+      throw new Error('Set MAIL_TRANSPORT in production (webhook to deliver account emails)');
+    }
+    if (!['log', 'webhook'].includes(this.transport)) {
+      throw new Error(`Unknown MAIL_TRANSPORT: ${this.transport}`);
+    }
+    if (this.transport === 'webhook' && !this.webhookUrl) {
+      throw new Error('MAIL_TRANSPORT=webhook needs MAIL_WEBHOOK_URL');
+    }
+  }
+
+  async send({ to, subject, text }) {
+    if (this.transport === 'log') {
+      const body = this.redact ? text.replace(/([?&](?:token|reset)=)[^\s&]+/g, '$1[redacted]') : text;
+      console.log(`[MAIL] to=${to} subject="${subject}"\n${body}`);
+      return;
+    }
+
+    const response = await fetch(this.webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ from: this.from, to, subject, text }),
+      signal: AbortSignal.timeout(10000)
+    });
+    if (!response.ok) {
+      throw new Error(`Mail webhook answered HTTP ${response.status}`);
+    }
+  }
+}
+
+module.exports = Mailer;
@@ -0,0 +1,84 @@
+// Cookie sessions: the ih_session cookie carries a random token whose hash is a row in the sessions table
+const SESSION_COOKIE = 'ih_session';
+const SESSION_TTL_MS = (parseInt(process.env.SESSION_TTL_HOURS, 10) || 24 * 7) * 60 * 60 * 1000;
+
+// A value that is not valid percent-encoding counts as no cookie
+function readCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index !== -1 && part.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+// An Origin that is not a URL (e.g. "null" from a sandboxed frame) is never this site
+function isSameOrigin(origin, host) {
+  try {
+    return new URL(origin).host === host;
+  } catch {
+    return false;
+  }
+}
+
+// Secure unless the request came over plain HTTP outside production (local development)
+function cookieOptions(req) {
+  return {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure || process.env.NODE_ENV === 'production',
+    path: '/'
+  };
+}
+
+function setSessionCookie(req, res, token) {
+  res.cookie(SESSION_COOKIE, token, { ...cookieOptions(req), maxAge: SESSION_TTL_MS });
+}
+
+function clearSessionCookie(req, res) {
+  res.clearCookie(SESSION_COOKIE, cookieOptions(req));
+}
+
+/**
+ * Sets req.user and req.session for a live session cookie. A state-changing request carried by the
+ * cookie must come from this site: SameSite=Lax already keeps the cookie off most cross-site requests,
+ * and an Origin header naming another host is refused outright.
+ */
+function sessionAuth({ store }) {
+  return async (req, res, next) => {
+    try {
+      const token = readCookie(req, SESSION_COOKIE);
+      if (!token || !store) return next();
+
+      const found = await store.getSession(token);
+      if (!found) {
+        clearSessionCookie(req, res);
+        return next();
+      }
+
+      const origin = req.get('Origin');
+      if (!['GET', 'HEAD', 'OPTIONS'].includes(req.method) && origin && !isSameOrigin(origin, req.get('Host'))) {
+        return res.status(403).json({ success: false, error: 'Cross-site request refused' });
+      }
+
+      req.user = found.user;
+      req.session = { ...found.session, token };
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  sessionAuth,
+  setSessionCookie,
+  clearSessionCookie,
+  SESSION_COOKIE,
+  SESSION_TTL_MS
+};
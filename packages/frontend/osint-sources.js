@@ -1,181 +1,230 @@
 // Enhanced OSINT Sources Configuration
-const https = require('https');
+const SiteChecker = require('../shared/site-checker');
+const { BreachChecker } = require('../shared/breach-providers');
+const { BlockchainAnalyzer } = require('../shared/blockchain-providers');
+const { createFinding, errorFinding, evidence } = require('../shared/findings');
 
 class OSINTSources {
   constructor() {
+    this.siteChecker = new SiteChecker();
+    this.breachChecker = new BreachChecker();
+    this.blockchain = new BlockchainAnalyzer();
     this.sources = {
-      social: [
-        { name: 'GitHub', url: 'https://github.com/{username}', api: 'https://api.github.com/users/{username}' },
-        { name: 'Twitter', url: 'https://twitter.com/{username}', check: true },
-        { name: 'Instagram', url: 'https://instagram.com/{username}', check: true },
-        { name: 'LinkedIn', url: 'https://linkedin.com/in/{username}', check: true },
-        { name: 'Reddit', url: 'https://reddit.com/user/{username}', check: true },
-        { name: 'YouTube', url: 'https://youtube.com/@{username}', check: true },
-        { name: 'TikTok', url: 'https://tiktok.com/@{username}', check: true },
-        { name: 'Twitch', url: 'https://twitch.tv/{username}', check: true },
-        { name: 'Pinterest', url: 'https://pinterest.com/{username}', check: true },
-        { name: 'Snapchat', url: 'https://snapchat.com/add/{username}', check: true },
-        { name: 'Discord', url: null, special: 'discord' },
-        { name: 'Telegram', url: 'https://t.me/{username}', check: true },
-        { name: 'Facebook', url: 'https://facebook.com/{username}', check: true },
-        { name: 'VKontakte', url: 'https://vk.com/{username}', check: true },
-        { name: 'Tumblr', url: 'https://{username}.tumblr.com', check: true }
-      ],
-      
-      breach: [
-        { name: 'HaveIBeenPwned', simulate: true },
-        { name: 'DeHashed', simulate: true },
-        { name: 'LeakCheck', simulate: true },
-        { name: 'Snusbase', simulate: true }
-      ],
-      
       darkweb: [
         { name: 'Tor Forums', simulate: true },
         { name: 'Darknet Markets', simulate: true },
         { name: 'Paste Sites', simulate: true },
         { name: 'Credential Dumps', simulate: true }
-      ],
-      
-      crypto: [
-        { name: 'Bitcoin', explorer: 'https://blockchair.com/bitcoin/address/{address}' },
-        { name: 'Ethereum', explorer: 'https://blockchair.com/ethereum/address/{address}' },
-        { name: 'Litecoin', explorer: 'https://blockchair.com/litecoin/address/{address}' }
       ]
     };
   }
 
   async checkSocialMedia(username) {
-    const results = [];
+    const findings = [];
     
     // AI-powered username analysis
     const analysis = this.analyzeUsername(username);
-    results.push({
-      platform: '🤖 AI Profile Analysis',
-      status: 'success',
-      data: `Type: ${analysis.type} | Confidence: ${Math.round(analysis.confidence * 100)}% | Risk: ${analysis.risk}`,
-      url: null,
-      metadata: analysis
-    });
+    findings.push(createFinding({
+      entityType: 'username',
+      value: username,
+      source: 'username-heuristics',
+      label: '🤖 AI Profile Analysis',
+      status: 'info',
+      confidence: analysis.confidence,
+      summary: `Type: ${analysis.type} | Confidence: ${Math.round(analysis.confidence * 100)}% | Risk: ${analysis.risk}`,
+      attributes: analysis
+    }));
 
-    // Check all social media platforms
-    for (const source of this.sources.social) {
-      try {
-        if (source.api) {
-          const result = await this.checkAPI(source.api.replace('{username}', username), source.name);
-          results.push(result);
-        } else if (source.check && source.url) {
-          const result = await this.checkURL(source.url.replace('{username}', username), source.name);
-          results.push(result);
-        } else if (source.special === 'discord') {
-          results.push({
-            platform: 'Discord',
-            status: 'info',
-            data: `Username format: ${username}#0000`,
-            url: null
-          });
-        }
-      } catch (error) {
-        results.push({
-          platform: source.name,
-          status: 'error',
-          data: 'Check failed',
-          url: null
-        });
+    // Check all registry platforms
+    const checks = await this.siteChecker.checkAll(username);
+    for (const check of checks) {
+      if (check.status === 'found') {
+        findings.push(this.profileFinding(check, username));
+      } else if (check.status === 'error') {
+        findings.push(errorFinding({
+          entityType: 'profile',
+          value: check.url,
+          source: check.platform,
+          summary: check.error === 'Timeout' ? 'Timeout' : 'Check failed',
+          error: check.error
+        }));
+      } else {
+        findings.push(createFinding({
+          entityType: 'profile',
+          value: check.url,
+          source: check.platform,
+          status: 'not_found',
+          summary: 'Profile not found',
+          cache: check.cache
+        }));
       }
     }
 
+    findings.push(createFinding({
+      entityType: 'username',
+      value: `${username}#0000`,
+      source: 'Discord',
+      status: 'info',
+      summary: `Username format: ${username}#0000`
+    }));
+
     // Add dark web simulation
-    results.push(await this.simulateDarkWebCheck(username));
-    results.push(await this.simulatePastebinCheck(username));
+    findings.push(await this.simulateDarkWebCheck(username));
+    findings.push(await this.simulatePastebinCheck(username));
     
-    return results;
+    return findings;
   }
 
   async checkEmail(email) {
-    const results = [];
+    const findings = [];
     const [username, domain] = email.split('@');
     
     // Email intelligence
     const emailType = this.getEmailType(domain);
-    results.push({
-      platform: '📧 Email Intelligence',
-      status: 'success',
-      data: `Provider: ${domain} | Type: ${emailType} | Username: ${username}`,
-      url: null
-    });
+    findings.push(createFinding({
+      entityType: 'email',
+      value: email,
+      source: 'email-intelligence',
+      label: '📧 Email Intelligence',
+      status: 'info',
+      summary: `Provider: ${domain} | Type: ${emailType} | Username: ${username}`,
+      attributes: { provider: domain, type: emailType, username }
+    }));
 
-    // Breach simulation
-    for (const source of this.sources.breach) {
-      const found = Math.random() > 0.8;
-      results.push({
-        platform: `🔓 ${source.name}`,
-        status: found ? 'warning' : 'success',
-        data: found ? 'Email found in breach' : 'No breaches detected',
-        url: null
-      });
+    // Breach provider lookup
+    const breaches = await this.breachChecker.check(email);
+    const breachBase = { entityType: 'email', value: email, source: breaches.provider, label: `🔓 ${breaches.provider}` };
+    if (breaches.status !== 'ok') {
+      findings.push(errorFinding({
+        ...breachBase,
+        summary: breaches.error,
+        error: { message: breaches.error || 'Breach provider unavailable', code: breaches.status }
+      }));
+    } else {
+      findings.push(createFinding({
+        ...breachBase,
+        status: breaches.found ? 'found' : 'clear',
+        severity: breaches.found ? 'high' : 'none',
+        confidence: 1,
+        summary: breaches.found
+          ? `Found in ${breaches.breaches.length} breaches: ${breaches.breaches.slice(0, 5).map(b => b.title).join(', ')}`
+          : 'No breaches detected',
+        attributes: breaches.found ? { breaches: breaches.breaches } : {},
+        observedAt: breaches.checkedAt
+      }));
     }
 
     // Email variations
     const variations = this.generateEmailVariations(username, domain);
-    results.push({
-      platform: '🔄 Email Variations',
+    findings.push(createFinding({
+      entityType: 'email',
+      value: email,
+      source: 'email-variations',
+      label: '🔄 Email Variations',
       status: 'info',
-      data: `Possible variations: ${variations.slice(0, 3).join(', ')}...`,
-      url: null
-    });
+      confidence: 0.2,
+      summary: `Possible variations: ${variations.slice(0, 3).join(', ')}...`,
+      attributes: { variations }
+    }));
 
-    return results;
+    return findings;
   }
 
   async checkCrypto(address) {
-    const results = [];
-    
-    // Determine crypto type
-    let cryptoType = 'Unknown';
-    let explorerUrl = null;
-    
-    if (/^[13][a-km-zA-HJ-NP-Z1-9]{25,34}$/.test(address)) {
-      cryptoType = 'Bitcoin';
-      explorerUrl = `https://blockchair.com/bitcoin/address/${address}`;
-    } else if (/^0x[a-fA-F0-9]{40}$/.test(address)) {
-      cryptoType = 'Ethereum';
-      explorerUrl = `https://blockchair.com/ethereum/address/${address}`;
-    }
+    const findings = [];
+    const analysis = await this.blockchain.analyze(address);
 
-    if (cryptoType === 'Unknown') {
-      return [{
-        platform: '₿ Crypto Analysis',
-        status: 'error',
-        data: 'Invalid cryptocurrency address',
-        url: null
-      }];
+    if (analysis.status === 'invalid') {
+      return [createFinding({
+        entityType: 'crypto_address',
+        value: address,
+        source: 'address-parser',
+        label: '₿ Crypto Analysis',
+        status: 'not_found',
+        summary: `Invalid cryptocurrency address: ${analysis.error}`,
+        attributes: { chain: analysis.chain || null }
+      })];
     }
 
-    // Simulate blockchain analysis
-    const balance = (Math.random() * 10).toFixed(4);
-    const transactions = Math.floor(Math.random() * 1000);
-    
-    results.push({
-      platform: `₿ ${cryptoType} Analysis`,
-      status: 'success',
-      data: `Balance: ${balance} ${cryptoType === 'Bitcoin' ? 'BTC' : 'ETH'} | Transactions: ${transactions}`,
-      url: explorerUrl
-    });
+    const base = {
+      entityType: 'crypto_address',
+      value: analysis.address,
+      evidence: [evidence('url', analysis.explorerUrl)]
+    };
 
-    // Risk assessment
-    const riskFactors = [];
-    if (transactions > 100) riskFactors.push('High activity');
-    if (Math.random() > 0.9) riskFactors.push('Mixer usage');
-    if (Math.random() > 0.95) riskFactors.push('Exchange connection');
+    if (analysis.status === 'ok') {
+      const seen = analysis.firstSeen ? ` | First seen: ${analysis.firstSeen.slice(0, 10)}` : '';
+      const last = analysis.lastSeen ? ` | Last seen: ${analysis.lastSeen.slice(0, 10)}` : '';
+      findings.push(createFinding({
+        ...base,
+        source: analysis.provider,
+        label: `₿ ${analysis.name} Analysis`,
+        status: 'found',
+        confidence: 1,
+        summary: `Balance: ${analysis.balance.formatted} ${analysis.symbol} | Transactions: ${analysis.txCount}${analysis.txCountKind === 'sent' ? ' sent' : ''}${seen}${last}`,
+        attributes: {
+          network: analysis.network,
+          type: analysis.type,
+          provider: analysis.provider,
+          balance: analysis.balance,
+          txCount: analysis.txCount,
+          txCountKind: analysis.txCountKind,
+          historyComplete: analysis.historyComplete
+        },
+        firstSeen: analysis.firstSeen,
+        lastSeen: analysis.lastSeen
+      }));
 
-    results.push({
-      platform: '⚠️ Risk Assessment',
-      status: riskFactors.length > 0 ? 'warning' : 'success',
-      data: riskFactors.length > 0 ? `Risk factors: ${riskFactors.join(', ')}` : 'Low risk profile',
-      url: null
-    });
+      if (analysis.counterparties.length > 0) {
+        findings.push(createFinding({
+          ...base,
+          source: `${analysis.provider}:counterparties`,
+          label: '🔗 Counterparties',
+          status: 'info',
+          confidence: 1,
+          summary: analysis.counterparties.slice(0, 5).map(entry => {
+            const label = entry.labels.length > 0 ? ` (${entry.labels[0].entity || entry.labels[0].category})` : '';
+            return `${entry.address}${label} ×${entry.txCount}`;
+          }).join(', '),
+          attributes: { counterparties: analysis.counterparties },
+          evidence: []
+        }));
+      }
+    } else if (analysis.status === 'unsupported') {
+      findings.push(createFinding({
+        ...base,
+        source: 'address-parser',
+        label: `₿ ${analysis.name} Analysis`,
+        status: 'info',
+        summary: `${analysis.network} ${analysis.type} address | No blockchain provider configured for ${analysis.name}`,
+        attributes: { network: analysis.network, type: analysis.type }
+      }));
+    } else {
+      findings.push(errorFinding({
+        ...base,
+        source: analysis.provider || 'blockchain',
+        label: `₿ ${analysis.name} Analysis`,
+        summary: `Lookup failed: ${analysis.error}`,
+        error: analysis.error
+      }));
+    }
+
+    // Risk assessment from address labels
+    const factors = analysis.risk.factors;
+    findings.push(createFinding({
+      entityType: 'crypto_address',
+      value: analysis.address,
+      source: 'address-labels',
+      label: '⚠️ Risk Assessment',
+      status: factors.length > 0 ? 'found' : 'clear',
+      severity: ['high', 'critical'].includes(analysis.risk.level) ? analysis.risk.level : 'none',
+      summary: factors.length > 0
+        ? `Risk: ${analysis.risk.level.toUpperCase()} | ${[...new Set(factors.map(factor => factor.entity ? `${factor.factor} (${factor.entity})` : factor.factor))].join(', ')}`
+        : 'Low risk profile',
+      attributes: analysis.risk
+    }));
 
-    return results;
+    return findings;
   }
 
   analyzeUsername(username) {
@@ -217,136 +266,64 @@ class OSINTSources {
     return { type, confidence, risk };
   }
 
-  async checkAPI(url, platform) {
-    return new Promise((resolve) => {
-      const req = https.get(url, {
-        headers: { 'User-Agent': 'InfoHub-OSINT/3.0' },
-        timeout: 10000
-      }, (res) => {
-        if (res.statusCode === 200) {
-          let data = '';
-          res.on('data', chunk => data += chunk);
-          res.on('end', () => {
-            try {
-              const parsed = JSON.parse(data);
-              resolve(this.formatAPIResponse(parsed, platform));
-            } catch (e) {
-              resolve({
-                platform,
-                status: 'success',
-                data: 'Profile found',
-                url: url.replace('/api.', '/').replace('/users/', '/')
-              });
-            }
-          });
-        } else {
-          resolve({
-            platform,
-            status: 'error',
-            data: 'Profile not found',
-            url: null
-          });
-        }
-      });
-      
-      req.on('error', () => resolve({
-        platform,
-        status: 'error',
-        data: 'Check failed',
-        url: null
-      }));
-      
-      req.on('timeout', () => {
-        req.destroy();
-        resolve({
-          platform,
-          status: 'error',
-          data: 'Timeout',
-          url: null
-        });
-      });
-    });
-  }
+  profileFinding(check, username) {
+    const base = {
+      entityType: 'profile',
+      value: check.url,
+      source: check.platform,
+      status: 'found',
+      confidence: check.profile ? 0.95 : 0.75,
+      attributes: { username, ...(check.profile || {}) },
+      evidence: [evidence('url', check.url)],
+      cache: check.cache
+    };
 
-  async checkURL(url, platform) {
-    return new Promise((resolve) => {
-      const req = https.get(url, {
-        headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36' },
-        timeout: 5000
-      }, (res) => {
-        const exists = res.statusCode === 200 || res.statusCode === 302;
-        resolve({
-          platform,
-          status: exists ? 'success' : 'error',
-          data: exists ? 'Profile found' : 'Profile not found',
-          url: exists ? url : null
-        });
+    if (check.platform === 'GitHub' && check.profile) {
+      return createFinding({
+        ...base,
+        summary: `Name: ${check.profile.name || 'N/A'} | Repos: ${check.profile.repos} | Followers: ${check.profile.followers} | Created: ${new Date(check.profile.created).getFullYear()}`,
+        attributes: {
+          ...base.attributes,
+          verified: true,
+          activity: check.profile.repos > 10 ? 'high' : 'low',
+          type: check.profile.type || 'User'
+        },
+        evidence: [evidence('url', check.profile.url || check.url)]
       });
-      
-      req.on('error', () => resolve({
-        platform,
-        status: 'error',
-        data: 'Check failed',
-        url: null
-      }));
-      
-      req.on('timeout', () => {
-        req.destroy();
-        resolve({
-          platform,
-          status: 'error',
-          data: 'Timeout',
-          url: null
-        });
-      });
-    });
-  }
-
-  formatAPIResponse(data, platform) {
-    switch (platform) {
-      case 'GitHub':
-        return {
-          platform: 'GitHub',
-          status: 'success',
-          data: `Name: ${data.name || 'N/A'} | Repos: ${data.public_repos} | Followers: ${data.followers} | Created: ${new Date(data.created_at).getFullYear()}`,
-          url: data.html_url,
-          metadata: {
-            verified: true,
-            activity: data.public_repos > 10 ? 'high' : 'low',
-            type: data.type || 'User'
-          }
-        };
-      default:
-        return {
-          platform,
-          status: 'success',
-          data: 'Profile found',
-          url: null
-        };
     }
+
+    return createFinding({ ...base, summary: 'Profile found' });
   }
 
   async simulateDarkWebCheck(query) {
     const found = Math.random() > 0.8;
     const forums = Math.floor(Math.random() * 5) + 1;
     
-    return {
-      platform: '🕸️ Dark Web Forums',
-      status: found ? 'warning' : 'success',
-      data: found ? `Found in ${forums} forums` : 'No activity detected',
-      url: null
-    };
+    return createFinding({
+      entityType: 'username',
+      value: query,
+      source: 'dark-web-simulation',
+      label: '🕸️ Dark Web Forums',
+      status: found ? 'found' : 'clear',
+      severity: found ? 'medium' : 'none',
+      summary: found ? `Found in ${forums} forums` : 'No activity detected',
+      attributes: { simulated: true }
+    });
   }
 
   async simulatePastebinCheck(query) {
     const found = Math.random() > 0.9;
     
-    return {
-      platform: '📋 Pastebin/Leaks',
-      status: found ? 'warning' : 'success',
-      data: found ? 'Username found in paste' : 'No leaks detected',
-      url: null
-    };
+    return createFinding({
+      entityType: 'username',
+      value: query,
+      source: 'paste-simulation',
+      label: '📋 Pastebin/Leaks',
+      status: found ? 'found' : 'clear',
+      severity: found ? 'medium' : 'none',
+      summary: found ? 'Username found in paste' : 'No leaks detected',
+      attributes: { simulated: true }
+    });
   }
 
   getEmailType(domain) {
@@ -361,7 +338,7 @@ class OSINTSources {
   generateEmailVariations(username, domain) {
     const year = new Date().getFullYear();
     return [
-      `${username}.${Math.floor(Math.random() * 100)}@${domain}`,
+      `${username}.${String(year).slice(2)}@${domain}`,
       `${username}_${year}@${domain}`,
       `${username.charAt(0)}.${username.slice(1)}@${domain}`,
       `${username}${year}@${domain}`,
@@ -0,0 +1,191 @@
+// Sign-up, email verification, login/logout and password reset; mounted at /api/auth by server.js
+const express = require('express');
+const validator = require('validator');
+const { setSessionCookie, clearSessionCookie, SESSION_TTL_MS } = require('../middleware/session');
+
+const HOUR = 60 * 60 * 1000;
+const VERIFY_TTL_MS = 24 * HOUR;
+const RESET_TTL_MS = HOUR;
+
+function validateRegistration({ name, email, username, password }) {
+  if (typeof name !== 'string' || name.trim().length < 3 || name.length > 100) {
+    return 'name must be between 3 and 100 characters';
+  }
+  if (typeof email !== 'string' || email.length > 255 || !validator.isEmail(email)) {
+    return 'A valid email is required';
+  }
+  if (typeof username !== 'string' || !/^[a-zA-Z0-9_.-]{3,50}$/.test(username)) {
+    return 'username must be 3 to 50 letters, digits, dots, dashes or underscores';
+  }
+  return validatePassword(password);
+}
+
+// The upper bound keeps a single login from tying up the KDF with a huge input
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < 8 || password.length > 128) {
+    return 'password must be between 8 and 128 characters';
+  }
+  return null;
+}
+
+/**
+ * users is an api/db/users.js UserStore, security the SecurityManager (password KDF and security log)
+ * and appUrl the public address used in email links; it is configured rather than read from the Host
+ * header so a forged header cannot point a reset link elsewhere.
+ */
+function createAuthRoutes({ users, mailer, security, appUrl, limiter = (req, res, next) => next() }) {
+  const router = express.Router();
+  let dummyHash = null;
+
+  router.use((req, res, next) => {
+    if (!users) {
+      return res.status(503).json({ success: false, error: 'Accounts are not configured (set DATABASE_URL)' });
+    }
+    next();
+  });
+
+  const sendVerification = async user => {
+    const token = await users.createToken(user.id, 'verify_email', VERIFY_TTL_MS);
+    await mailer.send({
+      to: user.email,
+      subject: 'Confirme seu email - InfoHub OSINT',
+      text: `Olá ${user.name},\n\nConfirme seu email em 24 horas:\n${appUrl}/api/auth/verify?token=${token}\n`
+    });
+  };
+
+  router.post('/register', limiter, async (req, res, next) => {
+    try {
+      const error = validateRegistration(req.body);
+      if (error) return res.status(400).json({ success: false, error });
+
+      const { name, email, username, password } = req.body;
+      const result = await users.create({
+        name: name.trim(),
+        email: email.trim(),
+        username,
+        passwordHash: await security.hashPassword(password)
+      });
+      if (result.conflict) {
+        return res.status(409).json({ success: false, error: result.conflict === 'email' ? 'Email already registered' : 'Username already taken' });
+      }
+
+      await sendVerification(result.user);
+      res.status(201).json({ success: true, data: { user: result.user, verificationSent: true } });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // The link in the verification email; lands on the login page either way
+  router.get('/verify', async (req, res, next) => {
+    try {
+      const userId = await users.consumeToken(req.query.token, 'verify_email');
+      if (userId) await users.markVerified(userId);
+      res.redirect(`/login.html?verified=${userId ? 1 : 0}`);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Always 202, so the answer does not reveal whether an address is registered
+  router.post('/resend-verification', limiter, async (req, res, next) => {
+    try {
+      const user = typeof req.body.email === 'string' ? await users.findByEmail(req.body.email.trim()) : null;
+      if (user && !user.emailVerified) await sendVerification(user);
+      res.status(202).json({ success: true });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/login', limiter, async (req, res, next) => {
+    try {
+      const { email, password } = req.body;
+      if (typeof email !== 'string' || typeof password !== 'string' || password.length > 128) {
+        return res.status(400).json({ success: false, error: 'Email and password are required' });
+      }
+
+      // Unknown addresses still pay for a hash, so response time does not reveal which accounts exist
+      const user = await users.findByEmail(email.trim());
+      if (!user) {
+        dummyHash = dummyHash || await security.hashPassword(security.generateSecureToken());
+        await security.verifyPassword(password, dummyHash);
+      }
+      if (!user || !await security.verifyPassword(password, user.passwordHash)) {
+        security.logSecurityEvent('LOGIN_FAILED', { email: email.trim().toLowerCase() }, req.ip);
+        return res.status(401).json({ success: false, error: 'Invalid email or password' });
+      }
+      if (!user.emailVerified) {
+        return res.status(403).json({ success: false, error: 'Email not verified' });
+      }
+
+      if (security.needsRehash(user.passwordHash)) {
+        await users.setPassword(user.id, await security.hashPassword(password));
+      }
+
+      const { passwordHash, ...profile } = user;
+      const token = await users.createSession(user.id, { ttlMs: SESSION_TTL_MS, ip: req.ip, userAgent: req.get('User-Agent') });
+      setSessionCookie(req, res, token);
+      res.json({ success: true, data: { user: profile } });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/logout', async (req, res, next) => {
+    try {
+      if (req.session) await users.deleteSession(req.session.token);
+      clearSessionCookie(req, res);
+      res.json({ success: true });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/me', (req, res) => {
+    if (!req.user) return res.status(401).json({ success: false, error: 'Not logged in' });
+    res.json({ success: true, data: { user: req.user, session: { createdAt: req.session.createdAt, expiresAt: req.session.expiresAt } } });
+  });
+
+  // Always 202, like resend-verification
+  router.post('/forgot-password', limiter, async (req, res, next) => {
+    try {
+      const user = typeof req.body.email === 'string' ? await users.findByEmail(req.body.email.trim()) : null;
+      if (user) {
+        const token = await users.createToken(user.id, 'reset_password', RESET_TTL_MS);
+        await mailer.send({
+          to: user.email,
+          subject: 'Redefinição de senha - InfoHub OSINT',
+          text: `Olá ${user.name},\n\nPara criar uma nova senha, acesse em até 1 hora:\n${appUrl}/login.html?reset=${token}\n\nSe não foi você, ignore este email.\n`
+        });
+      }
+      res.status(202).json({ success: true });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // A reset also proves the address, and ends every existing session
+  router.post('/reset-password', limiter, async (req, res, next) => {
+    try {
+      const error = validatePassword(req.body.password);
+      if (error) return res.status(400).json({ success: false, error });
+
+      const userId = await users.consumeToken(req.body.token, 'reset_password');
+      if (!userId) return res.status(400).json({ success: false, error: 'Reset link is invalid or has expired' });
+
+      await users.setPassword(userId, await security.hashPassword(req.body.password));
+      await users.markVerified(userId);
+      await users.deleteSessions(userId);
+      security.logSecurityEvent('PASSWORD_RESET', { userId }, req.ip);
+      clearSessionCookie(req, res);
+      res.json({ success: true });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAuthRoutes;
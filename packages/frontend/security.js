@@ -1,5 +1,16 @@
 // Enhanced Security Module for InfoHub OSINT
 const crypto = require('crypto');
+const { parseAddress } = require('../shared/crypto-address');
+const { createEncryption } = require('../shared/envelope-encryption');
+
+// 32 MiB of memory per hash; maxmem leaves headroom above the 128 * N * r bytes scrypt needs
+const PASSWORD_KDF = { N: 2 ** 15, r: 8, p: 1, keyLength: 64 };
+
+function scrypt(password, salt, keyLength, { N, r, p }) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, keyLength, { N, r, p, maxmem: 256 * N * r }, (error, key) => (error ? reject(error) : resolve(key)));
+  });
+}
 
 class SecurityManager {
   constructor() {
@@ -18,6 +29,9 @@ class SecurityManager {
     
     this.rateLimitStore = new Map();
     this.ipBlacklist = new Set();
+    this.envelope = null;
+    // Set by server.js when there is a database; security events then also go to the audit trail
+    this.auditLog = null;
   }
 
   validateInput(input, type = 'general') {
@@ -39,7 +53,7 @@ class SecurityManager {
       case 'domain':
         return /^[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/.test(input) && input.length <= 100;
       case 'crypto':
-        return /^[13][a-km-zA-HJ-NP-Z1-9]{25,34}$|^0x[a-fA-F0-9]{40}$/.test(input);
+        return parseAddress(input).valid;
       default:
         return input.length <= 200;
     }
@@ -94,12 +108,48 @@ class SecurityManager {
     return { hash, salt: actualSalt };
   }
 
-  encryptData(data, key) {
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipher('aes-256-cbc', key);
-    let encrypted = cipher.update(data, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    return { encrypted, iv: iv.toString('hex') };
+  // Passwords use scrypt (memory-hard) rather than hashData's pbkdf2, stored as scrypt$N$r$p$salt$hash
+  async hashPassword(password, params = PASSWORD_KDF) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, params.keyLength, params);
+    return ['scrypt', params.N, params.r, params.p, salt.toString('base64'), hash.toString('base64')].join('$');
+  }
+
+  async verifyPassword(password, stored) {
+    const [scheme, N, r, p, salt, expected] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !expected) return false;
+
+    const expectedHash = Buffer.from(expected, 'base64');
+    try {
+      const hash = await scrypt(password, Buffer.from(salt, 'base64'), expectedHash.length, { N: Number(N), r: Number(r), p: Number(p) });
+      return crypto.timingSafeEqual(hash, expectedHash);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // True when the hash was made with weaker parameters than the current ones; rehash it at the next login
+  needsRehash(stored) {
+    const [scheme, N, r, p] = String(stored).split('$');
+    return scheme !== 'scrypt' || Number(N) < PASSWORD_KDF.N || Number(r) < PASSWORD_KDF.r || Number(p) < PASSWORD_KDF.p;
+  }
+
+  // Envelope encryption (AES-256-GCM with a fresh data key) under the master key from DATA_ENCRYPTION_KEYS;
+  // context is authenticated with the ciphertext, so decryptData must be given the same one
+  encryptData(data, context = '') {
+    return this.encryption().encrypt(data, context);
+  }
+
+  decryptData(envelope, context = '') {
+    return this.encryption().decrypt(envelope, context);
+  }
+
+  encryption() {
+    if (!this.envelope) {
+      this.envelope = createEncryption();
+      if (!this.envelope) throw new Error('No master key configured (DATA_ENCRYPTION_KEYS or DATA_ENCRYPTION_KEY_FILE)');
+    }
+    return this.envelope;
   }
 
   sanitizeOutput(data) {
@@ -124,6 +174,10 @@ class SecurityManager {
     };
     
     console.warn(`[SECURITY] ${type}: ${JSON.stringify(event)}`);
+    if (this.auditLog) {
+      this.auditLog.append({ action: 'security', type, ip, details: { ...details, eventId: event.id } })
+        .catch(error => console.error('Audit log error:', error.message));
+    }
     return event;
   }
 
@@ -1,16 +1,54 @@
 const express = require('express');
-const https = require('https');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const validator = require('validator');
-const dns = require('dns').promises;
 const path = require('path');
 
 // Import utilities
 const { validateSearchQuery, detectQueryType, sanitizeInput } = require('./utils/validators');
+const SiteChecker = require('../shared/site-checker');
+const MailSecurityAnalyzer = require('../shared/mail-security');
+const { BreachChecker } = require('../shared/breach-providers');
+const BreachCorpus = require('../shared/breach-corpus');
+const { RegistrationLookup } = require('../shared/rdap');
+const { BlockchainAnalyzer } = require('../shared/blockchain-providers');
+const { createFinding, errorFinding, evidence } = require('../shared/findings');
+const { toLegacyRows } = require('../shared/legacy-rows');
+const { ResultCache, defaultCache } = require('../shared/result-cache');
+const { createResolver } = require('../shared/dns-records');
+const security = require('./security');
+const { createDatabase, migrate } = require('../api/db');
+const ApiKeyStore = require('../api/db/api-keys');
+const UserStore = require('../api/db/users');
+const SearchHistoryStore = require('../api/db/search-history');
+const AuditLog = require('../api/db/audit-log');
+const createApiKeyRoutes = require('../api/routes/api-keys');
+const createAuditRoutes = require('../api/routes/audit');
+const { apiKeyAuth, requestLog } = require('../api/middleware/api-keys');
+const { auditTrail } = require('../api/middleware/audit');
+const { AuditSigner } = require('../shared/audit-signing');
+const { sessionAuth } = require('./middleware/session');
+const createAuthRoutes = require('./routes/auth');
+const Mailer = require('./mailer');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const siteChecker = new SiteChecker();
+const mailSecurity = new MailSecurityAnalyzer();
+const breachChecker = new BreachChecker();
+const breachCorpus = new BreachCorpus();
+const registration = new RegistrationLookup();
+const blockchain = new BlockchainAnalyzer();
+const resultCache = defaultCache();
+const dns = createResolver();
+
+// Accounts and API keys live in the users table of the database the OSINT API uses (DATABASE_URL)
+const database = createDatabase();
+const apiKeys = database ? new ApiKeyStore({ db: database }) : null;
+const users = database ? new UserStore({ db: database }) : null;
+const searchHistory = database ? new SearchHistoryStore({ db: database }) : null;
+const auditLog = database ? new AuditLog({ db: database }) : null;
+security.auditLog = auditLog;
 
 // Security middleware
 app.use(helmet({
@@ -36,19 +74,59 @@ app.use(rateLimit({
 app.use(express.json({ limit: '10kb' }));
 app.use(express.urlencoded({ extended: true, limit: '10kb' }));
 
-// Static files
-app.use(express.static(__dirname));
+// Static files: only public/, never the server's own modules
+app.use(express.static(path.join(__dirname, 'public')));
 
 // CORS
 app.use((req, res, next) => {
   const allowedOrigins = ['http://localhost:3000', 'http://127.0.0.1:3000'];
   if (allowedOrigins.includes(req.headers.origin)) { res.header('Access-Control-Allow-Origin', req.headers.origin); }
-  res.header('Access-Control-Allow-Headers', 'Content-Type, X-API-Key, Authorization');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, X-API-Key, Authorization, X-Audit-Purpose');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
   if (req.method === 'OPTIONS') return res.sendStatus(200);
   next();
 });
 
+// Login sessions (cookie) and API keys (X-API-Key); see API.md for scopes and API_AUTH
+app.use('/api', requestLog());
+app.use('/api', sessionAuth({ store: users }));
+app.use('/api', apiKeyAuth({
+  store: apiKeys,
+  rules: [
+    { method: 'GET', path: /^\/status$/, public: true },
+    { path: /^\/auth\//, public: true },
+    ...createApiKeyRoutes.rules,
+    ...createAuditRoutes.rules,
+    { path: /^\/(search(\/stream)?|history)$/, scope: 'search:read' }
+  ],
+  logEvent: (type, details, ip) => security.logSecurityEvent(type, details, ip)
+}));
+// Who searched for whom and why; the search routes report the detected type and result count
+app.use('/api', auditTrail({
+  log: auditLog,
+  rules: [
+    { path: /^\/search(\/stream)?$/, action: 'search', type: req => req.body?.type || req.query.type || 'auto' },
+    { method: 'GET', path: /^\/audit(\/export|\/verify)?$/, action: 'audit_access', type: req => req.path.split('/')[2] || 'list' }
+  ]
+}));
+app.use('/api', createApiKeyRoutes({ store: apiKeys }));
+app.use('/api', createAuditRoutes({ log: auditLog, signer: AuditSigner.fromEnv() }));
+
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: { error: 'Too many attempts, please try again later' }
+});
+
+app.use('/api/auth', createAuthRoutes({
+  users,
+  // Only needed (and only required to be configured) when accounts are enabled
+  mailer: users ? new Mailer() : null,
+  security,
+  appUrl: process.env.APP_URL || `http://localhost:${PORT}`,
+  limiter: authLimiter
+}));
+
 // Search rate limiting
 const searchLimiter = rateLimit({ 
   windowMs: 60 * 1000, 
@@ -92,188 +170,245 @@ function calculateRiskScore(username) {
   return score >= 50 ? 'HIGH' : score >= 25 ? 'MEDIUM' : 'LOW';
 }
 
-// HTTP request helper
-function makeRequest(url, timeout = 8000) {
-  return new Promise((resolve) => {
-    if (!validator.isURL(url, { protocols: ['https'] })) {
-      return resolve({ error: 'Invalid URL' });
-    }
-    
-    const req = https.get(url, {
-      headers: { 
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        'Accept': 'application/json, text/html'
-      },
-      timeout
-    }, (res) => {
-      // Não seguir redirecionamentos para evitar SSRF.
-      // if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-      //   return makeRequest(res.headers.location, timeout).then(resolve);
-      // }
-      
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        try {
-          resolve(JSON.parse(data));
-        } catch {
-          resolve({ html: data, statusCode: res.statusCode });
-        }
-      });
-    });
-    
-    req.on('error', () => resolve({ error: 'Network error' }));
-    req.on('timeout', () => {
-      req.destroy();
-      resolve({ error: 'Timeout' });
-    });
-  });
+// Profile summary for registry sites that expose profile data
+function formatProfile(profile) {
+  return `Nome: ${profile.name || 'N/A'} | Repos: ${profile.repos || 0} | Seguidores: ${profile.followers || 0} | Criado: ${new Date(profile.created).getFullYear()}`;
 }
 
-// URL existence checker
-function checkURLExists(url) {
-  return new Promise((resolve) => {
-    const req = https.get(url, {
-      headers: { 
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.5',
-        'Accept-Encoding': 'gzip, deflate',
-        'Connection': 'keep-alive'
+// Email-domain posture (SPF, DMARC, DKIM, MTA-STS, TLS-RPT, BIMI)
+async function searchMailSecurity(domain) {
+  try {
+    const posture = await mailSecurity.analyze(domain);
+    const dkimCount = posture.dkim.selectors.filter(entry => !entry.revoked).length;
+    return createFinding({
+      entityType: 'mail_security',
+      value: domain,
+      source: 'Email Security',
+      status: 'found',
+      severity: ['A', 'B'].includes(posture.grade) ? 'none' : ['D', 'F'].includes(posture.grade) ? 'high' : 'medium',
+      confidence: 1,
+      summary: `Grade: ${posture.grade} (${posture.score}/100) | SPF: ${posture.spf.record ? `${posture.spf.all || '?'}all, ${posture.spf.lookups} lookups` : 'none'} | DMARC: ${posture.dmarc.policy || 'none'} | DKIM: ${dkimCount} selector(s) | MTA-STS: ${posture.mtaSts.policy?.mode || (posture.mtaSts.record ? 'unreachable' : 'none')}`,
+      attributes: {
+        grade: posture.grade,
+        score: posture.score,
+        findings: posture.findings.filter(finding => finding.severity !== 'info')
       },
-      timeout: 8000
-    }, (res) => {
-      resolve([200, 302, 301, 403].includes(res.statusCode));
+      evidence: [evidence('dns', `_dmarc.${domain}`), evidence('dns', domain)]
     });
-    
-    req.on('error', () => resolve(false));
-    req.on('timeout', () => {
-      req.destroy();
-      resolve(false);
+  } catch (error) {
+    return errorFinding({ entityType: 'mail_security', value: domain, source: 'Email Security', summary: 'Verificação falhou', error });
+  }
+}
+
+// Breach lookup through the configured provider
+async function searchBreachData(email) {
+  const result = await breachChecker.check(email);
+  const base = { entityType: 'email', value: email, source: result.provider, label: `Breach Database (${result.provider})` };
+
+  if (result.status !== 'ok') {
+    return errorFinding({
+      ...base,
+      summary: result.status === 'unavailable' ? 'Provedor de vazamentos não configurado' : 'Verificação falhou',
+      error: { message: result.error || 'Breach provider unavailable', code: result.status }
     });
+  }
+
+  return createFinding({
+    ...base,
+    status: result.found ? 'found' : 'clear',
+    severity: result.found ? 'high' : 'none',
+    confidence: 1,
+    summary: result.found
+      ? `Found in ${result.breaches.length} breaches: ${result.breaches.slice(0, 5).map(formatBreach).join(', ')}`
+      : 'No breaches detected',
+    attributes: result.found ? { breaches: result.breaches } : {},
+    observedAt: result.checkedAt
   });
 }
 
-// GitHub search
-async function searchGitHub(username) {
+// Offline corpus lookup; no finding at all when no datasets were imported
+async function searchBreachCorpus(query) {
+  const [field, value] = Object.entries(query)[0];
+  const base = { entityType: field, value, source: 'Breach Corpus' };
+
   try {
-    const response = await makeRequest(`https://api.github.com/users/${encodeURIComponent(username)}`);
-    if (response.error || !response.login) {
-      return { status: 'error', data: 'Perfil não encontrado' };
+    const result = await breachCorpus.search(query, { limit: 20 });
+    if (!result.available) return [];
+
+    if (result.total === 0) {
+      return [createFinding({ ...base, status: 'clear', confidence: 1, summary: 'No records in local datasets' })];
     }
-    
-    return {
-      status: 'success',
-      data: `Nome: ${response.name || 'N/A'} | Repos: ${response.public_repos || 0} | Seguidores: ${response.followers || 0} | Criado: ${new Date(response.created_at).getFullYear()}`,
-      url: response.html_url
-    };
+
+    const datasets = [...new Set(result.matches.map(match => match.breachDate ? `${match.dataset} (${match.breachDate})` : match.dataset))];
+    const fields = [...new Set(result.matches.flatMap(match => match.exposedFields))];
+    return [createFinding({
+      ...base,
+      status: 'found',
+      severity: 'high',
+      confidence: 1,
+      summary: `${result.total} records | Datasets: ${datasets.join(', ')} | Exposed: ${fields.join(', ')}`,
+      attributes: { total: result.total, truncated: result.truncated, matches: result.matches },
+      evidence: [...new Set(result.matches.map(match => match.dataset))].map(dataset => evidence('dataset', dataset))
+    })];
   } catch (error) {
-    return { status: 'error', data: 'Erro na API' };
+    return [errorFinding({ ...base, summary: 'Verificação falhou', error })];
   }
 }
 
-// Breach data simulation
-async function searchBreachData(email) {
-  const breaches = ['Collection1', 'LinkedIn', 'Adobe'];
-  const found = email.includes('test'); // Lógica de simulação previsível
-  return {
-    platform: 'Breach Database',
-    status: found ? 'warning' : 'success',
-    data: found ? `Found in ${breaches[Math.floor(Math.random() * breaches.length)]}` : 'No breaches detected',
-    url: null
-  };
+function formatBreach(breach) {
+  return breach.breachDate ? `${breach.title} (${breach.breachDate.slice(0, 4)})` : breach.title;
 }
 
-// Crypto address validation
+// Crypto address validation and on-chain lookup
 async function searchCrypto(address) {
-  const btcRegex = /^[13][a-km-zA-HJ-NP-Z1-9]{25,34}$/;
-  const ethRegex = /^0x[a-fA-F0-9]{40}$/;
+  const analysis = await blockchain.analyze(address);
   
-  if (!btcRegex.test(address) && !ethRegex.test(address)) {
-    return { platform: 'Crypto', status: 'error', data: 'Invalid address format', url: null };
+  if (analysis.status === 'invalid') {
+    return createFinding({
+      entityType: 'crypto_address',
+      value: address,
+      source: 'Crypto',
+      status: 'not_found',
+      summary: analysis.error,
+      attributes: { chain: analysis.chain || null }
+    });
   }
   
-  const type = address.startsWith('0x') ? 'Ethereum' : 'Bitcoin';
-  const explorer = address.startsWith('0x') ? 'ethereum' : 'bitcoin';
+  const parts = [`Type: ${analysis.name} (${analysis.type})`, `Network: ${analysis.network}`];
+  if (analysis.status === 'ok') {
+    parts.push(`Balance: ${analysis.balance.formatted} ${analysis.symbol}`, `Txs: ${analysis.txCount}`);
+  }
+  parts.push(`Risk: ${analysis.risk.level.toUpperCase()}`);
   
-  return {
-    platform: 'Crypto Analysis',
-    status: 'success',
-    data: `Type: ${type} | Format: Valid`,
-    url: `https://blockchair.com/${explorer}/address/${address}`
-  };
+  return createFinding({
+    entityType: 'crypto_address',
+    value: analysis.address,
+    source: analysis.provider || 'Crypto Analysis',
+    label: 'Crypto Analysis',
+    status: 'found',
+    severity: ['high', 'critical'].includes(analysis.risk.level) ? analysis.risk.level : 'none',
+    confidence: 1,
+    summary: parts.join(' | '),
+    attributes: {
+      chain: analysis.chain,
+      network: analysis.network,
+      type: analysis.type,
+      lookup: analysis.status,
+      balance: analysis.balance || null,
+      txCount: analysis.txCount ?? null,
+      risk: analysis.risk
+    },
+    evidence: [evidence('url', analysis.explorerUrl)],
+    firstSeen: analysis.firstSeen || null,
+    lastSeen: analysis.lastSeen || null
+  });
+}
+
+// Runs independent lookups side by side. Each lookup's findings go to emit as soon as it settles,
+// so slow sources don't hold back fast ones; the resolved list keeps the declared order.
+// Findings are stamped with the cache metadata of the lookups that produced them.
+async function gather(lookups, emit) {
+  const settled = await Promise.all(lookups.map(lookup => resultCache.track(lookup).then(({ value, cache }) => {
+    const findings = [].concat(value).map(finding => (finding.cache || !cache
+      ? finding
+      : { ...finding, cache, observedAt: cache.status === 'hit' ? cache.cachedAt : finding.observedAt }));
+    if (findings.length > 0) emit(findings);
+    return findings;
+  })));
+  return settled.flat();
+}
+
+function platformFinding(check, username) {
+  if (check.status === 'found') {
+    return createFinding({
+      entityType: 'profile',
+      value: check.url,
+      source: check.platform,
+      status: 'found',
+      confidence: check.profile ? 0.95 : 0.75,
+      summary: check.profile ? formatProfile(check.profile) : 'Perfil encontrado',
+      attributes: { username, ...(check.profile || {}) },
+      evidence: [evidence('url', check.url)],
+      cache: check.cache
+    });
+  }
+  if (check.status === 'error') {
+    return errorFinding({
+      entityType: 'profile',
+      value: check.url,
+      source: check.platform,
+      summary: 'Verificação falhou',
+      error: check.error
+    });
+  }
+  return createFinding({
+    entityType: 'profile',
+    value: check.url,
+    source: check.platform,
+    status: 'not_found',
+    summary: 'Perfil não encontrado',
+    attributes: check.status === 'invalid' ? { reason: check.error } : {},
+    cache: check.cache
+  });
 }
 
 // Social media search
-async function searchSocialMedia(username) {
-  const platforms = [
-    { name: 'GitHub', url: `https://github.com/${username}`, api: true },
-    { name: 'Instagram', url: `https://instagram.com/${username}` },
-    { name: 'LinkedIn', url: `https://linkedin.com/in/${username}` },
-    { name: 'YouTube', url: `https://youtube.com/@${username}` },
-    { name: 'Twitch', url: `https://twitch.tv/${username}` }
-  ];
-
-  const results = [];
-  
+async function searchSocialMedia(username, emit = () => {}) {
   // AI Analysis
   const analysis = analyzeUsername(username);
   const riskScore = calculateRiskScore(username);
-  results.push({
-    platform: 'AI Profile Analysis',
-    status: 'success',
-    data: `Type: ${analysis.type} | Confidence: ${Math.round(analysis.confidence * 100)}% | Risk: ${riskScore}`,
-    url: null
+  const analysisFinding = createFinding({
+    entityType: 'username',
+    value: username,
+    source: 'AI Profile Analysis',
+    status: 'info',
+    confidence: analysis.confidence,
+    summary: `Type: ${analysis.type} | Confidence: ${Math.round(analysis.confidence * 100)}% | Risk: ${riskScore}`,
+    attributes: { type: analysis.type, risk: riskScore }
   });
+  emit([analysisFinding]);
   
-  // Platform checks
-  for (const platform of platforms) {
-    try {
-      if (platform.name === 'GitHub') {
-        const result = await searchGitHub(username);
-        results.push({ platform: platform.name, ...result });
-      } else {
-        const exists = await checkURLExists(platform.url);
-        results.push({
-          platform: platform.name,
-          status: exists ? 'success' : 'error',
-          data: exists ? 'Perfil encontrado' : 'Perfil não encontrado',
-          url: exists ? platform.url : null
+  // Platform checks, streamed one site at a time
+  const profiles = new Map();
+  const onResult = check => {
+    const finding = platformFinding(check, username);
+    profiles.set(check, finding);
+    emit([finding]);
+  };
+
+  const [checks, others] = await Promise.all([
+    siteChecker.checkAll(username, { onResult }),
+    gather([
+      () => searchBreachCorpus({ username }),
+      () => {
+        // Dark web simulation
+        const darkWebCheck = username.includes('anon'); // Lógica de simulação previsível
+        return createFinding({
+          entityType: 'username',
+          value: username,
+          source: 'Dark Web Forums',
+          status: darkWebCheck ? 'found' : 'clear',
+          severity: darkWebCheck ? 'medium' : 'none',
+          summary: darkWebCheck ? `Found in ${Math.floor(Math.random() * 5) + 1} forums` : 'No activity detected',
+          attributes: { simulated: true }
         });
       }
-    } catch {
-      results.push({
-        platform: platform.name,
-        status: 'error',
-        data: 'Verificação falhou',
-        url: null
-      });
-    }
-  }
-  
-  // Dark web simulation
-  const darkWebCheck = username.includes('anon'); // Lógica de simulação previsível
-  results.push({
-    platform: 'Dark Web Forums',
-    status: darkWebCheck ? 'warning' : 'success',
-    data: darkWebCheck ? `Found in ${Math.floor(Math.random() * 5) + 1} forums` : 'No activity detected',
-    url: null
-  });
+    ], emit)
+  ]);
   
-  return results;
+  return [analysisFinding, ...checks.map(check => profiles.get(check)), ...others];
 }
 
 // Email search
-async function searchEmail(email) {
-  const results = [];
-  
+async function searchEmail(email, emit = () => {}) {
   if (!validator.isEmail(email)) {
-    return [{
-      platform: 'Email Validation',
-      status: 'error',
-      data: 'Invalid email format',
-      url: null
-    }];
+    return gather([() => createFinding({
+      entityType: 'email',
+      value: email,
+      source: 'Email Validation',
+      status: 'not_found',
+      summary: 'Invalid email format'
+    })], emit);
   }
   
   const domain = email.split('@')[1];
@@ -284,104 +419,171 @@ async function searchEmail(email) {
     'hotmail.com': 'Microsoft'
   };
   
-  results.push({
-    platform: 'Email Intelligence',
-    status: 'success',
-    data: `Provider: ${providers[domain] || domain} | Type: ${providers[domain] ? 'Personal' : 'Business'}`,
-    url: null
-  });
-  
-  // DNS validation
+  return gather([
+    () => createFinding({
+      entityType: 'email',
+      value: email,
+      source: 'Email Intelligence',
+      status: 'info',
+      summary: `Provider: ${providers[domain] || domain} | Type: ${providers[domain] ? 'Personal' : 'Business'}`,
+      attributes: { provider: providers[domain] || domain, type: providers[domain] ? 'Personal' : 'Business' }
+    }),
+    // DNS validation
+    async () => {
+      try {
+        const mxRecords = await dns.resolveMx(domain);
+        return createFinding({
+          entityType: 'domain',
+          value: domain,
+          source: 'Domain Analysis',
+          status: 'found',
+          confidence: 1,
+          summary: `Valid domain with ${mxRecords.length} MX records`,
+          attributes: { mx: mxRecords.map(record => record.exchange) },
+          evidence: [evidence('dns', domain, 'MX')]
+        });
+      } catch {
+        return createFinding({
+          entityType: 'domain',
+          value: domain,
+          source: 'Domain Validation',
+          status: 'not_found',
+          summary: 'Invalid or unreachable domain'
+        });
+      }
+    },
+    () => searchMailSecurity(domain),
+    () => searchBreachData(email),
+    () => searchBreachCorpus({ email })
+  ], emit);
+}
+
+
+
+// Registration data (RDAP, WHOIS fallback)
+async function searchRegistration(domain) {
+  const base = { entityType: 'registration', value: domain, source: 'WHOIS', label: 'Registration (WHOIS)' };
+
   try {
-    const mxRecords = await dns.resolveMx(domain);
-    results.push({
-      platform: 'Domain Analysis',
-      status: 'success',
-      data: `Valid domain with ${mxRecords.length} MX records`,
-      url: null
-    });
-  } catch {
-    results.push({
-      platform: 'Domain Validation',
-      status: 'error',
-      data: 'Invalid or unreachable domain',
-      url: null
+    const info = await registration.lookup(domain);
+    if (info.error) {
+      return errorFinding({ ...base, summary: 'Verificação falhou', error: info.error });
+    }
+
+    const source = info.source.toUpperCase();
+    const located = { ...base, source, label: `Registration (${source})`, evidence: [evidence(info.source, info.server)] };
+    if (info.registered === false) {
+      return createFinding({ ...located, status: 'not_found', severity: 'medium', confidence: 1, summary: 'Domain is not registered' });
+    }
+
+    const parts = [`Registrar: ${info.registrar || 'N/A'}`];
+    if (info.created) parts.push(`Created: ${info.created.slice(0, 10)} (${info.ageDays} days ago)`);
+    if (info.expires) parts.push(`Expires: ${info.expires.slice(0, 10)} (in ${info.daysToExpiry} days)`);
+    if (info.nameservers.length > 0) parts.push(`NS: ${info.nameservers.join(', ')}`);
+    if (info.registrant) parts.push(`Registrant: ${Object.values(info.registrant).join(', ')}`);
+
+    const risky = (info.ageDays !== null && info.ageDays < 30) || (info.daysToExpiry !== null && info.daysToExpiry < 30);
+    return createFinding({
+      ...located,
+      status: 'found',
+      severity: risky ? 'medium' : 'none',
+      confidence: 1,
+      summary: parts.join(' | '),
+      attributes: {
+        registrar: info.registrar,
+        created: info.created,
+        expires: info.expires,
+        ageDays: info.ageDays,
+        daysToExpiry: info.daysToExpiry,
+        nameservers: info.nameservers,
+        registrant: info.registrant
+      },
+      firstSeen: info.created
     });
+  } catch (error) {
+    return errorFinding({ ...base, summary: 'Verificação falhou', error });
   }
-  
-  results.push(await searchBreachData(email));
-  return results;
 }
 
-
-
 // Domain search
-async function searchDomain(domain) {
+async function searchDomain(domain, emit = () => {}) {
   if (!validator.isFQDN(domain)) {
-    return [{
-      platform: 'Domain Validation',
-      status: 'error',
-      data: 'Invalid domain format',
-      url: null
-    }];
+    return gather([() => createFinding({
+      entityType: 'domain',
+      value: domain,
+      source: 'Domain Validation',
+      status: 'not_found',
+      summary: 'Invalid domain format'
+    })], emit);
   }
   
-  const results = [];
-  
-  try {
-    const aRecords = await dns.resolve4(domain);
-    results.push({
-      platform: 'DNS Analysis',
-      status: 'success',
-      data: `IP: ${aRecords[0]} | Records: ${aRecords.length}`,
-      url: null
-    });
-  } catch {
-    results.push({
-      platform: 'DNS Resolution',
-      status: 'error',
-      data: 'Domain not found or unreachable',
-      url: null
-    });
+  return gather([
+    async () => {
+      const aRecords = await dns.resolve4(domain).catch(() => null);
+      if (aRecords) {
+        return createFinding({
+          entityType: 'dns',
+          value: domain,
+          source: 'DNS Analysis',
+          status: 'found',
+          confidence: 1,
+          summary: `IPs: ${aRecords.join(', ')} | Records: ${aRecords.length}`,
+          attributes: { A: aRecords },
+          evidence: [evidence('dns', domain, 'A')]
+        });
+      }
+      return createFinding({
+        entityType: 'dns',
+        value: domain,
+        source: 'DNS Resolution',
+        status: 'not_found',
+        summary: 'Domain not found or unreachable'
+      });
+    },
+    () => searchRegistration(domain),
+    () => searchMailSecurity(domain),
+    () => searchBreachCorpus({ domain })
+  ], emit);
+}
+
+// Runs the lookups for one query type; emit(findings) receives each source's findings as it settles
+function runSearch(type, query, emit = () => {}) {
+  switch (type) {
+    case 'social':
+      return searchSocialMedia(query, emit);
+    case 'email':
+      return searchEmail(query, emit);
+    case 'domain':
+      return searchDomain(query, emit);
+    case 'crypto':
+      return gather([() => searchCrypto(query)], emit);
+    default:
+      return searchSocialMedia(query, emit);
   }
-  
-  return results;
 }
 
 // API Routes
 app.post('/api/search', searchLimiter, async (req, res) => {
   try {
-    const { query, type } = req.body;
+    const { query, type, cache = 'default' } = req.body;
     
     const validation = validateSearchQuery(query);
     if (!validation.valid) {
       return res.status(400).json({ error: validation.error });
     }
+    if (!ResultCache.MODES.includes(cache)) {
+      return res.status(400).json({ error: `cache must be one of: ${ResultCache.MODES.join(', ')}` });
+    }
     
     const sanitizedQuery = sanitizeInput(validation.query);
     const detectedType = type || detectQueryType(sanitizedQuery);
-    let results = [];
-    
-    switch (detectedType) {
-      case 'social':
-        results = await searchSocialMedia(sanitizedQuery);
-        break;
-      case 'email':
-        results = await searchEmail(sanitizedQuery);
-        break;
-
-      case 'domain':
-        results = await searchDomain(sanitizedQuery);
-        break;
-      case 'crypto':
-        results = [await searchCrypto(sanitizedQuery)];
-        break;
-      default:
-        results = await searchSocialMedia(sanitizedQuery);
-    }
+    const findings = await resultCache.scope(cache, () => runSearch(detectedType, sanitizedQuery));
+    recordSearch(req, res, sanitizedQuery, detectedType, findings);
     
+    // `results` keeps the legacy row format for dashboard.html until it reads `findings`
     res.json({
-      results,
+      results: toLegacyRows(findings),
+      findings,
       query: sanitizedQuery,
       type: detectedType,
       timestamp: new Date().toISOString(),
@@ -394,6 +596,117 @@ app.post('/api/search', searchLimiter, async (req, res) => {
   }
 });
 
+// Streaming variant of /api/search: a `result` event per source as it completes, then a `summary` event.
+// GET so the dashboard can use EventSource; problems after the stream opened arrive as a `failed` event.
+app.get('/api/search/stream', searchLimiter, async (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let open = true;
+  const send = (event, data) => {
+    if (open) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const heartbeat = setInterval(() => open && res.write(': keep-alive\n\n'), 15000);
+  res.on('close', () => {
+    open = false;
+    clearInterval(heartbeat);
+  });
+
+  try {
+    const { query, cache = 'default' } = req.query;
+    const type = typeof req.query.type === 'string' ? req.query.type : undefined;
+
+    const validation = validateSearchQuery(query);
+    if (!validation.valid) {
+      send('failed', { error: validation.error });
+      return;
+    }
+    if (!ResultCache.MODES.includes(cache)) {
+      send('failed', { error: `cache must be one of: ${ResultCache.MODES.join(', ')}` });
+      return;
+    }
+
+    const startedAt = Date.now();
+    const sanitizedQuery = sanitizeInput(validation.query);
+    const detectedType = type || detectQueryType(sanitizedQuery);
+
+    const findings = await resultCache.scope(cache, () => runSearch(detectedType, sanitizedQuery, sourceFindings => send('result', {
+      source: sourceFindings[0].source,
+      results: toLegacyRows(sourceFindings),
+      findings: sourceFindings
+    })));
+
+    recordSearch(req, res, sanitizedQuery, detectedType, findings);
+
+    const statuses = {};
+    for (const finding of findings) statuses[finding.status] = (statuses[finding.status] || 0) + 1;
+
+    send('summary', {
+      query: sanitizedQuery,
+      type: detectedType,
+      total: findings.length,
+      statuses,
+      duration: Date.now() - startedAt,
+      timestamp: new Date().toISOString(),
+      success: true
+    });
+  } catch (error) {
+    console.error('Search stream error:', error.message);
+    send('failed', { error: 'Internal server error' });
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+});
+
+// Searches by a logged-in user, or made with a user's API key, go to that user's history;
+// every search hands its detected type and result count to the audit trail
+function recordSearch(req, res, query, type, findings) {
+  res.locals.audit = { type, target: query, resultCount: findings.length };
+  const userId = req.user?.id || req.apiKey?.userId;
+  if (!searchHistory || !userId) return;
+  searchHistory.record(userId, { query, type, resultCount: findings.length })
+    .catch(error => console.error('Search history error:', error.message));
+}
+
+function historyOwner(req, res) {
+  if (!searchHistory) {
+    res.status(503).json({ success: false, error: 'Search history is not configured (set DATABASE_URL)' });
+    return null;
+  }
+  const userId = req.user?.id || req.apiKey?.userId;
+  if (!userId) res.status(401).json({ success: false, error: 'Log in or send an API key to keep a search history' });
+  return userId || null;
+}
+
+app.get('/api/history', async (req, res, next) => {
+  try {
+    const userId = historyOwner(req, res);
+    if (!userId) return;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    res.json({ success: true, data: await searchHistory.list(userId, { limit, offset }) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete('/api/history', async (req, res, next) => {
+  try {
+    const userId = historyOwner(req, res);
+    if (!userId) return;
+    await searchHistory.clear(userId);
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
 app.get('/api/status', (req, res) => {
   res.json({ 
     status: 'online', 
@@ -404,7 +717,7 @@ app.get('/api/status', (req, res) => {
 });
 
 app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'dashboard.html'));
+  res.sendFile(path.join(__dirname, 'public', 'dashboard.html'));
 });
 
 app.use((err, req, res, next) => {
@@ -416,9 +729,17 @@ app.use((req, res) => {
   res.status(404).json({ error: 'Not found' });
 });
 
-app.listen(PORT, () => {
-  console.log(`InfoHub OSINT Server rodando na porta ${PORT}`);
-  console.log(`Acesse: http://localhost:${PORT}`);
-});
+// Pending migrations (including the API key columns) are applied before the server accepts requests
+(database ? migrate(database) : Promise.resolve([]))
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`InfoHub OSINT Server rodando na porta ${PORT}`);
+      console.log(`Acesse: http://localhost:${PORT}`);
+    });
+  })
+  .catch(error => {
+    console.error('Database migration failed:', error);
+    process.exit(1);
+  });
 
 module.exports = app;
\ No newline at end of file
@@ -1,4 +1,5 @@
 const validator = require('validator');
+const { parseAddress } = require('../../shared/crypto-address');
 
 function validateSearchQuery(query) {
   if (!query || typeof query !== 'string') {
@@ -25,7 +26,9 @@ function validateSearchQuery(query) {
 function detectQueryType(query) {
   if (validator.isEmail(query)) return 'email';
   if (validator.isFQDN(query)) return 'domain';
-  if (/^[13][a-km-zA-HJ-NP-Z1-9]{25,34}$|^0x[a-fA-F0-9]{40}$/.test(query)) return 'crypto';
+  // Near-misses (bad checksum on a recognizable format) still go to crypto so the error is shown
+  const address = parseAddress(query);
+  if (address.valid || address.chain) return 'crypto';
   return 'social';
 }
 
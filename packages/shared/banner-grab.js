@@ -0,0 +1,135 @@
+// Banner grabbing and signature-based fingerprinting for open ports
+const net = require('net');
+const tls = require('tls');
+
+const SIGNATURES = require('./data/service-signatures.json').map(signature => ({
+  ...signature,
+  regex: new RegExp(signature.match, signature.flags || '')
+}));
+
+const TLS_PORTS = [443, 465, 636, 993, 995, 8443];
+const HTTP_PORTS = [80, 443, 3000, 5000, 8000, 8008, 8080, 8443, 8888];
+const MAX_BANNER_BYTES = 4096;
+
+// HTTP speaks only when spoken to; everything else gets a chance to greet first
+function probePlan(port) {
+  return {
+    tls: TLS_PORTS.includes(port),
+    http: HTTP_PORTS.includes(port)
+  };
+}
+
+// options.signal closes the connection early (the socket's error handler resolves with what was read)
+function grabBanner(host, port, options = {}) {
+  const timeout = options.timeout || 5000;
+  const greetingTimeout = options.greetingTimeout || 2000;
+  const plan = probePlan(port);
+
+  return new Promise((resolve) => {
+    let data = Buffer.alloc(0);
+    let sentHttpProbe = false;
+    let done = false;
+    let greetingTimer;
+
+    const connectOptions = { host, port, timeout, lookup: options.lookup, signal: options.signal };
+    const socket = plan.tls
+      ? tls.connect({ ...connectOptions, servername: net.isIP(host) ? undefined : host, rejectUnauthorized: false })
+      : net.connect(connectOptions);
+
+    const finish = () => {
+      if (done) return;
+      done = true;
+      clearTimeout(greetingTimer);
+      socket.destroy();
+      resolve(parseBanner(data, sentHttpProbe));
+    };
+
+    const sendHttpProbe = () => {
+      sentHttpProbe = true;
+      socket.write(`HEAD / HTTP/1.0\r\nHost: ${host}\r\nUser-Agent: InfoHub-OSINT/3.0\r\nAccept: */*\r\n\r\n`);
+    };
+
+    socket.once(plan.tls ? 'secureConnect' : 'connect', () => {
+      if (plan.http) {
+        sendHttpProbe();
+      } else {
+        greetingTimer = setTimeout(() => {
+          if (data.length === 0) sendHttpProbe();
+        }, greetingTimeout);
+      }
+    });
+
+    socket.on('data', (chunk) => {
+      data = Buffer.concat([data, chunk]).subarray(0, MAX_BANNER_BYTES);
+      const text = data.toString('latin1');
+      const complete = sentHttpProbe ? text.includes('\r\n\r\n') : text.includes('\n');
+      if (complete || data.length >= MAX_BANNER_BYTES) finish();
+    });
+
+    socket.on('timeout', finish);
+    socket.on('error', finish);
+    socket.on('close', finish);
+  });
+}
+
+function parseBanner(data, httpProbe) {
+  const text = data.toString('latin1');
+  if (!text) return { banner: null, raw: null, headers: null };
+
+  if (httpProbe && /^HTTP\/\d/.test(text)) {
+    const [statusLine, ...lines] = text.split('\r\n\r\n')[0].split('\r\n');
+    const headers = {};
+    for (const line of lines) {
+      const index = line.indexOf(':');
+      if (index > 0) headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+    }
+    return { banner: headers.server || statusLine, raw: text, headers, statusLine };
+  }
+
+  const firstLine = text.split(/\r?\n/)[0];
+  return { banner: firstLine.replace(/[^\x20-\x7e]/g, '').trim() || null, raw: text, headers: null };
+}
+
+function expandTemplate(template, match) {
+  if (!template) return null;
+  return template.replace(/\$(\d)/g, (_, index) => match[index] || '').trim() || null;
+}
+
+// Returns { service, product, version, confidence } or null when no signature applies
+function fingerprint(grab) {
+  if (!grab || !grab.raw) return null;
+
+  for (const signature of SIGNATURES) {
+    let subject;
+    if (signature.source === 'server') {
+      subject = grab.headers && grab.headers.server;
+    } else {
+      subject = grab.headers ? null : grab.raw;
+    }
+    if (!subject) continue;
+
+    const match = subject.match(signature.regex);
+    if (!match) continue;
+
+    const version = expandTemplate(signature.version, match);
+    return {
+      service: signature.service,
+      product: expandTemplate(signature.product, match),
+      version,
+      confidence: signature.confidence
+    };
+  }
+
+  if (grab.headers) {
+    return { service: 'HTTP', product: null, version: null, confidence: 0.7 };
+  }
+
+  return null;
+}
+
+module.exports = {
+  grabBanner,
+  parseBanner,
+  fingerprint,
+  probePlan
+};
@@ -0,0 +1,379 @@
+// Address analysis behind one provider interface: addressInfo(address) -> balance, activity, counterparties
+const http = require('http');
+const https = require('https');
+const fs = require('fs');
+const path = require('path');
+const { parseAddress } = require('./crypto-address');
+const { defaultCache } = require('./result-cache');
+
+const BUNDLED_LABELS = path.join(__dirname, 'data', 'crypto-labels.json');
+const MAX_BODY = 4 * 1024 * 1024;
+const MAX_COUNTERPARTIES = 10;
+const HIGH_ACTIVITY_TXS = 1000;
+
+const ESPLORA_URLS = {
+  'bitcoin:mainnet': process.env.ESPLORA_URL || 'https://blockstream.info/api',
+  'bitcoin:testnet': process.env.ESPLORA_TESTNET_URL || 'https://blockstream.info/testnet/api',
+  'litecoin:mainnet': process.env.ESPLORA_LTC_URL || 'https://litecoinspace.org/api'
+};
+
+const DECIMALS = { bitcoin: 8, litecoin: 8, ethereum: 18 };
+
+// Plain http is allowed for self-hosted nodes and explorers on the local network
+function getJson(url, options = {}) {
+  const client = url.startsWith('http:') ? http : https;
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, {
+      method: options.body ? 'POST' : 'GET',
+      headers: {
+        'Accept': 'application/json',
+        'User-Agent': 'InfoHub-OSINT',
+        ...(options.body ? { 'Content-Type': 'application/json' } : {})
+      },
+      timeout: options.timeout || 15000
+    }, (res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        body += chunk;
+        if (body.length > MAX_BODY) req.destroy(new Error('Response too large'));
+      });
+      res.on('end', () => {
+        if (res.statusCode === 429) return reject(new Error('Rate limited by blockchain provider'));
+        if (res.statusCode !== 200) return reject(new Error(`Blockchain provider responded with ${res.statusCode}`));
+        try {
+          resolve(JSON.parse(body));
+        } catch (e) {
+          reject(new Error('Invalid provider response'));
+        }
+      });
+    });
+
+    req.on('error', reject);
+    req.on('timeout', () => {
+      req.destroy();
+      reject(new Error('Timeout'));
+    });
+    if (options.body) req.write(JSON.stringify(options.body));
+    req.end();
+  });
+}
+
+// Base units (satoshi, wei) as a string so large balances survive JSON
+function amount(units, chain, symbol) {
+  const value = BigInt(units);
+  const decimals = DECIMALS[chain];
+  const negative = value < 0n;
+  const digits = (negative ? -value : value).toString().padStart(decimals + 1, '0');
+  const whole = digits.slice(0, -decimals);
+  const fraction = digits.slice(-decimals).replace(/0+$/, '');
+  return {
+    value: value.toString(),
+    formatted: `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`,
+    symbol
+  };
+}
+
+function toIso(seconds) {
+  return seconds ? new Date(seconds * 1000).toISOString() : null;
+}
+
+// Tallies who an address transacted with, newest activity first
+class CounterpartyTally {
+  constructor(self) {
+    this.self = self;
+    this.entries = new Map();
+  }
+
+  add(address, direction, time) {
+    if (!address || address === this.self) return;
+    const entry = this.entries.get(address) || { address, direction, txCount: 0, lastSeen: null };
+    if (entry.direction !== direction) entry.direction = 'both';
+    entry.txCount++;
+    if (time && (!entry.lastSeen || time > entry.lastSeen)) entry.lastSeen = time;
+    this.entries.set(address, entry);
+  }
+
+  top() {
+    return [...this.entries.values()]
+      .sort((a, b) => b.txCount - a.txCount || String(b.lastSeen).localeCompare(String(a.lastSeen)))
+      .slice(0, MAX_COUNTERPARTIES);
+  }
+}
+
+class EsploraProvider {
+  constructor(options = {}) {
+    this.name = 'Esplora';
+    this.urls = { ...ESPLORA_URLS, ...options.urls };
+    this.maxPages = options.maxPages || 4;
+    this.timeout = options.timeout || 15000;
+  }
+
+  supports(parsed) {
+    return Boolean(this.urls[`${parsed.chain}:${parsed.network}`]);
+  }
+
+  async addressInfo(parsed) {
+    const base = this.urls[`${parsed.chain}:${parsed.network}`];
+    const address = parsed.address;
+    const info = await getJson(`${base}/address/${address}`, { timeout: this.timeout });
+
+    const chain = info.chain_stats;
+    const mempool = info.mempool_stats;
+    const balance = (chain.funded_txo_sum - chain.spent_txo_sum) + (mempool.funded_txo_sum - mempool.spent_txo_sum);
+
+    // First page holds mempool + newest 25 confirmed; older pages are keyed by the last txid seen
+    const txs = await getJson(`${base}/address/${address}/txs`, { timeout: this.timeout });
+    let page = txs.filter(tx => tx.status.confirmed);
+    for (let i = 1; i < this.maxPages && page.length === 25; i++) {
+      page = await getJson(`${base}/address/${address}/txs/chain/${page[page.length - 1].txid}`, { timeout: this.timeout });
+      txs.push(...page);
+    }
+    const complete = txs.length >= chain.tx_count + mempool.tx_count;
+
+    const tally = new CounterpartyTally(address);
+    for (const tx of txs) {
+      const time = toIso(tx.status.block_time);
+      const spends = tx.vin.some(input => input.prevout && input.prevout.scriptpubkey_address === address);
+      if (spends) {
+        tx.vout.forEach(output => tally.add(output.scriptpubkey_address, 'out', time));
+      } else {
+        tx.vin.forEach(input => tally.add(input.prevout && input.prevout.scriptpubkey_address, 'in', time));
+      }
+    }
+
+    const times = txs.map(tx => tx.status.block_time).filter(Boolean);
+    return {
+      balance: amount(balance, parsed.chain, parsed.symbol),
+      txCount: chain.tx_count + mempool.tx_count,
+      txCountKind: 'total',
+      firstSeen: complete && times.length > 0 ? toIso(Math.min(...times)) : null,
+      lastSeen: times.length > 0 ? toIso(Math.max(...times)) : null,
+      historyComplete: complete,
+      counterparties: tally.top()
+    };
+  }
+}
+
+// Etherscan-style API when a key is configured, otherwise bare JSON-RPC (balance and nonce only)
+class EthereumProvider {
+  constructor(options = {}) {
+    this.apiKey = options.apiKey || process.env.ETHERSCAN_API_KEY || null;
+    this.apiUrl = options.apiUrl || process.env.ETHERSCAN_URL || 'https://api.etherscan.io/v2/api';
+    this.chainId = options.chainId || process.env.ETHERSCAN_CHAIN_ID || 1;
+    this.rpcUrl = options.rpcUrl || process.env.ETH_RPC_URL || null;
+    this.name = this.apiKey ? 'Etherscan' : 'Ethereum JSON-RPC';
+    this.minInterval = options.minInterval ?? 250;
+    this.timeout = options.timeout || 15000;
+    this.nextSlot = 0;
+  }
+
+  supports(parsed) {
+    return parsed.chain === 'ethereum' && Boolean(this.apiKey || this.rpcUrl);
+  }
+
+  throttle() {
+    const now = Date.now();
+    const wait = Math.max(0, this.nextSlot - now);
+    this.nextSlot = Math.max(now, this.nextSlot) + this.minInterval;
+    return wait > 0 ? new Promise(resolve => setTimeout(resolve, wait)) : Promise.resolve();
+  }
+
+  async etherscan(params) {
+    await this.throttle();
+    const query = new URLSearchParams({ chainid: String(this.chainId), ...params, apikey: this.apiKey });
+    const response = await getJson(`${this.apiUrl}?${query}`, { timeout: this.timeout });
+    // "No transactions found" comes back as status 0 with an empty list
+    if (response.status === '0' && !Array.isArray(response.result)) {
+      throw new Error(response.result || response.message || 'Etherscan request failed');
+    }
+    return response.result;
+  }
+
+  async rpc(method, params) {
+    const response = await getJson(this.rpcUrl, {
+      body: { jsonrpc: '2.0', id: 1, method, params },
+      timeout: this.timeout
+    });
+    if (response.error) throw new Error(response.error.message || 'JSON-RPC error');
+    return response.result;
+  }
+
+  async addressInfo(parsed) {
+    const address = parsed.address.toLowerCase();
+
+    if (!this.apiKey) {
+      const [balance, nonce] = await Promise.all([
+        this.rpc('eth_getBalance', [address, 'latest']),
+        this.rpc('eth_getTransactionCount', [address, 'latest'])
+      ]);
+      return {
+        balance: amount(BigInt(balance), 'ethereum', parsed.symbol),
+        txCount: Number(BigInt(nonce)),
+        txCountKind: 'sent',
+        firstSeen: null,
+        lastSeen: null,
+        historyComplete: false,
+        counterparties: []
+      };
+    }
+
+    const balance = await this.etherscan({ module: 'account', action: 'balance', address, tag: 'latest' });
+    const nonce = await this.etherscan({ module: 'proxy', action: 'eth_getTransactionCount', address, tag: 'latest' });
+    const recent = await this.etherscan({ module: 'account', action: 'txlist', address, page: '1', offset: '100', sort: 'desc' });
+    const oldest = await this.etherscan({ module: 'account', action: 'txlist', address, page: '1', offset: '1', sort: 'asc' });
+
+    const tally = new CounterpartyTally(address);
+    for (const tx of recent) {
+      const time = toIso(parseInt(tx.timeStamp, 10));
+      if ((tx.from || '').toLowerCase() === address) tally.add((tx.to || tx.contractAddress || '').toLowerCase(), 'out', time);
+      else tally.add((tx.from || '').toLowerCase(), 'in', time);
+    }
+
+    return {
+      balance: amount(balance, 'ethereum', parsed.symbol),
+      txCount: Number(BigInt(nonce)),
+      txCountKind: 'sent',
+      firstSeen: oldest.length > 0 ? toIso(parseInt(oldest[0].timeStamp, 10)) : null,
+      lastSeen: recent.length > 0 ? toIso(parseInt(recent[0].timeStamp, 10)) : null,
+      historyComplete: recent.length < 100,
+      counterparties: tally.top()
+    };
+  }
+}
+
+// Bundled labels plus an optional local file; addresses compared in canonical form
+class AddressLabels {
+  constructor(options = {}) {
+    this.labels = new Map();
+    (options.entries || AddressLabels.read(BUNDLED_LABELS)).forEach(entry => this.add(entry));
+
+    const localFile = options.file || process.env.CRYPTO_LABELS_FILE;
+    if (localFile) AddressLabels.read(localFile).forEach(entry => this.add(entry));
+  }
+
+  static read(file) {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8')).labels || [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  static key(address) {
+    return /^0x/i.test(address) || /^(bc|tb|ltc|tltc)1/i.test(address) ? address.toLowerCase() : address;
+  }
+
+  add(entry) {
+    const key = AddressLabels.key(entry.address);
+    const list = this.labels.get(key) || [];
+    list.push({ category: entry.category, entity: entry.entity || null, source: entry.source || null });
+    this.labels.set(key, list);
+  }
+
+  get(address) {
+    return address ? this.labels.get(AddressLabels.key(address)) || [] : [];
+  }
+}
+
+const SELF_RISK = {
+  sanctioned: ['critical', 'Address is on a sanctions list'],
+  mixer: ['high', 'Address belongs to a mixing service'],
+  scam: ['high', 'Address is reported for fraud'],
+  hack: ['high', 'Address is linked to an exploit'],
+  darknet: ['high', 'Address belongs to a darknet market'],
+  gambling: ['medium', 'Address belongs to a gambling service'],
+  exchange: ['low', 'Address belongs to an exchange']
+};
+
+const COUNTERPARTY_RISK = {
+  sanctioned: ['critical', 'Transacted with a sanctioned address'],
+  mixer: ['high', 'Mixer usage'],
+  scam: ['high', 'Transacted with a reported scam address'],
+  hack: ['high', 'Transacted with an exploit-linked address'],
+  darknet: ['high', 'Darknet market exposure'],
+  gambling: ['medium', 'Gambling service exposure'],
+  exchange: ['low', 'Exchange connection']
+};
+
+const SEVERITY_ORDER = ['low', 'medium', 'high', 'critical'];
+
+function assessRisk(selfLabels, counterparties, activity) {
+  const factors = [];
+
+  for (const label of selfLabels) {
+    const rule = SELF_RISK[label.category];
+    if (rule) factors.push({ severity: rule[0], factor: rule[1], entity: label.entity });
+  }
+  for (const counterparty of counterparties) {
+    for (const label of counterparty.labels) {
+      const rule = COUNTERPARTY_RISK[label.category];
+      if (rule) factors.push({ severity: rule[0], factor: rule[1], entity: label.entity, address: counterparty.address });
+    }
+  }
+  if (activity && activity.txCount > HIGH_ACTIVITY_TXS) {
+    factors.push({ severity: 'low', factor: 'High activity', entity: null });
+  }
+
+  const level = factors.reduce((max, factor) => (
+    SEVERITY_ORDER.indexOf(factor.severity) > SEVERITY_ORDER.indexOf(max) ? factor.severity : max
+  ), 'low');
+  return { level, factors };
+}
+
+class BlockchainAnalyzer {
+  constructor(options = {}) {
+    this.providers = options.providers || [new EsploraProvider(options.esplora), new EthereumProvider(options.ethereum)];
+    this.labels = options.labels || new AddressLabels({ file: options.labelsFile });
+    this.cache = options.cache || defaultCache();
+  }
+
+  async analyze(input) {
+    const parsed = parseAddress(input);
+    if (!parsed.valid) return { address: input, status: 'invalid', error: parsed.error };
+
+    const selfLabels = this.labels.get(parsed.address);
+    const base = {
+      address: parsed.address,
+      chain: parsed.chain,
+      name: parsed.name,
+      symbol: parsed.symbol,
+      network: parsed.network,
+      type: parsed.type,
+      explorerUrl: parsed.explorerUrl,
+      labels: selfLabels
+    };
+
+    const provider = this.providers.find(candidate => candidate.supports(parsed));
+    if (!provider) {
+      return { ...base, provider: null, status: 'unsupported', risk: assessRisk(selfLabels, [], null) };
+    }
+
+    // Chain activity is cached (addresses never seen on chain as negative); labels are always applied fresh
+    try {
+      const { value: activity, cache } = await this.cache.lookup(`blockchain:${parsed.chain}`, parsed.address, () => provider.addressInfo(parsed), {
+        classify: info => (info.txCount > 0 ? 'positive' : 'negative')
+      });
+      const counterparties = activity.counterparties.map(entry => ({ ...entry, labels: this.labels.get(entry.address) }));
+      return {
+        ...base,
+        provider: provider.name,
+        status: 'ok',
+        ...activity,
+        counterparties,
+        risk: assessRisk(selfLabels, counterparties, activity),
+        cache
+      };
+    } catch (error) {
+      return { ...base, provider: provider.name, status: 'error', error: error.message, risk: assessRisk(selfLabels, [], null) };
+    }
+  }
+}
+
+module.exports = {
+  BlockchainAnalyzer,
+  EsploraProvider,
+  EthereumProvider,
+  AddressLabels,
+  assessRisk
+};
@@ -0,0 +1,524 @@
+// Offline breach corpus: imported CSV/JSONL datasets with hash-bucketed, sorted indexes per field
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+
+const INDEX_FIELDS = ['email', 'username', 'domain'];
+const FLUSH_EVERY = 5000;
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const READ_CHUNK = 4096;
+// Present while every bucket file is sorted by key; search scans buckets linearly without it
+const SORTED_MARKER = '.sorted';
+// Held by whichever import, removal or re-sort is writing the index
+const LOCK_FILE = '.lock';
+
+const COLUMN_ALIASES = {
+  email: ['email', 'e-mail', 'mail', 'email_address', 'emailaddress'],
+  username: ['username', 'user', 'user_name', 'login', 'handle', 'nick', 'nickname', 'screen_name'],
+  password: ['password', 'pass', 'passwd', 'pwd', 'plaintext', 'cleartext'],
+  passwordHash: ['password_hash', 'passwordhash', 'hash', 'hashed_password', 'pwd_hash', 'pass_hash'],
+  salt: ['salt', 'password_salt'],
+  name: ['name', 'full_name', 'fullname', 'display_name'],
+  ip: ['ip', 'ip_address', 'last_ip', 'registration_ip'],
+  phone: ['phone', 'phone_number', 'mobile', 'telephone']
+};
+
+const DATA_CLASSES = {
+  email: 'Email addresses',
+  username: 'Usernames',
+  password: 'Passwords',
+  passwordHash: 'Password hashes',
+  name: 'Names',
+  ip: 'IP addresses',
+  phone: 'Phone numbers'
+};
+
+const HASH_TYPES = [
+  [/^\$2[abxy]?\$\d{2}\$[./A-Za-z0-9]{53}$/, 'bcrypt'],
+  [/^\$argon2(?:id|i|d)\$/, 'argon2'],
+  [/^\$6\$/, 'sha512crypt'],
+  [/^\$5\$/, 'sha256crypt'],
+  [/^\$1\$/, 'md5crypt'],
+  [/^[a-f0-9]{32}$/, 'md5'],
+  [/^[a-f0-9]{40}$/, 'sha1'],
+  [/^[a-f0-9]{64}$/, 'sha256'],
+  [/^[a-f0-9]{128}$/, 'sha512']
+];
+
+function bucketOf(key) {
+  return crypto.createHash('sha1').update(key).digest('hex').slice(0, 2);
+}
+
+function indexKey(line) {
+  const tab = line.indexOf('\t');
+  return tab === -1 ? line : line.slice(0, tab);
+}
+
+function compareKeys(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// The line starting at position, without its newline; null at the end of the file or for a line still being appended
+async function readLine(handle, position, size) {
+  const chunks = [];
+  for (let at = position; at < size;) {
+    const buffer = Buffer.alloc(Math.min(READ_CHUNK, size - at));
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, at);
+    if (bytesRead === 0) break;
+    const newline = buffer.subarray(0, bytesRead).indexOf(0x0a);
+    if (newline !== -1) {
+      chunks.push(buffer.subarray(0, newline));
+      at += newline + 1;
+      return { line: Buffer.concat(chunks).toString('utf8'), next: at };
+    }
+    chunks.push(buffer.subarray(0, bytesRead));
+    at += bytesRead;
+  }
+  return null;
+}
+
+// Start of the first line beginning at or after position
+async function lineStart(handle, position, size) {
+  if (position === 0) return 0;
+  const skipped = await readLine(handle, position - 1, size);
+  return skipped ? skipped.next : size;
+}
+
+// Binary search over a bucket file sorted by key: position of the first line whose key is >= value
+async function lowerBound(handle, value, size) {
+  let low = 0;
+  let high = size;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    const start = await lineStart(handle, middle, size);
+    const entry = start < size ? await readLine(handle, start, size) : null;
+    if (!entry || indexKey(entry.line) >= value) {
+      high = middle;
+    } else {
+      low = start + 1;
+    }
+  }
+  return lineStart(handle, low, size);
+}
+
+function normalizeEmail(value) {
+  const email = value && value.trim().toLowerCase();
+  return email && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? email : null;
+}
+
+function normalizeUsername(value) {
+  const username = value && value.trim().toLowerCase();
+  return username && !/\s/.test(username) ? username : null;
+}
+
+function normalizeDomain(value) {
+  const domain = value && value.trim().toLowerCase().replace(/\.$/, '');
+  return domain && /^[a-z0-9.-]+\.[a-z0-9-]{2,}$/.test(domain) ? domain : null;
+}
+
+// Values that do not look like a known hash may be plaintext, so they are dropped
+function normalizeHash(value) {
+  if (!value) return null;
+  const hash = /^[a-f0-9]+$/i.test(value) ? value.toLowerCase() : value;
+  const match = HASH_TYPES.find(([pattern]) => pattern.test(hash));
+  return match ? { value: hash, type: match[1] } : null;
+}
+
+function pick(raw, field) {
+  for (const alias of COLUMN_ALIASES[field]) {
+    const value = raw[alias];
+    if (value !== undefined && value !== null && String(value).trim() !== '') return String(value).trim();
+  }
+  return null;
+}
+
+// Plaintext passwords only ever set a flag; they are never written to the store
+function normalizeRecord(raw) {
+  const email = normalizeEmail(pick(raw, 'email'));
+  const username = normalizeUsername(pick(raw, 'username'));
+  if (!email && !username) return null;
+
+  const record = {};
+  if (email) {
+    record.email = email;
+    record.domain = email.split('@')[1];
+  }
+  if (username) record.username = username;
+  if (pick(raw, 'password')) record.passwordExposed = true;
+
+  const hash = normalizeHash(pick(raw, 'passwordHash'));
+  if (hash) {
+    record.passwordHash = hash.value;
+    record.hashType = hash.type;
+    const salt = pick(raw, 'salt');
+    if (salt) record.salt = salt;
+  }
+
+  for (const field of ['name', 'ip', 'phone']) {
+    const value = pick(raw, field);
+    if (value) record[field] = value;
+  }
+
+  return record;
+}
+
+function dataClasses(record) {
+  const classes = [];
+  if (record.email) classes.push(DATA_CLASSES.email);
+  if (record.username) classes.push(DATA_CLASSES.username);
+  if (record.passwordExposed) classes.push(DATA_CLASSES.password);
+  if (record.passwordHash) classes.push(DATA_CLASSES.passwordHash);
+  for (const field of ['name', 'ip', 'phone']) {
+    if (record[field]) classes.push(DATA_CLASSES[field]);
+  }
+  return classes;
+}
+
+function parseCsvLine(line, delimiter) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char !== '"') field += char;
+      else if (line[i + 1] === '"') field += line[i++];
+      else quoted = false;
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field);
+  return fields;
+}
+
+function detectDelimiter(line) {
+  const counts = [',', ';', '\t', ':', '|'].map(delimiter => [delimiter, line.split(delimiter).length]);
+  return counts.sort((a, b) => b[1] - a[1])[0][0];
+}
+
+function datasetId(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+class BreachCorpus {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.BREACH_CORPUS_DIR || path.join(os.homedir(), '.infohub', 'breach-corpus');
+  }
+
+  get manifestPath() {
+    return path.join(this.dir, 'datasets.json');
+  }
+
+  get sortedMarker() {
+    return path.join(this.dir, 'index', SORTED_MARKER);
+  }
+
+  get lockPath() {
+    return path.join(this.dir, 'index', LOCK_FILE);
+  }
+
+  datasets() {
+    try {
+      return JSON.parse(fs.readFileSync(this.manifestPath, 'utf8'));
+    } catch (e) {
+      return [];
+    }
+  }
+
+  saveDatasets(datasets) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(this.manifestPath, JSON.stringify(datasets, null, 2));
+  }
+
+  get available() {
+    return this.datasets().length > 0;
+  }
+
+  // One writer at a time; a lock left behind by a crashed import has to be removed by hand
+  lockIndex() {
+    fs.mkdirSync(path.join(this.dir, 'index'), { recursive: true });
+    try {
+      fs.closeSync(fs.openSync(this.lockPath, 'wx'));
+    } catch (error) {
+      if (error.code === 'EEXIST') throw new Error(`Breach corpus is locked by another import (delete ${this.lockPath} if none is running)`);
+      throw error;
+    }
+    return () => fs.rmSync(this.lockPath, { force: true });
+  }
+
+  async import(file, options = {}) {
+    const unlock = this.lockIndex();
+    try {
+      return await this.importDataset(file, options);
+    } finally {
+      unlock();
+    }
+  }
+
+  // Streams the file once: normalized records go to records/<id>.jsonl, index lines to index/<field>/<bucket>
+  async importDataset(file, options) {
+    const id = options.name ? datasetId(options.name) : '';
+    if (!id) throw new Error('Dataset name is required');
+    if (options.date && !/^\d{4}(?:-\d{2}(?:-\d{2})?)?$/.test(options.date)) {
+      throw new Error('Breach date must be YYYY, YYYY-MM or YYYY-MM-DD');
+    }
+    if (this.datasets().some(dataset => dataset.id === id)) {
+      if (!options.replace) throw new Error(`Dataset "${id}" is already imported`);
+      this.removeDataset(id);
+    }
+
+    const format = options.format || (/\.(?:jsonl|ndjson)$/i.test(file) ? 'jsonl' : 'csv');
+    if (!['csv', 'jsonl'].includes(format)) throw new Error(`Unsupported format: ${format}`);
+
+    // Unmarked while lines are appended, so an import that dies half-way leaves the whole index to be re-sorted
+    const sortAll = !fs.existsSync(this.sortedMarker);
+    fs.rmSync(this.sortedMarker, { force: true });
+    for (const field of INDEX_FIELDS) fs.mkdirSync(path.join(this.dir, 'index', field), { recursive: true });
+    fs.mkdirSync(path.join(this.dir, 'records'), { recursive: true });
+
+    const fd = fs.openSync(path.join(this.dir, 'records', `${id}.jsonl`), 'w');
+    const pending = Object.fromEntries(INDEX_FIELDS.map(field => [field, new Map()]));
+    const touched = Object.fromEntries(INDEX_FIELDS.map(field => [field, new Set()]));
+    const exposed = new Set();
+    let columns = options.columns ? options.columns.map(column => column.trim().toLowerCase()) : null;
+    let delimiter = options.delimiter || null;
+    let offset = 0;
+    let imported = 0;
+    let skipped = 0;
+
+    const lines = readline.createInterface({ input: fs.createReadStream(file, 'utf8'), crlfDelay: Infinity });
+
+    try {
+      for await (const line of lines) {
+        if (!line.trim()) continue;
+
+        let raw;
+        if (format === 'jsonl') {
+          try {
+            raw = Object.fromEntries(Object.entries(JSON.parse(line)).map(([key, value]) => [key.toLowerCase(), value]));
+          } catch (e) {
+            skipped++;
+            continue;
+          }
+        } else {
+          delimiter = delimiter || detectDelimiter(line);
+          const cells = parseCsvLine(line, delimiter);
+          if (!columns) {
+            columns = cells.map(cell => cell.trim().toLowerCase());
+            continue;
+          }
+          raw = Object.fromEntries(columns.map((column, i) => [column, cells[i]]));
+        }
+
+        const record = normalizeRecord(raw);
+        if (!record) {
+          skipped++;
+          continue;
+        }
+
+        const json = `${JSON.stringify(record)}\n`;
+        const length = Buffer.byteLength(json);
+        fs.writeSync(fd, json);
+
+        for (const field of INDEX_FIELDS) {
+          if (!record[field]) continue;
+          const bucket = bucketOf(record[field]);
+          if (!pending[field].has(bucket)) pending[field].set(bucket, []);
+          pending[field].get(bucket).push(`${record[field]}\t${id}\t${offset}\t${length - 1}\n`);
+        }
+        dataClasses(record).forEach(name => exposed.add(name));
+
+        offset += length;
+        imported++;
+        if (imported % FLUSH_EVERY === 0) this.flushIndex(pending, touched);
+      }
+      this.flushIndex(pending, touched);
+      if (sortAll) {
+        this.sortIndex();
+      } else {
+        for (const field of INDEX_FIELDS) {
+          for (const bucket of touched[field]) this.sortBucket(path.join(this.dir, 'index', field, bucket));
+        }
+        fs.writeFileSync(this.sortedMarker, '');
+      }
+    } catch (error) {
+      fs.closeSync(fd);
+      this.removeDataset(id);
+      throw error;
+    }
+    fs.closeSync(fd);
+
+    const dataset = {
+      id,
+      name: options.name,
+      breachDate: options.date || null,
+      source: path.basename(file),
+      format,
+      records: imported,
+      skipped,
+      exposedFields: [...exposed],
+      importedAt: new Date().toISOString()
+    };
+    this.saveDatasets([...this.datasets(), dataset]);
+    return dataset;
+  }
+
+  flushIndex(pending, touched) {
+    for (const field of INDEX_FIELDS) {
+      for (const [bucket, lines] of pending[field]) {
+        fs.appendFileSync(path.join(this.dir, 'index', field, bucket), lines.join(''));
+        touched[field].add(bucket);
+      }
+      pending[field].clear();
+    }
+  }
+
+  // Orders a bucket file by key (entries for one key keep their import order) so search can binary-search it
+  sortBucket(file) {
+    const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+    lines.sort((a, b) => compareKeys(indexKey(a), indexKey(b)));
+    fs.writeFileSync(`${file}.tmp`, lines.map(line => `${line}\n`).join(''));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  // Sorts every bucket of a corpus indexed before buckets were kept sorted; run by the import script, never by search
+  upgradeIndex() {
+    if (fs.existsSync(this.sortedMarker)) return false;
+    const unlock = this.lockIndex();
+    try {
+      this.sortIndex();
+    } finally {
+      unlock();
+    }
+    return true;
+  }
+
+  sortIndex() {
+    for (const field of INDEX_FIELDS) {
+      const dir = path.join(this.dir, 'index', field);
+      if (!fs.existsSync(dir)) continue;
+      for (const bucket of fs.readdirSync(dir)) {
+        if (!bucket.endsWith('.tmp')) this.sortBucket(path.join(dir, bucket));
+      }
+    }
+    fs.writeFileSync(this.sortedMarker, '');
+  }
+
+  remove(id) {
+    const unlock = this.lockIndex();
+    try {
+      this.removeDataset(id);
+    } finally {
+      unlock();
+    }
+  }
+
+  removeDataset(id) {
+    for (const field of INDEX_FIELDS) {
+      const dir = path.join(this.dir, 'index', field);
+      if (!fs.existsSync(dir)) continue;
+      // Filtering keeps the remaining lines in sorted order; the rename keeps searches from seeing a half-written bucket
+      for (const bucket of fs.readdirSync(dir)) {
+        if (bucket.endsWith('.tmp')) continue;
+        const file = path.join(dir, bucket);
+        const kept = fs.readFileSync(file, 'utf8').split('\n').filter(line => line && line.split('\t')[1] !== id);
+        fs.writeFileSync(`${file}.tmp`, kept.map(line => `${line}\n`).join(''));
+        fs.renameSync(`${file}.tmp`, file);
+      }
+    }
+    fs.rmSync(path.join(this.dir, 'records', `${id}.jsonl`), { force: true });
+    this.saveDatasets(this.datasets().filter(dataset => dataset.id !== id));
+  }
+
+  // Exactly one of email, username or domain; matches list datasets and exposed fields, never passwords or hashes
+  async search(query, options = {}) {
+    const field = INDEX_FIELDS.find(name => query[name]);
+    if (!field) throw new Error('Query needs an email, username or domain');
+
+    const normalize = { email: normalizeEmail, username: normalizeUsername, domain: normalizeDomain }[field];
+    const value = normalize(String(query[field]));
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const datasets = new Map(this.datasets().map(dataset => [dataset.id, dataset]));
+
+    const result = {
+      query: { field, value },
+      available: datasets.size > 0,
+      total: 0,
+      truncated: false,
+      matches: []
+    };
+    if (!value || datasets.size === 0) return result;
+
+    // Without the marker an import is appending (or the index predates sorting), so the bucket is read in full
+    const sorted = fs.existsSync(this.sortedMarker);
+    const hits = [];
+    let total = 0;
+    let bucket;
+    try {
+      bucket = await fs.promises.open(path.join(this.dir, 'index', field, bucketOf(value)), 'r');
+    } catch (e) {
+      return result;
+    }
+
+    // A sorted bucket is only read for the run of lines holding this key
+    try {
+      const { size } = await bucket.stat();
+      for (let position = sorted ? await lowerBound(bucket, value, size) : 0; position < size;) {
+        const entry = await readLine(bucket, position, size);
+        if (!entry) break;
+        position = entry.next;
+        if (indexKey(entry.line) !== value) {
+          if (sorted) break;
+          continue;
+        }
+        const fields = entry.line.split('\t');
+        if (datasets.has(fields[1])) {
+          total++;
+          if (hits.length < limit) hits.push(fields);
+        }
+      }
+    } finally {
+      await bucket.close();
+    }
+
+    result.total = total;
+    result.truncated = total > limit;
+
+    const handles = new Map();
+    try {
+      for (const [, id, offset, length] of hits) {
+        if (!handles.has(id)) handles.set(id, await fs.promises.open(path.join(this.dir, 'records', `${id}.jsonl`), 'r'));
+        const buffer = Buffer.alloc(parseInt(length, 10));
+        await handles.get(id).read(buffer, 0, buffer.length, parseInt(offset, 10));
+        const record = JSON.parse(buffer.toString('utf8'));
+        const dataset = datasets.get(id);
+
+        result.matches.push({
+          dataset: dataset.name,
+          breachDate: dataset.breachDate,
+          email: record.email || null,
+          username: record.username || null,
+          exposedFields: dataClasses(record),
+          hashType: record.hashType || null
+        });
+      }
+    } finally {
+      await Promise.all([...handles.values()].map(handle => handle.close()));
+    }
+
+    return result;
+  }
+}
+
+module.exports = BreachCorpus;
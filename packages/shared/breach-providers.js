@@ -0,0 +1,167 @@
+// Breach intelligence behind one provider interface: lookup(email) -> { found, breaches }
+const https = require('https');
+const fs = require('fs');
+const { ResultCache, defaultCache } = require('./result-cache');
+
+const HIBP_BASE_URL = 'https://haveibeenpwned.com/api/v3';
+
+// HIBP breach model (PascalCase) -> the shape we hand to callers
+function normalizeBreach(breach) {
+  return {
+    name: breach.Name,
+    title: breach.Title || breach.Name,
+    domain: breach.Domain || null,
+    breachDate: breach.BreachDate || null,
+    addedDate: breach.AddedDate || null,
+    pwnCount: breach.PwnCount ?? null,
+    dataClasses: breach.DataClasses || [],
+    verified: breach.IsVerified !== false,
+    sensitive: Boolean(breach.IsSensitive),
+    fabricated: Boolean(breach.IsFabricated),
+    spamList: Boolean(breach.IsSpamList)
+  };
+}
+
+class HibpProvider {
+  constructor(options = {}) {
+    this.name = 'HaveIBeenPwned';
+    this.apiKey = options.apiKey || process.env.HIBP_API_KEY || null;
+    this.baseUrl = options.baseUrl || HIBP_BASE_URL;
+    this.userAgent = options.userAgent || 'InfoHub-OSINT';
+    // Pwned 1 keys allow 10 requests per minute
+    this.minInterval = options.minInterval ?? (parseInt(process.env.HIBP_MIN_INTERVAL_MS, 10) || 6000);
+    this.maxRetries = options.maxRetries ?? 2;
+    this.timeout = options.timeout || 10000;
+    this.nextSlot = 0;
+  }
+
+  get configured() {
+    return Boolean(this.apiKey);
+  }
+
+  async lookup(email) {
+    const url = `${this.baseUrl}/breachedaccount/${encodeURIComponent(email)}?truncateResponse=false`;
+
+    for (let attempt = 0; ; attempt++) {
+      await this.throttle();
+      const response = await this.request(url);
+
+      if (response.statusCode === 200) {
+        return { found: true, breaches: JSON.parse(response.body).map(normalizeBreach) };
+      }
+      if (response.statusCode === 404) {
+        return { found: false, breaches: [] };
+      }
+      if (response.statusCode === 429 && attempt < this.maxRetries) {
+        // Push every queued request back by the window the API asked for
+        const retryAfter = parseInt(response.headers['retry-after'], 10) || 2;
+        this.nextSlot = Math.max(this.nextSlot, Date.now() + retryAfter * 1000);
+        continue;
+      }
+
+      const reasons = {
+        401: 'Invalid HaveIBeenPwned API key',
+        403: 'Request blocked by HaveIBeenPwned',
+        429: 'HaveIBeenPwned rate limit exceeded'
+      };
+      throw new Error(reasons[response.statusCode] || `HaveIBeenPwned responded with ${response.statusCode}`);
+    }
+  }
+
+  // Spaces requests minInterval apart, in call order
+  throttle() {
+    const now = Date.now();
+    const wait = Math.max(0, this.nextSlot - now);
+    this.nextSlot = Math.max(now, this.nextSlot) + this.minInterval;
+    return wait > 0 ? new Promise(resolve => setTimeout(resolve, wait)) : Promise.resolve();
+  }
+
+  request(url) {
+    return new Promise((resolve, reject) => {
+      const req = https.get(url, {
+        headers: {
+          'hibp-api-key': this.apiKey,
+          'User-Agent': this.userAgent,
+          'Accept': 'application/json'
+        },
+        timeout: this.timeout
+      }, (res) => {
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => body += chunk);
+        res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body }));
+      });
+
+      req.on('error', reject);
+      req.on('timeout', () => {
+        req.destroy();
+        reject(new Error('Timeout'));
+      });
+    });
+  }
+}
+
+// Offline stand-in: { "email": [HIBP breach objects] } from memory or a JSON file
+class LocalBreachProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'Local breach fixtures';
+    const records = options.records || (options.file ? JSON.parse(fs.readFileSync(options.file, 'utf8')) : {});
+    this.records = new Map(Object.entries(records).map(([email, breaches]) => [email.toLowerCase(), breaches]));
+  }
+
+  get configured() {
+    return true;
+  }
+
+  async lookup(email) {
+    const breaches = this.records.get(email.toLowerCase()) || [];
+    return { found: breaches.length > 0, breaches: breaches.map(normalizeBreach) };
+  }
+}
+
+function createBreachProvider(options = {}) {
+  const kind = options.provider || process.env.BREACH_PROVIDER || 'hibp';
+  if (kind === 'local') {
+    return new LocalBreachProvider({ file: options.file || process.env.BREACH_LOCAL_FILE });
+  }
+  return new HibpProvider(options);
+}
+
+// Caches answers per provider and email (clean results as negative answers); failures are never cached
+class BreachChecker {
+  constructor(options = {}) {
+    this.provider = options.provider || createBreachProvider(options);
+    const ttl = options.ttl ?? (parseInt(process.env.BREACH_CACHE_TTL_MS, 10) || null);
+    this.cache = options.cache || (ttl ? new ResultCache({ ttls: { breach: { positive: ttl, negative: ttl } } }) : defaultCache());
+  }
+
+  async check(email) {
+    const key = email.trim().toLowerCase();
+    const base = { email, provider: this.provider.name };
+
+    if (!this.provider.configured) {
+      return { ...base, status: 'unavailable', found: null, breaches: [], error: 'Breach provider is not configured' };
+    }
+
+    try {
+      const { value, cache } = await this.cache.lookup(`breach:${this.provider.name}`, key, async () => {
+        const { found, breaches } = await this.provider.lookup(key);
+        return { status: 'ok', found, breaches, checkedAt: new Date().toISOString() };
+      }, {
+        classify: result => (result.found ? 'positive' : 'negative')
+      });
+
+      return { ...base, ...value, cached: cache.status === 'hit', cache };
+    } catch (error) {
+      return { ...base, status: 'error', found: null, breaches: [], error: error.message };
+    }
+  }
+}
+
+module.exports = {
+  BreachChecker,
+  HibpProvider,
+  LocalBreachProvider,
+  createBreachProvider,
+  normalizeBreach
+};
@@ -0,0 +1,292 @@
+// Cryptocurrency address parsing with checksum validation (Base58Check, bech32/bech32m, EIP-55)
+const crypto = require('crypto');
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_CONST = 1;
+const BECH32M_CONST = 0x2bc830a3;
+
+const CHAINS = {
+  bitcoin: { name: 'Bitcoin', symbol: 'BTC' },
+  litecoin: { name: 'Litecoin', symbol: 'LTC' },
+  dogecoin: { name: 'Dogecoin', symbol: 'DOGE' },
+  ethereum: { name: 'Ethereum', symbol: 'ETH' },
+  tron: { name: 'Tron', symbol: 'TRX' },
+  solana: { name: 'Solana', symbol: 'SOL' }
+};
+
+// Version byte of a 25-byte Base58Check address -> chain, network and script type
+const BASE58_VERSIONS = {
+  0x00: { chain: 'bitcoin', network: 'mainnet', type: 'P2PKH' },
+  0x05: { chain: 'bitcoin', network: 'mainnet', type: 'P2SH' },
+  0x6f: { chain: 'bitcoin', network: 'testnet', type: 'P2PKH' },
+  0xc4: { chain: 'bitcoin', network: 'testnet', type: 'P2SH' },
+  0x30: { chain: 'litecoin', network: 'mainnet', type: 'P2PKH' },
+  0x32: { chain: 'litecoin', network: 'mainnet', type: 'P2SH' },
+  0x3a: { chain: 'litecoin', network: 'testnet', type: 'P2SH' },
+  0x1e: { chain: 'dogecoin', network: 'mainnet', type: 'P2PKH' },
+  0x16: { chain: 'dogecoin', network: 'mainnet', type: 'P2SH' },
+  0x71: { chain: 'dogecoin', network: 'testnet', type: 'P2PKH' },
+  0x41: { chain: 'tron', network: 'mainnet', type: 'account' }
+};
+
+const SEGWIT_HRPS = {
+  bc: { chain: 'bitcoin', network: 'mainnet' },
+  tb: { chain: 'bitcoin', network: 'testnet' },
+  bcrt: { chain: 'bitcoin', network: 'regtest' },
+  ltc: { chain: 'litecoin', network: 'mainnet' },
+  tltc: { chain: 'litecoin', network: 'testnet' }
+};
+
+const EXPLORERS = {
+  bitcoin: { mainnet: 'https://mempool.space/address/{address}', testnet: 'https://mempool.space/testnet/address/{address}' },
+  litecoin: { mainnet: 'https://litecoinspace.org/address/{address}', testnet: 'https://litecoinspace.org/testnet/address/{address}' },
+  dogecoin: { mainnet: 'https://blockchair.com/dogecoin/address/{address}' },
+  ethereum: { mainnet: 'https://etherscan.io/address/{address}' },
+  tron: { mainnet: 'https://tronscan.org/#/address/{address}' },
+  solana: { mainnet: 'https://explorer.solana.com/address/{address}' }
+};
+
+function base58Decode(text) {
+  let value = 0n;
+  for (const char of text) {
+    const digit = BASE58_ALPHABET.indexOf(char);
+    if (digit < 0) return null;
+    value = value * 58n + BigInt(digit);
+  }
+
+  const hex = value > 0n ? value.toString(16) : '';
+  const body = Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex');
+  const zeros = text.match(/^1*/)[0].length;
+  return Buffer.concat([Buffer.alloc(zeros), body]);
+}
+
+function sha256d(buffer) {
+  return crypto.createHash('sha256').update(crypto.createHash('sha256').update(buffer).digest()).digest();
+}
+
+function bech32Polymod(values) {
+  const generators = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+  let checksum = 1;
+  for (const value of values) {
+    const top = checksum >>> 25;
+    checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+    generators.forEach((generator, i) => {
+      if ((top >>> i) & 1) checksum ^= generator;
+    });
+  }
+  return checksum >>> 0;
+}
+
+function bech32Decode(text) {
+  if (text.length > 90 || (text !== text.toLowerCase() && text !== text.toUpperCase())) return null;
+  const lower = text.toLowerCase();
+  const separator = lower.lastIndexOf('1');
+  if (separator < 1 || separator + 7 > lower.length) return null;
+
+  const hrp = lower.slice(0, separator);
+  const data = [...lower.slice(separator + 1)].map(char => BECH32_CHARSET.indexOf(char));
+  if (data.includes(-1)) return null;
+
+  const expanded = [...hrp].map(char => char.charCodeAt(0) >> 5)
+    .concat(0, [...hrp].map(char => char.charCodeAt(0) & 31));
+  const constant = bech32Polymod([...expanded, ...data]);
+  const encoding = constant === BECH32_CONST ? 'bech32' : constant === BECH32M_CONST ? 'bech32m' : null;
+
+  return { hrp, data: data.slice(0, -6), encoding };
+}
+
+function convertBits(data, from, to) {
+  let accumulator = 0;
+  let bits = 0;
+  const result = [];
+  for (const value of data) {
+    accumulator = (accumulator << from) | value;
+    bits += from;
+    while (bits >= to) {
+      bits -= to;
+      result.push((accumulator >> bits) & ((1 << to) - 1));
+    }
+  }
+  // No padding allowed when going back to bytes
+  if (bits >= from || ((accumulator << (to - bits)) & ((1 << to) - 1))) return null;
+  return result;
+}
+
+const KECCAK_ROUNDS = [
+  0x0000000000000001n, 0x0000000000008082n, 0x800000000000808an, 0x8000000080008000n,
+  0x000000000000808bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+  0x000000000000008an, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000an,
+  0x000000008000808bn, 0x800000000000008bn, 0x8000000000008089n, 0x8000000000008003n,
+  0x8000000000008002n, 0x8000000000000080n, 0x000000000000800an, 0x800000008000000an,
+  0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n
+];
+const KECCAK_ROTATIONS = [
+  [0, 36, 3, 41, 18],
+  [1, 44, 10, 45, 2],
+  [62, 6, 43, 15, 61],
+  [28, 55, 25, 21, 56],
+  [27, 20, 39, 8, 14]
+];
+const MASK64 = (1n << 64n) - 1n;
+
+function rotl64(value, shift) {
+  if (shift === 0) return value;
+  return ((value << BigInt(shift)) | (value >> BigInt(64 - shift))) & MASK64;
+}
+
+function keccakF(state) {
+  for (const roundConstant of KECCAK_ROUNDS) {
+    const c = [0, 1, 2, 3, 4].map(x => state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20]);
+    for (let x = 0; x < 5; x++) {
+      const d = c[(x + 4) % 5] ^ rotl64(c[(x + 1) % 5], 1);
+      for (let y = 0; y < 25; y += 5) state[x + y] ^= d;
+    }
+
+    const b = new Array(25);
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 5; y++) {
+        b[y + 5 * ((2 * x + 3 * y) % 5)] = rotl64(state[x + 5 * y], KECCAK_ROTATIONS[x][y]);
+      }
+    }
+
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 25; y += 5) {
+        state[x + y] = b[x + y] ^ (~b[(x + 1) % 5 + y] & MASK64 & b[(x + 2) % 5 + y]);
+      }
+    }
+    state[0] ^= roundConstant;
+  }
+}
+
+// Original Keccak padding (0x01), which Ethereum uses instead of SHA3-256 (0x06)
+function keccak256(input) {
+  const rate = 136;
+  const padded = Buffer.alloc((Math.floor(input.length / rate) + 1) * rate);
+  input.copy(padded);
+  padded[input.length] ^= 0x01;
+  padded[padded.length - 1] ^= 0x80;
+
+  const state = new Array(25).fill(0n);
+  for (let offset = 0; offset < padded.length; offset += rate) {
+    for (let i = 0; i < rate / 8; i++) state[i] ^= padded.readBigUInt64LE(offset + i * 8);
+    keccakF(state);
+  }
+
+  const output = Buffer.alloc(32);
+  for (let i = 0; i < 4; i++) output.writeBigUInt64LE(state[i], i * 8);
+  return output;
+}
+
+function toChecksumAddress(address) {
+  const lower = address.slice(2).toLowerCase();
+  const hash = keccak256(Buffer.from(lower, 'ascii')).toString('hex');
+  return `0x${[...lower].map((char, i) => (parseInt(hash[i], 16) >= 8 ? char.toUpperCase() : char)).join('')}`;
+}
+
+function explorerUrl(chain, network, address) {
+  const template = EXPLORERS[chain] && EXPLORERS[chain][network];
+  return template ? template.replace('{address}', address) : null;
+}
+
+function describe(fields) {
+  const chain = CHAINS[fields.chain];
+  return {
+    valid: true,
+    chain: fields.chain,
+    name: chain.name,
+    symbol: chain.symbol,
+    network: fields.network,
+    type: fields.type,
+    encoding: fields.encoding,
+    checksum: fields.checksum,
+    address: fields.address,
+    explorerUrl: explorerUrl(fields.chain, fields.network, fields.address)
+  };
+}
+
+function invalid(input, error, chain = null) {
+  return { valid: false, input, chain, error };
+}
+
+function parseSegwit(input) {
+  const decoded = bech32Decode(input);
+  if (!decoded || !SEGWIT_HRPS[decoded.hrp]) return null;
+
+  const { chain, network } = SEGWIT_HRPS[decoded.hrp];
+  if (!decoded.encoding) return invalid(input, 'Invalid bech32 checksum', chain);
+
+  const version = decoded.data[0];
+  const program = convertBits(decoded.data.slice(1), 5, 8);
+  if (version > 16 || !program || program.length < 2 || program.length > 40) {
+    return invalid(input, 'Invalid witness program', chain);
+  }
+  // BIP-350: v0 keeps bech32, every later version uses bech32m
+  if ((version === 0) !== (decoded.encoding === 'bech32')) {
+    return invalid(input, `Witness v${version} must use ${version === 0 ? 'bech32' : 'bech32m'}`, chain);
+  }
+
+  let type = `witness v${version}`;
+  if (version === 0 && program.length === 20) type = 'P2WPKH';
+  else if (version === 0 && program.length === 32) type = 'P2WSH';
+  else if (version === 0) return invalid(input, 'Witness v0 program must be 20 or 32 bytes', chain);
+  else if (version === 1 && program.length === 32) type = 'P2TR';
+
+  return describe({ chain, network, type, encoding: decoded.encoding, checksum: 'valid', address: input.toLowerCase() });
+}
+
+function parseEthereum(input) {
+  if (!/^0x[0-9a-fA-F]{40}$/.test(input)) return null;
+
+  const checksummed = toChecksumAddress(input);
+  const hex = input.slice(2);
+  const mixedCase = hex !== hex.toLowerCase() && hex !== hex.toUpperCase();
+  if (mixedCase && checksummed !== input) return invalid(input, 'Invalid EIP-55 checksum', 'ethereum');
+
+  return describe({
+    chain: 'ethereum',
+    network: 'mainnet',
+    type: 'account',
+    encoding: 'hex',
+    checksum: mixedCase ? 'valid' : 'none',
+    address: checksummed
+  });
+}
+
+function parseBase58(input) {
+  if (!/^[1-9A-HJ-NP-Za-km-z]{25,44}$/.test(input)) return null;
+  const bytes = base58Decode(input);
+
+  if (bytes.length === 25) {
+    const version = BASE58_VERSIONS[bytes[0]];
+    if (!version) return null;
+    const expected = sha256d(bytes.subarray(0, 21)).subarray(0, 4);
+    if (!expected.equals(bytes.subarray(21))) return invalid(input, 'Invalid Base58Check checksum', version.chain);
+    return describe({ ...version, encoding: 'base58check', checksum: 'valid', address: input });
+  }
+
+  // Solana addresses are bare ed25519 public keys with no checksum
+  if (bytes.length === 32 && input.length >= 32) {
+    return describe({ chain: 'solana', network: 'mainnet', type: 'account', encoding: 'base58', checksum: 'n/a', address: input });
+  }
+
+  return null;
+}
+
+// Returns { valid: true, chain, network, type, ... } or { valid: false, chain: guess|null, error }
+function parseAddress(input) {
+  const address = String(input || '').trim();
+  if (!address) return invalid(address, 'Empty address');
+
+  return parseEthereum(address)
+    || parseSegwit(address)
+    || parseBase58(address)
+    || invalid(address, 'Unrecognized address format');
+}
+
+module.exports = {
+  parseAddress,
+  toChecksumAddress,
+  keccak256,
+  CHAINS
+};
@@ -0,0 +1,209 @@
+// Parallel DNS record collection with an explicit outcome for every query
+const net = require('net');
+const { Resolver } = require('dns').promises;
+const TaskRunner = require('./task-runner');
+const { defaultCache } = require('./result-cache');
+
+const RECORD_TYPES = ['A', 'AAAA', 'CNAME', 'MX', 'TXT', 'NS', 'SOA', 'CAA', 'NAPTR'];
+
+const SRV_SERVICES = [
+  '_sip._tcp', '_sip._udp', '_sips._tcp',
+  '_xmpp-client._tcp', '_xmpp-server._tcp',
+  '_ldap._tcp', '_kerberos._tcp', '_kerberos._udp',
+  '_autodiscover._tcp', '_submission._tcp', '_imaps._tcp', '_pop3s._tcp',
+  '_caldavs._tcp', '_carddavs._tcp', '_matrix._tcp'
+];
+
+const ERROR_STATUS = {
+  ENODATA: 'nodata',
+  ENOTFOUND: 'nxdomain',
+  ETIMEOUT: 'timeout',
+  ESERVFAIL: 'servfail',
+  EREFUSED: 'refused'
+};
+
+// Answers that mean "no such record" rather than "could not ask"; cached as negative results
+const NEGATIVE_CODES = ['ENOTFOUND', 'ENODATA'];
+
+/**
+ * Resolver with the same promise API, answering from the result cache.
+ * A and AAAA answers are kept for their record TTL (the lowest in the set); other types,
+ * whose TTL Node does not expose, use the dns source TTL.
+ */
+class CachingResolver {
+  constructor(resolver, options = {}) {
+    this.resolver = resolver;
+    this.cache = options.cache || defaultCache();
+  }
+
+  setServers(servers) {
+    this.resolver.setServers(servers);
+  }
+
+  getServers() {
+    return this.resolver.getServers();
+  }
+
+  async cached(type, name, fetch) {
+    const { value } = await this.cache.lookup('dns', `${type}:${name.toLowerCase()}`, () => fetch().catch(error => {
+      if (NEGATIVE_CODES.includes(error.code)) return { error: error.code };
+      throw error;
+    }), {
+      classify: answer => {
+        if (answer.error) return 'negative';
+        const ttls = Array.isArray(answer) ? answer.map(record => record.ttl).filter(Number.isInteger) : [];
+        return ttls.length > 0 ? Math.max(Math.min(...ttls), 1) * 1000 : 'positive';
+      }
+    });
+
+    if (value.error) {
+      throw Object.assign(new Error(`query${type} ${value.error} ${name}`), { code: value.error, hostname: name });
+    }
+    return value;
+  }
+
+  async resolve4(name, options = {}) {
+    const records = await this.cached('A', name, () => this.resolver.resolve4(name, { ttl: true }));
+    return options.ttl ? records : records.map(record => record.address);
+  }
+
+  async resolve6(name, options = {}) {
+    const records = await this.cached('AAAA', name, () => this.resolver.resolve6(name, { ttl: true }));
+    return options.ttl ? records : records.map(record => record.address);
+  }
+
+  resolve(name, type = 'A') {
+    if (type === 'A') return this.resolve4(name);
+    if (type === 'AAAA') return this.resolve6(name);
+    return this.cached(type, name, () => this.resolver.resolve(name, type));
+  }
+
+  resolveMx(name) {
+    return this.resolve(name, 'MX');
+  }
+
+  resolveTxt(name) {
+    return this.resolve(name, 'TXT');
+  }
+
+  resolveCname(name) {
+    return this.resolve(name, 'CNAME');
+  }
+
+  resolveNs(name) {
+    return this.resolve(name, 'NS');
+  }
+
+  reverse(ip) {
+    return this.cached('PTR', ip, () => this.resolver.reverse(ip));
+  }
+}
+
+// Queries go straight to DNS servers rather than the OS resolver (no hosts file, no search domains)
+function createResolver(options = {}) {
+  const resolver = new Resolver({ timeout: options.timeout || 3000, tries: options.tries || 2 });
+  const servers = options.servers || (process.env.DNS_SERVERS ? process.env.DNS_SERVERS.split(',') : null);
+  if (servers) {
+    resolver.setServers(servers.map(server => server.trim()).filter(Boolean));
+  }
+  return new CachingResolver(resolver, { cache: options.cache });
+}
+
+function outcomeStatus(outcome) {
+  if (outcome.status === 'timeout') return { status: 'timeout', error: outcome.error.message };
+  if (outcome.status === 'rejected') {
+    const code = outcome.error.code;
+    return { status: ERROR_STATUS[code] || 'error', error: code || outcome.error.message };
+  }
+
+  const records = outcome.value;
+  const count = Array.isArray(records) ? records.length : records ? 1 : 0;
+  return count > 0 ? { status: 'ok', count } : { status: 'nodata', count: 0 };
+}
+
+class DnsRecordCollector {
+  constructor(options = {}) {
+    this.runner = options.runner || new TaskRunner();
+    this.resolver = options.resolver || createResolver();
+    this.cache = options.cache || defaultCache();
+  }
+
+  query(name, type) {
+    switch (type) {
+      case 'A': return this.resolver.resolve4(name, { ttl: true });
+      case 'AAAA': return this.resolver.resolve6(name, { ttl: true });
+      case 'PTR': return this.resolver.reverse(name);
+      default: return this.resolver.resolve(name, type);
+    }
+  }
+
+  // { records, status, cache }, where cache summarizes how old the cached answers are
+  async collect(target, options = {}) {
+    const { value, cache } = await this.cache.track(() => this.collectRecords(target, options));
+    return { ...value, cache };
+  }
+
+  // Every type is queried side by side; one failure never hides another type's answer
+  async collectRecords(target, options = {}) {
+    const records = {};
+    const status = {};
+
+    if (net.isIP(target)) {
+      await this.collectPtr([target], records, status, options);
+      return { records, status };
+    }
+
+    const queries = [
+      ...RECORD_TYPES.map(type => ({ key: type, name: target, type })),
+      ...SRV_SERVICES.map(service => ({ key: `SRV ${service}`, name: `${service}.${target}`, type: 'SRV', service }))
+    ];
+
+    const outcomes = await this.runner.run(queries.map(query => ({
+      host: 'dns',
+      run: () => this.query(query.name, query.type)
+    })), { stats: options.stats, signal: options.signal });
+
+    queries.forEach((query, i) => {
+      const outcome = outcomes[i];
+      status[query.key] = outcomeStatus(outcome);
+      if (status[query.key].status !== 'ok') return;
+
+      if (query.type === 'SRV') {
+        records.SRV = records.SRV || {};
+        records.SRV[query.service] = outcome.value;
+      } else {
+        records[query.type] = outcome.value;
+      }
+    });
+
+    const addresses = [...(records.A || []), ...(records.AAAA || [])].map(entry => entry.address);
+    if (addresses.length > 0) {
+      await this.collectPtr(addresses, records, status, options);
+    }
+
+    return { records, status };
+  }
+
+  async collectPtr(addresses, records, status, options) {
+    const outcomes = await this.runner.run(addresses.map(address => ({
+      host: 'dns',
+      run: () => this.query(address, 'PTR')
+    })), { stats: options.stats, signal: options.signal });
+
+    addresses.forEach((address, i) => {
+      status[`PTR ${address}`] = outcomeStatus(outcomes[i]);
+      if (status[`PTR ${address}`].status === 'ok') {
+        records.PTR = records.PTR || {};
+        records.PTR[address] = outcomes[i].value;
+      }
+    });
+  }
+}
+
+module.exports = {
+  DnsRecordCollector,
+  CachingResolver,
+  createResolver,
+  RECORD_TYPES,
+  SRV_SERVICES
+};
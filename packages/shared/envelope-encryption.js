@@ -0,0 +1,162 @@
+// Envelope encryption for data at rest: every record gets its own AES-256-GCM data key, and that key
+// is stored next to the ciphertext wrapped (AES-256-GCM again) by a master key named by its key id
+const crypto = require('crypto');
+const fs = require('fs');
+
+const VERSION = 1;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+class DecryptionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DecryptionError';
+  }
+}
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv, { authTagLength: TAG_BYTES });
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), ciphertext };
+}
+
+function open(key, { iv, tag, ciphertext }, aad) {
+  // Pinned, or a truncated tag would be accepted and authenticate with fewer bits
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv, { authTagLength: TAG_BYTES });
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+function decodeKey(id, encoded) {
+  const key = /^[0-9a-f]{64}$/i.test(encoded) ? Buffer.from(encoded, 'hex') : Buffer.from(encoded, 'base64');
+  if (key.length !== 32) throw new Error(`Master key ${id} must be 32 bytes (base64 or hex)`);
+  return key;
+}
+
+/**
+ * Master keys by id; the current one wraps new data keys, the others only unwrap.
+ * DATA_ENCRYPTION_KEYS=id:key,id:key (keys as base64 or hex) with DATA_ENCRYPTION_KEY_ID naming the
+ * current one (default: the last listed), or DATA_ENCRYPTION_KEY_FILE pointing at
+ * { "current": "id", "keys": { "id": "key" } } so the keys can come from a mounted secret.
+ */
+class KeyRing {
+  constructor({ keys, currentId }) {
+    this.keys = new Map(Object.entries(keys).map(([id, key]) => [id, Buffer.isBuffer(key) ? key : decodeKey(id, key)]));
+    this.currentId = currentId;
+    if (!/^[A-Za-z0-9_.-]{1,64}$/.test(currentId) || !this.keys.has(currentId)) {
+      throw new Error(`Current master key ${currentId} is not in the key ring`);
+    }
+  }
+
+  static fromEnv(env = process.env) {
+    if (env.DATA_ENCRYPTION_KEY_FILE) {
+      const { current, keys } = JSON.parse(fs.readFileSync(env.DATA_ENCRYPTION_KEY_FILE, 'utf8'));
+      return new KeyRing({ keys, currentId: env.DATA_ENCRYPTION_KEY_ID || current });
+    }
+    if (env.DATA_ENCRYPTION_KEYS) {
+      const entries = env.DATA_ENCRYPTION_KEYS.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const index = entry.indexOf(':');
+        if (index === -1) throw new Error('DATA_ENCRYPTION_KEYS entries must look like id:key');
+        return [entry.slice(0, index), entry.slice(index + 1)];
+      });
+      return new KeyRing({ keys: Object.fromEntries(entries), currentId: env.DATA_ENCRYPTION_KEY_ID || entries[entries.length - 1][0] });
+    }
+    return null;
+  }
+
+  get(id) {
+    const key = this.keys.get(id);
+    if (!key) throw new DecryptionError(`Master key ${id} is not configured`);
+    return key;
+  }
+}
+
+/**
+ * Envelopes are plain JSON objects so they fit the JSONB columns the data lived in:
+ * { enc: 1, kid, dk, iv, tag, ct }, with dk the wrapped data key (iv + tag + key) and all binary as base64.
+ * aad ties a ciphertext to its record (e.g. 'finding:<id>'), so it cannot be moved to another one.
+ */
+class EnvelopeEncryption {
+  constructor(options = {}) {
+    this.keyRing = options.keyRing;
+  }
+
+  get currentKeyId() {
+    return this.keyRing.currentId;
+  }
+
+  static isEnvelope(value) {
+    return Boolean(value) && typeof value === 'object' && value.enc === VERSION && typeof value.ct === 'string';
+  }
+
+  wrapKey(dataKey, kid) {
+    const { iv, tag, ciphertext } = seal(this.keyRing.get(kid), dataKey, `key:${kid}`);
+    return Buffer.concat([iv, tag, ciphertext]).toString('base64');
+  }
+
+  unwrapKey(envelope) {
+    const wrapped = Buffer.from(envelope.dk, 'base64');
+    try {
+      return open(this.keyRing.get(envelope.kid), {
+        iv: wrapped.subarray(0, IV_BYTES),
+        tag: wrapped.subarray(IV_BYTES, IV_BYTES + TAG_BYTES),
+        ciphertext: wrapped.subarray(IV_BYTES + TAG_BYTES)
+      }, `key:${envelope.kid}`);
+    } catch (error) {
+      if (error instanceof DecryptionError) throw error;
+      throw new DecryptionError(`Data key does not unwrap with master key ${envelope.kid}`);
+    }
+  }
+
+  // Any JSON-serializable value
+  encrypt(value, aad) {
+    const dataKey = crypto.randomBytes(32);
+    const kid = this.currentKeyId;
+    const { iv, tag, ciphertext } = seal(dataKey, Buffer.from(JSON.stringify(value)), aad);
+    return {
+      enc: VERSION,
+      kid,
+      dk: this.wrapKey(dataKey, kid),
+      iv: iv.toString('base64'),
+      tag: tag.toString('base64'),
+      ct: ciphertext.toString('base64')
+    };
+  }
+
+  decrypt(envelope, aad) {
+    if (!EnvelopeEncryption.isEnvelope(envelope)) throw new DecryptionError('Not an encrypted envelope');
+    const dataKey = this.unwrapKey(envelope);
+    try {
+      const plaintext = open(dataKey, {
+        iv: Buffer.from(envelope.iv, 'base64'),
+        tag: Buffer.from(envelope.tag, 'base64'),
+        ciphertext: Buffer.from(envelope.ct, 'base64')
+      }, aad);
+      return JSON.parse(plaintext.toString('utf8'));
+    } catch (error) {
+      throw new DecryptionError('Ciphertext failed authentication (tampered, or stored under another record)');
+    }
+  }
+
+  // Rotation only rewraps the data key under the current master key; the record's ciphertext is kept
+  rewrap(envelope) {
+    if (envelope.kid === this.currentKeyId) return envelope;
+    return { ...envelope, kid: this.currentKeyId, dk: this.wrapKey(this.unwrapKey(envelope), this.currentKeyId) };
+  }
+}
+
+// Null when no master key is configured, in which case data is stored as before, in the clear
+function createEncryption(env = process.env) {
+  const keyRing = KeyRing.fromEnv(env);
+  return keyRing ? new EnvelopeEncryption({ keyRing }) : null;
+}
+
+module.exports = {
+  EnvelopeEncryption,
+  KeyRing,
+  DecryptionError,
+  createEncryption
+};
@@ -0,0 +1,103 @@
+// Normalized finding model produced by every search path (engine, web server, bot)
+const crypto = require('crypto');
+
+const ENTITY_TYPES = [
+  'username', 'profile', 'email', 'domain', 'ip', 'phone', 'crypto_address',
+  'breach', 'registration', 'mail_security', 'dns', 'subdomain', 'port'
+];
+
+// found: the entity or exposure exists | not_found: checked, absent | clear: checked, nothing adverse
+// info: context without a verdict | error: the check itself failed
+const STATUSES = ['found', 'not_found', 'clear', 'info', 'error'];
+
+const SEVERITIES = ['none', 'low', 'medium', 'high', 'critical'];
+
+// Stable across runs so the same observation from the same source dedups
+function findingId(entityType, source, value) {
+  return crypto.createHash('sha1')
+    .update(`${entityType}\u0000${source}\u0000${value === null ? '' : value}`)
+    .digest('hex')
+    .slice(0, 16);
+}
+
+function normalizeError(error) {
+  if (!error) return null;
+  if (typeof error === 'string') return { message: error, code: null };
+  return { message: error.message || String(error), code: error.code || null };
+}
+
+function clampConfidence(value) {
+  if (value === null || value === undefined || Number.isNaN(Number(value))) return null;
+  return Math.min(1, Math.max(0, Number(value)));
+}
+
+// cache is the result-cache metadata of the lookups behind the finding ({ status, cachedAt, age, ... }),
+// null when it was not built from a cached source; a cache hit dates the finding to when it was fetched
+function createFinding(fields) {
+  const { entityType, source, status } = fields;
+
+  if (!ENTITY_TYPES.includes(entityType)) {
+    throw new Error(`Unknown finding entity type: ${entityType}`);
+  }
+  if (!STATUSES.includes(status)) {
+    throw new Error(`Unknown finding status: ${status}`);
+  }
+  if (!source) {
+    throw new Error('Finding source is required');
+  }
+
+  const severity = fields.severity || 'none';
+  if (!SEVERITIES.includes(severity)) {
+    throw new Error(`Unknown finding severity: ${severity}`);
+  }
+
+  const value = fields.value === null || fields.value === undefined ? null : String(fields.value);
+
+  return {
+    id: findingId(entityType, source, value),
+    entityType,
+    value,
+    source,
+    label: fields.label || source,
+    status,
+    severity,
+    confidence: clampConfidence(fields.confidence),
+    summary: fields.summary || null,
+    attributes: fields.attributes || {},
+    evidence: (fields.evidence || []).filter(Boolean),
+    observedAt: fields.observedAt || (fields.cache?.status === 'hit' ? fields.cache.cachedAt : null) || new Date().toISOString(),
+    firstSeen: fields.firstSeen || null,
+    lastSeen: fields.lastSeen || null,
+    error: normalizeError(fields.error),
+    cache: fields.cache || null
+  };
+}
+
+function errorFinding(fields) {
+  return createFinding({
+    ...fields,
+    status: 'error',
+    error: fields.error || 'Check failed'
+  });
+}
+
+// Evidence references point at where the observation can be re-checked
+function evidence(type, ref, note) {
+  if (!ref) return null;
+  return note ? { type, ref, note } : { type, ref };
+}
+
+function isFinding(value) {
+  return Boolean(value) && typeof value.id === 'string' && ENTITY_TYPES.includes(value.entityType) && STATUSES.includes(value.status);
+}
+
+module.exports = {
+  createFinding,
+  errorFinding,
+  evidence,
+  isFinding,
+  findingId,
+  ENTITY_TYPES,
+  STATUSES,
+  SEVERITIES
+};
@@ -0,0 +1,455 @@
+// Background job queue: pluggable storage (in-memory for dev, SQL for production),
+// workers with retries and backoff, progress reporting and cancellation
+const crypto = require('crypto');
+const os = require('os');
+const { EnvelopeEncryption, DecryptionError, createEncryption } = require('./envelope-encryption');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const FINISHED = ['completed', 'failed', 'cancelled'];
+
+class JobCancelledError extends Error {
+  constructor() {
+    super('Job cancelled');
+    this.name = 'JobCancelledError';
+  }
+}
+
+function now() {
+  return new Date().toISOString();
+}
+
+// Single-process store; jobs vanish on restart
+class MemoryJobBackend {
+  constructor(options = {}) {
+    this.jobs = new Map();
+    this.retentionMs = options.retentionMs || 24 * 60 * 60 * 1000;
+  }
+
+  async insert(job) {
+    this.prune();
+    this.jobs.set(job.id, { ...job });
+    return { ...job };
+  }
+
+  async get(id) {
+    const job = this.jobs.get(id);
+    return job ? { ...job } : null;
+  }
+
+  async findActive(type) {
+    const job = [...this.jobs.values()].find(candidate => candidate.type === type && !FINISHED.includes(candidate.status));
+    return job ? { ...job } : null;
+  }
+
+  // Oldest runnable job first; a running job whose lease expired belongs to a dead worker
+  async claim(workerId, { types, leaseMs }) {
+    const at = now();
+    const candidates = [...this.jobs.values()]
+      .filter(job => !types || types.includes(job.type))
+      .filter(job => (job.status === 'queued' && job.runAt <= at) || (job.status === 'running' && job.lockedUntil < at))
+      .sort((a, b) => a.runAt.localeCompare(b.runAt));
+    const job = candidates[0];
+    if (!job) return null;
+
+    Object.assign(job, {
+      status: 'running',
+      lockedBy: workerId,
+      lockedUntil: new Date(Date.now() + leaseMs).toISOString(),
+      attempts: job.attempts + 1,
+      startedAt: job.startedAt || at
+    });
+    return { ...job };
+  }
+
+  // Updates from a worker only apply while it still holds the job
+  async update(id, fields, workerId) {
+    const job = this.jobs.get(id);
+    if (!job || (workerId && job.lockedBy !== workerId)) return null;
+    Object.assign(job, fields);
+    return { ...job };
+  }
+
+  async requestCancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+    if (job.status === 'queued') {
+      Object.assign(job, { status: 'cancelled', cancelRequested: true, finishedAt: now() });
+    } else if (job.status === 'running') {
+      job.cancelRequested = true;
+    }
+    return { ...job };
+  }
+
+  prune() {
+    const cutoff = new Date(Date.now() - this.retentionMs).toISOString();
+    for (const [id, job] of this.jobs) {
+      if (FINISHED.includes(job.status) && job.finishedAt < cutoff) this.jobs.delete(id);
+    }
+  }
+}
+
+// Durable store on the jobs table (packages/api/db migrations); takes a database adapter from packages/api/db.
+// Payloads (scan targets) and results (reports) are encrypted when a master key is configured
+class SqlJobBackend {
+  constructor(options = {}) {
+    this.db = options.db;
+    this.retentionMs = options.retentionMs || 7 * 24 * 60 * 60 * 1000;
+    this.encryption = options.encryption !== undefined ? options.encryption : createEncryption();
+  }
+
+  seal(id, field, value) {
+    if (value === null || value === undefined) return null;
+    return JSON.stringify(this.encryption ? this.encryption.encrypt(value, `job:${id}:${field}`) : value);
+  }
+
+  // The master key a sealed column is under, for rotation (packages/api/db/investigations.js)
+  keyId(value) {
+    return this.encryption && value !== null && value !== undefined ? this.encryption.currentKeyId : null;
+  }
+
+  open(id, field, stored) {
+    const value = typeof stored === 'string' ? JSON.parse(stored) : stored ?? null;
+    if (!EnvelopeEncryption.isEnvelope(value)) return value;
+    if (!this.encryption) throw new DecryptionError('Encrypted job data found but no master key is configured');
+    return this.encryption.decrypt(value, `job:${id}:${field}`);
+  }
+
+  async insert(job) {
+    await this.db.query(
+      `INSERT INTO jobs (id, type, payload, payload_key_id, status, progress, attempts, max_attempts, cancel_requested, run_at, owner_id, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+      [job.id, job.type, this.seal(job.id, 'payload', job.payload), this.keyId(job.payload), job.status, JSON.stringify(job.progress), job.attempts, job.maxAttempts, false, job.runAt, job.ownerId, job.createdAt]
+    );
+    return this.get(job.id);
+  }
+
+  async get(id) {
+    const [row] = await this.db.query('SELECT * FROM jobs WHERE id = $1', [id]);
+    return row ? this.toJob(row) : null;
+  }
+
+  async findActive(type) {
+    const [row] = await this.db.query(
+      `SELECT * FROM jobs WHERE type = $1 AND status IN ('queued', 'running') ORDER BY created_at LIMIT 1`,
+      [type]
+    );
+    return row ? this.toJob(row) : null;
+  }
+
+  async claim(workerId, { types, leaseMs }) {
+    const at = now();
+    const params = [workerId, new Date(Date.now() + leaseMs).toISOString(), at];
+    let typeClause = '';
+    if (types) {
+      typeClause = `AND type IN (${types.map((type, i) => `$${params.length + i + 1}`).join(', ')})`;
+      params.push(...types);
+    }
+
+    // SKIP LOCKED lets several workers claim from one Postgres without blocking each other
+    const lock = this.db.dialect === 'postgres' ? 'FOR UPDATE SKIP LOCKED' : '';
+    const rows = await this.db.query(
+      `UPDATE jobs
+       SET status = 'running', locked_by = $1, locked_until = $2, attempts = attempts + 1, started_at = COALESCE(started_at, $3)
+       WHERE id = (
+         SELECT id FROM jobs
+         WHERE ((status = 'queued' AND run_at <= $3) OR (status = 'running' AND locked_until < $3)) ${typeClause}
+         ORDER BY run_at
+         LIMIT 1
+         ${lock}
+       )
+       RETURNING *`,
+      params
+    );
+    return rows.length > 0 ? this.toJob(rows[0]) : null;
+  }
+
+  async update(id, fields, workerId) {
+    const columns = {
+      status: 'status',
+      progress: 'progress',
+      result: 'result',
+      error: 'error',
+      runAt: 'run_at',
+      lockedBy: 'locked_by',
+      lockedUntil: 'locked_until',
+      finishedAt: 'finished_at'
+    };
+    const sets = [];
+    const params = [];
+    for (const [field, value] of Object.entries(fields)) {
+      if (!columns[field]) continue;
+      if (field === 'result') {
+        params.push(this.keyId(value));
+        sets.push(`result_key_id = $${params.length}`);
+        params.push(this.seal(id, 'result', value));
+      } else {
+        params.push(field === 'progress' && value !== null ? JSON.stringify(value) : value);
+      }
+      sets.push(`${columns[field]} = $${params.length}`);
+    }
+
+    params.push(id);
+    let where = `id = $${params.length}`;
+    if (workerId) {
+      params.push(workerId);
+      where += ` AND locked_by = $${params.length}`;
+    }
+
+    const rows = await this.db.query(`UPDATE jobs SET ${sets.join(', ')} WHERE ${where} RETURNING *`, params);
+    return rows.length > 0 ? this.toJob(rows[0]) : null;
+  }
+
+  async requestCancel(id) {
+    await this.db.query(
+      `UPDATE jobs SET status = 'cancelled', cancel_requested = TRUE, finished_at = $1 WHERE id = $2 AND status = 'queued'`,
+      [now(), id]
+    );
+    await this.db.query(`UPDATE jobs SET cancel_requested = TRUE WHERE id = $1 AND status = 'running'`, [id]);
+    return this.get(id);
+  }
+
+  async prune() {
+    const cutoff = new Date(Date.now() - this.retentionMs).toISOString();
+    await this.db.query(
+      `DELETE FROM jobs WHERE status IN ('completed', 'failed', 'cancelled') AND finished_at < $1`,
+      [cutoff]
+    );
+  }
+
+  toJob(row) {
+    const json = value => (typeof value === 'string' ? JSON.parse(value) : value ?? null);
+    const iso = value => (value instanceof Date ? value.toISOString() : value ?? null);
+    return {
+      id: row.id,
+      type: row.type,
+      payload: this.open(row.id, 'payload', row.payload),
+      status: row.status,
+      progress: json(row.progress),
+      result: this.open(row.id, 'result', row.result),
+      error: row.error,
+      attempts: row.attempts,
+      maxAttempts: row.max_attempts,
+      cancelRequested: Boolean(row.cancel_requested),
+      runAt: iso(row.run_at),
+      lockedBy: row.locked_by,
+      lockedUntil: iso(row.locked_until),
+      ownerId: row.owner_id ?? null,
+      createdAt: iso(row.created_at),
+      startedAt: iso(row.started_at),
+      finishedAt: iso(row.finished_at)
+    };
+  }
+}
+
+class JobQueue {
+  constructor(options = {}) {
+    this.backend = options.backend || new MemoryJobBackend();
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 3;
+  }
+
+  // options.ownerId: the user the job belongs to, checked by the API before showing or cancelling it
+  async enqueue(type, payload, options = {}) {
+    const createdAt = now();
+    return this.backend.insert({
+      id: crypto.randomUUID(),
+      type,
+      payload,
+      status: 'queued',
+      progress: { percent: 0, message: null },
+      result: null,
+      error: null,
+      attempts: 0,
+      maxAttempts: options.maxAttempts || this.maxAttempts,
+      cancelRequested: false,
+      runAt: options.runAt || createdAt,
+      lockedBy: null,
+      lockedUntil: null,
+      ownerId: options.ownerId || null,
+      createdAt,
+      startedAt: null,
+      finishedAt: null
+    });
+  }
+
+  get(id) {
+    return this.backend.get(id);
+  }
+
+  // A queued or running job of this type, for singleton jobs that must not be queued twice
+  findActive(type) {
+    return this.backend.findActive(type);
+  }
+
+  // Queued jobs are cancelled at once; a running one's signal is aborted when its worker next polls, which
+  // drops its queued probes and aborts the running ones
+  cancel(id) {
+    return this.backend.requestCancel(id);
+  }
+}
+
+/**
+ * Polls the queue and runs jobs through handlers[job.type](payload, context), where context has
+ * id, progress(percent, message), throwIfCancelled(), signal (AbortSignal), attempt and finalAttempt.
+ * Failed jobs are retried with exponential backoff until maxAttempts; an error with
+ * retryable === false fails the job at once.
+ */
+class Worker {
+  constructor(options = {}) {
+    this.queue = options.queue;
+    this.handlers = options.handlers || {};
+    this.id = options.id || `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+    this.concurrency = options.concurrency || parseInt(process.env.WORKER_CONCURRENCY, 10) || 2;
+    this.pollInterval = options.pollInterval || 1000;
+    this.leaseMs = options.leaseMs || 5 * 60 * 1000;
+    this.backoffMs = options.backoffMs || 5000;
+    this.active = new Map();
+    this.timer = null;
+    this.stopped = true;
+    this.lastPrune = 0;
+  }
+
+  start() {
+    if (!this.stopped) return this;
+    this.stopped = false;
+    this.schedule(0);
+    return this;
+  }
+
+  // Stops claiming new jobs and waits for the running ones to settle
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    await Promise.allSettled([...this.active.values()].map(entry => entry.done));
+  }
+
+  schedule(delay) {
+    if (this.stopped) return;
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.poll(), delay);
+  }
+
+  async poll() {
+    try {
+      await this.checkCancellations();
+
+      while (!this.stopped && this.active.size < this.concurrency) {
+        const job = await this.queue.backend.claim(this.id, { types: Object.keys(this.handlers), leaseMs: this.leaseMs });
+        if (!job) break;
+        this.launch(job);
+      }
+
+      if (Date.now() - this.lastPrune > 60 * 60 * 1000) {
+        this.lastPrune = Date.now();
+        await this.queue.backend.prune();
+      }
+    } catch (error) {
+      console.error('Worker poll failed:', error.message);
+    }
+    this.schedule(this.pollInterval);
+  }
+
+  // Picks up cancel requests made through another process and renews leases of running jobs
+  async checkCancellations() {
+    const lockedUntil = new Date(Date.now() + this.leaseMs).toISOString();
+    for (const [id, entry] of this.active) {
+      const job = await this.queue.backend.update(id, { lockedUntil }, this.id);
+      if (!job || job.cancelRequested) entry.controller.abort();
+    }
+  }
+
+  launch(job) {
+    const controller = new AbortController();
+    const entry = { controller, done: null };
+    this.active.set(job.id, entry);
+
+    const context = {
+      id: job.id,
+      attempt: job.attempts,
+      finalAttempt: job.attempts >= job.maxAttempts,
+      signal: controller.signal,
+      throwIfCancelled: () => {
+        if (controller.signal.aborted) throw new JobCancelledError();
+      },
+      progress: async (percent, message = null) => {
+        const updated = await this.queue.backend.update(job.id, {
+          progress: { percent: Math.max(0, Math.min(100, Math.round(percent))), message },
+          lockedUntil: new Date(Date.now() + this.leaseMs).toISOString()
+        }, this.id);
+        if (!updated || updated.cancelRequested) controller.abort();
+        context.throwIfCancelled();
+      }
+    };
+
+    entry.done = this.execute(job, context)
+      .catch(error => console.error(`Job ${job.id} bookkeeping failed:`, error.message))
+      .finally(() => {
+        this.active.delete(job.id);
+        this.schedule(0);
+      });
+  }
+
+  async execute(job, context) {
+    const handler = this.handlers[job.type];
+
+    try {
+      context.throwIfCancelled();
+      if (job.cancelRequested) throw new JobCancelledError();
+
+      const result = await handler(job.payload, context);
+      await this.queue.backend.update(job.id, {
+        status: 'completed',
+        result: result === undefined ? null : result,
+        progress: { percent: 100, message: null },
+        error: null,
+        lockedBy: null,
+        lockedUntil: null,
+        finishedAt: now()
+      }, this.id);
+    } catch (error) {
+      if (error instanceof JobCancelledError || context.signal.aborted) {
+        await this.queue.backend.update(job.id, { status: 'cancelled', lockedBy: null, lockedUntil: null, finishedAt: now() }, this.id);
+        return;
+      }
+
+      const retry = error.retryable !== false && job.attempts < job.maxAttempts;
+      await this.queue.backend.update(job.id, retry
+        ? {
+          status: 'queued',
+          error: error.message,
+          runAt: new Date(Date.now() + this.backoffMs * 2 ** (job.attempts - 1)).toISOString(),
+          lockedBy: null,
+          lockedUntil: null
+        }
+        : { status: 'failed', error: error.message, lockedBy: null, lockedUntil: null, finishedAt: now() },
+      this.id);
+    }
+  }
+}
+
+// JOB_BACKEND=memory|database; defaults to the database whenever one is configured
+function createJobBackend(options = {}) {
+  const kind = options.kind || process.env.JOB_BACKEND || (options.db ? 'database' : 'memory');
+  if (kind === 'memory') return new MemoryJobBackend(options);
+  if (kind === 'database') {
+    if (!options.db) throw new Error('JOB_BACKEND=database requires DATABASE_URL');
+    return new SqlJobBackend(options);
+  }
+  throw new Error(`Unknown JOB_BACKEND: ${kind}`);
+}
+
+// Drops the worker-internal bookkeeping from API responses
+function publicJob(job) {
+  const { lockedBy, lockedUntil, runAt, ownerId, ...rest } = job;
+  return rest.status === 'queued' && rest.attempts > 0 ? { ...rest, retryAt: runAt } : rest;
+}
+
+module.exports = {
+  JobQueue,
+  Worker,
+  MemoryJobBackend,
+  SqlJobBackend,
+  JobCancelledError,
+  createJobBackend,
+  publicJob,
+  JOB_STATUSES
+};
@@ -0,0 +1,58 @@
+// Presentation layer: renders findings as the legacy {platform, status, data, url, metadata} rows
+// that dashboard.html and the Telegram bot still read while they migrate to findings
+const ELEVATED = ['medium', 'high', 'critical'];
+
+function legacyStatus(finding) {
+  if (finding.status === 'error') return 'error';
+  if (ELEVATED.includes(finding.severity)) return 'warning';
+  if (finding.status === 'info') return 'info';
+  if (finding.status === 'not_found') return 'error';
+  return 'success';
+}
+
+function formatValue(value) {
+  if (Array.isArray(value)) return value.join(', ');
+  return String(value);
+}
+
+// Fallback when the producer did not write a summary: scalar attributes as "key: value" pairs
+function describe(finding) {
+  if (finding.status === 'error') return finding.error ? finding.error.message : 'Check failed';
+
+  const parts = Object.entries(finding.attributes)
+    .filter(([, value]) => value !== null && value !== undefined && value !== '' && !(Array.isArray(value) && value.length === 0))
+    .filter(([, value]) => typeof value !== 'object' || (Array.isArray(value) && value.every(item => typeof item !== 'object')))
+    .map(([key, value]) => `${key}: ${formatValue(value)}`);
+
+  if (parts.length > 0) return parts.join(' | ');
+  return finding.status === 'not_found' ? 'Not found' : finding.value || '';
+}
+
+function toLegacyRow(finding) {
+  const link = finding.evidence.find(entry => entry.type === 'url');
+  const row = {
+    platform: finding.label,
+    status: legacyStatus(finding),
+    data: finding.summary || describe(finding),
+    url: link ? link.ref : null
+  };
+
+  if (Object.keys(finding.attributes).length > 0) {
+    row.metadata = finding.attributes;
+  }
+  if (finding.cache) {
+    row.cache = finding.cache;
+  }
+
+  return row;
+}
+
+function toLegacyRows(findings) {
+  return findings.map(toLegacyRow);
+}
+
+module.exports = {
+  toLegacyRow,
+  toLegacyRows,
+  legacyStatus
+};
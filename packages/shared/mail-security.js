@@ -0,0 +1,401 @@
+// Email-domain security posture: SPF, DMARC, DKIM, MTA-STS, TLS-RPT and BIMI
+const crypto = require('crypto');
+const https = require('https');
+const TaskRunner = require('./task-runner');
+const { createResolver } = require('./dns-records');
+const { defaultCache } = require('./result-cache');
+const { defaultPublicSuffixes } = require('./public-suffix');
+const { ScanScope } = require('./scan-scope');
+
+const SPF_LOOKUP_LIMIT = 10;
+const MAX_POLICY_BYTES = 64 * 1024;
+const SPF_LOOKUP_MECHANISMS = ['include', 'a', 'mx', 'ptr', 'exists'];
+
+const DKIM_SELECTORS = [
+  'default', 'dkim', 'mail', 'email', 'smtp', 'k1', 'k2', 'k3', 's1', 's2',
+  'selector1', 'selector2', 'google', 'mandrill', 'mxvault', 'zoho', 'zmail',
+  'protonmail', 'protonmail2', 'protonmail3', 'fm1', 'fm2', 'fm3',
+  'everlytickey1', 'everlytickey2', 'dkim1', 'mailjet', 'amazonses', 'sendgrid', 'cm'
+];
+
+const GRADES = [[90, 'A'], [80, 'B'], [65, 'C'], [50, 'D'], [0, 'F']];
+
+// "v=DMARC1; p=reject; rua=mailto:a@b" -> { v: 'DMARC1', p: 'reject', rua: 'mailto:a@b' }
+function parseTags(record) {
+  const tags = {};
+  for (const part of record.split(';')) {
+    const index = part.indexOf('=');
+    if (index <= 0) continue;
+    tags[part.slice(0, index).trim().toLowerCase()] = part.slice(index + 1).trim();
+  }
+  return tags;
+}
+
+function parseSpfTerms(record) {
+  return record.split(/\s+/).slice(1).filter(Boolean).map((term) => {
+    const modifier = term.match(/^([a-z][a-z0-9_.-]*)=(.*)$/i);
+    if (modifier) return { kind: 'modifier', name: modifier[1].toLowerCase(), value: modifier[2] };
+
+    const qualifier = '+-~?'.includes(term[0]) ? term[0] : '+';
+    const body = qualifier === term[0] ? term.slice(1) : term;
+    const name = body.split(/[:/]/)[0];
+    const value = body.includes(':') ? body.slice(body.indexOf(':') + 1) : null;
+    return { kind: 'mechanism', qualifier, name: name.toLowerCase(), value, raw: term };
+  });
+}
+
+function mailtoAddresses(value) {
+  if (!value) return [];
+  return value.split(',').map(uri => uri.trim()).filter(Boolean).map(uri => uri.replace(/^mailto:/i, '').replace(/!.*$/, ''));
+}
+
+class MailSecurityAnalyzer {
+  constructor(options = {}) {
+    this.runner = options.runner || new TaskRunner();
+    this.resolver = options.resolver || createResolver();
+    this.selectors = options.selectors || DKIM_SELECTORS;
+    this.timeout = options.timeout || 5000;
+    this.cache = options.cache || defaultCache();
+    this.publicSuffixes = options.publicSuffixes || defaultPublicSuffixes();
+    // The policy host comes from the domain under analysis, so it is never fetched from a reserved or private address
+    this.scope = options.scope || new ScanScope({ mode: 'public' });
+  }
+
+  // DNS answers come from the result cache; cache tells how old the oldest one behind the grade is
+  async analyze(domain, options = {}) {
+    const { value, cache } = await this.cache.track(() => this.assess(domain.toLowerCase(), options));
+    return { ...value, cache };
+  }
+
+  async assess(domain, options = {}) {
+    const [spf, dmarc, dkim, mtaSts, tlsRpt, bimi] = await Promise.all([
+      this.checkSpf(domain),
+      this.checkDmarc(domain),
+      this.checkDkim(domain, options),
+      this.checkMtaSts(domain),
+      this.checkTlsRpt(domain),
+      this.checkBimi(domain)
+    ]);
+
+    const findings = this.evaluate({ spf, dmarc, dkim, mtaSts, tlsRpt, bimi });
+    const score = Math.max(0, 100 - findings.reduce((total, finding) => total + finding.penalty, 0));
+
+    return {
+      domain,
+      grade: GRADES.find(([minimum]) => score >= minimum)[1],
+      score,
+      spf,
+      dmarc,
+      dkim,
+      mtaSts,
+      tlsRpt,
+      bimi,
+      findings
+    };
+  }
+
+  async txt(name) {
+    try {
+      const records = await this.resolver.resolveTxt(name);
+      return { records: records.map(chunks => chunks.join('')), error: null };
+    } catch (error) {
+      const missing = ['ENODATA', 'ENOTFOUND'].includes(error.code);
+      return { records: [], error: missing ? null : (error.code || error.message) };
+    }
+  }
+
+  async checkSpf(domain) {
+    const state = { lookups: 0, errors: [], ancestors: new Set() };
+    const tree = await this.expandSpf(domain, state, 0);
+
+    return {
+      record: tree.record,
+      all: tree.all,
+      mechanisms: tree.mechanisms,
+      includes: tree.includes,
+      redirect: tree.redirect,
+      lookups: state.lookups,
+      limitExceeded: state.lookups > SPF_LOOKUP_LIMIT,
+      multipleRecords: tree.multipleRecords,
+      errors: state.errors
+    };
+  }
+
+  // Walks include:/redirect= recursively, counting every DNS-querying term against the RFC 7208 limit
+  async expandSpf(domain, state, depth) {
+    const node = { domain, record: null, all: null, mechanisms: [], includes: [], redirect: null, multipleRecords: false };
+
+    if (state.ancestors.has(domain)) {
+      state.errors.push(`SPF loop detected at ${domain}`);
+      return node;
+    }
+
+    const { records, error } = await this.txt(domain);
+    if (error) state.errors.push(`${domain}: TXT lookup failed (${error})`);
+
+    const spfRecords = records.filter(record => /^v=spf1(\s|$)/i.test(record));
+    if (spfRecords.length === 0) {
+      if (depth > 0) state.errors.push(`${domain}: no SPF record`);
+      return node;
+    }
+    node.multipleRecords = spfRecords.length > 1;
+    node.record = spfRecords[0];
+    state.ancestors.add(domain);
+
+    for (const term of parseSpfTerms(node.record)) {
+      if (term.kind === 'modifier') {
+        if (term.name === 'redirect') {
+          state.lookups++;
+          node.redirect = term.value;
+        }
+        continue;
+      }
+
+      node.mechanisms.push(term.raw);
+      if (SPF_LOOKUP_MECHANISMS.includes(term.name)) state.lookups++;
+      if (term.name === 'all') node.all = term.qualifier;
+
+      if (term.name === 'include' && term.value) {
+        if (state.lookups > SPF_LOOKUP_LIMIT) continue;
+        node.includes.push(await this.expandSpf(term.value.toLowerCase(), state, depth + 1));
+      }
+    }
+
+    // redirect only applies when the record has no "all" of its own
+    if (node.redirect && node.all === null && state.lookups <= SPF_LOOKUP_LIMIT) {
+      const target = await this.expandSpf(node.redirect.toLowerCase(), state, depth + 1);
+      node.all = target.all;
+      node.includes.push(target);
+    }
+
+    state.ancestors.delete(domain);
+    return node;
+  }
+
+  async checkDmarc(domain) {
+    let { records, error } = await this.txt(`_dmarc.${domain}`);
+    let source = domain;
+
+    // Fall back to the organizational domain's policy: the registrable domain under its public suffix
+    // (mail.example.co.uk → example.co.uk), never the suffix itself
+    const organizational = this.publicSuffixes.organizationalDomain(domain);
+    if (!records.some(record => /^v=DMARC1/i.test(record)) && organizational && organizational !== domain) {
+      source = organizational;
+      ({ records, error } = await this.txt(`_dmarc.${source}`));
+    }
+
+    const record = records.find(record => /^v=DMARC1/i.test(record)) || null;
+    if (!record) return { record: null, error };
+
+    const tags = parseTags(record);
+    return {
+      record,
+      source,
+      inherited: source !== domain,
+      policy: (tags.p || '').toLowerCase() || null,
+      subdomainPolicy: (tags.sp || tags.p || '').toLowerCase() || null,
+      pct: tags.pct !== undefined ? parseInt(tags.pct, 10) : 100,
+      rua: mailtoAddresses(tags.rua),
+      ruf: mailtoAddresses(tags.ruf),
+      adkim: tags.adkim || 'r',
+      aspf: tags.aspf || 'r',
+      error
+    };
+  }
+
+  async checkDkim(domain, options = {}) {
+    const lookups = await this.runner.run(this.selectors.map(selector => ({
+      host: 'dns',
+      run: () => this.txt(`${selector}._domainkey.${domain}`)
+    })), { stats: options.stats, signal: options.signal });
+
+    const selectors = [];
+    lookups.forEach((lookup, i) => {
+      const records = lookup.value ? lookup.value.records : [];
+      const record = records.find(entry => /(^|;)\s*(v=DKIM1|p=)/i.test(entry));
+      if (!record) return;
+
+      const tags = parseTags(record);
+      selectors.push({
+        selector: this.selectors[i],
+        record,
+        keyType: (tags.k || 'rsa').toLowerCase(),
+        keyBits: this.keyBits(tags),
+        revoked: tags.p === ''
+      });
+    });
+
+    return { probed: this.selectors.length, selectors };
+  }
+
+  keyBits(tags) {
+    if (!tags.p) return null;
+    try {
+      const key = crypto.createPublicKey({ key: Buffer.from(tags.p.replace(/\s+/g, ''), 'base64'), format: 'der', type: 'spki' });
+      return key.asymmetricKeyDetails.modulusLength || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  async checkMtaSts(domain) {
+    const { records } = await this.txt(`_mta-sts.${domain}`);
+    const record = records.find(entry => /^v=STSv1/i.test(entry)) || null;
+    if (!record) return { record: null, policy: null };
+
+    const policy = await this.fetchMtaStsPolicy(domain);
+    return { record, id: parseTags(record).id || null, policy };
+  }
+
+  fetchMtaStsPolicy(domain) {
+    return new Promise((resolve) => {
+      const req = https.get(`https://mta-sts.${domain}/.well-known/mta-sts.txt`, {
+        headers: { 'User-Agent': 'InfoHub-OSINT/3.0' },
+        lookup: this.scope.lookup,
+        timeout: this.timeout
+      }, (res) => {
+        if (res.statusCode !== 200) {
+          res.resume();
+          return resolve({ error: `HTTP ${res.statusCode}` });
+        }
+
+        let data = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          data += chunk;
+          if (data.length > MAX_POLICY_BYTES) req.destroy(new Error('MTA-STS policy larger than 64 KB'));
+        });
+        res.on('end', () => {
+          const fields = {};
+          const mx = [];
+          for (const line of data.split(/\r?\n/)) {
+            const [key, ...rest] = line.split(':');
+            if (!key || rest.length === 0) continue;
+            if (key.trim() === 'mx') mx.push(rest.join(':').trim());
+            else fields[key.trim()] = rest.join(':').trim();
+          }
+          resolve({ mode: fields.mode || null, maxAge: fields.max_age ? parseInt(fields.max_age, 10) : null, mx });
+        });
+      });
+
+      req.on('error', error => resolve({ error: error.message }));
+      req.on('timeout', () => {
+        req.destroy();
+        resolve({ error: 'Timeout' });
+      });
+    });
+  }
+
+  async checkTlsRpt(domain) {
+    const { records } = await this.txt(`_smtp._tls.${domain}`);
+    const record = records.find(entry => /^v=TLSRPTv1/i.test(entry)) || null;
+    return { record, rua: record ? mailtoAddresses(parseTags(record).rua) : [] };
+  }
+
+  async checkBimi(domain) {
+    const { records } = await this.txt(`default._bimi.${domain}`);
+    const record = records.find(entry => /^v=BIMI1/i.test(entry)) || null;
+    if (!record) return { record: null };
+
+    const tags = parseTags(record);
+    return { record, logo: tags.l || null, authority: tags.a || null };
+  }
+
+  evaluate({ spf, dmarc, dkim, mtaSts, tlsRpt, bimi }) {
+    const findings = [];
+    const add = (check, severity, penalty, message, explanation) => {
+      findings.push({ check, severity, penalty, message, explanation });
+    };
+
+    if (!spf.record) {
+      add('spf', 'high', 25, 'No SPF record',
+        'Without SPF any server can send mail claiming to be from this domain and receivers have nothing to check it against.');
+    } else {
+      if (spf.multipleRecords) {
+        add('spf', 'high', 15, 'Multiple SPF records',
+          'RFC 7208 requires exactly one v=spf1 record; receivers treat more than one as a permanent error and ignore SPF.');
+      }
+      if (spf.limitExceeded) {
+        add('spf', 'high', 15, `SPF needs ${spf.lookups} DNS lookups (limit ${SPF_LOOKUP_LIMIT})`,
+          'Evaluation stops with a permanent error after 10 include/a/mx/ptr/exists/redirect lookups, so the policy is effectively ignored.');
+      }
+      if (spf.all === '+') {
+        add('spf', 'high', 25, 'SPF ends in +all',
+          '+all authorizes every host on the internet, which is the same as having no SPF at all.');
+      } else if (spf.all === '?' || spf.all === null) {
+        add('spf', 'medium', 15, `SPF ends in ${spf.all ? '?all' : 'no all mechanism'}`,
+          'A neutral result gives receivers no instruction for unlisted senders.');
+      } else if (spf.all === '~') {
+        add('spf', 'low', 5, 'SPF ends in ~all (softfail)',
+          'Softfail marks unlisted senders as suspicious but most receivers still deliver; -all is stricter once all senders are listed.');
+      }
+      for (const error of spf.errors) {
+        add('spf', 'medium', 5, error, 'Broken include or redirect targets make SPF evaluation fail for receivers.');
+      }
+    }
+
+    if (!dmarc.record) {
+      add('dmarc', 'high', 30, 'No DMARC record',
+        'Without DMARC receivers have no policy for mail that fails SPF/DKIM alignment and the owner gets no reports about spoofing.');
+    } else {
+      if (dmarc.policy === 'none') {
+        add('dmarc', 'medium', 15, 'DMARC policy is p=none',
+          'Monitoring-only mode: spoofed mail is still delivered. Move to quarantine or reject once reports look clean.');
+      } else if (dmarc.policy === 'quarantine') {
+        add('dmarc', 'low', 5, 'DMARC policy is p=quarantine',
+          'Failing mail goes to spam rather than being rejected outright.');
+      } else if (dmarc.policy !== 'reject') {
+        add('dmarc', 'high', 20, `DMARC policy tag is invalid (${dmarc.policy || 'missing'})`,
+          'Receivers ignore a DMARC record whose p= tag is missing or unknown.');
+      }
+      if (dmarc.pct < 100) {
+        add('dmarc', 'low', 5, `DMARC applies to ${dmarc.pct}% of mail`,
+          'The policy is only enforced on a sample of failing messages.');
+      }
+      if (dmarc.rua.length === 0) {
+        add('dmarc', 'low', 5, 'DMARC has no aggregate report address (rua)',
+          'Without reports the owner cannot see who is sending mail as this domain.');
+      }
+    }
+
+    const activeKeys = dkim.selectors.filter(entry => !entry.revoked);
+    if (activeKeys.length === 0) {
+      add('dkim', 'medium', 10, `No DKIM key found among ${dkim.probed} common selectors`,
+        'Selectors cannot be enumerated, so a key may exist under an uncommon name; none of the usual ones answered.');
+    }
+    for (const entry of activeKeys) {
+      if (entry.keyType === 'rsa' && entry.keyBits && entry.keyBits < 1024) {
+        add('dkim', 'high', 10, `DKIM selector ${entry.selector} uses a ${entry.keyBits}-bit RSA key`,
+          'Keys under 1024 bits can be factored and are rejected by major receivers.');
+      } else if (entry.keyType === 'rsa' && entry.keyBits === 1024) {
+        add('dkim', 'low', 3, `DKIM selector ${entry.selector} uses a 1024-bit RSA key`,
+          '2048-bit keys are the current recommendation.');
+      }
+    }
+
+    if (!mtaSts.record) {
+      add('mta-sts', 'low', 5, 'No MTA-STS policy',
+        'Sending servers may fall back to plaintext SMTP or accept forged MX certificates when delivering to this domain.');
+    } else if (!mtaSts.policy || mtaSts.policy.error) {
+      add('mta-sts', 'medium', 5, 'MTA-STS record present but policy file unreachable',
+        'The _mta-sts TXT record announces a policy that senders cannot fetch, so it is not applied.');
+    } else if (mtaSts.policy.mode !== 'enforce') {
+      add('mta-sts', 'low', 2, `MTA-STS mode is ${mtaSts.policy.mode || 'unset'}`,
+        'Only mode: enforce makes senders refuse insecure delivery.');
+    }
+
+    if (!tlsRpt.record) {
+      add('tls-rpt', 'low', 3, 'No TLS-RPT record',
+        'The owner is not told when senders fail to negotiate TLS with its mail servers.');
+    }
+
+    if (!bimi.record) {
+      add('bimi', 'info', 0, 'No BIMI record',
+        'BIMI only displays a brand logo in supporting clients; it requires an enforced DMARC policy.');
+    }
+
+    return findings;
+  }
+}
+
+module.exports = MailSecurityAnalyzer;
@@ -1,61 +1,138 @@
-const https = require('https');
-const dns = require('dns');
 const net = require('net');
+const SiteChecker = require('./site-checker');
+const TaskRunner = require('./task-runner');
+const SubdomainEnumerator = require('./subdomain-enum');
+const WordlistStore = require('./wordlists');
+const { TlsSanDiscovery } = require('./tls-san');
+const { grabBanner, fingerprint, probePlan } = require('./banner-grab');
+const { DnsRecordCollector, createResolver } = require('./dns-records');
+const MailSecurityAnalyzer = require('./mail-security');
+const SmtpVerifier = require('./smtp-verify');
+const { parsePhone, TYPE_LABELS } = require('./phone');
+const { BreachChecker } = require('./breach-providers');
+const BreachCorpus = require('./breach-corpus');
+const { RegistrationLookup } = require('./rdap');
+const { createFinding, errorFinding, evidence } = require('./findings');
+const PivotEngine = require('./pivot');
 
 class OSINTEngine {
-  constructor() {
-    this.userAgents = [
-      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-      'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
-      'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36'
-    ];
+  constructor(options = {}) {
+    this.runner = options.runner || new TaskRunner({
+      concurrency: parseInt(process.env.SCAN_CONCURRENCY, 10) || 32,
+      perHostConcurrency: parseInt(process.env.SCAN_PER_HOST_CONCURRENCY, 10) || 8
+    });
+    this.siteChecker = new SiteChecker({ runner: this.runner });
+    this.resolver = options.resolver || createResolver();
+    this.dnsRecords = new DnsRecordCollector({ runner: this.runner, resolver: this.resolver });
+    this.mailSecurity = new MailSecurityAnalyzer({ runner: this.runner, resolver: this.resolver });
+    this.smtpVerifier = new SmtpVerifier({ resolver: this.resolver, ...options.smtp });
+    this.breachChecker = options.breachChecker || new BreachChecker({ provider: options.breachProvider });
+    this.breachCorpus = options.breachCorpus || new BreachCorpus();
+    this.registration = options.registration || new RegistrationLookup();
+    this.wordlists = options.wordlists || new WordlistStore();
+    this.subdomainEnumerator = new SubdomainEnumerator({
+      runner: this.runner,
+      resolver: this.resolver,
+      wordlists: this.wordlists
+    });
+    this.pivots = options.pivots || new PivotEngine({ engine: this });
+    this.tlsSanDiscovery = new TlsSanDiscovery({
+      runner: this.runner,
+      resolveHost: hostname => this.subdomainEnumerator.resolveHost(hostname)
+    });
   }
 
-  async subdomainEnum(domain) {
-    const subdomains = [
-      'www', 'mail', 'ftp', 'admin', 'api', 'dev', 'test', 'staging',
-      'blog', 'shop', 'app', 'mobile', 'secure', 'vpn', 'remote'
-    ];
-    
-    const results = [];
-    
-    for (const sub of subdomains) {
-      const hostname = `${sub}.${domain}`;
-      try {
-        await this.dnsLookup(hostname);
-        results.push({
-          subdomain: hostname,
-          status: 'active',
-          type: 'A'
-        });
-      } catch (e) {
-        // Subdomain not found
-      }
+  // DNS, wordlist subdomains and ports in parallel, then certificate SANs from the open TLS ports
+  async networkScan(target, options = {}) {
+    const [dnsRecords, subdomains, openPorts, registration] = await Promise.all([
+      this.getDNSRecords(target, options),
+      net.isIP(target) ? [] : this.subdomainEnum(target, options),
+      this.portScan(target, options.ports, options),
+      this.registrationLookup(target, options)
+    ]);
+
+    if (!net.isIP(target)) {
+      const discovered = await this.tlsSanDiscovery.discover(
+        target,
+        target,
+        openPorts,
+        subdomains.map(entry => entry.subdomain),
+        options
+      );
+      subdomains.push(...discovered);
     }
-    
-    return results;
+
+    return {
+      dns: dnsRecords,
+      registration,
+      subdomains,
+      openPorts
+    };
   }
 
-  async portScan(target, ports = [21, 22, 23, 25, 53, 80, 110, 143, 443, 993, 995, 3389]) {
-    const results = [];
-    
-    for (const port of ports) {
-      const isOpen = await this.checkPort(target, port);
-      if (isOpen) {
-        results.push({
-          port,
-          status: 'open',
-          service: this.getServiceName(port)
-        });
-      }
+  async subdomainEnum(domain, options = {}) {
+    const scan = await this.subdomainScan(domain, options);
+    return scan.subdomains;
+  }
+
+  // Full enumeration report: wordlist used, wildcard zones and per-name record chains
+  async subdomainScan(domain, options = {}) {
+    return this.subdomainEnumerator.enumerate(domain, options);
+  }
+
+  // options.lookup (a ScanScope's) resolves the target for every connection, so each one is scope-checked
+  async portScan(target, ports = [21, 22, 23, 25, 53, 80, 110, 143, 443, 993, 995, 3389], options = {}) {
+    const probes = await this.runner.run(ports.map(port => ({
+      host: target,
+      run: signal => this.checkPort(target, port, 3000, options.lookup, signal)
+    })), { stats: options.stats, signal: options.signal });
+
+    const openPorts = ports.filter((port, i) => probes[i].value === true);
+    if (options.banners === false) {
+      return openPorts.map(port => ({
+        port,
+        status: 'open',
+        service: this.getServiceName(port),
+        confidence: 0.3
+      }));
     }
-    
-    return results;
+
+    const grabs = await this.runner.run(openPorts.map(port => ({
+      host: target,
+      run: signal => grabBanner(target, port, { lookup: options.lookup, signal })
+    })), { stats: options.stats, signal: options.signal });
+
+    return openPorts.map((port, i) => this.identifyService(port, grabs[i].value));
   }
 
-  async checkPort(host, port, timeout = 3000) {
+  // Signature match on the banner wins; the port table is only a low-confidence fallback
+  identifyService(port, grab) {
+    const match = fingerprint(grab);
+    const result = {
+      port,
+      status: 'open',
+      service: this.getServiceName(port),
+      banner: grab ? grab.banner : null,
+      product: null,
+      version: null,
+      confidence: grab && grab.banner ? 0.5 : 0.3
+    };
+
+    if (match) {
+      const secure = probePlan(port).tls && ['HTTP', 'IMAP', 'POP3', 'SMTP'].includes(match.service);
+      result.service = secure ? `${match.service}S` : match.service;
+      result.product = match.product;
+      result.version = match.version;
+      result.confidence = match.confidence;
+    }
+
+    return result;
+  }
+
+  // signal (the runner's) closes the connection attempt when the probe times out or is cancelled
+  async checkPort(host, port, timeout = 3000, lookup = undefined, signal = undefined) {
     return new Promise((resolve) => {
-      const socket = new net.Socket();
+      const socket = new net.Socket({ signal });
       
       socket.setTimeout(timeout);
       
@@ -73,7 +150,7 @@ class OSINTEngine {
         resolve(false);
       });
       
-      socket.connect(port, host);
+      socket.connect({ port, host, lookup });
     });
   }
 
@@ -86,177 +163,117 @@ class OSINTEngine {
     return services[port] || 'Unknown';
   }
 
-  async dnsLookup(hostname) {
-    return new Promise((resolve, reject) => {
-      dns.lookup(hostname, (err, address) => {
-        if (err) reject(err);
-        else resolve(address);
-      });
-    });
+  // { records, status } where status tells ok / nodata / nxdomain / timeout apart per query
+  async getDNSRecords(domain, options = {}) {
+    return this.dnsRecords.collect(domain, options);
   }
 
-  async getDNSRecords(domain) {
-    const records = {};
-    
-    try {
-      records.A = await this.getDNSRecord(domain, 'A');
-      records.MX = await this.getDNSRecord(domain, 'MX');
-      records.TXT = await this.getDNSRecord(domain, 'TXT');
-      records.NS = await this.getDNSRecord(domain, 'NS');
-    } catch (e) {
-      // Handle DNS errors
-    }
-    
-    return records;
-  }
-
-  async getDNSRecord(domain, type) {
-    return new Promise((resolve, reject) => {
-      const method = `resolve${type}`;
-      if (dns[method]) {
-        dns[method](domain, (err, records) => {
-          if (err) reject(err);
-          else resolve(records);
-        });
-      } else {
-        reject(new Error(`Unsupported DNS record type: ${type}`));
+  async socialMediaScan(username, options = {}) {
+    const checks = await this.siteChecker.checkAll(username, { stats: options.stats, signal: options.signal });
+    const findings = [];
+
+    for (const check of checks) {
+      if (check.status === 'found') {
+        findings.push(createFinding({
+          entityType: 'profile',
+          value: check.url,
+          source: check.platform,
+          status: 'found',
+          confidence: check.profile ? 0.95 : 0.75,
+          summary: check.profile ? null : 'Profile exists - manual verification required',
+          attributes: check.profile ? { username, ...this.extractProfileData(check.platform, check.profile) } : { username },
+          evidence: [evidence('url', check.url)],
+          cache: check.cache
+        }));
+      } else if (check.status === 'error') {
+        findings.push(errorFinding({
+          entityType: 'profile',
+          value: check.url,
+          source: check.platform,
+          error: check.error
+        }));
       }
-    });
-  }
-
-  async socialMediaScan(username) {
-    const platforms = [
-      { name: 'GitHub', url: `https://github.com/${username}`, api: `https://api.github.com/users/${username}` },
-      { name: 'Twitter', url: `https://twitter.com/${username}` },
-      { name: 'Instagram', url: `https://instagram.com/${username}` },
-      { name: 'LinkedIn', url: `https://linkedin.com/in/${username}` },
-      { name: 'Facebook', url: `https://facebook.com/${username}` },
-      { name: 'YouTube', url: `https://youtube.com/@${username}` },
-      { name: 'TikTok', url: `https://tiktok.com/@${username}` },
-      { name: 'Reddit', url: `https://reddit.com/user/${username}` }
-    ];
+    }
 
-    const results = [];
-
-    for (const platform of platforms) {
-      try {
-        if (platform.api) {
-          const data = await this.makeHTTPRequest(platform.api);
-          if (data && !data.message) {
-            results.push({
-              platform: platform.name,
-              status: 'found',
-              url: platform.url,
-              data: this.extractProfileData(platform.name, data)
-            });
-          }
-        } else {
-          // For platforms without API, check if profile exists
-          const exists = await this.checkProfileExists(platform.url);
-          if (exists) {
-            results.push({
-              platform: platform.name,
-              status: 'found',
-              url: platform.url,
-              data: 'Profile exists - manual verification required'
-            });
-          }
-        }
-      } catch (e) {
-        results.push({
-          platform: platform.name,
-          status: 'error',
-          error: e.message
-        });
-      }
+    const corpus = await this.searchBreachCorpus({ username });
+    if (corpus.total > 0) {
+      findings.push(this.corpusFinding('username', username, corpus));
     }
 
-    return results;
+    return findings;
   }
 
   extractProfileData(platform, data) {
     switch (platform) {
       case 'GitHub':
         return {
+          login: data.login,
           name: data.name,
           bio: data.bio,
           location: data.location,
           company: data.company,
-          repos: data.public_repos,
+          blog: data.blog,
+          email: data.email,
+          twitter: data.twitter,
+          repos: data.repos,
           followers: data.followers,
           following: data.following,
-          created: data.created_at
+          created: data.created
         };
       default:
         return data;
     }
   }
 
-  async makeHTTPRequest(url) {
-    return new Promise((resolve, reject) => {
-      const req = https.get(url, {
-        headers: {
-          'User-Agent': this.userAgents[Math.floor(Math.random() * this.userAgents.length)],
-          'Accept': 'application/json'
-        },
-        timeout: 10000
-      }, (res) => {
-        if (res.statusCode !== 200) {
-          reject(new Error(`HTTP ${res.statusCode}`));
-          return;
-        }
-
-        let data = '';
-        res.on('data', chunk => data += chunk);
-        res.on('end', () => {
-          try {
-            resolve(JSON.parse(data));
-          } catch (e) {
-            resolve(data);
-          }
-        });
-      });
-
-      req.on('error', reject);
-      req.on('timeout', () => {
-        req.destroy();
-        reject(new Error('Request timeout'));
-      });
-    });
-  }
-
-  async checkProfileExists(url) {
-    return new Promise((resolve) => {
-      const req = https.get(url, {
-        headers: {
-          'User-Agent': this.userAgents[Math.floor(Math.random() * this.userAgents.length)]
-        },
-        timeout: 5000
-      }, (res) => {
-        resolve(res.statusCode === 200);
-      });
-
-      req.on('error', () => resolve(false));
-      req.on('timeout', () => {
-        req.destroy();
-        resolve(false);
-      });
-    });
-  }
-
-  async emailAnalysis(email) {
+  async emailAnalysis(email, options = {}) {
     const domain = email.split('@')[1];
+    const [domainInfo, mailSecurity, breachCheck, breachCorpus] = await Promise.all([
+      this.getDomainInfo(domain, options),
+      this.mailSecurity.analyze(domain, options).catch(e => ({ error: e.message })),
+      this.checkDataBreaches(email, options),
+      this.searchBreachCorpus({ email })
+    ]);
+
     const results = {
       email,
       domain,
       validation: this.validateEmail(email),
-      domainInfo: await this.getDomainInfo(domain),
-      breachCheck: await this.checkDataBreaches(email)
+      domainInfo,
+      mailSecurity,
+      breachCheck,
+      breachCorpus
     };
 
+    if (options.verifySmtp) {
+      results.deliverability = await this.verifyDeliverability(email, options);
+    }
+
     return results;
   }
 
+  // Opt-in: opens an SMTP session with the domain's primary MX (no message is ever sent); options.scope
+  // limits which addresses that MX may resolve to
+  async verifyDeliverability(email, options = {}) {
+    const [outcome] = await this.runner.run([{
+      host: `smtp:${email.split('@')[1].toLowerCase()}`,
+      timeout: 90000,
+      run: signal => this.smtpVerifier.verify(email, { scope: options.scope, signal })
+    }], { stats: options.stats, signal: options.signal });
+
+    return outcome.status === 'fulfilled'
+      ? outcome.value
+      : { email, status: 'unknown', reason: outcome.error.message };
+  }
+
+  // Offline lookup in the imported breach datasets by email, username or domain
+  async searchBreachCorpus(query, options = {}) {
+    try {
+      return await this.breachCorpus.search(query, options);
+    } catch (e) {
+      return { error: e.message };
+    }
+  }
+
   validateEmail(email) {
     const regex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     return {
@@ -265,66 +282,307 @@ class OSINTEngine {
     };
   }
 
-  async getDomainInfo(domain) {
+  async getDomainInfo(domain, options = {}) {
     try {
-      const dnsRecords = await this.getDNSRecords(domain);
+      const [dnsRecords, registration] = await Promise.all([
+        this.getDNSRecords(domain, options),
+        this.registrationLookup(domain, options)
+      ]);
       return {
         dns: dnsRecords,
-        whois: 'WHOIS lookup required'
+        registration
       };
     } catch (e) {
       return { error: e.message };
     }
   }
 
-  async checkDataBreaches(email) {
-    // Simulated breach check - in production, integrate with HaveIBeenPwned API
-    const commonBreaches = [
-      'LinkedIn (2012)', 'Adobe (2013)', 'Yahoo (2013-2014)',
-      'Equifax (2017)', 'Facebook (2019)', 'Twitter (2022)'
-    ];
+  // RDAP first, WHOIS when the registry has no RDAP service or it fails
+  async registrationLookup(target, options = {}) {
+    const [outcome] = await this.runner.run([{
+      host: 'rdap',
+      timeout: 45000,
+      run: () => this.registration.lookup(target)
+    }], { stats: options.stats, signal: options.signal });
+
+    return outcome.status === 'fulfilled'
+      ? outcome.value
+      : { query: target, source: null, error: outcome.error.message };
+  }
 
-    return {
-      found: Math.random() > 0.7,
-      breaches: Math.random() > 0.7 ? [commonBreaches[Math.floor(Math.random() * commonBreaches.length)]] : []
-    };
+  async checkDataBreaches(email, options = {}) {
+    const [outcome] = await this.runner.run([{
+      host: `breach:${this.breachChecker.provider.name}`,
+      timeout: 60000,
+      run: () => this.breachChecker.check(email)
+    }], { stats: options.stats, signal: options.signal });
+
+    return outcome.status === 'fulfilled'
+      ? outcome.value
+      : { email, provider: this.breachChecker.provider.name, status: 'error', found: null, breaches: [], error: outcome.error.message };
   }
 
-  async phoneAnalysis(phone) {
-    const cleaned = phone.replace(/\D/g, '');
-    
+  async phoneAnalysis(phone, options = {}) {
+    const parsed = parsePhone(phone, { defaultRegion: options.defaultRegion });
+
     return {
-      number: cleaned,
-      formatted: this.formatPhone(cleaned),
-      country: this.getCountryFromPhone(cleaned),
+      number: parsed.e164 || String(phone).replace(/\D/g, ''),
+      valid: parsed.valid,
+      formatted: this.formatPhone(parsed),
+      formats: {
+        e164: parsed.e164 || null,
+        international: parsed.international || null,
+        national: parsed.national || null
+      },
+      countryCode: parsed.countryCode || null,
+      region: parsed.region || null,
+      country: this.getCountryFromPhone(parsed),
+      area: parsed.area || null,
       carrier: 'Carrier lookup required',
-      type: this.getPhoneType(cleaned)
+      type: this.getPhoneType(parsed),
+      errors: parsed.errors
     };
   }
 
   formatPhone(phone) {
-    if (phone.length === 11 && phone.startsWith('55')) {
-      return `+55 (${phone.slice(2, 4)}) ${phone.slice(4, 9)}-${phone.slice(9)}`;
-    }
-    return phone;
+    const parsed = typeof phone === 'string' ? parsePhone(phone) : phone;
+    return parsed.international || phone.input || phone;
   }
 
   getCountryFromPhone(phone) {
-    if (phone.startsWith('55')) return 'Brazil';
-    if (phone.startsWith('1')) return 'USA/Canada';
-    return 'Unknown';
+    const parsed = typeof phone === 'string' ? parsePhone(phone) : phone;
+    return parsed.country || 'Unknown';
   }
 
   getPhoneType(phone) {
-    if (phone.length === 11 && phone.startsWith('55')) {
-      const area = phone.slice(2, 4);
-      const first = phone.charAt(4);
-      return first === '9' ? 'Mobile' : 'Landline';
+    const parsed = typeof phone === 'string' ? parsePhone(phone) : phone;
+    return TYPE_LABELS[parsed.type] || TYPE_LABELS.unknown;
+  }
+
+  // Normalizes the structured scan results into findings; the raw results stay on the report too
+  collectFindings(target, results) {
+    const findings = [];
+
+    if (results.social) findings.push(...results.social);
+    if (results.email) findings.push(...this.emailFindings(results.email));
+    if (results.network) findings.push(...this.networkFindings(target, results.network));
+    if (results.phone) findings.push(this.phoneFinding(results.phone));
+
+    return findings;
+  }
+
+  // DNS and registration only; the port scan stays in networkScan
+  async domainFindings(domain, options = {}) {
+    const info = await this.getDomainInfo(domain, options);
+    if (info.error) return [this.dnsFinding(domain, info)];
+    return [this.dnsFinding(domain, info.dns), this.registrationFinding(domain, info.registration)];
+  }
+
+  emailFindings(email) {
+    const findings = [
+      createFinding({
+        entityType: 'email',
+        value: email.email,
+        source: 'syntax',
+        status: email.validation.valid ? 'info' : 'not_found',
+        confidence: 1,
+        attributes: { valid: email.validation.valid, domain: email.domain }
+      })
+    ];
+
+    if (email.domainInfo.error) {
+      findings.push(errorFinding({ entityType: 'dns', value: email.domain, source: 'dns', error: email.domainInfo.error }));
+    } else {
+      findings.push(this.dnsFinding(email.domain, email.domainInfo.dns));
+      findings.push(this.registrationFinding(email.domain, email.domainInfo.registration));
+    }
+
+    findings.push(this.mailSecurityFinding(email.domain, email.mailSecurity));
+    findings.push(this.breachFinding(email.breachCheck));
+    if (email.breachCorpus.error) {
+      findings.push(errorFinding({ entityType: 'email', value: email.email, source: 'breach-corpus', error: email.breachCorpus.error }));
+    } else if (email.breachCorpus.available) {
+      findings.push(this.corpusFinding('email', email.email, email.breachCorpus));
+    }
+
+    if (email.deliverability) {
+      const { status } = email.deliverability;
+      findings.push(createFinding({
+        entityType: 'email',
+        value: email.email,
+        source: 'smtp',
+        status: status === 'deliverable' ? 'found' : status === 'rejected' ? 'not_found' : 'info',
+        confidence: status === 'catch-all' ? 0.5 : status === 'unknown' ? null : 0.9,
+        summary: email.deliverability.reason,
+        attributes: { status, catchAll: email.deliverability.catchAll ?? null, mx: email.deliverability.mx || null }
+      }));
+    }
+
+    return findings;
+  }
+
+  networkFindings(target, network) {
+    const findings = [
+      this.dnsFinding(target, network.dns),
+      this.registrationFinding(target, network.registration)
+    ];
+
+    for (const entry of network.subdomains) {
+      findings.push(createFinding({
+        entityType: 'subdomain',
+        value: entry.subdomain,
+        source: entry.source || 'wordlist',
+        status: entry.status === 'active' ? 'found' : 'info',
+        confidence: entry.status === 'active' ? 1 : 0.5,
+        attributes: { type: entry.type, records: entry.records },
+        evidence: [evidence('dns', entry.subdomain)]
+      }));
+    }
+
+    for (const port of network.openPorts) {
+      findings.push(createFinding({
+        entityType: 'port',
+        value: `${target}:${port.port}`,
+        source: 'port-scan',
+        status: 'found',
+        severity: [21, 23, 3389].includes(port.port) ? 'medium' : 'low',
+        confidence: port.confidence,
+        attributes: { port: port.port, service: port.service, product: port.product || null, version: port.version || null },
+        evidence: [evidence('banner', port.banner)]
+      }));
+    }
+
+    return findings;
+  }
+
+  phoneFinding(phone) {
+    return createFinding({
+      entityType: 'phone',
+      value: phone.number,
+      source: 'numbering-plan',
+      status: phone.valid ? 'found' : 'not_found',
+      confidence: phone.valid ? 0.9 : 1,
+      attributes: {
+        formatted: phone.formatted,
+        country: phone.country,
+        region: phone.region,
+        area: phone.area,
+        type: phone.type
+      },
+      error: phone.valid || phone.errors.length === 0 ? null : phone.errors.join('; ')
+    });
+  }
+
+  dnsFinding(name, dnsResult) {
+    if (!dnsResult || dnsResult.error) {
+      return errorFinding({ entityType: 'dns', value: name, source: 'dns', error: dnsResult?.error });
+    }
+
+    const found = Object.keys(dnsResult.records).length > 0;
+    return createFinding({
+      entityType: 'dns',
+      value: name,
+      source: 'dns',
+      status: found ? 'found' : 'not_found',
+      confidence: 1,
+      attributes: { records: dnsResult.records },
+      evidence: [evidence('dns', name)],
+      cache: dnsResult.cache
+    });
+  }
+
+  registrationFinding(name, info) {
+    if (info.error) {
+      return errorFinding({ entityType: 'registration', value: name, source: info.source || 'rdap', error: info.error });
     }
-    return 'Unknown';
+
+    const short = (Number.isInteger(info.ageDays) && info.ageDays < 30) || (Number.isInteger(info.daysToExpiry) && info.daysToExpiry < 30);
+    return createFinding({
+      entityType: 'registration',
+      value: name,
+      source: info.source,
+      status: info.registered === false ? 'not_found' : 'found',
+      severity: short ? 'medium' : 'none',
+      confidence: 1,
+      attributes: {
+        registrar: info.registrar || null,
+        created: info.created || null,
+        expires: info.expires || null,
+        ageDays: info.ageDays ?? null,
+        daysToExpiry: info.daysToExpiry ?? null,
+        nameservers: info.nameservers || [],
+        registrant: info.registrant || null
+      },
+      evidence: [evidence(info.source, info.server)],
+      firstSeen: info.created || null,
+      cache: info.cache
+    });
   }
 
-  async generateReport(target, results) {
+  mailSecurityFinding(domain, posture) {
+    if (posture.error) {
+      return errorFinding({ entityType: 'mail_security', value: domain, source: 'mail-security', error: posture.error });
+    }
+
+    return createFinding({
+      entityType: 'mail_security',
+      value: domain,
+      source: 'mail-security',
+      status: 'found',
+      severity: ['A', 'B'].includes(posture.grade) ? 'none' : ['D', 'F'].includes(posture.grade) ? 'high' : 'medium',
+      confidence: 1,
+      attributes: {
+        grade: posture.grade,
+        score: posture.score,
+        findings: posture.findings.filter(finding => finding.severity !== 'info')
+      },
+      evidence: [evidence('dns', `_dmarc.${domain}`), evidence('dns', domain)],
+      cache: posture.cache
+    });
+  }
+
+  breachFinding(check) {
+    if (check.status !== 'ok') {
+      return errorFinding({
+        entityType: 'email',
+        value: check.email,
+        source: check.provider,
+        error: { message: check.error || 'Breach provider unavailable', code: check.status }
+      });
+    }
+
+    return createFinding({
+      entityType: 'email',
+      value: check.email,
+      source: check.provider,
+      status: check.found ? 'found' : 'clear',
+      severity: check.found ? 'high' : 'none',
+      confidence: 1,
+      attributes: { breaches: check.breaches },
+      observedAt: check.checkedAt,
+      cache: check.cache
+    });
+  }
+
+  corpusFinding(field, value, corpus) {
+    return createFinding({
+      entityType: field,
+      value,
+      source: 'breach-corpus',
+      label: 'Breach corpus',
+      status: corpus.total > 0 ? 'found' : 'clear',
+      severity: corpus.total > 0 ? 'high' : 'none',
+      confidence: 1,
+      attributes: { total: corpus.total, truncated: corpus.truncated, matches: corpus.matches },
+      evidence: [...new Set(corpus.matches.map(match => match.dataset))].map(dataset => evidence('dataset', dataset))
+    });
+  }
+
+  // options.pivots is a PivotEngine.expand() result; its findings join the report's
+  async generateReport(target, results, options = {}) {
+    const findings = this.collectFindings(target, results);
+    if (options.pivots) findings.push(...options.pivots.findings);
+
     const report = {
       target,
       timestamp: new Date().toISOString(),
@@ -334,23 +592,38 @@ class OSINTEngine {
         networkServices: 0,
         vulnerabilities: 0
       },
-      findings: results,
-      recommendations: this.generateRecommendations(results)
+      findings,
+      results,
+      recommendations: this.generateRecommendations(results, findings)
     };
 
     // Count findings
-    if (results.social) report.summary.socialProfiles = results.social.filter(r => r.status === 'found').length;
+    report.summary.socialProfiles = findings.filter(f => f.entityType === 'profile' && f.status === 'found').length;
     if (results.network) report.summary.networkServices = results.network.openPorts?.length || 0;
 
     report.summary.totalFindings = report.summary.socialProfiles + report.summary.networkServices;
 
+    const registration = results.network?.registration || results.email?.domainInfo?.registration;
+    if (registration && !registration.error) {
+      report.summary.registration = {
+        registrar: registration.registrar || null,
+        domainAgeDays: registration.ageDays ?? null,
+        daysToExpiry: registration.daysToExpiry ?? null
+      };
+    }
+
+    if (options.pivots) {
+      const { graph, lookups, budget, maxDepth, exhausted } = options.pivots;
+      report.pivots = { graph, lookups, budget, maxDepth, exhausted };
+    }
+
     return report;
   }
 
-  generateRecommendations(results) {
+  generateRecommendations(results, findings = this.collectFindings(null, results)) {
     const recommendations = [];
 
-    if (results.social?.some(r => r.status === 'found')) {
+    if (findings.some(f => f.entityType === 'profile' && f.status === 'found')) {
       recommendations.push('Review social media privacy settings');
       recommendations.push('Consider limiting public information exposure');
     }
@@ -360,7 +633,19 @@ class OSINTEngine {
       recommendations.push('Implement proper firewall rules');
     }
 
-    if (results.email?.breachCheck?.found) {
+    if (['D', 'F'].includes(results.email?.mailSecurity?.grade)) {
+      recommendations.push('Publish enforcing SPF and DMARC policies for the email domain');
+    }
+
+    const registration = results.network?.registration || results.email?.domainInfo?.registration;
+    if (Number.isInteger(registration?.daysToExpiry) && registration.daysToExpiry < 30) {
+      recommendations.push(`Renew the domain registration (expires in ${registration.daysToExpiry} days)`);
+    }
+    if (Number.isInteger(registration?.ageDays) && registration.ageDays < 30) {
+      recommendations.push(`Treat with caution: domain was registered ${registration.ageDays} days ago`);
+    }
+
+    if (results.email?.breachCheck?.found || results.email?.breachCorpus?.total > 0) {
       recommendations.push('Change passwords for compromised accounts');
       recommendations.push('Enable two-factor authentication');
     }
@@ -0,0 +1,195 @@
+// E.164 phone number parsing, validation, region/type detection and formatting
+const CALLING_CODES = require('./data/calling-codes.json');
+const PLANS = require('./data/numbering-plans.json');
+const AREAS = require('./data/phone-areas.json');
+
+const BY_CODE = new Map();
+const BY_REGION = new Map();
+for (const entry of CALLING_CODES) {
+  if (!BY_CODE.has(entry.code)) BY_CODE.set(entry.code, []);
+  BY_CODE.get(entry.code).push(entry);
+  BY_REGION.set(entry.region, entry);
+}
+
+const COMPILED_PLANS = {};
+for (const [key, plan] of Object.entries(PLANS)) {
+  COMPILED_PLANS[key] = {
+    types: plan.types.map(([type, pattern]) => ({ type, regex: new RegExp(pattern) })),
+    formats: plan.formats.map(format => ({ ...format, regex: new RegExp(format.pattern) }))
+  };
+}
+
+const TYPE_LABELS = {
+  mobile: 'Mobile',
+  fixed: 'Landline',
+  fixed_or_mobile: 'Landline or Mobile',
+  toll_free: 'Toll-free',
+  premium: 'Premium-rate',
+  shared_cost: 'Shared-cost',
+  personal: 'Personal number',
+  voip: 'VoIP',
+  uan: 'UAN',
+  pager: 'Pager',
+  unknown: 'Unknown'
+};
+
+// Country calling codes are prefix-free, so the first 1-3 digit match is the only one
+function splitCountryCode(digits) {
+  for (let length = 1; length <= 3; length++) {
+    const code = digits.slice(0, length);
+    if (BY_CODE.has(code)) return { code, national: digits.slice(length) };
+  }
+  return null;
+}
+
+function planFor(country) {
+  if (country.code === '1') return COMPILED_PLANS.NANP;
+  return COMPILED_PLANS[country.region] || null;
+}
+
+// Picks the region sharing a calling code (NANP area codes, +7 6/7 for Kazakhstan, ...)
+function resolveRegion(code, national) {
+  const candidates = BY_CODE.get(code);
+
+  if (code === '1') {
+    // Toll-free, premium-rate and personal codes are shared by every NANP country
+    const service = AREAS.nanp.nonGeographic[national.slice(0, 3)];
+    if (service) return { country: candidates[0], area: service, known: true };
+
+    const area = AREAS.nanp.areaCodes[national.slice(0, 3)];
+    if (!area) return { country: candidates[0], area: null, known: false };
+    const country = BY_REGION.get(area.region) || {
+      code: '1',
+      region: area.region,
+      name: AREAS.nanp.regionNames[area.region] || area.region,
+      nationalLength: [10, 10],
+      trunkPrefix: '1'
+    };
+    return { country, area: area.area, known: true };
+  }
+
+  if (code === '7') {
+    return { country: /^[67]/.test(national) ? BY_REGION.get('KZ') : BY_REGION.get('RU'), area: null, known: true };
+  }
+
+  if (code === '55') {
+    const state = AREAS.br.ddd[national.slice(0, 2)] || null;
+    return { country: candidates[0], area: state, known: true };
+  }
+
+  return { country: candidates[0], area: null, known: true };
+}
+
+function detectType(country, national) {
+  const plan = planFor(country);
+  if (!plan) return 'unknown';
+  const match = plan.types.find(entry => entry.regex.test(national));
+  return match ? match.type : 'unknown';
+}
+
+function applyFormat(template, match) {
+  return template.replace(/\$(\d)/g, (_, index) => match[index] || '');
+}
+
+// Generic fallback: split into groups of 3-4 digits from the left
+function groupDigits(national) {
+  const groups = [];
+  let rest = national;
+  while (rest.length > 4) {
+    const size = rest.length === 6 ? 3 : rest.length % 4 === 0 ? 4 : 3;
+    groups.push(rest.slice(0, size));
+    rest = rest.slice(size);
+  }
+  if (rest) groups.push(rest);
+  return groups.join(' ');
+}
+
+function formatNumber(country, national) {
+  const plan = planFor(country);
+  const format = plan && plan.formats.find(entry => entry.regex.test(national));
+  const match = format && national.match(format.regex);
+
+  const nationalFormat = match
+    ? applyFormat(format.national, match)
+    : `${country.trunkPrefix && country.code !== '1' ? country.trunkPrefix : ''}${groupDigits(national)}`;
+  const internationalFormat = match ? applyFormat(format.international, match) : groupDigits(national);
+
+  return {
+    e164: `+${country.code}${national}`,
+    international: `+${country.code} ${internationalFormat}`,
+    national: nationalFormat
+  };
+}
+
+function normalizeInput(input) {
+  const raw = String(input || '').trim();
+  const international = /^\+/.test(raw) || /^00/.test(raw.replace(/[^\d]/g, ''));
+  let digits = raw.replace(/\D/g, '');
+  if (!raw.startsWith('+') && digits.startsWith('00')) digits = digits.slice(2);
+  return { raw, digits, international };
+}
+
+function buildResult(raw, code, national, errors = []) {
+  const { country, area, known } = resolveRegion(code, national);
+  const [minLength, maxLength] = country.nationalLength;
+  const lengthOk = national.length >= minLength && national.length <= maxLength;
+
+  if (!lengthOk) {
+    errors.push(`National number must be ${minLength === maxLength ? minLength : `${minLength}-${maxLength}`} digits for +${code}, got ${national.length}`);
+  }
+  if (code === '1' && !/^[2-9]\d{2}[2-9]\d{6}$/.test(national)) {
+    errors.push('NANP numbers need a 3-digit area code and exchange that do not start with 0 or 1');
+  }
+  if (code === '1' && !known) {
+    errors.push(`Area code ${national.slice(0, 3)} is not assigned`);
+  }
+
+  const type = detectType(country, national);
+  const valid = errors.length === 0 && (type !== 'unknown' || !planFor(country));
+
+  return {
+    input: raw,
+    valid,
+    possible: lengthOk,
+    countryCode: code,
+    region: country.region,
+    country: country.name,
+    area,
+    nationalNumber: national,
+    type,
+    typeLabel: TYPE_LABELS[type],
+    ...(lengthOk ? formatNumber(country, national) : { e164: `+${code}${national}`, international: null, national: null }),
+    errors
+  };
+}
+
+// Accepts +CC..., 00CC..., bare digits with a country code, or a national number with defaultRegion
+function parsePhone(input, options = {}) {
+  const { raw, digits, international } = normalizeInput(input);
+
+  if (digits.length < 4 || digits.length > 15) {
+    return { input: raw, valid: false, possible: false, errors: ['E.164 numbers have between 4 and 15 digits'] };
+  }
+
+  const defaultCountry = options.defaultRegion ? BY_REGION.get(options.defaultRegion.toUpperCase()) : null;
+
+  if (!international && defaultCountry) {
+    const national = defaultCountry.trunkPrefix && digits.startsWith(defaultCountry.trunkPrefix)
+      ? digits.slice(defaultCountry.trunkPrefix.length)
+      : digits;
+    const asNational = buildResult(raw, defaultCountry.code, national);
+    if (asNational.valid) return asNational;
+  }
+
+  const split = splitCountryCode(digits);
+  if (!split) {
+    return { input: raw, valid: false, possible: false, errors: ['Unknown country calling code'] };
+  }
+
+  return buildResult(raw, split.code, split.national);
+}
+
+module.exports = {
+  parsePhone,
+  TYPE_LABELS
+};
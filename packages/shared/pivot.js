@@ -0,0 +1,205 @@
+// Breadth-first expansion: selectors pulled out of findings become follow-up lookups,
+// bounded by depth and a lookup budget, with a graph of which finding led to which pivot
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const HOSTNAME_PATTERN = /^(?=.{4,253}$)(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+// Mailbox providers and platforms whose domains say nothing about the target
+const SHARED_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'live.com', 'msn.com',
+  'icloud.com', 'me.com', 'aol.com', 'protonmail.com', 'proton.me', 'gmx.com', 'gmx.net',
+  'mail.ru', 'yandex.ru', 'qq.com', 'uol.com.br', 'bol.com.br', 'users.noreply.github.com',
+  'medium.com', 'blogspot.com', 'wordpress.com', 'github.io', 'linktr.ee', 'about.me'
+]);
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+class PivotEngine {
+  constructor(options = {}) {
+    this.engine = options.engine;
+    this.maxDepth = options.maxDepth ?? envInt('PIVOT_MAX_DEPTH', 1);
+    this.budget = options.budget ?? envInt('PIVOT_BUDGET', 10);
+    this.sharedDomains = new Set([...SHARED_DOMAINS, ...this.platformDomains(), ...(options.sharedDomains || [])]);
+  }
+
+  // Profile URLs on the checked platforms are not worth a domain scan either
+  platformDomains() {
+    const sites = this.engine?.siteChecker?.sites || [];
+    return sites.flatMap(site => {
+      try {
+        const host = new URL(site.url.replace(/\{username\}/g, 'x')).hostname.replace(/^www\./, '');
+        return [host];
+      } catch (e) {
+        return [];
+      }
+    });
+  }
+
+  static key(selector) {
+    return `${selector.type}:${selector.value.toLowerCase()}`;
+  }
+
+  normalize(type, raw) {
+    if (typeof raw !== 'string') return null;
+    const value = raw.trim();
+
+    switch (type) {
+      case 'email':
+        return EMAIL_PATTERN.test(value) ? value.toLowerCase() : null;
+      case 'username':
+        return /^[a-zA-Z0-9_.-]{2,39}$/.test(value) ? value : null;
+      case 'domain': {
+        let host = value;
+        if (/^[a-z][a-z0-9+.-]*:\/\//i.test(host) || host.includes('/')) {
+          try {
+            host = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(host) ? host : `http://${host}`).hostname;
+          } catch (e) {
+            return null;
+          }
+        }
+        host = host.toLowerCase().replace(/^www\./, '').replace(/\.$/, '');
+        if (!HOSTNAME_PATTERN.test(host)) return null;
+        if (this.isShared(host)) return null;
+        return host;
+      }
+      default:
+        return null;
+    }
+  }
+
+  isShared(host) {
+    for (let parent = host; parent.includes('.'); parent = parent.slice(parent.indexOf('.') + 1)) {
+      if (this.sharedDomains.has(parent)) return true;
+    }
+    return false;
+  }
+
+  // New selectors a finding exposes, with the attribute that exposed them
+  extractSelectors(finding) {
+    if (finding.status === 'error' || finding.status === 'not_found') return [];
+
+    const candidates = [];
+    const attributes = finding.attributes || {};
+
+    switch (finding.entityType) {
+      case 'email':
+        if (finding.source === 'syntax' && finding.value) {
+          const [local, domain] = finding.value.split('@');
+          candidates.push({ type: 'username', value: local, reason: 'email local part' });
+          candidates.push({ type: 'domain', value: domain, reason: 'email domain' });
+        }
+        break;
+      case 'profile':
+        candidates.push({ type: 'email', value: attributes.email, reason: `${finding.source} email` });
+        candidates.push({ type: 'domain', value: attributes.blog, reason: `${finding.source} blog` });
+        candidates.push({ type: 'domain', value: attributes.website, reason: `${finding.source} website` });
+        candidates.push({ type: 'username', value: attributes.twitter, reason: `${finding.source} linked Twitter account` });
+        break;
+      case 'registration':
+        candidates.push({ type: 'email', value: attributes.registrant?.email, reason: 'registrant email' });
+        break;
+      default:
+        break;
+    }
+
+    return candidates
+      .map(candidate => ({ ...candidate, value: this.normalize(candidate.type, candidate.value) }))
+      .filter(candidate => candidate.value);
+  }
+
+  async lookup(selector, options = {}) {
+    switch (selector.type) {
+      case 'email':
+        return this.engine.emailFindings(await this.engine.emailAnalysis(selector.value, options));
+      case 'username':
+        return this.engine.socialMediaScan(selector.value, options);
+      case 'domain':
+        return this.engine.domainFindings(selector.value, options);
+      default:
+        throw new Error(`Unsupported pivot type: ${selector.type}`);
+    }
+  }
+
+  /**
+   * Expands from findings already gathered for the seed selector.
+   * The seed is depth 0 and is never looked up again; every follow-up lookup spends one unit of budget.
+   * options.signal stops the expansion before the next level and is passed on to every lookup.
+   */
+  async expand(seed, seedFindings, options = {}) {
+    const maxDepth = options.maxDepth ?? this.maxDepth;
+    const budget = options.budget ?? this.budget;
+    const nodes = new Map();
+    const edges = [];
+    const findings = new Map();
+    let lookups = 0;
+
+    const seedKey = PivotEngine.key(seed);
+    nodes.set(seedKey, { key: seedKey, type: seed.type, value: seed.value, depth: 0, status: 'seed' });
+
+    let frontier = [];
+    const enqueue = (origin, produced, depth) => {
+      for (const finding of produced) {
+        if (!findings.has(finding.id)) findings.set(finding.id, finding);
+
+        for (const selector of this.extractSelectors(finding)) {
+          const key = PivotEngine.key(selector);
+          edges.push({ from: origin, to: key, findingId: finding.id, source: finding.source, reason: selector.reason });
+          if (nodes.has(key)) continue;
+
+          const node = { key, type: selector.type, value: selector.value, depth, status: 'queued' };
+          nodes.set(key, node);
+          if (depth > maxDepth) {
+            Object.assign(node, { status: 'skipped', skipReason: 'depth' });
+          } else {
+            frontier.push(node);
+          }
+        }
+      }
+    };
+
+    enqueue(seedKey, seedFindings, 1);
+
+    for (let depth = 1; depth <= maxDepth && frontier.length > 0; depth++) {
+      options.signal?.throwIfAborted();
+      const level = frontier;
+      frontier = [];
+
+      const runnable = level.slice(0, Math.max(0, budget - lookups));
+      for (const node of level.slice(runnable.length)) {
+        Object.assign(node, { status: 'skipped', skipReason: 'budget' });
+      }
+      lookups += runnable.length;
+
+      const outcomes = await Promise.all(runnable.map(node => this.lookup(node, options)
+        .then(produced => ({ node, produced }))
+        .catch(error => ({ node, error }))));
+
+      for (const { node, produced, error } of outcomes) {
+        if (error) {
+          Object.assign(node, { status: 'error', error: error.message });
+          continue;
+        }
+        node.status = 'scanned';
+        node.findingCount = produced.length;
+        enqueue(node.key, produced, depth + 1);
+      }
+    }
+    options.signal?.throwIfAborted();
+
+    const seedIds = new Set(seedFindings.map(finding => finding.id));
+    return {
+      findings: [...findings.values()].filter(finding => !seedIds.has(finding.id)),
+      graph: { nodes: [...nodes.values()], edges },
+      lookups,
+      budget,
+      maxDepth,
+      exhausted: [...nodes.values()].some(node => node.skipReason === 'budget')
+    };
+  }
+}
+
+PivotEngine.SHARED_DOMAINS = SHARED_DOMAINS;
+
+module.exports = PivotEngine;
@@ -0,0 +1,92 @@
+// Public Suffix List lookups: the registrable (organizational) domain of a name, as DMARC (RFC 7489 3.2) uses it
+const fs = require('fs');
+const path = require('path');
+const url = require('url');
+
+const DEFAULT_LIST_FILE = path.join(__dirname, 'data', 'public-suffixes.dat');
+const PUBLIC_SUFFIX_LIST_URL = 'https://publicsuffix.org/list/public_suffix_list.dat';
+
+class PublicSuffixList {
+  // text in the publicsuffix.org format: one rule per line, "*." wildcards, "!" exceptions, "//" comments
+  constructor(text) {
+    this.rules = new Set();
+    this.exceptions = new Set();
+
+    for (const line of text.split('\n')) {
+      const rule = line.trim().split(/\s/)[0];
+      if (!rule || rule.startsWith('//')) continue;
+      const exception = rule.startsWith('!');
+      // IDN rules are listed in Unicode; names are looked up in their ASCII (punycode) form
+      const ascii = rule.slice(exception ? 1 : 0).split('.').map(label => (label === '*' ? label : url.domainToASCII(label) || label)).join('.');
+      (exception ? this.exceptions : this.rules).add(ascii);
+    }
+  }
+
+  static load(file = DEFAULT_LIST_FILE) {
+    return new PublicSuffixList(fs.readFileSync(file, 'utf8'));
+  }
+
+  // Number of trailing labels forming the public suffix; an unlisted TLD is one ("*" default rule)
+  suffixLength(labels) {
+    for (let i = 0; i < labels.length; i++) {
+      const candidate = labels.slice(i).join('.');
+      if (this.exceptions.has(candidate)) return labels.length - i - 1;
+      const wildcard = ['*', ...labels.slice(i + 1)].join('.');
+      if (this.rules.has(candidate) || (i < labels.length - 1 && this.rules.has(wildcard))) return labels.length - i;
+    }
+    return 1;
+  }
+
+  publicSuffix(domain) {
+    const labels = normalize(domain).split('.');
+    return labels.slice(-this.suffixLength(labels)).join('.');
+  }
+
+  // mail.example.co.uk → example.co.uk; null when the name is itself a public suffix
+  organizationalDomain(domain) {
+    const labels = normalize(domain).split('.');
+    const length = this.suffixLength(labels);
+    return labels.length > length ? labels.slice(-(length + 1)).join('.') : null;
+  }
+}
+
+function normalize(domain) {
+  const name = String(domain).trim().toLowerCase().replace(/\.$/, '');
+  return url.domainToASCII(name) || name;
+}
+
+let defaultList = null;
+
+function defaultPublicSuffixes() {
+  if (!defaultList) defaultList = PublicSuffixList.load();
+  return defaultList;
+}
+
+// Replaces the bundled snapshot with the ICANN section of the current list
+async function refreshPublicSuffixes(file = DEFAULT_LIST_FILE) {
+  const response = await fetch(PUBLIC_SUFFIX_LIST_URL);
+  if (!response.ok) throw new Error(`Public Suffix List download failed: HTTP ${response.status}`);
+  const text = await response.text();
+
+  const section = /\/\/ ===BEGIN ICANN DOMAINS===\n([\s\S]*?)\/\/ ===END ICANN DOMAINS===/.exec(text);
+  if (!section) throw new Error('Malformed Public Suffix List: no ICANN section');
+  const list = new PublicSuffixList(section[1]);
+  if (list.rules.size < 1000) throw new Error(`Malformed Public Suffix List: only ${list.rules.size} rules`);
+
+  fs.writeFileSync(file, [
+    `// ICANN section of the Public Suffix List, ${PUBLIC_SUFFIX_LIST_URL}`,
+    '// Mozilla Public License 2.0 (https://mozilla.org/MPL/2.0/). Bundled snapshot; npm run refresh-public-suffixes',
+    '// replaces it with the current list',
+    '',
+    section[1]
+  ].join('\n'));
+  defaultList = null;
+  return list.rules.size;
+}
+
+module.exports = {
+  PublicSuffixList,
+  defaultPublicSuffixes,
+  refreshPublicSuffixes,
+  PUBLIC_SUFFIX_LIST_URL
+};
@@ -0,0 +1,412 @@
+// Registration data for domains and IPs: RDAP via the IANA bootstrap, port-43 WHOIS as fallback
+const https = require('https');
+const net = require('net');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { defaultCache } = require('./result-cache');
+const { defaultPublicSuffixes } = require('./public-suffix');
+
+const BUNDLED_DIR = path.join(__dirname, 'data', 'rdap');
+const BOOTSTRAP_FILES = ['dns.json', 'ipv4.json', 'ipv6.json'];
+const IANA_BOOTSTRAP_URL = 'https://data.iana.org/rdap/';
+const IANA_WHOIS = 'whois.iana.org';
+const MAX_REDIRECTS = 3;
+const MAX_BODY = 1024 * 1024;
+const DAY = 24 * 60 * 60 * 1000;
+
+const NOT_FOUND = /^\s*(?:no match|not found|no entries found|no data found|domain not found|%+ no such domain|the queried object does not exist)/im;
+const REDACTED = /redacted|privacy|withheld|not disclosed|data protected|gdpr|contact privacy|statutory masking/i;
+
+// Keys seen across gTLD, ccTLD and RIR WHOIS output; first match wins
+const WHOIS_FIELDS = {
+  registrar: [/^registrar$/, /^sponsoring registrar$/, /^registrar name$/, /^registrar organization$/],
+  created: [/^creation date$/, /^created on$/, /^created$/, /^registered on$/, /^registration time$/, /^registered$/, /^domain registration date$/, /^regdate$/],
+  updated: [/^updated date$/, /^last updated on$/, /^last[- ]modified$/, /^changed$/, /^last updated$/, /^updated$/],
+  expires: [/^registry expiry date$/, /^registrar registration expiration date$/, /^expiration date$/, /^expiry date$/, /^expires on$/, /^expires$/, /^paid-till$/, /^renewal date$/, /^expiration time$/],
+  status: [/^domain status$/, /^status$/, /^state$/],
+  nameservers: [/^name ?servers?$/, /^nserver$/],
+  registrantName: [/^registrant name$/, /^registrant$/, /^owner$/, /^person$/],
+  registrantOrganization: [/^registrant organi[sz]ation$/, /^org(?:-name)?$/, /^orgname$/, /^organi[sz]ation$/],
+  registrantEmail: [/^registrant email$/],
+  registrantCountry: [/^registrant country$/, /^country$/],
+  networkName: [/^netname$/, /^network name$/],
+  networkRange: [/^netrange$/, /^inetnum$/, /^inet6num$/],
+  cidr: [/^cidr$/, /^route$/]
+};
+
+function parseDate(value) {
+  if (!value) return null;
+  const text = String(value).trim();
+  let match;
+  let date;
+
+  if ((match = text.match(/^(\d{4})(\d{2})(\d{2})\b/))) {
+    date = new Date(Date.UTC(match[1], match[2] - 1, match[3]));
+  } else if ((match = text.match(/^(\d{4})[./](\d{2})[./](\d{2})/))) {
+    date = new Date(Date.UTC(match[1], match[2] - 1, match[3]));
+  } else if ((match = text.match(/^(\d{2})[.-](\d{2})[.-](\d{4})/))) {
+    date = new Date(Date.UTC(match[3], match[2] - 1, match[1]));
+  } else {
+    date = new Date(text.replace(/\s+\(.*\)$/, ''));
+  }
+
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function daysBetween(from, to) {
+  return Math.floor((new Date(to) - new Date(from)) / DAY);
+}
+
+function withTimeline(result) {
+  const now = new Date().toISOString();
+  result.ageDays = result.created ? daysBetween(result.created, now) : null;
+  result.daysToExpiry = result.expires ? daysBetween(now, result.expires) : null;
+  return result;
+}
+
+function isRedacted(value) {
+  return !value || REDACTED.test(value);
+}
+
+// Reduces a contact to the non-redacted fields, or null when nothing useful is left
+function contact(fields) {
+  const kept = Object.fromEntries(Object.entries(fields).filter(([, value]) => !isRedacted(value)));
+  return Object.keys(kept).length > 0 ? kept : null;
+}
+
+function vcardValue(entity, name) {
+  const vcard = entity.vcardArray && entity.vcardArray[1];
+  const entry = vcard && vcard.find(item => item[0] === name);
+  if (!entry) return null;
+  const value = entry[3];
+  if (name === 'adr') {
+    return (entry[1] && entry[1].cc) || (Array.isArray(value) ? value[value.length - 1] || null : null);
+  }
+  return Array.isArray(value) ? value.filter(Boolean).join(' ') : value;
+}
+
+function findEntity(entities, role) {
+  for (const entity of entities || []) {
+    if ((entity.roles || []).includes(role)) return entity;
+    const nested = findEntity(entity.entities, role);
+    if (nested) return nested;
+  }
+  return null;
+}
+
+function eventDate(json, action) {
+  const event = (json.events || []).find(item => item.eventAction === action);
+  return event ? parseDate(event.eventDate) : null;
+}
+
+function ipToBigInt(ip) {
+  if (net.isIPv4(ip)) return ip.split('.').reduce((sum, part) => (sum << 8n) + BigInt(part), 0n);
+  const [head, tail = ''] = ip.split('::');
+  const left = head ? head.split(':') : [];
+  const right = tail ? tail.split(':') : [];
+  const groups = [...left, ...Array(8 - left.length - right.length).fill('0'), ...right];
+  return groups.reduce((sum, group) => (sum << 16n) + BigInt(parseInt(group || '0', 16)), 0n);
+}
+
+function cidrMatches(ip, cidr) {
+  const [base, prefix] = cidr.split('/');
+  if (net.isIP(base) !== net.isIP(ip)) return false;
+  const bits = net.isIPv4(ip) ? 32n : 128n;
+  const shift = bits - BigInt(prefix);
+  return (ipToBigInt(ip) >> shift) === (ipToBigInt(base) >> shift);
+}
+
+class RegistrationLookup {
+  constructor(options = {}) {
+    this.timeout = options.timeout || 10000;
+    this.bootstrapDir = options.bootstrapDir || process.env.RDAP_BOOTSTRAP_DIR || path.join(os.tmpdir(), 'infohub-rdap');
+    this.bootstrap = null;
+    this.cache = options.cache || defaultCache();
+    this.publicSuffixes = options.publicSuffixes || defaultPublicSuffixes();
+  }
+
+  // A refreshed copy wins over the bundled snapshot
+  loadBootstrap() {
+    if (this.bootstrap) return this.bootstrap;
+
+    const load = (file) => {
+      for (const dir of [this.bootstrapDir, BUNDLED_DIR]) {
+        try {
+          return JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        } catch (e) {
+          // Try the next location
+        }
+      }
+      return { services: [] };
+    };
+
+    const dnsFile = load('dns.json');
+    const ipFiles = [load('ipv4.json'), load('ipv6.json')];
+
+    this.bootstrap = {
+      dns: new Map(dnsFile.services.flatMap(([tlds, urls]) => tlds.map(tld => [tld.toLowerCase(), urls]))),
+      ip: ipFiles
+        .flatMap(file => file.services.flatMap(([cidrs, urls]) => cidrs.map(cidr => ({ cidr, prefix: parseInt(cidr.split('/')[1], 10), urls }))))
+        .sort((a, b) => b.prefix - a.prefix),
+      publication: dnsFile.publication || null
+    };
+    return this.bootstrap;
+  }
+
+  async refreshBootstrap() {
+    fs.mkdirSync(this.bootstrapDir, { recursive: true });
+    for (const file of BOOTSTRAP_FILES) {
+      const body = await this.fetchJson(`${IANA_BOOTSTRAP_URL}${file}`, 'application/json');
+      if (!Array.isArray(body.services)) throw new Error(`Malformed bootstrap file: ${file}`);
+      fs.writeFileSync(path.join(this.bootstrapDir, file), JSON.stringify(body));
+    }
+    this.bootstrap = null;
+    return this.loadBootstrap().publication;
+  }
+
+  rdapBase(target) {
+    const bootstrap = this.loadBootstrap();
+    const urls = net.isIP(target)
+      ? (bootstrap.ip.find(entry => cidrMatches(target, entry.cidr)) || {}).urls
+      : bootstrap.dns.get(target.split('.').pop().toLowerCase());
+    if (!urls) return null;
+    return urls.find(url => url.startsWith('https://')) || urls[0];
+  }
+
+  // Registration data changes rarely: answers are cached for a day, unregistered domains for an hour.
+  // Only registrable domains are registered, so www.example.co.uk is looked up as example.co.uk
+  async lookup(target) {
+    const name = net.isIP(target) ? target : target.toLowerCase().replace(/\.$/, '');
+    const query = net.isIP(name) ? name : this.publicSuffixes.organizationalDomain(name) || name;
+    const { value, cache } = await this.cache.lookup('rdap', query, () => this.fetchRegistration(query), {
+      classify: info => (info.error ? null : info.registered === false ? 'negative' : 'positive')
+    });
+    return { ...value, cache };
+  }
+
+  async fetchRegistration(query) {
+    const type = net.isIP(query) ? 'ip' : 'domain';
+    const base = this.rdapBase(query);
+    let rdapError = base ? null : 'No RDAP service in bootstrap';
+
+    if (base) {
+      const url = `${base.replace(/\/?$/, '/')}${type}/${encodeURIComponent(query)}`;
+      try {
+        const json = await this.fetchJson(url, 'application/rdap+json');
+        const parsed = type === 'domain' ? this.parseRdapDomain(json) : this.parseRdapIp(json);
+        return withTimeline({ query, type, source: 'rdap', server: new URL(url).host, registered: true, ...parsed });
+      } catch (error) {
+        // An authoritative 404 means unregistered; WHOIS would only say the same thing slower
+        if (error.statusCode === 404 && type === 'domain') {
+          return { query, type, source: 'rdap', server: new URL(url).host, registered: false };
+        }
+        rdapError = error.message;
+      }
+    }
+
+    try {
+      const { server, text } = await this.whoisLookup(query);
+      return withTimeline({ query, type, source: 'whois', server, ...this.parseWhois(text, type), rdapError });
+    } catch (error) {
+      return { query, type, source: null, error: error.message, rdapError };
+    }
+  }
+
+  parseRdapDomain(json) {
+    const registrar = findEntity(json.entities, 'registrar');
+    const registrant = findEntity(json.entities, 'registrant');
+    const ianaId = registrar && (registrar.publicIds || []).find(id => /iana/i.test(id.type));
+
+    return {
+      domain: (json.ldhName || '').toLowerCase() || null,
+      registrar: registrar ? vcardValue(registrar, 'fn') : null,
+      registrarIanaId: ianaId ? ianaId.identifier : null,
+      created: eventDate(json, 'registration'),
+      updated: eventDate(json, 'last changed'),
+      expires: eventDate(json, 'expiration'),
+      status: json.status || [],
+      nameservers: (json.nameservers || []).map(ns => (ns.ldhName || '').toLowerCase()).filter(Boolean),
+      dnssec: json.secureDNS ? Boolean(json.secureDNS.delegationSigned) : null,
+      registrant: registrant ? contact({
+        name: vcardValue(registrant, 'fn'),
+        organization: vcardValue(registrant, 'org'),
+        email: vcardValue(registrant, 'email'),
+        country: vcardValue(registrant, 'adr')
+      }) : null
+    };
+  }
+
+  parseRdapIp(json) {
+    const registrant = findEntity(json.entities, 'registrant');
+    const abuse = findEntity(json.entities, 'abuse');
+    const cidrs = (json.cidr0_cidrs || []).map(entry => `${entry.v4prefix || entry.v6prefix}/${entry.length}`);
+
+    return {
+      network: {
+        name: json.name || null,
+        handle: json.handle || null,
+        range: json.startAddress && json.endAddress ? `${json.startAddress} - ${json.endAddress}` : null,
+        cidr: cidrs,
+        type: json.type || null,
+        country: json.country || null
+      },
+      created: eventDate(json, 'registration'),
+      updated: eventDate(json, 'last changed'),
+      expires: null,
+      status: json.status || [],
+      registrant: registrant ? contact({
+        name: vcardValue(registrant, 'fn'),
+        organization: vcardValue(registrant, 'org'),
+        country: vcardValue(registrant, 'adr')
+      }) : null,
+      abuseEmail: abuse ? vcardValue(abuse, 'email') : null
+    };
+  }
+
+  // IANA refers to the registry server; thin registries refer once more to the registrar
+  async whoisLookup(query) {
+    const iana = await this.whois(IANA_WHOIS, query);
+    const refer = iana.match(/^(?:refer|whois):\s*(\S+)/im);
+    if (!refer) return { server: IANA_WHOIS, text: iana };
+
+    let server = refer[1];
+    let text = await this.whois(server, query);
+
+    const registrarServer = text.match(/^\s*Registrar WHOIS Server:\s*(\S+)/im);
+    if (registrarServer && registrarServer[1].toLowerCase() !== server.toLowerCase()) {
+      try {
+        const detail = await this.whois(registrarServer[1].replace(/^whois:\/\//, ''), query);
+        if (detail.trim()) {
+          text = `${text}\n${detail}`;
+          server = registrarServer[1];
+        }
+      } catch (e) {
+        // Registry answer is still usable
+      }
+    }
+
+    return { server, text };
+  }
+
+  parseWhois(text, type) {
+    const values = {};
+    let section = null;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+      if (/^\s*(?:%|#|>>>)/.test(rawLine)) continue;
+
+      // Nominet-style blocks: "Name servers:" followed by indented values
+      const indented = rawLine.match(/^\s{4,}(\S.*)$/);
+      if (section && indented && !/:(?:\s|$)/.test(indented[1])) {
+        (values[section] = values[section] || []).push(indented[1].trim());
+        continue;
+      }
+
+      const match = rawLine.match(/^\s*([^:]{2,60}?):\s*(.*)$/);
+      if (!match) {
+        section = null;
+        continue;
+      }
+      const key = match[1].trim().toLowerCase();
+      const value = match[2].trim();
+      const field = Object.keys(WHOIS_FIELDS).find(name => WHOIS_FIELDS[name].some(pattern => pattern.test(key)));
+      section = !value && field ? field : null;
+      if (field && value) (values[field] = values[field] || []).push(value);
+    }
+
+    const first = field => (values[field] ? values[field][0] : null);
+
+    const result = {
+      registered: !NOT_FOUND.test(text) || Boolean(first('created') || first('registrar')),
+      registrar: first('registrar'),
+      created: parseDate(first('created')),
+      updated: parseDate(first('updated')),
+      expires: parseDate(first('expires')),
+      status: [...new Set((values.status || []).map(status => status.split(/\s+/)[0]))],
+      nameservers: [...new Set((values.nameservers || []).map(ns => ns.split(/\s+/)[0].toLowerCase().replace(/\.$/, '')))],
+      registrant: contact({
+        name: first('registrantName'),
+        organization: first('registrantOrganization'),
+        email: first('registrantEmail'),
+        country: first('registrantCountry')
+      })
+    };
+
+    if (type === 'ip') {
+      result.network = {
+        name: first('networkName'),
+        range: first('networkRange'),
+        cidr: values.cidr || [],
+        country: first('registrantCountry')
+      };
+    }
+
+    return result;
+  }
+
+  whois(server, query) {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect({ host: server, port: 43 });
+      let text = '';
+
+      socket.setEncoding('utf8');
+      socket.setTimeout(this.timeout, () => {
+        socket.destroy();
+        reject(new Error(`WHOIS timeout (${server})`));
+      });
+      socket.on('connect', () => socket.write(`${query}\r\n`));
+      socket.on('data', (chunk) => {
+        text += chunk;
+        if (text.length > MAX_BODY) socket.destroy();
+      });
+      socket.on('error', reject);
+      socket.on('close', () => resolve(text));
+    });
+  }
+
+  fetchJson(url, accept, redirects = 0) {
+    return new Promise((resolve, reject) => {
+      const req = https.get(url, {
+        headers: { 'Accept': accept, 'User-Agent': 'InfoHub-OSINT' },
+        timeout: this.timeout
+      }, (res) => {
+        if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location) {
+          res.resume();
+          if (redirects >= MAX_REDIRECTS) return reject(new Error('Too many RDAP redirects'));
+          return resolve(this.fetchJson(new URL(res.headers.location, url).toString(), accept, redirects + 1));
+        }
+
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          body += chunk;
+          if (body.length > MAX_BODY) req.destroy(new Error('RDAP response too large'));
+        });
+        res.on('end', () => {
+          if (res.statusCode !== 200) {
+            const error = new Error(res.statusCode === 404 ? 'Not found in registry' : `RDAP server responded with ${res.statusCode}`);
+            error.statusCode = res.statusCode;
+            return reject(error);
+          }
+          try {
+            resolve(JSON.parse(body));
+          } catch (e) {
+            reject(new Error('Invalid RDAP response'));
+          }
+        });
+      });
+
+      req.on('error', reject);
+      req.on('timeout', () => {
+        req.destroy();
+        reject(new Error('Timeout'));
+      });
+    });
+  }
+}
+
+module.exports = {
+  RegistrationLookup,
+  parseDate
+};
@@ -0,0 +1,247 @@
+// Cache under every source lookup: per-source TTLs, negative caching, a per-request mode
+// (default / bypass / refresh) and age metadata for the results built from cached answers
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Positive and negative (not found) TTLs in ms, keyed by source family; 'site:GitHub' falls back to 'site'
+const DEFAULT_TTLS = {
+  default: { positive: 15 * MINUTE, negative: 5 * MINUTE },
+  site: { positive: 6 * HOUR, negative: HOUR },
+  dns: { positive: 5 * MINUTE, negative: 5 * MINUTE },
+  rdap: { positive: 24 * HOUR, negative: HOUR },
+  breach: { positive: 24 * HOUR, negative: 6 * HOUR },
+  blockchain: { positive: 10 * MINUTE, negative: 10 * MINUTE }
+};
+
+const MODES = ['default', 'bypass', 'refresh'];
+
+// Least recently used entries are dropped once maxEntries is reached
+class MemoryCacheStore {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 10000;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+// One JSON file per entry under dir, so answers survive restarts and are shared between processes
+class FileCacheStore {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.CACHE_DIR || path.join(process.cwd(), '.cache', 'results');
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  file(key) {
+    return path.join(this.dir, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+  }
+
+  async get(key) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.file(key), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Written to a temporary file first so a concurrent reader never sees half an entry
+  async set(key, entry) {
+    const file = this.file(key);
+    const temp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify(entry));
+    await fs.promises.rename(temp, file);
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.file(key), { force: true });
+  }
+
+  async clear() {
+    for (const file of await fs.promises.readdir(this.dir)) {
+      if (file.endsWith('.json')) await fs.promises.rm(path.join(this.dir, file), { force: true });
+    }
+  }
+}
+
+// CACHE_BACKEND=memory|file|none
+function createCacheStore(options = {}) {
+  const kind = options.backend || process.env.CACHE_BACKEND || 'memory';
+  if (kind === 'none') return null;
+  if (kind === 'memory') return new MemoryCacheStore(options);
+  if (kind === 'file') return new FileCacheStore(options);
+  throw new Error(`Unknown CACHE_BACKEND: ${kind}`);
+}
+
+// CACHE_TTL_<SOURCE> and CACHE_NEGATIVE_TTL_<SOURCE>, in seconds, override the defaults
+function ttlsFromEnv(ttls) {
+  const merged = {};
+  for (const [source, values] of Object.entries(ttls)) {
+    const name = source.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+    const positive = parseInt(process.env[`CACHE_TTL_${name}`], 10);
+    const negative = parseInt(process.env[`CACHE_NEGATIVE_TTL_${name}`], 10);
+    merged[source] = {
+      positive: Number.isInteger(positive) ? positive * 1000 : values.positive,
+      negative: Number.isInteger(negative) ? negative * 1000 : values.negative
+    };
+  }
+  return merged;
+}
+
+// Request-scoped state: the cache mode and the lookups made so far, for age metadata
+const context = new AsyncLocalStorage();
+
+class ResultCache {
+  constructor(options = {}) {
+    this.store = options.store !== undefined ? options.store : createCacheStore(options);
+    this.ttls = ttlsFromEnv({ ...DEFAULT_TTLS, ...options.ttls });
+    // Identical lookups in flight at the same time share one request
+    this.pending = new Map();
+  }
+
+  static normalizeMode(mode) {
+    return MODES.includes(mode) ? mode : 'default';
+  }
+
+  ttl(source, kind) {
+    const family = this.ttls[source] || this.ttls[source.split(':')[0]] || this.ttls.default;
+    return family[kind];
+  }
+
+  mode() {
+    return context.getStore()?.mode || 'default';
+  }
+
+  // Runs fn with the given mode for every lookup it makes, however deep
+  scope(mode, fn) {
+    const parent = context.getStore();
+    return context.run({ mode: ResultCache.normalizeMode(mode), entries: null, parent }, fn);
+  }
+
+  // Runs fn and summarizes the cache metadata of the lookups it made: { value, cache }
+  async track(fn) {
+    const parent = context.getStore();
+    const store = { mode: parent?.mode || 'default', entries: [], parent };
+    const value = await context.run(store, fn);
+    return { value, cache: ResultCache.summarize(store.entries) };
+  }
+
+  record(meta) {
+    for (let store = context.getStore(); store; store = store.parent) {
+      if (store.entries) store.entries.push(meta);
+    }
+  }
+
+  /**
+   * Returns { value, cache } for source/key, calling fetch() on a miss.
+   * classify(value) decides what is stored: 'positive' or 'negative' for the source's TTLs,
+   * a number of ms (e.g. a DNS record TTL), or null to not cache it at all (errors).
+   */
+  async lookup(source, key, fetch, options = {}) {
+    const classify = options.classify || (() => 'positive');
+    const mode = this.store ? this.mode() : 'bypass';
+    const cacheKey = `${source}:${key}`;
+
+    if (mode === 'default') {
+      const entry = await this.store.get(cacheKey);
+      if (entry && entry.expiresAt > Date.now()) {
+        const meta = { status: 'hit', cachedAt: new Date(entry.storedAt).toISOString(), age: Math.round((Date.now() - entry.storedAt) / 1000), ttl: Math.round((entry.expiresAt - entry.storedAt) / 1000) };
+        this.record(meta);
+        return { value: entry.value, cache: meta };
+      }
+    }
+
+    const shared = mode !== 'bypass' && this.pending.get(cacheKey);
+    if (shared) {
+      const value = await shared;
+      const meta = { status: mode === 'refresh' ? 'refresh' : 'miss', cachedAt: null, age: 0, ttl: null };
+      this.record(meta);
+      return { value, cache: meta };
+    }
+
+    const request = Promise.resolve().then(fetch);
+    if (mode !== 'bypass') {
+      this.pending.set(cacheKey, request);
+      request.catch(() => {}).finally(() => this.pending.delete(cacheKey));
+    }
+
+    const value = await request;
+    const meta = { status: mode === 'default' ? 'miss' : mode, cachedAt: null, age: 0, ttl: null };
+
+    if (mode !== 'bypass') {
+      const kind = classify(value);
+      const ttl = typeof kind === 'number' ? kind : kind ? this.ttl(source, kind) : 0;
+      if (ttl > 0) {
+        const storedAt = Date.now();
+        await this.store.set(cacheKey, { value, storedAt, expiresAt: storedAt + ttl });
+        Object.assign(meta, { cachedAt: new Date(storedAt).toISOString(), ttl: Math.round(ttl / 1000) });
+      }
+    }
+
+    this.record(meta);
+    return { value, cache: meta };
+  }
+
+  // One cache block for a result built from several lookups; the oldest answer sets its age
+  static summarize(entries) {
+    if (entries.length === 0) return null;
+    if (entries.length === 1) return { ...entries[0], lookups: 1, hits: entries[0].status === 'hit' ? 1 : 0 };
+
+    const hits = entries.filter(entry => entry.status === 'hit');
+    const oldest = hits.reduce((current, entry) => (!current || entry.age > current.age ? entry : current), null);
+
+    return {
+      status: hits.length === entries.length ? 'hit' : hits.length > 0 ? 'partial' : entries[0].status,
+      cachedAt: oldest ? oldest.cachedAt : null,
+      age: oldest ? oldest.age : 0,
+      ttl: oldest ? oldest.ttl : null,
+      lookups: entries.length,
+      hits: hits.length
+    };
+  }
+}
+
+let shared = null;
+
+// Process-wide cache that every source class falls back to
+function defaultCache() {
+  if (!shared) shared = new ResultCache();
+  return shared;
+}
+
+ResultCache.MODES = MODES;
+ResultCache.DEFAULT_TTLS = DEFAULT_TTLS;
+
+module.exports = {
+  ResultCache,
+  MemoryCacheStore,
+  FileCacheStore,
+  createCacheStore,
+  defaultCache
+};
@@ -0,0 +1,244 @@
+// Which hosts an active scan (port probes, banner grabs, TLS handshakes) may connect to.
+// Reserved ranges are never scanned, private ranges only when an organization lists them as a CIDR scope,
+// and every connection resolves its host through lookup(), which checks the addresses it is about to use
+const dns = require('dns');
+const net = require('net');
+
+const SCOPE_MODES = ['enforce', 'public'];
+
+// Cloud metadata endpoints: refused even inside a private CIDR an organization has in scope
+const METADATA = [
+  ['169.254.169.254', 'ipv4'],
+  ['169.254.170.2', 'ipv4'],
+  ['100.100.100.200', 'ipv4'],
+  ['fd00:ec2::254', 'ipv6']
+];
+
+// Loopback, link-local, multicast, documentation, benchmarking and translation ranges: never scanned
+const RESERVED = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.0.2.0', 24, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['198.51.100.0', 24, 'ipv4'],
+  ['203.0.113.0', 24, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['100::', 64, 'ipv6'],
+  ['2001::', 32, 'ipv6'],
+  ['2001:db8::', 32, 'ipv6'],
+  ['2002::', 16, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+// RFC 1918, carrier-grade NAT and unique local addresses
+const PRIVATE = [
+  ['10.0.0.0', 8, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['fc00::', 7, 'ipv6']
+];
+
+// Narrowest prefix a CIDR scope may have, so a scope names a network rather than the internet
+const MIN_PREFIX = { ipv4: 16, ipv6: 48 };
+
+function blockList(ranges) {
+  const list = new net.BlockList();
+  for (const [address, prefix, type] of ranges) list.addSubnet(address, prefix, type);
+  return list;
+}
+
+const metadataList = new net.BlockList();
+for (const [address, type] of METADATA) metadataList.addAddress(address, type);
+const reservedList = blockList(RESERVED);
+const privateList = blockList(PRIVATE);
+
+class ScopeError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ScopeError';
+    this.code = 'SCOPE_DENIED';
+    this.details = details;
+    // A job refused its target will be refused again
+    this.retryable = false;
+  }
+}
+
+// IPv4-mapped IPv6 (::ffff:10.0.0.1 or ::ffff:a00:1) is checked as the IPv4 address it reaches
+function normalizeAddress(address) {
+  const value = String(address).toLowerCase().replace(/^\[|\]$/g, '');
+  const mapped = /^::ffff:(?:0:)?(.+)$/.exec(value);
+  if (mapped) {
+    if (net.isIPv4(mapped[1])) return { address: mapped[1], type: 'ipv4' };
+    const hex = /^([0-9a-f]{1,4}):([0-9a-f]{1,4})$/.exec(mapped[1]);
+    if (hex) {
+      const high = parseInt(hex[1], 16);
+      const low = parseInt(hex[2], 16);
+      return { address: [high >> 8, high & 255, low >> 8, low & 255].join('.'), type: 'ipv4' };
+    }
+  }
+  const family = net.isIP(value);
+  return family ? { address: value, type: family === 4 ? 'ipv4' : 'ipv6' } : null;
+}
+
+// 'metadata', 'reserved', 'private' or 'public'; null for something that is not an IP address
+function classifyAddress(address) {
+  const ip = normalizeAddress(address);
+  if (!ip) return null;
+  if (metadataList.check(ip.address, ip.type)) return 'metadata';
+  if (reservedList.check(ip.address, ip.type)) return 'reserved';
+  if (privateList.check(ip.address, ip.type)) return 'private';
+  return 'public';
+}
+
+// "203.0.113.0/24", or a bare address for a single host; { cidr } in canonical form or { error }
+function parseCidr(value) {
+  const [address, prefixText, extra] = String(value).trim().toLowerCase().split('/');
+  const family = net.isIP(address);
+  if (!family || extra !== undefined) return { error: 'must be an IP address or CIDR range' };
+
+  const type = family === 4 ? 'ipv4' : 'ipv6';
+  const max = family === 4 ? 32 : 128;
+  const prefix = prefixText === undefined ? max : Number(prefixText);
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > max) return { error: `prefix must be between 0 and ${max}` };
+  if (prefix < MIN_PREFIX[type]) return { error: `${type} ranges can be no wider than /${MIN_PREFIX[type]}` };
+  return { cidr: `${address}/${prefix}`, address, prefix, type };
+}
+
+function normalizeDomain(value) {
+  return String(value).trim().toLowerCase().replace(/\.$/, '');
+}
+
+/**
+ * mode 'enforce': targets must be one of the organization's verified domains (or a subdomain of one) or
+ * fall in one of its CIDRs. mode 'public': any public address, as when no scope store is configured.
+ * In both modes a name is only scanned if none of the addresses it resolves to is refused.
+ */
+class ScanScope {
+  constructor(options = {}) {
+    this.mode = options.mode || 'public';
+    if (!SCOPE_MODES.includes(this.mode)) throw new Error(`Unknown SCAN_SCOPE mode: ${this.mode}`);
+    this.organizationId = options.organizationId || null;
+    this.domains = (options.domains || []).map(normalizeDomain);
+    this.cidrs = options.cidrs || [];
+    this.onRefused = options.onRefused || null;
+    this.resolve = options.resolve || ((hostname, family) => dns.promises.lookup(hostname, { all: true, family, verbatim: true }));
+
+    this.cidrList = new net.BlockList();
+    for (const value of this.cidrs) {
+      const { address, prefix, type, error } = parseCidr(value);
+      if (error) throw new Error(`Invalid CIDR scope ${value}: ${error}`);
+      this.cidrList.addSubnet(address, prefix, type);
+    }
+
+    // net.connect / tls.connect lookup option; bound so it can be handed around
+    this.lookup = this.lookup.bind(this);
+  }
+
+  // What a queued job needs to rebuild the scope in the worker
+  toJSON() {
+    return { mode: this.mode, organizationId: this.organizationId, domains: this.domains, cidrs: this.cidrs };
+  }
+
+  static fromJSON(json, options = {}) {
+    return new ScanScope({ ...json, ...options });
+  }
+
+  // The same organization, CIDRs and refusal handler under another mode
+  withMode(mode) {
+    return new ScanScope({ ...this.toJSON(), mode, onRefused: this.onRefused, resolve: this.resolve });
+  }
+
+  coversName(hostname) {
+    const name = normalizeDomain(hostname);
+    return this.domains.some(domain => name === domain || name.endsWith(`.${domain}`));
+  }
+
+  coversAddress(address) {
+    const ip = normalizeAddress(address);
+    return Boolean(ip) && this.cidrList.check(ip.address, ip.type);
+  }
+
+  // Throws a ScopeError unless a connection to address (reached through hostname, if any) is allowed
+  checkAddress(address, hostname = null) {
+    const category = classifyAddress(address);
+    const details = { target: hostname || address, address, organizationId: this.organizationId };
+
+    if (!category) throw new ScopeError(`${address} is not an IP address`, { ...details, reason: 'invalid' });
+    if (category === 'metadata' || category === 'reserved') {
+      throw new ScopeError(`${address} is in a reserved range and is never scanned`, { ...details, reason: category });
+    }
+    if (category === 'private' && !this.coversAddress(address)) {
+      throw new ScopeError(`${address} is a private address outside your scope`, { ...details, reason: 'private' });
+    }
+    if (category === 'public' && this.mode === 'enforce' && !this.coversAddress(address) && !(hostname && this.coversName(hostname))) {
+      throw new ScopeError(`${hostname || address} is not in your organization's verified scope`, { ...details, reason: 'out_of_scope' });
+    }
+  }
+
+  // Checks the target and everything it resolves to now; returns the addresses
+  async check(target) {
+    if (net.isIP(String(target).replace(/^\[|\]$/g, ''))) {
+      this.checkAddress(target);
+      return [target];
+    }
+
+    if (this.mode === 'enforce' && !this.coversName(target)) {
+      throw new ScopeError(`${target} is not in your organization's verified scope`, {
+        target, organizationId: this.organizationId, reason: 'out_of_scope'
+      });
+    }
+
+    let answers;
+    try {
+      answers = await this.resolve(target);
+    } catch (error) {
+      // Nothing to connect to; the scan itself reports the name as unresolved
+      if (['ENOTFOUND', 'ENODATA'].includes(error.code)) return [];
+      throw error;
+    }
+    for (const answer of answers) this.checkAddress(answer.address, target);
+    return answers.map(answer => answer.address);
+  }
+
+  /**
+   * dns.lookup-compatible: resolves hostname and refuses the connection if any address is out of scope,
+   * so a name that resolved to an allowed address at check() time cannot be rebound to a refused one.
+   */
+  lookup(hostname, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    } else if (typeof options === 'number') {
+      options = { family: options };
+    }
+
+    this.resolve(hostname, options.family || 0)
+      .then(answers => {
+        for (const answer of answers) this.checkAddress(answer.address, hostname);
+        if (options.all) return callback(null, answers);
+        callback(null, answers[0].address, answers[0].family);
+      })
+      .catch(error => {
+        if (error instanceof ScopeError && this.onRefused) this.onRefused(error);
+        callback(error);
+      });
+  }
+}
+
+module.exports = {
+  ScanScope,
+  ScopeError,
+  classifyAddress,
+  normalizeAddress,
+  normalizeDomain,
+  parseCidr,
+  SCOPE_MODES
+};
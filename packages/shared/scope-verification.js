@@ -0,0 +1,82 @@
+// Proof that an organization controls a domain before it is scanned: a DNS TXT record or a well-known file
+const https = require('https');
+const { Resolver } = require('dns').promises;
+const { ScanScope } = require('./scan-scope');
+
+const TXT_LABEL = '_infohub-verification';
+const TXT_PREFIX = 'infohub-verification=';
+const WELL_KNOWN_PATH = '/.well-known/infohub-verification.txt';
+const VERIFICATION_METHODS = ['dns', 'http'];
+const MAX_FILE_BYTES = 1024;
+
+// Where the token has to be published for domain
+function verificationInstructions(domain, token) {
+  return {
+    dns: { type: 'TXT', name: `${TXT_LABEL}.${domain}`, value: `${TXT_PREFIX}${token}` },
+    http: { url: `https://${domain}${WELL_KNOWN_PATH}`, body: token }
+  };
+}
+
+class OwnershipVerifier {
+  constructor(options = {}) {
+    // Uncached, so a record published a minute ago is seen on the next try
+    this.resolver = options.resolver || new Resolver({ timeout: 3000, tries: 2 });
+    if (!options.resolver && process.env.DNS_SERVERS) {
+      this.resolver.setServers(process.env.DNS_SERVERS.split(',').map(server => server.trim()).filter(Boolean));
+    }
+    this.timeout = options.timeout || 5000;
+    // The well-known file is fetched from wherever the domain points, so it goes through the public scope too
+    this.scope = options.scope || new ScanScope({ mode: 'public' });
+  }
+
+  // 'dns' or 'http' when the token was found (methods are tried in order), null otherwise
+  async verify(domain, token, methods = VERIFICATION_METHODS) {
+    for (const method of methods) {
+      const found = method === 'dns' ? await this.checkDns(domain, token) : await this.checkWellKnown(domain, token);
+      if (found) return method;
+    }
+    return null;
+  }
+
+  async checkDns(domain, token) {
+    try {
+      const records = await this.resolver.resolveTxt(`${TXT_LABEL}.${domain}`);
+      return records.some(chunks => chunks.join('').trim() === `${TXT_PREFIX}${token}`);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // HTTPS only, no redirects, first KB of the body
+  checkWellKnown(domain, token) {
+    return new Promise((resolve) => {
+      const req = https.get({
+        host: domain,
+        path: WELL_KNOWN_PATH,
+        lookup: this.scope.lookup,
+        timeout: this.timeout,
+        headers: { 'User-Agent': 'InfoHub-OSINT/3.0 (scope verification)' }
+      }, (res) => {
+        if (res.statusCode !== 200) {
+          res.resume();
+          return resolve(false);
+        }
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+          body += chunk;
+          if (body.length > MAX_FILE_BYTES) res.destroy();
+        });
+        res.on('close', () => resolve(body.slice(0, MAX_FILE_BYTES).trim().split(/\s+/).includes(token)));
+      });
+      req.on('timeout', () => req.destroy(new Error('Verification request timed out')));
+      req.on('error', () => resolve(false));
+    });
+  }
+}
+
+module.exports = {
+  OwnershipVerifier,
+  verificationInstructions,
+  VERIFICATION_METHODS
+};
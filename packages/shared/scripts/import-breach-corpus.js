@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+// Imports an authorized breach dataset (CSV or JSONL) into the local breach corpus
+const BreachCorpus = require('../breach-corpus');
+
+const USAGE = `Usage:
+  import-breach-corpus <file> --name <dataset> [--date YYYY-MM-DD] [--format csv|jsonl]
+                       [--columns email,username,password_hash] [--delimiter ,] [--replace]
+  import-breach-corpus --list
+  import-breach-corpus --remove <dataset-id>
+  import-breach-corpus --reindex
+
+Options:
+  --columns   column names for CSV files without a header row
+  --dir       corpus directory (default: $BREACH_CORPUS_DIR or ~/.infohub/breach-corpus)
+  --reindex   sort an index written before buckets were kept sorted (searches scan it linearly until then)
+
+Plaintext password columns are recorded as exposed but never stored.`;
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args._.push(arg);
+    } else if (['list', 'replace', 'reindex', 'help'].includes(arg.slice(2))) {
+      args[arg.slice(2)] = true;
+    } else {
+      args[arg.slice(2)] = argv[++i];
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const corpus = new BreachCorpus({ dir: args.dir });
+
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (args.list) {
+    for (const dataset of corpus.datasets()) {
+      console.log(`${dataset.id}\t${dataset.breachDate || '-'}\t${dataset.records} records\t${dataset.exposedFields.join(', ')}`);
+    }
+    return;
+  }
+
+  if (args.reindex) {
+    console.log(corpus.upgradeIndex() ? 'Index sorted' : 'Index already sorted');
+    return;
+  }
+
+  if (args.remove) {
+    corpus.remove(args.remove);
+    console.log(`Removed ${args.remove}`);
+    return;
+  }
+
+  if (args._.length !== 1 || !args.name) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  const dataset = await corpus.import(args._[0], {
+    name: args.name,
+    date: args.date,
+    format: args.format,
+    columns: args.columns ? args.columns.split(',') : null,
+    delimiter: args.delimiter === '\\t' ? '\t' : args.delimiter,
+    replace: args.replace
+  });
+
+  console.log(`Imported ${dataset.records} records into "${dataset.id}" (${dataset.skipped} skipped)`);
+  console.log(`Exposed fields: ${dataset.exposedFields.join(', ') || 'none'}`);
+}
+
+main().catch((error) => {
+  console.error(`Import failed: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+// Downloads the current Public Suffix List over the bundled snapshot
+const { refreshPublicSuffixes } = require('../public-suffix');
+
+refreshPublicSuffixes(process.argv[2])
+  .then((rules) => {
+    console.log(`Public Suffix List refreshed (${rules} rules)`);
+  })
+  .catch((error) => {
+    console.error(`Refresh failed: ${error.message}`);
+    process.exitCode = 1;
+  });
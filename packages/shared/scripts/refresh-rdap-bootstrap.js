@@ -0,0 +1,14 @@
+#!/usr/bin/env node
+// Downloads the current IANA RDAP bootstrap files over the bundled snapshot
+const { RegistrationLookup } = require('../rdap');
+
+const lookup = new RegistrationLookup({ bootstrapDir: process.argv[2] });
+
+lookup.refreshBootstrap()
+  .then((publication) => {
+    console.log(`RDAP bootstrap refreshed in ${lookup.bootstrapDir} (published ${publication || 'unknown'})`);
+  })
+  .catch((error) => {
+    console.error(`Refresh failed: ${error.message}`);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,202 @@
+// Data-driven profile checker shared by every social search path
+const https = require('https');
+const fs = require('fs');
+const path = require('path');
+const TaskRunner = require('./task-runner');
+const { defaultCache } = require('./result-cache');
+
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const MAX_BODY_BYTES = 512 * 1024;
+
+class SiteChecker {
+  constructor(options = {}) {
+    this.timeout = options.timeout || 8000;
+    this.userAgent = options.userAgent || DEFAULT_USER_AGENT;
+    this.runner = options.runner || new TaskRunner({ perHostConcurrency: 2 });
+    this.cache = options.cache || defaultCache();
+    this.sites = (options.sites || SiteChecker.loadSites()).map(site => SiteChecker.compileSite(site));
+  }
+
+  // Accepts a .json/.js manifest (single site or array) or a directory of them
+  static loadSites(source) {
+    if (!source) {
+      const bundled = require('./data/sites.json');
+      const extraDir = process.env.INFOHUB_SITES_DIR;
+      return extraDir ? bundled.concat(SiteChecker.loadSites(extraDir)) : bundled.slice();
+    }
+
+    const stat = fs.statSync(source);
+    if (stat.isDirectory()) {
+      return fs.readdirSync(source)
+        .filter(file => /\.(json|js)$/.test(file))
+        .sort()
+        .flatMap(file => SiteChecker.loadSites(path.join(source, file)));
+    }
+
+    const manifest = source.endsWith('.json')
+      ? JSON.parse(fs.readFileSync(source, 'utf8'))
+      : require(path.resolve(source));
+    return Array.isArray(manifest) ? manifest : [manifest];
+  }
+
+  static compileSite(site) {
+    if (!site || !site.name || !site.url) {
+      throw new Error(`Invalid site manifest: ${JSON.stringify(site)}`);
+    }
+
+    const detection = site.detection || {};
+    const statusCodes = [].concat(detection.statusCode || 200);
+
+    return {
+      ...site,
+      pattern: site.usernamePattern ? new RegExp(site.usernamePattern) : null,
+      detection: {
+        probeUrl: detection.probeUrl || null,
+        headers: detection.headers || {},
+        statusCodes,
+        bodyContains: detection.bodyContains || [],
+        bodyAbsent: detection.bodyAbsent || []
+      }
+    };
+  }
+
+  getSite(name) {
+    return this.sites.find(site => site.name.toLowerCase() === String(name).toLowerCase()) || null;
+  }
+
+  // Resolves with every check in site order; options.onResult(check) fires as each site settles
+  async checkAll(username, options = {}) {
+    const sites = options.sites
+      ? this.sites.filter(site => options.sites.includes(site.name))
+      : this.sites;
+
+    return Promise.all(sites.map(site => this.runner.add({
+      host: this.probeHost(site, username),
+      timeout: this.timeout + 1000,
+      // Not tied to the runner's signal: an identical check in flight is shared through the cache, so the
+      // request ends on its own timeout or body cap instead
+      run: () => this.checkSite(site, username)
+    }, { stats: options.stats, signal: options.signal }).then(outcome => {
+      const check = outcome.status === 'fulfilled'
+        ? outcome.value
+        : {
+          platform: site.name,
+          url: this.expand(site.url, username),
+          status: 'error',
+          profile: null,
+          error: outcome.status === 'timeout' ? 'Timeout' : outcome.error.message
+        };
+      if (options.onResult) options.onResult(check);
+      return check;
+    })));
+  }
+
+  probeUrl(site, username) {
+    return this.expand(site.detection.probeUrl || site.url, username);
+  }
+
+  probeHost(site, username) {
+    try {
+      return new URL(this.probeUrl(site, username)).hostname;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Status is one of: found, not_found, invalid (username rejected by the site's rules), error.
+  // Found and not_found answers are cached per site and username; errors are retried next time.
+  async checkSite(site, username) {
+    const url = this.expand(site.url, username);
+    const base = { platform: site.name, url, status: 'not_found', profile: null, error: null };
+
+    if (site.pattern && !site.pattern.test(username)) {
+      return { ...base, status: 'invalid', error: 'Username not allowed on this platform' };
+    }
+
+    const { value, cache } = await this.cache.lookup(`site:${site.name}`, username, () => this.probe(site, username, base), {
+      classify: check => (check.status === 'found' ? 'positive' : check.status === 'not_found' ? 'negative' : null)
+    });
+    return { ...value, cache };
+  }
+
+  async probe(site, username, base) {
+    let response;
+    try {
+      response = await this.request(this.probeUrl(site, username), site.detection.headers);
+    } catch (error) {
+      return { ...base, status: 'error', error: error.message };
+    }
+
+    if (!this.matches(site, username, response)) {
+      return base;
+    }
+
+    return { ...base, status: 'found', profile: this.extractProfile(site, response.body) };
+  }
+
+  matches(site, username, response) {
+    const { statusCodes, bodyContains, bodyAbsent } = site.detection;
+
+    if (!statusCodes.includes(response.statusCode)) return false;
+    if (bodyContains.some(marker => !response.body.includes(this.expand(marker, username, false)))) return false;
+    if (bodyAbsent.some(marker => response.body.includes(this.expand(marker, username, false)))) return false;
+
+    return true;
+  }
+
+  extractProfile(site, body) {
+    if (!site.profile) return null;
+
+    let data;
+    try {
+      data = JSON.parse(body);
+    } catch (e) {
+      return null;
+    }
+
+    const profile = {};
+    for (const [field, key] of Object.entries(site.profile)) {
+      profile[field] = data[key] !== undefined ? data[key] : null;
+    }
+    return profile;
+  }
+
+  expand(template, username, encode = true) {
+    return template.replace(/\{username\}/g, encode ? encodeURIComponent(username) : username);
+  }
+
+  // Redirects are never followed so a manifest can't be turned into an SSRF pivot
+  request(url, headers = {}) {
+    return new Promise((resolve, reject) => {
+      const req = https.get(url, {
+        headers: {
+          'User-Agent': this.userAgent,
+          'Accept': 'text/html,application/json;q=0.9,*/*;q=0.8',
+          'Accept-Language': 'en-US,en;q=0.5',
+          ...headers
+        },
+        timeout: this.timeout
+      }, (res) => {
+        let body = '';
+        res.setEncoding('utf8');
+        // Stops reading at the cap: a server trickling an endless body would otherwise hold the probe open
+        res.on('data', chunk => {
+          body += chunk;
+          if (body.length >= MAX_BODY_BYTES) {
+            resolve({ statusCode: res.statusCode, headers: res.headers, body: body.slice(0, MAX_BODY_BYTES) });
+            req.destroy();
+          }
+        });
+        res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body }));
+        res.on('error', reject);
+      });
+
+      req.on('error', reject);
+      req.on('timeout', () => {
+        req.destroy(new Error('Timeout'));
+      });
+    });
+  }
+}
+
+module.exports = SiteChecker;
@@ -0,0 +1,212 @@
+// SMTP mailbox deliverability check: EHLO / MAIL FROM / RCPT TO, never DATA
+const net = require('net');
+const os = require('os');
+const crypto = require('crypto');
+const { createResolver } = require('./dns-records');
+const { ScanScope } = require('./scan-scope');
+
+// Minimal line-oriented SMTP client that collects multi-line replies
+class SmtpSession {
+  constructor(socket, commandTimeout) {
+    this.socket = socket;
+    this.commandTimeout = commandTimeout;
+    this.buffer = '';
+    this.lines = [];
+    this.replies = [];
+    this.waiting = null;
+    this.closedError = null;
+    this.transcript = [];
+
+    socket.setEncoding('utf8');
+    socket.on('data', (chunk) => {
+      this.buffer += chunk;
+      let index;
+      while ((index = this.buffer.indexOf('\n')) >= 0) {
+        const line = this.buffer.slice(0, index).replace(/\r$/, '');
+        this.buffer = this.buffer.slice(index + 1);
+        this.lines.push(line);
+        // "250-..." continues a reply, "250 ..." ends it
+        if (/^\d{3}(?: |$)/.test(line)) this.flush();
+      }
+    });
+    socket.on('error', error => this.fail(error));
+    socket.on('close', () => this.fail(new Error('Connection closed by server')));
+  }
+
+  flush() {
+    const lines = this.lines;
+    this.lines = [];
+    const reply = { code: parseInt(lines[lines.length - 1].slice(0, 3), 10), message: lines.map(line => line.slice(4)).join('\n') };
+    this.transcript.push(`S: ${lines.join('\n   ')}`);
+    if (this.waiting) {
+      const { resolve, timer } = this.waiting;
+      this.waiting = null;
+      clearTimeout(timer);
+      resolve(reply);
+    } else {
+      this.replies.push(reply);
+    }
+  }
+
+  fail(error) {
+    if (!this.closedError) this.closedError = error;
+    if (this.waiting) {
+      const { reject, timer } = this.waiting;
+      this.waiting = null;
+      clearTimeout(timer);
+      reject(error);
+    }
+  }
+
+  reply() {
+    if (this.replies.length > 0) return Promise.resolve(this.replies.shift());
+    if (this.closedError) return Promise.reject(this.closedError);
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.waiting = null;
+        reject(new Error('SMTP command timeout'));
+      }, this.commandTimeout);
+      this.waiting = { resolve, reject, timer };
+    });
+  }
+
+  send(command) {
+    this.transcript.push(`C: ${command}`);
+    const pending = this.reply();
+    this.socket.write(`${command}\r\n`);
+    return pending;
+  }
+
+  close() {
+    this.socket.removeAllListeners('close');
+    this.socket.end();
+  }
+}
+
+class SmtpVerifier {
+  constructor(options = {}) {
+    this.resolver = options.resolver || createResolver();
+    this.heloName = options.heloName || process.env.SMTP_HELO_NAME || os.hostname();
+    this.mailFrom = options.mailFrom || process.env.SMTP_MAIL_FROM || `verify@${this.heloName}`;
+    this.port = options.port || 25;
+    this.connectTimeout = options.connectTimeout || 10000;
+    this.commandTimeout = options.commandTimeout || 15000;
+  }
+
+  // Highest priority = lowest preference value; RFC 5321 implicit MX when none published
+  async findMx(domain) {
+    try {
+      const records = await this.resolver.resolveMx(domain);
+      const usable = records.filter(record => record.exchange && record.exchange !== '.');
+      if (records.length > 0 && usable.length === 0) return null;
+      if (usable.length > 0) return usable.sort((a, b) => a.priority - b.priority)[0].exchange;
+    } catch (e) {
+      // Fall through to the implicit MX
+    }
+    return domain;
+  }
+
+  // Every address the MX resolves to goes through scope.lookup; an IP-literal exchange never reaches it.
+  // Aborting signal destroys the socket, which fails the pending command
+  connect(host, scope, signal) {
+    return new Promise((resolve, reject) => {
+      if (net.isIP(host)) {
+        try {
+          scope.checkAddress(host);
+        } catch (error) {
+          if (scope.onRefused) scope.onRefused(error);
+          return reject(error);
+        }
+      }
+
+      const socket = net.connect({ host, port: this.port, lookup: scope.lookup, signal });
+      const timer = setTimeout(() => {
+        socket.destroy();
+        reject(new Error('SMTP connect timeout'));
+      }, this.connectTimeout);
+
+      socket.once('connect', () => {
+        clearTimeout(timer);
+        resolve(socket);
+      });
+      socket.once('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+    });
+  }
+
+  // options.scope: the ScanScope the MX must be in; by default any public address (never reserved or private ones).
+  // options.signal ends the conversation early, e.g. when the runner's deadline passes
+  async verify(email, options = {}) {
+    const scope = options.scope || new ScanScope();
+    const domain = email.split('@')[1].toLowerCase();
+    const result = {
+      email,
+      mx: null,
+      status: 'unknown',
+      catchAll: null,
+      code: null,
+      message: null,
+      reason: null,
+      transcript: []
+    };
+
+    result.mx = await this.findMx(domain);
+    if (!result.mx) {
+      return Object.assign(result, { status: 'rejected', reason: 'Domain publishes a null MX and accepts no mail' });
+    }
+
+    let session;
+    try {
+      session = new SmtpSession(await this.connect(result.mx, scope, options.signal), this.commandTimeout);
+
+      const greeting = await session.reply();
+      if (greeting.code !== 220) {
+        return Object.assign(result, { code: greeting.code, message: greeting.message, reason: 'Server refused the connection' });
+      }
+
+      let hello = await session.send(`EHLO ${this.heloName}`);
+      if (hello.code >= 500) hello = await session.send(`HELO ${this.heloName}`);
+      if (hello.code !== 250) {
+        return Object.assign(result, { code: hello.code, message: hello.message, reason: 'HELO rejected' });
+      }
+
+      const from = await session.send(`MAIL FROM:<${this.mailFrom}>`);
+      if (from.code !== 250) {
+        return Object.assign(result, { code: from.code, message: from.message, reason: 'Sender rejected' });
+      }
+
+      const target = await session.send(`RCPT TO:<${email}>`);
+      result.code = target.code;
+      result.message = target.message;
+
+      if (target.code >= 400 && target.code < 500) {
+        return Object.assign(result, { reason: 'Temporary failure (greylisting or rate limiting)' });
+      }
+      if (target.code >= 500) {
+        return Object.assign(result, { status: 'rejected', reason: 'Mailbox rejected by server' });
+      }
+
+      // A server that also accepts a random local-part accepts everything
+      const probe = await session.send(`RCPT TO:<${crypto.randomBytes(10).toString('hex')}@${domain}>`);
+      if (probe.code === 250 || probe.code === 251) {
+        return Object.assign(result, { status: 'catch-all', catchAll: true, reason: 'Server accepts any recipient' });
+      }
+      if (probe.code >= 500) {
+        return Object.assign(result, { status: 'deliverable', catchAll: false, reason: 'Mailbox accepted' });
+      }
+      return Object.assign(result, { reason: 'Mailbox accepted but catch-all probe was deferred' });
+    } catch (error) {
+      return Object.assign(result, { reason: error.message });
+    } finally {
+      if (session) {
+        result.transcript = session.transcript;
+        if (!session.closedError) session.socket.write('QUIT\r\n');
+        session.close();
+      }
+    }
+  }
+}
+
+module.exports = SmtpVerifier;
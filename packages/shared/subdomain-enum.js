@@ -0,0 +1,144 @@
+// Wordlist-driven subdomain enumeration with wildcard filtering
+const crypto = require('crypto');
+const TaskRunner = require('./task-runner');
+const WordlistStore = require('./wordlists');
+const { createResolver } = require('./dns-records');
+
+const MAX_DEPTH = 3;
+const MAX_CNAME_HOPS = 8;
+const WILDCARD_PROBES = 3;
+
+class SubdomainEnumerator {
+  constructor(options = {}) {
+    this.runner = options.runner || new TaskRunner();
+    this.wordlists = options.wordlists || new WordlistStore();
+    this.resolver = options.resolver || createResolver();
+  }
+
+  async enumerate(domain, options = {}) {
+    const depth = Math.min(Math.max(parseInt(options.depth, 10) || 1, 1), MAX_DEPTH);
+    const wordlist = options.words ? 'inline' : (options.wordlist || 'small');
+    const words = options.words ? WordlistStore.normalize(options.words) : this.wordlists.load(wordlist);
+    const recursiveWords = options.words ? words : this.wordlists.load(options.recursiveWordlist || 'small');
+
+    const found = new Map();
+    const wildcards = {};
+    let zones = [domain.toLowerCase()];
+
+    for (let level = 1; level <= depth && zones.length > 0; level++) {
+      const nextZones = [];
+
+      for (const zone of zones) {
+        const wildcard = await this.detectWildcard(zone, options);
+        if (wildcard.detected) wildcards[zone] = wildcard;
+
+        const hostnames = (level === 1 ? words : recursiveWords)
+          .map(word => `${word}.${zone}`)
+          .filter(hostname => !found.has(hostname));
+
+        const lookups = await this.runner.run(hostnames.map(hostname => ({
+          host: 'dns',
+          run: () => this.resolveHost(hostname)
+        })), { stats: options.stats, signal: options.signal });
+
+        hostnames.forEach((hostname, i) => {
+          const answer = lookups[i].value;
+          if (!answer || this.matchesWildcard(answer, wildcard)) return;
+
+          found.set(hostname, {
+            subdomain: hostname,
+            status: 'active',
+            type: answer.type,
+            records: answer.records,
+            depth: level,
+            source: 'wordlist'
+          });
+          nextZones.push(hostname);
+        });
+      }
+
+      zones = nextZones;
+    }
+
+    return {
+      domain,
+      wordlist,
+      wordlistSize: words.length,
+      depth,
+      wildcard: Object.keys(wildcards).length > 0 ? wildcards : null,
+      subdomains: [...found.values()]
+    };
+  }
+
+  // Resolves a few random labels; any answer means the zone has a wildcard record
+  async detectWildcard(zone, options = {}) {
+    const probes = Array.from({ length: WILDCARD_PROBES }, () => `${crypto.randomBytes(8).toString('hex')}.${zone}`);
+    const lookups = await this.runner.run(probes.map(hostname => ({
+      host: 'dns',
+      run: () => this.resolveHost(hostname)
+    })), { stats: options.stats, signal: options.signal });
+
+    const addresses = new Set();
+    const targets = new Set();
+    for (const lookup of lookups) {
+      const answer = lookup.value;
+      if (!answer) continue;
+      answer.records.A.forEach(address => addresses.add(address));
+      answer.records.AAAA.forEach(address => addresses.add(address));
+      if (answer.records.CNAME.length > 0) targets.add(answer.records.CNAME[answer.records.CNAME.length - 1]);
+    }
+
+    return {
+      detected: addresses.size > 0 || targets.size > 0,
+      addresses: [...addresses],
+      cnameTargets: [...targets]
+    };
+  }
+
+  matchesWildcard(answer, wildcard) {
+    if (!wildcard.detected) return false;
+
+    const chain = answer.records.CNAME;
+    if (chain.length > 0 && wildcard.cnameTargets.includes(chain[chain.length - 1])) return true;
+
+    const addresses = [...answer.records.A, ...answer.records.AAAA];
+    return addresses.length > 0 && addresses.every(address => wildcard.addresses.includes(address));
+  }
+
+  // Returns null when the name does not resolve at all
+  async resolveHost(hostname) {
+    const chain = await this.followCname(hostname);
+    const [a, aaaa] = await Promise.all([
+      this.resolver.resolve4(hostname).catch(() => []),
+      this.resolver.resolve6(hostname).catch(() => [])
+    ]);
+
+    if (chain.length === 0 && a.length === 0 && aaaa.length === 0) return null;
+
+    return {
+      type: chain.length > 0 ? 'CNAME' : a.length > 0 ? 'A' : 'AAAA',
+      records: { A: a, AAAA: aaaa, CNAME: chain }
+    };
+  }
+
+  async followCname(hostname) {
+    const chain = [];
+    let current = hostname;
+
+    while (chain.length < MAX_CNAME_HOPS) {
+      let targets;
+      try {
+        targets = await this.resolver.resolveCname(current);
+      } catch (e) {
+        break;
+      }
+      if (!targets.length || chain.includes(targets[0])) break;
+      chain.push(targets[0]);
+      current = targets[0];
+    }
+
+    return chain;
+  }
+}
+
+module.exports = SubdomainEnumerator;
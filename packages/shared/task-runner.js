@@ -0,0 +1,179 @@
+// Bounded-concurrency task runner shared by every scan module
+const { AsyncResource } = require('async_hooks');
+
+class TaskRunner {
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || 32;
+    this.perHostConcurrency = options.perHostConcurrency || 6;
+    this.taskTimeout = options.taskTimeout || 15000;
+
+    this.queue = [];
+    this.running = 0;
+    this.runningByHost = new Map();
+    this.totals = TaskRunner.createStats();
+  }
+
+  static createStats() {
+    return {
+      submitted: 0,
+      completed: 0,
+      failed: 0,
+      timedOut: 0,
+      peakQueued: 0,
+      peakRunning: 0,
+      durations: { total: 0, max: 0 },
+      startedAt: Date.now()
+    };
+  }
+
+  createStats() {
+    return TaskRunner.createStats();
+  }
+
+  // Live view of the runner plus lifetime totals
+  stats() {
+    return {
+      queued: this.queue.length,
+      running: this.running,
+      ...TaskRunner.summarize(this.totals)
+    };
+  }
+
+  static summarize(stats) {
+    const finished = stats.completed + stats.failed + stats.timedOut;
+    return {
+      submitted: stats.submitted,
+      completed: stats.completed,
+      failed: stats.failed,
+      timedOut: stats.timedOut,
+      peakQueued: stats.peakQueued,
+      peakRunning: stats.peakRunning,
+      durations: {
+        total: stats.durations.total,
+        avg: finished ? Math.round(stats.durations.total / finished) : 0,
+        max: stats.durations.max
+      },
+      wallTime: Date.now() - stats.startedAt
+    };
+  }
+
+  // Runs every task and resolves with settled results in submission order.
+  // A task is { run: (signal) => Promise, host?, timeout? } or a bare function; signal is aborted when the
+  // task times out or is cancelled, and socket and HTTP work should stop on it.
+  // options.signal (e.g. a cancelled job's) drops the tasks still queued and aborts the running ones' signals.
+  async run(tasks, options = {}) {
+    return Promise.all(tasks.map(task => this.add(task, options)));
+  }
+
+  add(task, options = {}) {
+    const submitted = typeof task === 'function' ? { run: task } : task;
+    // A queued task is started by whichever task finishes first; binding keeps the submitter's
+    // async context (e.g. its request's cache mode) instead of inheriting that one's
+    const normalized = { ...submitted, run: AsyncResource.bind(submitted.run) };
+    const trackers = [this.totals, options.stats].filter(Boolean);
+
+    return new Promise((resolve) => {
+      const entry = { task: normalized, trackers, resolve, queuedAt: Date.now(), signal: options.signal, controller: null };
+      this.queue.push(entry);
+      for (const stats of trackers) {
+        stats.submitted++;
+        stats.peakQueued = Math.max(stats.peakQueued, this.queue.length);
+      }
+
+      if (entry.signal) {
+        if (entry.signal.aborted) return this.cancel(entry);
+        entry.onAbort = () => this.cancel(entry);
+        entry.signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+      this.drain();
+    });
+  }
+
+  // A queued task never starts; a running one is told to stop through its own signal
+  cancel(entry) {
+    const index = this.queue.indexOf(entry);
+    if (index === -1) {
+      if (entry.controller) entry.controller.abort(entry.signal.reason);
+      return;
+    }
+
+    this.queue.splice(index, 1);
+    for (const stats of entry.trackers) stats.failed++;
+    entry.resolve({ status: 'rejected', error: entry.signal.reason, duration: 0, waited: Date.now() - entry.queuedAt });
+  }
+
+  drain() {
+    for (let i = 0; i < this.queue.length && this.running < this.concurrency;) {
+      const entry = this.queue[i];
+      const host = entry.task.host;
+
+      if (host && (this.runningByHost.get(host) || 0) >= this.perHostConcurrency) {
+        i++;
+        continue;
+      }
+
+      this.queue.splice(i, 1);
+      this.start(entry);
+    }
+  }
+
+  start(entry) {
+    const { task, trackers } = entry;
+    const host = task.host;
+    const timeout = task.timeout || this.taskTimeout;
+    const controller = new AbortController();
+    entry.controller = controller;
+    const startedAt = Date.now();
+    let settled = false;
+    let timer;
+
+    this.running++;
+    if (host) this.runningByHost.set(host, (this.runningByHost.get(host) || 0) + 1);
+    for (const stats of trackers) {
+      stats.peakRunning = Math.max(stats.peakRunning, this.running);
+    }
+
+    // The caller gets its outcome at the deadline, but the slot is only freed once the task has settled,
+    // so a task that ignores its aborted signal still counts against the concurrency limits
+    const report = (outcome) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (entry.onAbort) entry.signal.removeEventListener('abort', entry.onAbort);
+
+      const duration = Date.now() - startedAt;
+      for (const stats of trackers) {
+        stats[outcome.status === 'fulfilled' ? 'completed' : outcome.status === 'timeout' ? 'timedOut' : 'failed']++;
+        stats.durations.total += duration;
+        stats.durations.max = Math.max(stats.durations.max, duration);
+      }
+
+      entry.resolve({ ...outcome, duration, waited: startedAt - entry.queuedAt });
+    };
+
+    const release = () => {
+      this.running--;
+      if (host) {
+        const count = this.runningByHost.get(host) - 1;
+        if (count > 0) this.runningByHost.set(host, count);
+        else this.runningByHost.delete(host);
+      }
+      this.drain();
+    };
+
+    timer = setTimeout(() => {
+      controller.abort(new Error(`Task timed out after ${timeout}ms`));
+      report({ status: 'timeout', error: controller.signal.reason });
+    }, timeout);
+
+    Promise.resolve()
+      .then(() => task.run(controller.signal))
+      .then(
+        value => report({ status: 'fulfilled', value }),
+        error => report({ status: 'rejected', error })
+      )
+      .finally(release);
+  }
+}
+
+module.exports = TaskRunner;
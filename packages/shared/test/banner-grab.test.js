@@ -0,0 +1,60 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { grabBanner, parseBanner, fingerprint } = require('../banner-grab');
+const OSINTModules = require('../osint-modules');
+
+const servers = [];
+
+// Greets with banner, or stays silent and answers the HTTP probe with response
+async function tcpServer({ banner = null, response = null }) {
+  const server = net.createServer((socket) => {
+    socket.on('error', () => {});
+    if (banner) socket.write(banner);
+    socket.on('data', () => {
+      if (response) socket.end(response);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  servers.push(server);
+  return server.address().port;
+}
+
+after(() => {
+  for (const server of servers) server.close();
+});
+
+test('a greeting banner is read and fingerprinted', async () => {
+  const port = await tcpServer({ banner: 'SSH-2.0-OpenSSH_9.6p1 Ubuntu-3ubuntu13\r\n' });
+  const grab = await grabBanner('127.0.0.1', port, { timeout: 2000 });
+
+  assert.strictEqual(grab.banner, 'SSH-2.0-OpenSSH_9.6p1 Ubuntu-3ubuntu13');
+  assert.deepStrictEqual(fingerprint(grab), { service: 'SSH', product: 'OpenSSH', version: '9.6p1', confidence: 0.95 });
+});
+
+test('a silent service gets an HTTP probe and is matched on its Server header', async () => {
+  const port = await tcpServer({ response: 'HTTP/1.1 200 OK\r\nServer: nginx/1.25.3\r\nContent-Length: 0\r\n\r\n' });
+  const grab = await grabBanner('127.0.0.1', port, { timeout: 2000, greetingTimeout: 50 });
+
+  assert.strictEqual(grab.banner, 'nginx/1.25.3');
+  assert.strictEqual(grab.statusLine, 'HTTP/1.1 200 OK');
+  assert.deepStrictEqual(fingerprint(grab), { service: 'HTTP', product: 'nginx', version: '1.25.3', confidence: 0.9 });
+});
+
+test('banners without a signature fall back to the port table', () => {
+  const osint = new OSINTModules();
+  const unknown = osint.identifyService(2222, parseBanner(Buffer.from('Welcome to the machine\r\n'), false));
+  assert.deepStrictEqual([unknown.service, unknown.banner, unknown.product, unknown.confidence], ['Unknown', 'Welcome to the machine', null, 0.5]);
+
+  const http = osint.identifyService(8080, parseBanner(Buffer.from('HTTP/1.0 404 Not Found\r\n\r\n'), true));
+  assert.deepStrictEqual([http.service, http.banner, http.confidence], ['HTTP', 'HTTP/1.0 404 Not Found', 0.7]);
+
+  assert.strictEqual(osint.identifyService(22, null).confidence, 0.3);
+});
+
+test('an SMTP banner on a TLS port is reported as the secure service', () => {
+  const grab = parseBanner(Buffer.from('220 mail.acme.test ESMTP Exim 4.97 Mon, 01 Jan 2024\r\n'), false);
+  const service = new OSINTModules().identifyService(465, grab);
+
+  assert.deepStrictEqual([service.service, service.product, service.version], ['SMTPS', 'Exim', '4.97']);
+});
@@ -0,0 +1,125 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { BlockchainAnalyzer, EsploraProvider, AddressLabels, assessRisk } = require('../blockchain-providers');
+const { ResultCache } = require('../result-cache');
+
+const ADDRESS = '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa';
+const MIXER = '0xd90e2f925DA726b50C4Ed8D0Fb90Ad053324F31b';
+const servers = [];
+
+// A local Esplora answering from a path -> JSON table
+async function esplora(routes) {
+  const server = http.createServer((req, res) => {
+    const body = routes[req.url.replace(/^\/api/, '')];
+    res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(body ? JSON.stringify(body) : '');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  servers.push(server);
+  return `http://127.0.0.1:${server.address().port}/api`;
+}
+
+// Serves the same activity for every address and counts the calls
+function stubProvider(info) {
+  return {
+    name: 'Stub',
+    calls: 0,
+    supports: () => true,
+    async addressInfo() {
+      this.calls++;
+      return info;
+    }
+  };
+}
+
+after(() => {
+  for (const server of servers) server.close();
+});
+
+test('Esplora activity becomes a balance, timeline and counterparties', async () => {
+  const stats = (funded, spent, txs) => ({ funded_txo_sum: funded, spent_txo_sum: spent, tx_count: txs });
+  const base = await esplora({
+    [`/address/${ADDRESS}`]: { chain_stats: stats(150000000, 40000000, 2), mempool_stats: stats(0, 0, 0) },
+    [`/address/${ADDRESS}/txs`]: [
+      {
+        txid: 'b',
+        status: { confirmed: true, block_time: 1700000000 },
+        vin: [{ prevout: { scriptpubkey_address: ADDRESS } }],
+        vout: [{ scriptpubkey_address: 'bc1qpayee' }, { scriptpubkey_address: ADDRESS }]
+      },
+      {
+        txid: 'a',
+        status: { confirmed: true, block_time: 1600000000 },
+        vin: [{ prevout: { scriptpubkey_address: 'bc1qpayee' } }],
+        vout: [{ scriptpubkey_address: ADDRESS }]
+      }
+    ]
+  });
+  const provider = new EsploraProvider({ urls: { 'bitcoin:mainnet': base } });
+  const analyzer = new BlockchainAnalyzer({ providers: [provider], labels: new AddressLabels({ entries: [] }), cache: new ResultCache({ store: null }) });
+  const result = await analyzer.analyze(ADDRESS);
+
+  assert.strictEqual(result.status, 'ok');
+  assert.deepStrictEqual(result.balance, { value: '110000000', formatted: '1.1', symbol: 'BTC' });
+  assert.deepStrictEqual([result.txCount, result.historyComplete], [2, true]);
+  assert.deepStrictEqual([result.firstSeen, result.lastSeen], ['2020-09-13T12:26:40.000Z', '2023-11-14T22:13:20.000Z']);
+  assert.deepStrictEqual(result.counterparties.map(entry => [entry.address, entry.direction, entry.txCount]), [['bc1qpayee', 'both', 2]]);
+});
+
+test('a provider failure is reported with the address still described', async () => {
+  const base = await esplora({});
+  const analyzer = new BlockchainAnalyzer({
+    providers: [new EsploraProvider({ urls: { 'bitcoin:mainnet': base } })],
+    labels: new AddressLabels({ entries: [] }),
+    cache: new ResultCache({ store: null })
+  });
+  const result = await analyzer.analyze(ADDRESS);
+
+  assert.deepStrictEqual([result.status, result.chain, result.error], ['error', 'bitcoin', 'Blockchain provider responded with 404']);
+});
+
+test('labels on the address and its counterparties drive the risk level', async () => {
+  const labels = new AddressLabels({ entries: [
+    { address: MIXER, category: 'mixer', entity: 'Tornado Cash: Router' },
+    { address: MIXER, category: 'sanctioned', entity: 'Tornado Cash' },
+    { address: '0x00000000219ab540356cBB839Cbe05303d7705Fa', category: 'exchange', entity: 'Deposit' }
+  ] });
+  const provider = stubProvider({
+    balance: null,
+    txCount: 3,
+    counterparties: [{ address: MIXER.toLowerCase(), direction: 'out', txCount: 1, lastSeen: null }]
+  });
+  const analyzer = new BlockchainAnalyzer({ providers: [provider], labels, cache: new ResultCache({ store: null }) });
+
+  // Labels are matched case-insensitively for hex addresses
+  const exposed = await analyzer.analyze('0x00000000219ab540356cbb839cbe05303d7705fa');
+  assert.deepStrictEqual(exposed.labels.map(label => label.category), ['exchange']);
+  assert.strictEqual(exposed.risk.level, 'critical');
+  assert.deepStrictEqual(exposed.risk.factors.map(factor => factor.factor), [
+    'Address belongs to an exchange',
+    'Mixer usage',
+    'Transacted with a sanctioned address'
+  ]);
+
+  assert.deepStrictEqual(assessRisk([], [], { txCount: 5000 }), { level: 'low', factors: [{ severity: 'low', factor: 'High activity', entity: null }] });
+  assert.deepStrictEqual(assessRisk([{ category: 'gambling', entity: null }], [], null).level, 'medium');
+});
+
+test('addresses never seen on chain are cached as negative', async () => {
+  const provider = stubProvider({ balance: null, txCount: 0, counterparties: [] });
+  const analyzer = new BlockchainAnalyzer({ providers: [provider], labels: new AddressLabels({ entries: [] }), cache: new ResultCache() });
+
+  const first = await analyzer.analyze(ADDRESS);
+  const second = await analyzer.analyze(ADDRESS);
+  assert.deepStrictEqual([first.cache.status, second.cache.status, provider.calls], ['miss', 'hit', 1]);
+});
+
+test('invalid and unsupported addresses are not sent to a provider', async () => {
+  const provider = { name: 'None', supports: () => false, addressInfo: () => assert.fail('not supported') };
+  const analyzer = new BlockchainAnalyzer({ providers: [provider], labels: new AddressLabels({ entries: [] }), cache: new ResultCache({ store: null }) });
+
+  assert.strictEqual((await analyzer.analyze('1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNb')).status, 'invalid');
+  const unsupported = await analyzer.analyze('So11111111111111111111111111111111111111112');
+  assert.deepStrictEqual([unsupported.status, unsupported.provider, unsupported.risk.level], ['unsupported', null, 'low']);
+});
@@ -0,0 +1,111 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BreachCorpus = require('../breach-corpus');
+
+let dir;
+let corpus;
+
+function writeDataset(name, lines) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, `${lines.join('\n')}\n`);
+  return file;
+}
+
+// Enough users that every bucket file holds many keys around the ones searched for
+function users(count, domain) {
+  return Array.from({ length: count }, (_, i) => `user${i}@${domain},user${i},5f4dcc3b5aa765d61d8327deb882cf99,hunter${i}`);
+}
+
+beforeEach(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'infohub-corpus-'));
+  corpus = new BreachCorpus({ dir: path.join(dir, 'corpus') });
+  await corpus.import(writeDataset('acme.csv', ['email,username,password_hash,password', ...users(3000, 'acme.test')]), {
+    name: 'Acme 2021',
+    date: '2021-06'
+  });
+  await corpus.import(writeDataset('globex.csv', ['email,username', 'user42@acme.test,user42', 'boss@globex.test,boss']), {
+    name: 'Globex'
+  });
+});
+
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('finds an email in every dataset that holds it', async () => {
+  const result = await corpus.search({ email: ' User42@Acme.test ' });
+
+  assert.strictEqual(result.total, 2);
+  assert.deepStrictEqual(result.matches.map(match => [match.dataset, match.breachDate, match.username]), [
+    ['Acme 2021', '2021-06', 'user42'],
+    ['Globex', null, 'user42']
+  ]);
+  assert.deepStrictEqual(result.matches[0].exposedFields, ['Email addresses', 'Usernames', 'Passwords', 'Password hashes']);
+  assert.strictEqual(result.matches[0].hashType, 'md5');
+});
+
+test('finds usernames, and nothing for unknown keys', async () => {
+  assert.strictEqual((await corpus.search({ username: 'user2999' })).total, 1);
+  assert.strictEqual((await corpus.search({ username: 'user3000' })).total, 0);
+  assert.strictEqual((await corpus.search({ email: 'nobody@acme.test' })).total, 0);
+});
+
+test('a domain search counts every match but returns at most limit', async () => {
+  const result = await corpus.search({ domain: 'acme.test' }, { limit: 10 });
+
+  assert.strictEqual(result.total, 3001);
+  assert.strictEqual(result.truncated, true);
+  assert.strictEqual(result.matches.length, 10);
+});
+
+test('plaintext passwords are never written to the corpus', () => {
+  const records = fs.readFileSync(path.join(dir, 'corpus', 'records', 'acme-2021.jsonl'), 'utf8');
+  assert.ok(!records.includes('hunter'));
+});
+
+test('a removed dataset no longer matches', async () => {
+  corpus.remove('globex');
+
+  assert.deepStrictEqual((await corpus.search({ email: 'user42@acme.test' })).matches.map(match => match.dataset), ['Acme 2021']);
+  assert.strictEqual((await corpus.search({ username: 'boss' })).total, 0);
+});
+
+test('an index without the sorted marker is scanned linearly and left untouched by search', async () => {
+  const buckets = path.join(dir, 'corpus', 'index', 'email');
+  for (const bucket of fs.readdirSync(buckets)) {
+    const file = path.join(buckets, bucket);
+    const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).reverse();
+    fs.writeFileSync(file, lines.map(line => `${line}\n`).join(''));
+  }
+  fs.rmSync(path.join(dir, 'corpus', 'index', '.sorted'));
+  const before = fs.readdirSync(buckets).map(bucket => fs.readFileSync(path.join(buckets, bucket), 'utf8'));
+
+  const reopened = new BreachCorpus({ dir: path.join(dir, 'corpus') });
+  assert.strictEqual((await reopened.search({ email: 'user1234@acme.test' })).total, 1);
+  assert.strictEqual((await reopened.search({ email: 'user42@acme.test' })).total, 2);
+  assert.deepStrictEqual(fs.readdirSync(buckets).map(bucket => fs.readFileSync(path.join(buckets, bucket), 'utf8')), before);
+  assert.ok(!fs.existsSync(path.join(dir, 'corpus', 'index', '.sorted')));
+
+  assert.strictEqual(reopened.upgradeIndex(), true);
+  assert.ok(fs.existsSync(path.join(dir, 'corpus', 'index', '.sorted')));
+  assert.strictEqual((await reopened.search({ email: 'user42@acme.test' })).total, 2);
+});
+
+test('a line still being appended is not matched', async () => {
+  fs.rmSync(path.join(dir, 'corpus', 'index', '.sorted'));
+  const bucket = path.join(dir, 'corpus', 'index', 'username', fs.readdirSync(path.join(dir, 'corpus', 'index', 'username'))[0]);
+  const [key] = fs.readFileSync(bucket, 'utf8').split('\t');
+  const { total } = await corpus.search({ username: key });
+  fs.appendFileSync(bucket, `${key}\tglobex\t0\t`);
+
+  assert.strictEqual((await corpus.search({ username: key })).total, total);
+});
+
+test('a second writer is refused while the index is locked', async () => {
+  fs.writeFileSync(path.join(dir, 'corpus', 'index', '.lock'), '');
+
+  await assert.rejects(corpus.import(writeDataset('initech.csv', ['email', 'peter@initech.test']), { name: 'Initech' }), /locked/);
+  assert.throws(() => corpus.remove('globex'), /locked/);
+  assert.strictEqual((await corpus.search({ username: 'boss' })).total, 1);
+});
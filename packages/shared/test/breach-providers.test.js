@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { BreachChecker, HibpProvider, LocalBreachProvider } = require('../breach-providers');
+const { ResultCache } = require('../result-cache');
+const OSINTModules = require('../osint-modules');
+
+const ADOBE = { Name: 'Adobe', Title: 'Adobe', Domain: 'adobe.com', BreachDate: '2013-10-04', PwnCount: 152445165, DataClasses: ['Email addresses', 'Passwords'], IsVerified: true };
+
+// Counts the lookups that reach the provider
+function counting(provider) {
+  let calls = 0;
+  return {
+    name: provider.name,
+    configured: provider.configured,
+    get calls() { return calls; },
+    lookup: (email) => {
+      calls++;
+      return provider.lookup(email);
+    }
+  };
+}
+
+test('the local provider stands in for HIBP in the scan engine', async () => {
+  const osint = new OSINTModules({
+    breachChecker: new BreachChecker({
+      provider: new LocalBreachProvider({ records: { 'Alice@Acme.test': [ADOBE] } }),
+      cache: new ResultCache({ store: null })
+    })
+  });
+  const result = await osint.checkDataBreaches('alice@acme.test');
+
+  assert.strictEqual(result.status, 'ok');
+  assert.strictEqual(result.found, true);
+  assert.strictEqual(result.provider, 'Local breach fixtures');
+  assert.deepStrictEqual(result.breaches[0], {
+    name: 'Adobe',
+    title: 'Adobe',
+    domain: 'adobe.com',
+    breachDate: '2013-10-04',
+    addedDate: null,
+    pwnCount: 152445165,
+    dataClasses: ['Email addresses', 'Passwords'],
+    verified: true,
+    sensitive: false,
+    fabricated: false,
+    spamList: false
+  });
+});
+
+test('answers are cached per email, clean ones included', async () => {
+  const provider = counting(new LocalBreachProvider({ records: { 'alice@acme.test': [ADOBE] } }));
+  const checker = new BreachChecker({ provider, cache: new ResultCache() });
+
+  assert.strictEqual((await checker.check('alice@acme.test')).cached, false);
+  assert.strictEqual((await checker.check(' ALICE@acme.test ')).cached, true);
+  assert.strictEqual((await checker.check('bob@acme.test')).found, false);
+  assert.strictEqual((await checker.check('bob@acme.test')).cached, true);
+  assert.strictEqual(provider.calls, 2);
+});
+
+test('failures are reported and never cached', async () => {
+  let calls = 0;
+  const provider = { name: 'Flaky', configured: true, lookup: async () => { calls++; throw new Error('HaveIBeenPwned responded with 503'); } };
+  const checker = new BreachChecker({ provider, cache: new ResultCache() });
+
+  const result = await checker.check('alice@acme.test');
+  assert.deepStrictEqual([result.status, result.found, result.error], ['error', null, 'HaveIBeenPwned responded with 503']);
+  await checker.check('alice@acme.test');
+  assert.strictEqual(calls, 2);
+});
+
+test('HIBP without an API key is unavailable rather than clean', async () => {
+  const checker = new BreachChecker({ provider: new HibpProvider({ apiKey: null }), cache: new ResultCache({ store: null }) });
+  const result = await checker.check('alice@acme.test');
+
+  assert.strictEqual(result.status, 'unavailable');
+  assert.strictEqual(result.found, null);
+});
+
+test('HIBP waits out a 429 and retries', async () => {
+  const provider = new HibpProvider({ apiKey: 'test', minInterval: 0 });
+  const responses = [
+    { statusCode: 429, headers: { 'retry-after': '1' }, body: '' },
+    { statusCode: 200, headers: {}, body: JSON.stringify([ADOBE]) }
+  ];
+  const urls = [];
+  provider.request = async (url) => {
+    urls.push(url);
+    return responses.shift();
+  };
+
+  const result = await provider.lookup('alice+tag@acme.test');
+  assert.strictEqual(result.found, true);
+  assert.strictEqual(result.breaches[0].name, 'Adobe');
+  assert.strictEqual(urls.length, 2);
+  assert.ok(urls[0].endsWith('/breachedaccount/alice%2Btag%40acme.test?truncateResponse=false'));
+
+  provider.request = async () => ({ statusCode: 401, headers: {}, body: '' });
+  await assert.rejects(provider.lookup('alice@acme.test'), /Invalid HaveIBeenPwned API key/);
+});
@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseAddress, toChecksumAddress, keccak256 } = require('../crypto-address');
+
+function summary(input) {
+  const parsed = parseAddress(input);
+  return parsed.valid
+    ? [parsed.chain, parsed.network, parsed.type, parsed.encoding, parsed.checksum]
+    : [false, parsed.chain, parsed.error];
+}
+
+test('Base58Check addresses are told apart by their version byte', () => {
+  assert.deepStrictEqual(summary('1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa'), ['bitcoin', 'mainnet', 'P2PKH', 'base58check', 'valid']);
+  assert.deepStrictEqual(summary('3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy'), ['bitcoin', 'mainnet', 'P2SH', 'base58check', 'valid']);
+  assert.deepStrictEqual(summary('LVg2kJoFNg45Nbpy53h7Fe1wKyeXVRhMH9'), ['litecoin', 'mainnet', 'P2PKH', 'base58check', 'valid']);
+  assert.deepStrictEqual(summary('DH5yaieqoZN36fDVciNyRueRGvGLR3mr7L'), ['dogecoin', 'mainnet', 'P2PKH', 'base58check', 'valid']);
+  assert.deepStrictEqual(summary('TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t'), ['tron', 'mainnet', 'account', 'base58check', 'valid']);
+});
+
+test('a corrupted Base58Check address fails its checksum', () => {
+  assert.deepStrictEqual(summary('1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNb'), [false, 'bitcoin', 'Invalid Base58Check checksum']);
+  assert.deepStrictEqual(summary('TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6u'), [false, 'tron', 'Invalid Base58Check checksum']);
+});
+
+test('segwit addresses follow BIP-173 and BIP-350', () => {
+  assert.deepStrictEqual(summary('BC1QW508D6QEJXTDG4Y5R3ZARVARY0C5XW7KV8F3T4'), ['bitcoin', 'mainnet', 'P2WPKH', 'bech32', 'valid']);
+  assert.strictEqual(parseAddress('BC1QW508D6QEJXTDG4Y5R3ZARVARY0C5XW7KV8F3T4').address, 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4');
+  assert.deepStrictEqual(summary('bc1p5d7rjq7g6rdk2yhzks9smlaqtedr4dekq08ge8ztwac72sfr9rusxg3297'), ['bitcoin', 'mainnet', 'P2TR', 'bech32m', 'valid']);
+  assert.deepStrictEqual(summary('ltc1qg42tkwuuxefutzxezdkdel39gfstuap288mfea'), ['litecoin', 'mainnet', 'P2WPKH', 'bech32', 'valid']);
+
+  assert.deepStrictEqual(summary('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t5'), [false, 'bitcoin', 'Invalid bech32 checksum']);
+  // A v1 program with a bech32 (not bech32m) checksum
+  assert.deepStrictEqual(summary('bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqh2y7hd'), [false, 'bitcoin', 'Witness v1 must use bech32m']);
+  assert.deepStrictEqual(summary('Bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4')[0], false);
+});
+
+test('Ethereum addresses are checked against EIP-55', () => {
+  assert.strictEqual(keccak256(Buffer.alloc(0)).toString('hex'), 'c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470');
+
+  for (const address of ['0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed', '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359']) {
+    assert.strictEqual(toChecksumAddress(address.toLowerCase()), address);
+    assert.deepStrictEqual(summary(address), ['ethereum', 'mainnet', 'account', 'hex', 'valid']);
+  }
+
+  // All one case carries no checksum, but is still normalized to the checksummed form
+  const lower = parseAddress('0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed');
+  assert.deepStrictEqual([lower.checksum, lower.address], ['none', '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed']);
+  assert.deepStrictEqual(summary('0x5AAeb6053F3E94C9b9A09f33669435E7Ef1BeAed'), [false, 'ethereum', 'Invalid EIP-55 checksum']);
+});
+
+test('Solana keys are bare 32-byte Base58 with no checksum', () => {
+  assert.deepStrictEqual(summary('So11111111111111111111111111111111111111112'), ['solana', 'mainnet', 'account', 'base58', 'n/a']);
+});
+
+test('anything else is unrecognized', () => {
+  assert.deepStrictEqual(summary('   '), [false, null, 'Empty address']);
+  assert.deepStrictEqual(summary('not-an-address'), [false, null, 'Unrecognized address format']);
+  assert.deepStrictEqual(summary('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeA'), [false, null, 'Unrecognized address format']);
+});
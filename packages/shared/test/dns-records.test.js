@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const TaskRunner = require('../task-runner');
+const { DnsRecordCollector } = require('../dns-records');
+const { ResultCache } = require('../result-cache');
+
+const failure = code => Object.assign(new Error(`query ${code}`), { code });
+
+// Answers per "TYPE name"; a string is the error code the query fails with, 'hang' never answers
+function tableResolver(answers) {
+  const answer = async (type, name) => {
+    const value = answers[`${type} ${name}`];
+    if (value === 'hang') return new Promise(() => {});
+    if (typeof value === 'string') throw failure(value);
+    if (value === undefined) throw failure('ENODATA');
+    return value;
+  };
+  return {
+    resolve4: name => answer('A', name),
+    resolve6: name => answer('AAAA', name),
+    resolve: (name, type) => answer(type, name),
+    reverse: ip => answer('PTR', ip)
+  };
+}
+
+function collector(answers) {
+  return new DnsRecordCollector({
+    resolver: tableResolver(answers),
+    runner: new TaskRunner({ taskTimeout: 50 }),
+    cache: new ResultCache({ store: null })
+  });
+}
+
+test('every record type gets its own outcome', async () => {
+  const { records, status } = await collector({
+    'A acme.test': [{ address: '198.51.100.1', ttl: 300 }],
+    'MX acme.test': [{ exchange: 'mx.acme.test', priority: 10 }],
+    'TXT acme.test': 'ESERVFAIL',
+    'NS acme.test': 'EREFUSED',
+    'CAA acme.test': 'hang',
+    'SOA acme.test': 'EBADRESP',
+    'SRV _sip._tcp.acme.test': [{ name: 'sip.acme.test', port: 5060, priority: 0, weight: 5 }],
+    'PTR 198.51.100.1': ['host1.acme.test']
+  }).collect('acme.test');
+
+  assert.deepStrictEqual(status.A, { status: 'ok', count: 1 });
+  assert.deepStrictEqual(status.AAAA, { status: 'nodata', error: 'ENODATA' });
+  assert.deepStrictEqual(status.TXT, { status: 'servfail', error: 'ESERVFAIL' });
+  assert.deepStrictEqual(status.NS, { status: 'refused', error: 'EREFUSED' });
+  assert.deepStrictEqual(status.SOA, { status: 'error', error: 'EBADRESP' });
+  assert.strictEqual(status.CAA.status, 'timeout');
+  assert.deepStrictEqual(status['SRV _sip._tcp'], { status: 'ok', count: 1 });
+  assert.deepStrictEqual(status['PTR 198.51.100.1'], { status: 'ok', count: 1 });
+
+  assert.deepStrictEqual(records.MX, [{ exchange: 'mx.acme.test', priority: 10 }]);
+  assert.strictEqual(records.SRV['_sip._tcp'][0].port, 5060);
+  assert.deepStrictEqual(records.PTR, { '198.51.100.1': ['host1.acme.test'] });
+  assert.ok(!('TXT' in records));
+});
+
+test('a name that does not exist is reported as nxdomain for each type', async () => {
+  const answers = {};
+  for (const type of ['A', 'AAAA', 'CNAME', 'MX', 'TXT', 'NS', 'SOA', 'CAA', 'NAPTR']) answers[`${type} gone.test`] = 'ENOTFOUND';
+  const { records, status } = await collector(answers).collect('gone.test');
+
+  assert.deepStrictEqual(status.A, { status: 'nxdomain', error: 'ENOTFOUND' });
+  assert.deepStrictEqual(status.NAPTR, { status: 'nxdomain', error: 'ENOTFOUND' });
+  assert.deepStrictEqual(records, {});
+});
+
+test('an IP address only gets a PTR lookup', async () => {
+  const { records, status } = await collector({ 'PTR 192.0.2.7': ['gw.acme.test'] }).collect('192.0.2.7');
+
+  assert.deepStrictEqual(Object.keys(status), ['PTR 192.0.2.7']);
+  assert.deepStrictEqual(records, { PTR: { '192.0.2.7': ['gw.acme.test'] } });
+});
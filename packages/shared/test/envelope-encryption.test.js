@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EnvelopeEncryption, KeyRing, DecryptionError, createEncryption } = require('../envelope-encryption');
+
+function encryption(keys = { k1: crypto.randomBytes(32) }, currentId = 'k1') {
+  return new EnvelopeEncryption({ keyRing: new KeyRing({ keys, currentId }) });
+}
+
+test('a truncated authentication tag is refused', () => {
+  const envelopes = encryption();
+  const envelope = envelopes.encrypt({ value: 'secret' }, 'finding:1');
+  const truncated = { ...envelope, tag: Buffer.from(envelope.tag, 'base64').subarray(0, 4).toString('base64') };
+
+  assert.throws(() => envelopes.decrypt(truncated, 'finding:1'), DecryptionError);
+});
+
+test('a value round-trips and each envelope gets its own data key', () => {
+  const envelopes = encryption();
+  const value = { email: 'ana@example.test', breaches: ['Adobe'], count: 2 };
+  const first = envelopes.encrypt(value, 'finding:1');
+  const second = envelopes.encrypt(value, 'finding:1');
+
+  assert.deepStrictEqual(envelopes.decrypt(first, 'finding:1'), value);
+  assert.ok(EnvelopeEncryption.isEnvelope(first));
+  assert.notStrictEqual(first.dk, second.dk);
+  assert.ok(!JSON.stringify(first).includes('ana@example.test'));
+});
+
+test('a tampered ciphertext or one moved to another record is refused', () => {
+  const envelopes = encryption();
+  const envelope = envelopes.encrypt({ value: 'secret' }, 'finding:1');
+  const ct = Buffer.from(envelope.ct, 'base64');
+  ct[0] ^= 1;
+
+  assert.throws(() => envelopes.decrypt({ ...envelope, ct: ct.toString('base64') }, 'finding:1'), /failed authentication/);
+  assert.throws(() => envelopes.decrypt(envelope, 'finding:2'), /failed authentication/);
+  assert.throws(() => envelopes.decrypt({ value: 'secret' }, 'finding:1'), /Not an encrypted envelope/);
+});
+
+test('a data key only unwraps under the master key that wrapped it', () => {
+  const envelope = encryption({ k1: crypto.randomBytes(32) }).encrypt('secret', 'finding:1');
+
+  assert.throws(() => encryption({ k1: crypto.randomBytes(32) }).decrypt(envelope, 'finding:1'), /does not unwrap with master key k1/);
+  assert.throws(() => encryption({ k2: crypto.randomBytes(32) }, 'k2').decrypt(envelope, 'finding:1'), /Master key k1 is not configured/);
+});
+
+test('rewrapping moves an envelope to the current master key and keeps its ciphertext', () => {
+  const k1 = crypto.randomBytes(32);
+  const k2 = crypto.randomBytes(32);
+  const envelope = encryption({ k1 }).encrypt({ value: 'secret' }, 'scan_run:3');
+  const rotated = encryption({ k1, k2 }, 'k2');
+  const rewrapped = rotated.rewrap(envelope);
+
+  assert.deepStrictEqual([rewrapped.kid, rewrapped.ct, rewrapped.tag], ['k2', envelope.ct, envelope.tag]);
+  assert.strictEqual(rotated.rewrap(rewrapped), rewrapped);
+  assert.deepStrictEqual(encryption({ k2 }, 'k2').decrypt(rewrapped, 'scan_run:3'), { value: 'secret' });
+});
+
+test('the key ring is read from the environment or a key file', () => {
+  const hex = crypto.randomBytes(32).toString('hex');
+  const base64 = crypto.randomBytes(32).toString('base64');
+
+  const ring = KeyRing.fromEnv({ DATA_ENCRYPTION_KEYS: `old:${hex}, new:${base64}` });
+  assert.deepStrictEqual([ring.currentId, ring.get('old').toString('hex')], ['new', hex]);
+  assert.strictEqual(KeyRing.fromEnv({ DATA_ENCRYPTION_KEYS: `old:${hex},new:${base64}`, DATA_ENCRYPTION_KEY_ID: 'old' }).currentId, 'old');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keyring-'));
+  try {
+    const file = path.join(dir, 'keys.json');
+    fs.writeFileSync(file, JSON.stringify({ current: 'a', keys: { a: base64 } }));
+    assert.strictEqual(KeyRing.fromEnv({ DATA_ENCRYPTION_KEY_FILE: file }).currentId, 'a');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  assert.strictEqual(createEncryption({}), null);
+  assert.throws(() => KeyRing.fromEnv({ DATA_ENCRYPTION_KEYS: hex }), /must look like id:key/);
+  assert.throws(() => KeyRing.fromEnv({ DATA_ENCRYPTION_KEYS: 'short:c2hvcnQ=' }), /must be 32 bytes/);
+  assert.throws(() => KeyRing.fromEnv({ DATA_ENCRYPTION_KEYS: `a:${hex}`, DATA_ENCRYPTION_KEY_ID: 'b' }), /not in the key ring/);
+});
@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createFinding, errorFinding, evidence, isFinding, findingId } = require('../findings');
+const { toLegacyRow, toLegacyRows } = require('../legacy-rows');
+
+test('a finding is normalized and its id is stable', () => {
+  const finding = createFinding({
+    entityType: 'profile',
+    source: 'GitHub',
+    value: 'octocat',
+    status: 'found',
+    confidence: 1.4,
+    attributes: { followers: 12 },
+    evidence: [evidence('url', 'https://github.com/octocat'), evidence('url', null)]
+  });
+
+  assert.strictEqual(finding.id, findingId('profile', 'GitHub', 'octocat'));
+  assert.strictEqual(finding.id, createFinding({ entityType: 'profile', source: 'GitHub', value: 'octocat', status: 'info' }).id);
+  assert.notStrictEqual(finding.id, findingId('profile', 'GitLab', 'octocat'));
+  assert.deepStrictEqual(
+    [finding.label, finding.severity, finding.confidence, finding.evidence, finding.error],
+    ['GitHub', 'none', 1, [{ type: 'url', ref: 'https://github.com/octocat' }], null]
+  );
+  assert.ok(isFinding(finding));
+  assert.ok(!isFinding({ id: 'x', entityType: 'profile', status: 'success' }));
+});
+
+test('unknown types, statuses and severities are refused', () => {
+  assert.throws(() => createFinding({ entityType: 'car', source: 'x', status: 'found' }), /Unknown finding entity type: car/);
+  assert.throws(() => createFinding({ entityType: 'email', source: 'x', status: 'success' }), /Unknown finding status: success/);
+  assert.throws(() => createFinding({ entityType: 'email', source: 'x', status: 'found', severity: 'severe' }), /Unknown finding severity/);
+  assert.throws(() => createFinding({ entityType: 'email', status: 'found' }), /Finding source is required/);
+});
+
+test('a cache hit dates the finding to when it was fetched', () => {
+  const cachedAt = '2026-01-02T03:04:05.000Z';
+  assert.strictEqual(createFinding({ entityType: 'dns', source: 'DNS', status: 'info', cache: { status: 'hit', cachedAt } }).observedAt, cachedAt);
+  assert.notStrictEqual(createFinding({ entityType: 'dns', source: 'DNS', status: 'info', cache: { status: 'miss', cachedAt: null } }).observedAt, null);
+});
+
+test('findings render as the legacy dashboard rows', () => {
+  const profile = createFinding({
+    entityType: 'profile',
+    source: 'GitHub',
+    value: 'octocat',
+    status: 'found',
+    attributes: { name: 'The Octocat', repos: ['a', 'b'], nested: { skip: true }, empty: [] },
+    evidence: [evidence('url', 'https://github.com/octocat')]
+  });
+  assert.deepStrictEqual(toLegacyRow(profile), {
+    platform: 'GitHub',
+    status: 'success',
+    data: 'name: The Octocat | repos: a, b',
+    url: 'https://github.com/octocat',
+    metadata: profile.attributes
+  });
+
+  const rows = toLegacyRows([
+    createFinding({ entityType: 'breach', source: 'HIBP', status: 'found', severity: 'high', summary: 'In 3 breaches' }),
+    createFinding({ entityType: 'profile', source: 'Reddit', value: 'octocat', status: 'not_found' }),
+    createFinding({ entityType: 'domain', source: 'WHOIS', status: 'info', value: 'example.com' }),
+    errorFinding({ entityType: 'email', source: 'SMTP', error: new Error('Connection refused') })
+  ]);
+  assert.deepStrictEqual(rows.map(row => [row.status, row.data, row.url]), [
+    ['warning', 'In 3 breaches', null],
+    ['error', 'Not found', null],
+    ['info', 'example.com', null],
+    ['error', 'Connection refused', null]
+  ]);
+});
@@ -0,0 +1,151 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { JobQueue, Worker, MemoryJobBackend, publicJob } = require('../job-queue');
+
+// A queue and a fast-polling worker over the in-memory backend
+function setup(handlers, options = {}) {
+  const queue = new JobQueue({ backend: new MemoryJobBackend() });
+  const worker = new Worker({ queue, handlers, pollInterval: 10, backoffMs: options.backoffMs || 10 });
+  return { queue, worker };
+}
+
+async function waitFor(queue, id, predicate) {
+  const deadline = Date.now() + 5000;
+  for (;;) {
+    const job = await queue.get(id);
+    if (predicate(job)) return job;
+    if (Date.now() > deadline) throw new Error(`Job stuck as ${job.status}`);
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+const finished = job => ['completed', 'failed', 'cancelled'].includes(job.status);
+
+test('a job runs to completion with its progress reported', async () => {
+  let release;
+  const { queue, worker } = setup({
+    scan: async (payload, context) => {
+      await context.progress(50, 'halfway');
+      await new Promise(resolve => { release = resolve; });
+      return { target: payload.target };
+    }
+  });
+  worker.start();
+
+  try {
+    const { id } = await queue.enqueue('scan', { target: 'example.com' }, { ownerId: 7 });
+    const running = await waitFor(queue, id, job => job.progress.percent === 50);
+    assert.deepStrictEqual([running.status, running.progress.message], ['running', 'halfway']);
+
+    release();
+    const job = await waitFor(queue, id, finished);
+    assert.deepStrictEqual([job.status, job.result, job.attempts, job.progress.percent], ['completed', { target: 'example.com' }, 1, 100]);
+    assert.ok(!('ownerId' in publicJob(job)) && !('lockedBy' in publicJob(job)));
+  } finally {
+    await worker.stop();
+  }
+});
+
+test('failures are retried with backoff until the last attempt', async () => {
+  const attempts = [];
+  const { queue, worker } = setup({
+    flaky: async (payload, context) => {
+      attempts.push([context.attempt, context.finalAttempt]);
+      if (context.attempt < 3) throw new Error(`attempt ${context.attempt} failed`);
+      return 'ok';
+    },
+    broken: async () => {
+      throw new Error('always fails');
+    }
+  });
+  worker.start();
+
+  try {
+    const flaky = await queue.enqueue('flaky', {});
+    const broken = await queue.enqueue('broken', {}, { maxAttempts: 2 });
+
+    assert.strictEqual((await waitFor(queue, flaky.id, finished)).status, 'completed');
+    assert.deepStrictEqual(attempts, [[1, false], [2, false], [3, true]]);
+
+    const failed = await waitFor(queue, broken.id, finished);
+    assert.deepStrictEqual([failed.status, failed.attempts, failed.error], ['failed', 2, 'always fails']);
+  } finally {
+    await worker.stop();
+  }
+});
+
+test('a retry waiting out its backoff says when it runs next', async () => {
+  const { queue, worker } = setup({
+    flaky: async () => {
+      throw new Error('down');
+    }
+  }, { backoffMs: 60000 });
+  worker.start();
+
+  try {
+    const { id } = await queue.enqueue('flaky', {});
+    const job = await waitFor(queue, id, candidate => candidate.attempts === 1 && candidate.status === 'queued');
+    assert.strictEqual(job.error, 'down');
+    assert.ok(Date.parse(publicJob(job).retryAt) > Date.now() + 50000);
+  } finally {
+    await worker.stop();
+  }
+});
+
+test('an error marked not retryable fails the job at once', async () => {
+  const { queue, worker } = setup({
+    scan: async () => {
+      throw Object.assign(new Error('Target is out of scope'), { retryable: false });
+    }
+  });
+  worker.start();
+
+  try {
+    const { id } = await queue.enqueue('scan', {});
+    const job = await waitFor(queue, id, finished);
+    assert.deepStrictEqual([job.status, job.attempts, job.error], ['failed', 1, 'Target is out of scope']);
+  } finally {
+    await worker.stop();
+  }
+});
+
+test('a queued job is cancelled before it starts', async () => {
+  const queue = new JobQueue({ backend: new MemoryJobBackend() });
+  const { id } = await queue.enqueue('scan', {});
+  await queue.cancel(id);
+
+  const job = await queue.get(id);
+  assert.deepStrictEqual([job.status, job.attempts], ['cancelled', 0]);
+});
+
+test('a running job is cancelled through its signal', async () => {
+  let started = false;
+  const { queue, worker } = setup({
+    scan: (payload, context) => new Promise((resolve, reject) => {
+      started = true;
+      context.signal.addEventListener('abort', () => reject(new Error('probe aborted')));
+    })
+  });
+  worker.start();
+
+  try {
+    const { id } = await queue.enqueue('scan', {});
+    await waitFor(queue, id, () => started);
+    await queue.cancel(id);
+
+    const job = await waitFor(queue, id, finished);
+    assert.deepStrictEqual([job.status, job.attempts, job.error], ['cancelled', 1, null]);
+  } finally {
+    await worker.stop();
+  }
+});
+
+test('a worker whose lease expired can no longer update the job', async () => {
+  const backend = new MemoryJobBackend();
+  const { id } = await new JobQueue({ backend }).enqueue('scan', {});
+
+  await backend.claim('worker-a', { leaseMs: -1000 });
+  const reclaimed = await backend.claim('worker-b', { leaseMs: 60000 });
+  assert.deepStrictEqual([reclaimed.id, reclaimed.attempts], [id, 2]);
+  assert.strictEqual(await backend.update(id, { status: 'completed' }, 'worker-a'), null);
+});
@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const MailSecurityAnalyzer = require('../mail-security');
+const { ScanScope } = require('../scan-scope');
+const { ResultCache } = require('../result-cache');
+
+// TXT answers from a table; names missing from it do not exist
+function analyzer(records, options = {}) {
+  const resolver = {
+    resolveTxt: async (name) => {
+      if (!records[name]) throw Object.assign(new Error(`queryTxt ENOTFOUND ${name}`), { code: 'ENOTFOUND' });
+      return records[name].map(record => [record]);
+    }
+  };
+  return new MailSecurityAnalyzer({ resolver, cache: new ResultCache({ store: null }), selectors: [], ...options });
+}
+
+test('an MTA-STS policy host resolving to loopback is never fetched', async () => {
+  const scope = new ScanScope({ mode: 'public', resolve: async () => [{ address: '127.0.0.1', family: 4 }] });
+  const policy = await analyzer({}, { scope }).fetchMtaStsPolicy('example.test');
+
+  assert.match(policy.error, /reserved range/);
+});
+
+test('SPF lookups are counted across includes', async () => {
+  const spf = await analyzer({
+    'acme.test': ['v=spf1 include:_spf.mailer.test a mx -all', 'google-site-verification=abc'],
+    '_spf.mailer.test': ['v=spf1 ip4:198.51.100.0/24 include:_spf2.mailer.test ~all'],
+    '_spf2.mailer.test': ['v=spf1 a ip6:2001:db8::/32 ?all']
+  }).checkSpf('acme.test');
+
+  assert.strictEqual(spf.lookups, 5);
+  assert.strictEqual(spf.limitExceeded, false);
+  assert.strictEqual(spf.all, '-');
+  assert.deepStrictEqual(spf.mechanisms, ['include:_spf.mailer.test', 'a', 'mx', '-all']);
+  assert.strictEqual(spf.includes[0].includes[0].domain, '_spf2.mailer.test');
+  assert.deepStrictEqual(spf.errors, []);
+});
+
+test('more than ten DNS-querying terms exceed the SPF limit', async () => {
+  const includes = Array.from({ length: 6 }, (_, i) => `include:s${i}.mailer.test`).join(' ');
+  const records = { 'acme.test': [`v=spf1 ${includes} -all`] };
+  for (let i = 0; i < 6; i++) records[`s${i}.mailer.test`] = ['v=spf1 a -all'];
+  const spf = await analyzer(records).checkSpf('acme.test');
+
+  assert.strictEqual(spf.lookups, 11);
+  assert.strictEqual(spf.limitExceeded, true);
+  assert.strictEqual(spf.includes.length, 5);
+});
+
+test('include loops and missing include targets are reported', async () => {
+  const spf = await analyzer({
+    'acme.test': ['v=spf1 include:loop.mailer.test include:gone.mailer.test -all'],
+    'loop.mailer.test': ['v=spf1 include:acme.test ~all']
+  }).checkSpf('acme.test');
+
+  assert.deepStrictEqual(spf.errors, ['SPF loop detected at acme.test', 'gone.mailer.test: no SPF record']);
+  assert.strictEqual(spf.lookups, 3);
+});
+
+test('a redirect supplies the all of a record without one', async () => {
+  const spf = await analyzer({
+    'acme.test': ['v=spf1 redirect=_spf.acme.test'],
+    '_spf.acme.test': ['v=spf1 mx -all']
+  }).checkSpf('acme.test');
+
+  assert.strictEqual(spf.redirect, '_spf.acme.test');
+  assert.strictEqual(spf.all, '-');
+  assert.strictEqual(spf.lookups, 2);
+});
+
+test('DMARC falls back to the organizational domain under a multi-label suffix', async () => {
+  const dmarc = await analyzer({
+    '_dmarc.acme.co.uk': ['v=DMARC1; p=reject; sp=quarantine; rua=mailto:dmarc@acme.co.uk,mailto:x@report.test!10m']
+  }).checkDmarc('mail.acme.co.uk');
+
+  assert.strictEqual(dmarc.source, 'acme.co.uk');
+  assert.strictEqual(dmarc.inherited, true);
+  assert.deepStrictEqual([dmarc.policy, dmarc.subdomainPolicy, dmarc.pct], ['reject', 'quarantine', 100]);
+  assert.deepStrictEqual(dmarc.rua, ['dmarc@acme.co.uk', 'x@report.test']);
+  assert.strictEqual((await analyzer({}).checkDmarc('co.uk')).record, null);
+});
+
+test('a domain with strict SPF and DMARC grades above one with neither', async () => {
+  const strict = await analyzer({
+    'acme.test': ['v=spf1 mx -all'],
+    '_dmarc.acme.test': ['v=DMARC1; p=reject; rua=mailto:dmarc@acme.test']
+  }).analyze('Acme.test');
+  const bare = await analyzer({}).analyze('bare.test');
+
+  assert.strictEqual(strict.domain, 'acme.test');
+  assert.ok(strict.score > bare.score);
+  assert.ok(bare.findings.some(finding => finding.check === 'spf'));
+  assert.ok(bare.findings.some(finding => finding.check === 'dmarc'));
+});
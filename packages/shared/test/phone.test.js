@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parsePhone } = require('../phone');
+const OSINTModules = require('../osint-modules');
+
+function summary(input, options) {
+  const parsed = parsePhone(input, options);
+  return [parsed.valid, parsed.region, parsed.area, parsed.type, parsed.e164, parsed.international, parsed.national];
+}
+
+test('international numbers are split, typed and formatted', () => {
+  assert.deepStrictEqual(summary('+44 20 7946 0018'), [true, 'GB', null, 'fixed', '+442079460018', '+44 20 7946 0018', '020 7946 0018']);
+  assert.deepStrictEqual(summary('0044 7911 123456'), [true, 'GB', null, 'mobile', '+447911123456', '+44 7911 123456', '07911 123456']);
+  assert.deepStrictEqual(summary('+55 11 98765-4321'), [true, 'BR', 'SP', 'mobile', '+5511987654321', '+55 11 98765-4321', '(11) 98765-4321']);
+});
+
+test('national numbers are read in the default region', () => {
+  assert.deepStrictEqual(summary('020 7946 0018', { defaultRegion: 'gb' }), summary('+44 20 7946 0018'));
+  assert.strictEqual(parsePhone('(11) 98765-4321', { defaultRegion: 'BR' }).e164, '+5511987654321');
+});
+
+test('shared calling codes resolve to the right region', () => {
+  assert.deepStrictEqual(summary('+1 415 555 0132').slice(0, 3), [true, 'US', 'CA']);
+  assert.deepStrictEqual(summary('+1 204 555 0100').slice(0, 3), [true, 'CA', 'MB']);
+  assert.deepStrictEqual(summary('+1 800 555 0199').slice(0, 4), [true, 'US', 'Toll-free', 'toll_free']);
+  assert.strictEqual(parsePhone('+7 912 345 6789').region, 'RU');
+  assert.strictEqual(parsePhone('+7 701 123 4567').region, 'KZ');
+});
+
+test('invalid numbers say why', () => {
+  assert.deepStrictEqual(parsePhone('12').errors, ['E.164 numbers have between 4 and 15 digits']);
+  assert.deepStrictEqual(parsePhone('+999 1234').errors, ['Unknown country calling code']);
+
+  const nanp = parsePhone('+1 011 555 0100');
+  assert.strictEqual(nanp.valid, false);
+  assert.ok(nanp.errors.includes('Area code 011 is not assigned'));
+
+  const short = parsePhone('+44 20 7946');
+  assert.strictEqual(short.possible, false);
+  assert.match(short.errors[0], /^National number must be/);
+});
+
+test('phone analysis accepts a number given as a number', async () => {
+  const analysis = await new OSINTModules().phoneAnalysis(447911123456);
+  assert.strictEqual(analysis.number, '+447911123456');
+  assert.strictEqual(analysis.valid, true);
+});
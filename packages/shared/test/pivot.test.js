@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const PivotEngine = require('../pivot');
+const { createFinding } = require('../findings');
+
+const SEED = { type: 'email', value: 'alice@acme.com' };
+const SEED_FINDINGS = [createFinding({ entityType: 'email', source: 'syntax', value: 'alice@acme.com', status: 'info' })];
+
+// Canned findings per lookup; every lookup made is recorded as "type:value"
+function stubEngine() {
+  const calls = [];
+  const profile = (source, attributes) => createFinding({ entityType: 'profile', source, value: 'alice', status: 'found', attributes });
+  return {
+    calls,
+    async emailAnalysis(email) {
+      calls.push(`email:${email}`);
+      return { email };
+    },
+    emailFindings: () => [],
+    async socialMediaScan(username) {
+      calls.push(`username:${username}`);
+      return [profile('GitHub', { blog: 'https://alice.dev/about', email: 'alice@gmail.com' })];
+    },
+    async domainFindings(domain) {
+      calls.push(`domain:${domain}`);
+      if (domain === 'acme.com') return [profile('Keybase', { website: 'www.acme.com' })];
+      throw new Error('lookup failed');
+    }
+  };
+}
+
+function states(result) {
+  return result.graph.nodes.map(node => [node.key, node.depth, node.status, node.skipReason || null]);
+}
+
+test('selectors past the depth limit are recorded but not looked up', async () => {
+  const engine = stubEngine();
+  const result = await new PivotEngine({ engine, maxDepth: 1, budget: 10 }).expand(SEED, SEED_FINDINGS);
+
+  assert.deepStrictEqual(engine.calls.sort(), ['domain:acme.com', 'username:alice']);
+  assert.deepStrictEqual(states(result), [
+    ['email:alice@acme.com', 0, 'seed', null],
+    ['username:alice', 1, 'scanned', null],
+    ['domain:acme.com', 1, 'scanned', null],
+    ['email:alice@gmail.com', 2, 'skipped', 'depth'],
+    ['domain:alice.dev', 2, 'skipped', 'depth']
+  ]);
+  assert.deepStrictEqual([result.lookups, result.exhausted], [2, false]);
+  assert.strictEqual(result.findings.length, 2);
+});
+
+test('the budget caps lookups across levels', async () => {
+  const engine = stubEngine();
+  const result = await new PivotEngine({ engine, maxDepth: 2, budget: 3 }).expand(SEED, SEED_FINDINGS);
+
+  assert.deepStrictEqual(engine.calls.slice(2), ['email:alice@gmail.com']);
+  assert.deepStrictEqual(states(result).slice(3), [
+    ['email:alice@gmail.com', 2, 'scanned', null],
+    ['domain:alice.dev', 2, 'skipped', 'budget']
+  ]);
+  assert.deepStrictEqual([result.lookups, result.budget, result.exhausted], [3, 3, true]);
+});
+
+test('seen selectors are linked again but not queued twice, and failures stay on their node', async () => {
+  const engine = stubEngine();
+  const result = await new PivotEngine({ engine, maxDepth: 2, budget: 10 }).expand(SEED, SEED_FINDINGS);
+
+  // Keybase's website points back at acme.com
+  const back = result.graph.edges.filter(edge => edge.to === 'domain:acme.com');
+  assert.deepStrictEqual(back.map(edge => [edge.from, edge.reason]), [
+    ['email:alice@acme.com', 'email domain'],
+    ['domain:acme.com', 'Keybase website']
+  ]);
+  assert.strictEqual(engine.calls.filter(call => call === 'domain:acme.com').length, 1);
+
+  const failed = result.graph.nodes.find(node => node.key === 'domain:alice.dev');
+  assert.deepStrictEqual([failed.status, failed.error], ['error', 'lookup failed']);
+});
+
+test('shared mailbox and platform domains are not pivoted to', () => {
+  const pivot = new PivotEngine({ engine: { siteChecker: { sites: [{ url: 'https://www.instagram.com/{username}/' }] } } });
+
+  assert.strictEqual(pivot.normalize('domain', 'https://mail.gmail.com/'), null);
+  assert.strictEqual(pivot.normalize('domain', 'instagram.com'), null);
+  assert.strictEqual(pivot.normalize('domain', 'alice.github.io'), null);
+  assert.strictEqual(pivot.normalize('domain', 'WWW.Acme.com./team'), 'acme.com');
+  assert.strictEqual(pivot.normalize('email', 'not an email'), null);
+});
+
+test('an aborted expansion stops before the next level', async () => {
+  const controller = new AbortController();
+  controller.abort(new Error('Job cancelled'));
+
+  await assert.rejects(new PivotEngine({ engine: stubEngine() }).expand(SEED, SEED_FINDINGS, { signal: controller.signal }), /Job cancelled/);
+});
@@ -0,0 +1,141 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { RegistrationLookup, parseDate } = require('../rdap');
+const { ResultCache } = require('../result-cache');
+
+// RDAP answers come from fetchJson; every URL asked for is recorded
+function registration(respond) {
+  const lookup = new RegistrationLookup({ cache: new ResultCache({ store: null }) });
+  lookup.requests = [];
+  lookup.fetchJson = async (url) => {
+    lookup.requests.push(url);
+    return respond(url);
+  };
+  return lookup;
+}
+
+test('a subdomain is looked up as its registrable domain', async () => {
+  const lookup = registration(() => ({ ldhName: 'EXAMPLE.CO.UK', status: ['active'] }));
+  const info = await lookup.lookup('www.shop.Example.co.uk.');
+
+  assert.deepStrictEqual(lookup.requests, ['https://rdap.nominet.uk/uk/domain/example.co.uk']);
+  assert.strictEqual(info.query, 'example.co.uk');
+  assert.strictEqual(info.domain, 'example.co.uk');
+  assert.strictEqual(info.registered, true);
+});
+
+test('an RDAP domain answer is reduced to registrar, dates and unredacted contacts', async () => {
+  const lookup = registration(() => ({
+    ldhName: 'ACME.COM',
+    status: ['client transfer prohibited'],
+    events: [
+      { eventAction: 'registration', eventDate: '2001-03-14T09:00:00Z' },
+      { eventAction: 'expiration', eventDate: '2099-03-14T09:00:00Z' }
+    ],
+    nameservers: [{ ldhName: 'NS1.ACME.COM' }, { ldhName: 'NS2.ACME.COM' }],
+    secureDNS: { delegationSigned: true },
+    entities: [
+      {
+        roles: ['registrar'],
+        publicIds: [{ type: 'IANA Registrar ID', identifier: '292' }],
+        vcardArray: ['vcard', [['version', {}, 'text', '4.0'], ['fn', {}, 'text', 'MarkMonitor Inc.']]],
+        entities: [{
+          roles: ['registrant'],
+          vcardArray: ['vcard', [
+            ['fn', {}, 'text', 'REDACTED FOR PRIVACY'],
+            ['org', {}, 'text', 'Acme Corporation'],
+            ['adr', { cc: 'US' }, 'text', ['', '', '', '', '', '', '']]
+          ]]
+        }]
+      }
+    ]
+  }));
+  const info = await lookup.lookup('acme.com');
+
+  assert.deepStrictEqual(lookup.requests, ['https://rdap.verisign.com/com/v1/domain/acme.com']);
+  assert.strictEqual(info.source, 'rdap');
+  assert.strictEqual(info.server, 'rdap.verisign.com');
+  assert.strictEqual(info.registrar, 'MarkMonitor Inc.');
+  assert.strictEqual(info.registrarIanaId, '292');
+  assert.strictEqual(info.created, '2001-03-14T09:00:00.000Z');
+  assert.deepStrictEqual(info.nameservers, ['ns1.acme.com', 'ns2.acme.com']);
+  assert.strictEqual(info.dnssec, true);
+  assert.deepStrictEqual(info.registrant, { organization: 'Acme Corporation', country: 'US' });
+  assert.ok(info.ageDays > 8000);
+  assert.ok(info.daysToExpiry > 0);
+});
+
+test('an RDAP 404 means unregistered without asking WHOIS', async () => {
+  const lookup = registration(() => {
+    throw Object.assign(new Error('Not found in registry'), { statusCode: 404 });
+  });
+  lookup.whoisLookup = async () => assert.fail('WHOIS should not be asked');
+  const info = await lookup.lookup('free-name-for-sale.com');
+
+  assert.deepStrictEqual([info.registered, info.source], [false, 'rdap']);
+});
+
+test('a failing RDAP server falls back to WHOIS', async () => {
+  const lookup = registration(() => {
+    throw Object.assign(new Error('RDAP server responded with 503'), { statusCode: 503 });
+  });
+  lookup.whoisLookup = async () => ({
+    server: 'whois.nic.uk',
+    text: [
+      'Domain name:',
+      '    acme.co.uk',
+      '',
+      'Registrar:',
+      '    Acme Registrar Ltd [Tag = ACME]',
+      '',
+      'Relevant dates:',
+      'Registered on: 14-Mar-2001',
+      'Expiry date:  14-Mar-2099',
+      '',
+      'Name servers:',
+      '    ns1.acme.co.uk     192.0.2.53',
+      '    ns2.acme.co.uk',
+      ''
+    ].join('\n')
+  });
+  const info = await lookup.lookup('acme.co.uk');
+
+  assert.strictEqual(info.source, 'whois');
+  assert.strictEqual(info.rdapError, 'RDAP server responded with 503');
+  assert.strictEqual(info.registered, true);
+  assert.strictEqual(info.created, '2001-03-14T00:00:00.000Z');
+  assert.strictEqual(info.expires, '2099-03-14T00:00:00.000Z');
+  assert.deepStrictEqual(info.nameservers, ['ns1.acme.co.uk', 'ns2.acme.co.uk']);
+});
+
+test('WHOIS key-value output is parsed and not-found answers recognized', () => {
+  const lookup = new RegistrationLookup({ cache: new ResultCache({ store: null }) });
+  const parsed = lookup.parseWhois([
+    '% IANA WHOIS server',
+    'Domain Name: EXAMPLE.ORG',
+    'Registrar: Example Registrar, LLC',
+    'Creation Date: 1995-08-31T04:00:00Z',
+    'Registry Expiry Date: 2099-08-30T04:00:00Z',
+    'Domain Status: clientTransferProhibited https://icann.org/epp#clientTransferProhibited',
+    'Registrant Organization: Data Protected',
+    'Registrant Country: US',
+    'Name Server: A.IANA-SERVERS.NET.',
+    'Name Server: B.IANA-SERVERS.NET'
+  ].join('\r\n'), 'domain');
+
+  assert.strictEqual(parsed.registrar, 'Example Registrar, LLC');
+  assert.strictEqual(parsed.created, '1995-08-31T04:00:00.000Z');
+  assert.deepStrictEqual(parsed.status, ['clientTransferProhibited']);
+  assert.deepStrictEqual(parsed.nameservers, ['a.iana-servers.net', 'b.iana-servers.net']);
+  assert.deepStrictEqual(parsed.registrant, { country: 'US' });
+
+  assert.strictEqual(lookup.parseWhois('No match for "NOPE-NOPE.COM".\r\n', 'domain').registered, false);
+});
+
+test('WHOIS dates come in several layouts', () => {
+  assert.strictEqual(parseDate('20010314'), '2001-03-14T00:00:00.000Z');
+  assert.strictEqual(parseDate('2001.03.14 10:00:00'), '2001-03-14T00:00:00.000Z');
+  assert.strictEqual(parseDate('14.03.2001'), '2001-03-14T00:00:00.000Z');
+  assert.strictEqual(parseDate('2001-03-14T09:00:00Z (UTC)'), '2001-03-14T09:00:00.000Z');
+  assert.strictEqual(parseDate('not a date'), null);
+});
@@ -0,0 +1,114 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ResultCache, MemoryCacheStore, FileCacheStore } = require('../result-cache');
+
+// A fetch that counts its calls and answers with the call number
+function counter() {
+  const fetch = async () => ++fetch.calls;
+  fetch.calls = 0;
+  return fetch;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('answers are served from the cache until their TTL runs out', async () => {
+  const cache = new ResultCache({ ttls: { site: { positive: 40, negative: 1000 } } });
+  const fetch = counter();
+
+  const first = await cache.lookup('site:GitHub', 'octocat', fetch);
+  const second = await cache.lookup('site:GitHub', 'octocat', fetch);
+  assert.deepStrictEqual([first.value, first.cache.status, second.value, second.cache.status], [1, 'miss', 1, 'hit']);
+  assert.strictEqual(second.cache.cachedAt, first.cache.cachedAt);
+
+  await sleep(60);
+  const expired = await cache.lookup('site:GitHub', 'octocat', fetch);
+  assert.deepStrictEqual([expired.value, expired.cache.status], [2, 'miss']);
+});
+
+test('not-found answers use the negative TTL and errors are not cached', async () => {
+  const cache = new ResultCache({ ttls: { breach: { positive: 60000, negative: 30000 } } });
+
+  const notFound = await cache.lookup('breach', 'a@example.com', async () => [], { classify: list => (list.length ? 'positive' : 'negative') });
+  assert.strictEqual(notFound.cache.ttl, 30);
+
+  const fetch = counter();
+  const classify = () => null;
+  await cache.lookup('breach', 'b@example.com', fetch, { classify });
+  const retried = await cache.lookup('breach', 'b@example.com', fetch, { classify });
+  assert.deepStrictEqual([retried.value, retried.cache.status], [2, 'miss']);
+
+  // A number is a TTL in ms of its own, such as a DNS record's
+  const dns = await cache.lookup('dns', 'example.com', async () => ['192.0.2.1'], { classify: () => 120000 });
+  assert.strictEqual(dns.cache.ttl, 120);
+});
+
+test('bypass neither reads nor writes the cache, refresh rewrites it', async () => {
+  const cache = new ResultCache();
+  const fetch = counter();
+  await cache.lookup('rdap', 'example.com', fetch);
+
+  const bypassed = await cache.scope('bypass', () => cache.lookup('rdap', 'example.com', fetch));
+  assert.deepStrictEqual([bypassed.value, bypassed.cache.status], [2, 'bypass']);
+  assert.strictEqual((await cache.lookup('rdap', 'example.com', fetch)).value, 1);
+
+  const refreshed = await cache.scope('refresh', () => cache.lookup('rdap', 'example.com', fetch));
+  assert.deepStrictEqual([refreshed.value, refreshed.cache.status], [3, 'refresh']);
+  assert.deepStrictEqual(await cache.lookup('rdap', 'example.com', fetch).then(hit => [hit.value, hit.cache.status]), [3, 'hit']);
+
+  // Unknown modes fall back to the default
+  assert.strictEqual(await cache.scope('sometimes', () => cache.mode()), 'default');
+  assert.strictEqual(await new ResultCache({ store: null }).lookup('rdap', 'example.com', fetch).then(result => result.cache.status), 'bypass');
+});
+
+test('identical lookups in flight share one fetch', async () => {
+  const cache = new ResultCache();
+  let calls = 0;
+  const fetch = async () => {
+    calls++;
+    await sleep(20);
+    return 'answer';
+  };
+
+  const results = await Promise.all([1, 2, 3].map(() => cache.lookup('dns', 'example.com', fetch)));
+  assert.strictEqual(calls, 1);
+  assert.deepStrictEqual(results.map(result => result.value), ['answer', 'answer', 'answer']);
+});
+
+test('a result built from several lookups is dated by its oldest cached answer', async () => {
+  const cache = new ResultCache();
+  await cache.lookup('dns', 'a.example', async () => 'a');
+
+  const { value, cache: meta } = await cache.track(async () => {
+    await cache.lookup('dns', 'a.example', async () => 'a');
+    await cache.lookup('dns', 'b.example', async () => 'b');
+    return 'done';
+  });
+  assert.strictEqual(value, 'done');
+  assert.deepStrictEqual([meta.status, meta.lookups, meta.hits, meta.ttl], ['partial', 2, 1, 300]);
+  assert.strictEqual(ResultCache.summarize([]), null);
+});
+
+test('the memory store drops the least recently used entry', async () => {
+  const store = new MemoryCacheStore({ maxEntries: 2 });
+  await store.set('a', 1);
+  await store.set('b', 2);
+  await store.get('a');
+  await store.set('c', 3);
+
+  assert.deepStrictEqual([await store.get('a'), await store.get('b'), await store.get('c')], [1, null, 3]);
+});
+
+test('the file store keeps answers across instances', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'result-cache-'));
+  try {
+    await new ResultCache({ store: new FileCacheStore({ dir }) }).lookup('rdap', 'example.com', async () => ({ registrar: 'Example' }));
+    const hit = await new ResultCache({ store: new FileCacheStore({ dir }) }).lookup('rdap', 'example.com', async () => assert.fail('not cached'));
+
+    assert.deepStrictEqual([hit.value, hit.cache.status], [{ registrar: 'Example' }, 'hit']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
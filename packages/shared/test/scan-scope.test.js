@@ -0,0 +1,112 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { ScanScope, ScopeError, classifyAddress, parseCidr } = require('../scan-scope');
+
+// Resolves names from a table, one answer list per call in turn, so a name can be rebound between calls
+function resolver(table) {
+  const calls = new Map();
+  return async (hostname) => {
+    const answers = table[hostname];
+    if (!answers) throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${hostname}`), { code: 'ENOTFOUND' });
+    const index = calls.get(hostname) || 0;
+    calls.set(hostname, index + 1);
+    const addresses = Array.isArray(answers[0]) ? answers[Math.min(index, answers.length - 1)] : answers;
+    return addresses.map(address => ({ address, family: net.isIP(address) }));
+  };
+}
+
+async function refusal(promise) {
+  const error = await promise.then(() => assert.fail('expected a refusal'), error => error);
+  assert.ok(error instanceof ScopeError, error.message);
+  return error.details.reason;
+}
+
+test('addresses are classified, including IPv4 reached through IPv6', () => {
+  assert.deepStrictEqual(
+    ['8.8.8.8', '127.0.0.1', '169.254.169.254', '10.1.2.3', '::ffff:127.0.0.1', '::ffff:a00:1', '[::1]', 'fd00:ec2::254', 'example.com'].map(classifyAddress),
+    ['public', 'reserved', 'metadata', 'private', 'reserved', 'private', 'reserved', 'metadata', null]
+  );
+});
+
+test('CIDR scopes must name a network, not the internet', () => {
+  assert.strictEqual(parseCidr('93.184.216.0/24').cidr, '93.184.216.0/24');
+  assert.strictEqual(parseCidr('93.184.216.34').cidr, '93.184.216.34/32');
+  assert.match(parseCidr('10.0.0.0/8').error, /no wider than \/16/);
+  assert.match(parseCidr('2001:db8::/32').error, /no wider than \/48/);
+  assert.match(parseCidr('10.0.0.0/33').error, /between 0 and 32/);
+  assert.match(parseCidr('intranet').error, /IP address or CIDR/);
+});
+
+test('in public mode any public target goes, reserved and private ones never do', async () => {
+  const scope = new ScanScope({ resolve: resolver({ 'example.com': ['93.184.216.34'], 'internal.example.com': ['93.184.216.34', '10.0.0.5'] }) });
+
+  assert.deepStrictEqual(await scope.check('example.com'), ['93.184.216.34']);
+  assert.deepStrictEqual(await scope.check('nowhere.example'), []);
+  assert.strictEqual(await refusal(scope.check('127.0.0.1')), 'reserved');
+  assert.strictEqual(await refusal(scope.check('[::ffff:169.254.169.254]')), 'metadata');
+  // One private answer among public ones is enough to refuse the name
+  assert.strictEqual(await refusal(scope.check('internal.example.com')), 'private');
+});
+
+test('in enforce mode only the verified domains and CIDRs go', async () => {
+  const scope = new ScanScope({
+    mode: 'enforce',
+    organizationId: 'org-1',
+    domains: ['Acme.test.'],
+    cidrs: ['93.184.216.0/24', '10.20.0.0/16'],
+    resolve: resolver({ 'www.acme.test': ['198.51.100.7'], 'shop.acme.test': ['93.184.216.34'], 'vpn.acme.test': ['10.20.1.1'] })
+  });
+
+  assert.deepStrictEqual(await scope.check('shop.acme.test'), ['93.184.216.34']);
+  assert.deepStrictEqual(await scope.check('vpn.acme.test'), ['10.20.1.1']);
+  assert.deepStrictEqual(await scope.check('93.184.216.99'), ['93.184.216.99']);
+  assert.strictEqual(await refusal(scope.check('example.com')), 'out_of_scope');
+  assert.strictEqual(await refusal(scope.check('8.8.8.8')), 'out_of_scope');
+  assert.strictEqual(await refusal(scope.check('10.30.0.1')), 'private');
+  // A verified name still cannot point the scan at a reserved address
+  assert.strictEqual(await refusal(scope.check('www.acme.test')), 'reserved');
+
+  const scopeError = await scope.check('example.com').catch(error => error);
+  assert.deepStrictEqual([scopeError.code, scopeError.retryable, scopeError.details.organizationId], ['SCOPE_DENIED', false, 'org-1']);
+});
+
+test('a name rebound to loopback after the check is refused when the scan connects', async () => {
+  const server = net.createServer(socket => socket.end());
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  let accepted = 0;
+  server.on('connection', () => accepted++);
+
+  const refused = [];
+  const scope = new ScanScope({
+    resolve: resolver({ 'rebind.example': [['93.184.216.34'], ['127.0.0.1']] }),
+    onRefused: error => refused.push(error.details.address)
+  });
+
+  try {
+    assert.deepStrictEqual(await scope.check('rebind.example'), ['93.184.216.34']);
+
+    const error = await new Promise((resolve) => {
+      const socket = net.connect({ host: 'rebind.example', port: server.address().port, lookup: scope.lookup });
+      socket.on('connect', () => {
+        socket.destroy();
+        resolve(null);
+      });
+      socket.on('error', resolve);
+    });
+    assert.ok(error instanceof ScopeError);
+    assert.deepStrictEqual([accepted, refused], [0, ['127.0.0.1']]);
+  } finally {
+    server.close();
+  }
+});
+
+test('a scope survives a trip through a queued job, and can be relaxed to public', async () => {
+  const scope = new ScanScope({ mode: 'enforce', organizationId: 'org-1', domains: ['acme.test'], cidrs: ['93.184.216.0/24'] });
+  const rebuilt = ScanScope.fromJSON(JSON.parse(JSON.stringify(scope)), { resolve: resolver({}) });
+
+  assert.deepStrictEqual(rebuilt.toJSON(), scope.toJSON());
+  assert.strictEqual(await refusal(rebuilt.check('8.8.8.8')), 'out_of_scope');
+  assert.deepStrictEqual(await rebuilt.withMode('public').check('8.8.8.8'), ['8.8.8.8']);
+  assert.throws(() => rebuilt.withMode('open'), /Unknown SCAN_SCOPE mode: open/);
+});
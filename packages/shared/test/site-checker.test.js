@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const SiteChecker = require('../site-checker');
+const { ResultCache } = require('../result-cache');
+
+const SITES = [
+  { name: 'Slow', url: 'https://slow.test/{username}' },
+  { name: 'Fast', url: 'https://fast.test/{username}', detection: { bodyContains: ['"login":"{username}"'] } },
+  { name: 'Down', url: 'https://down.test/{username}' },
+  { name: 'Strict', url: 'https://strict.test/{username}', usernamePattern: '^[a-z]{1,5}$' }
+];
+
+// Answers each host after its delay; every probed URL is recorded
+function checker(answers) {
+  const sites = new SiteChecker({ sites: SITES, cache: new ResultCache({ store: null }) });
+  sites.requests = [];
+  sites.request = async (url) => {
+    sites.requests.push(url);
+    const answer = answers[new URL(url).hostname];
+    await new Promise(resolve => setTimeout(resolve, answer.delay || 0));
+    if (answer.error) throw new Error(answer.error);
+    return { statusCode: answer.statusCode || 200, headers: {}, body: answer.body || '' };
+  };
+  return sites;
+}
+
+test('each site is reported as it settles, so slow sites do not hold back fast ones', async () => {
+  const sites = checker({
+    'slow.test': { delay: 150 },
+    'fast.test': { body: '{"login":"octocat"}' },
+    'down.test': { delay: 20, error: 'Timeout' }
+  });
+  const streamed = [];
+  const checks = await sites.checkAll('octocat', { onResult: check => streamed.push(check.platform) });
+
+  assert.deepStrictEqual(streamed, ['Strict', 'Fast', 'Down', 'Slow']);
+  assert.deepStrictEqual(checks.map(check => [check.platform, check.status, check.error]), [
+    ['Slow', 'found', null],
+    ['Fast', 'found', null],
+    ['Down', 'error', 'Timeout'],
+    ['Strict', 'invalid', 'Username not allowed on this platform']
+  ]);
+});
+
+test('a response missing its marker is not a profile', async () => {
+  const sites = checker({ 'fast.test': { body: '<html>Not Found</html>' } });
+  const [check] = await sites.checkAll('octocat', { sites: ['Fast'] });
+
+  assert.strictEqual(check.status, 'not_found');
+  assert.deepStrictEqual(sites.requests, ['https://fast.test/octocat']);
+});
@@ -0,0 +1,105 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const dns = require('dns');
+const net = require('net');
+const SmtpVerifier = require('../smtp-verify');
+
+const servers = [];
+
+// SMTP stand-in: accepts the listed mailboxes, or every recipient when catchAll is set
+async function smtpServer({ mailboxes = [], catchAll = false, greet = true } = {}) {
+  const server = net.createServer((socket) => {
+    socket.setEncoding('utf8');
+    if (greet) socket.write('220 mx.example.test ESMTP\r\n');
+    let buffer = '';
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let index;
+      while ((index = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        const recipient = /^RCPT TO:<(.+)>$/i.exec(line);
+        if (/^EHLO /i.test(line)) socket.write('250-mx.example.test\r\n250 SIZE 1000000\r\n');
+        else if (/^MAIL FROM:/i.test(line)) socket.write('250 OK\r\n');
+        else if (recipient) socket.write(catchAll || mailboxes.includes(recipient[1]) ? '250 OK\r\n' : '550 No such user\r\n');
+        else if (/^QUIT/i.test(line)) socket.end('221 Bye\r\n');
+        else socket.write('502 Command not implemented\r\n');
+      }
+    });
+    socket.on('error', () => {});
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  servers.push(server);
+  return server.address().port;
+}
+
+after(() => {
+  for (const server of servers) server.close();
+});
+
+// MX pointing at the stand-in, and a scope that lets the test reach loopback
+function verifier(port, mx = [{ exchange: 'localhost', priority: 10 }]) {
+  return new SmtpVerifier({
+    port,
+    heloName: 'verifier.test',
+    mailFrom: 'verify@verifier.test',
+    resolver: { resolveMx: async () => mx },
+    commandTimeout: 2000
+  });
+}
+
+const loopback = { lookup: (host, options, callback) => dns.lookup('127.0.0.1', options, callback), checkAddress() {} };
+
+test('a server accepting a random local-part is reported as catch-all', async () => {
+  const port = await smtpServer({ catchAll: true });
+  const result = await verifier(port).verify('alice@example.test', { scope: loopback });
+
+  assert.strictEqual(result.status, 'catch-all');
+  assert.strictEqual(result.catchAll, true);
+  assert.strictEqual(result.mx, 'localhost');
+  assert.ok(result.transcript.includes('C: RCPT TO:<alice@example.test>'));
+});
+
+test('an accepted mailbox on a server rejecting others is deliverable', async () => {
+  const port = await smtpServer({ mailboxes: ['alice@example.test'] });
+  const result = await verifier(port).verify('alice@example.test', { scope: loopback });
+
+  assert.strictEqual(result.status, 'deliverable');
+  assert.strictEqual(result.catchAll, false);
+  assert.strictEqual(result.code, 250);
+});
+
+test('a rejected mailbox is reported with the server reply', async () => {
+  const port = await smtpServer({ mailboxes: ['alice@example.test'] });
+  const result = await verifier(port).verify('bob@example.test', { scope: loopback });
+
+  assert.strictEqual(result.status, 'rejected');
+  assert.strictEqual(result.code, 550);
+  assert.strictEqual(result.message, 'No such user');
+});
+
+test('a null MX accepts no mail and is never contacted', async () => {
+  const result = await verifier(1, [{ exchange: '.', priority: 0 }]).verify('alice@example.test', { scope: loopback });
+  assert.strictEqual(result.status, 'rejected');
+  assert.deepStrictEqual(result.transcript, []);
+});
+
+test('the default scope refuses an MX on a loopback address', async () => {
+  const port = await smtpServer({ catchAll: true });
+  const result = await verifier(port, [{ exchange: '127.0.0.1', priority: 10 }]).verify('alice@example.test');
+
+  assert.strictEqual(result.status, 'unknown');
+  assert.match(result.reason, /reserved range/);
+  assert.deepStrictEqual(result.transcript, []);
+});
+
+test('aborting the signal ends a conversation the server stalls', async () => {
+  const port = await smtpServer({ greet: false });
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 100);
+  const startedAt = Date.now();
+  const result = await verifier(port).verify('alice@example.test', { scope: loopback, signal: controller.signal });
+
+  assert.strictEqual(result.status, 'unknown');
+  assert.ok(Date.now() - startedAt < 1500);
+});
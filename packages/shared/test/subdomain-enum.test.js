@@ -0,0 +1,88 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SubdomainEnumerator = require('../subdomain-enum');
+const WordlistStore = require('../wordlists');
+
+// Answers from a zone table; '*.zone' entries answer for any single label under that zone
+function zoneResolver(zone) {
+  const find = name => zone[name] || zone[`*.${name.split('.').slice(1).join('.')}`];
+  const answer = type => async (name) => {
+    const entry = find(name);
+    if (!entry || !entry[type]) throw Object.assign(new Error(`query ${name}`), { code: entry ? 'ENODATA' : 'ENOTFOUND' });
+    return entry[type];
+  };
+  return { resolve4: answer('A'), resolve6: answer('AAAA'), resolveCname: answer('CNAME') };
+}
+
+function enumerate(zone, options) {
+  return new SubdomainEnumerator({ resolver: zoneResolver(zone) }).enumerate('acme.test', options);
+}
+
+test('names that resolve are reported with their records', async () => {
+  const scan = await enumerate({
+    'www.acme.test': { A: ['198.51.100.10'], AAAA: ['2001:db8::10'] },
+    'mail.acme.test': { CNAME: ['mx.hosting.test'] }
+  }, { words: ['www', 'mail', 'vpn'] });
+
+  assert.strictEqual(scan.wildcard, null);
+  assert.deepStrictEqual(scan.subdomains.map(entry => [entry.subdomain, entry.type]), [['www.acme.test', 'A'], ['mail.acme.test', 'CNAME']]);
+  assert.deepStrictEqual(scan.subdomains[0].records, { A: ['198.51.100.10'], AAAA: ['2001:db8::10'], CNAME: [] });
+});
+
+test('answers matching a wildcard address are dropped, distinct ones kept', async () => {
+  const scan = await enumerate({
+    '*.acme.test': { A: ['203.0.113.1'] },
+    'api.acme.test': { A: ['203.0.113.7'] }
+  }, { words: ['www', 'api', 'shop'] });
+
+  assert.deepStrictEqual(scan.wildcard['acme.test'], { detected: true, addresses: ['203.0.113.1'], cnameTargets: [] });
+  assert.deepStrictEqual(scan.subdomains.map(entry => entry.subdomain), ['api.acme.test']);
+});
+
+test('answers aliased to the wildcard CNAME target are dropped', async () => {
+  const scan = await enumerate({
+    '*.acme.test': { CNAME: ['parked.registrar.test'] },
+    'blog.acme.test': { CNAME: ['acme.blogs.test'] }
+  }, { words: ['shop', 'blog'] });
+
+  assert.deepStrictEqual(scan.wildcard['acme.test'].cnameTargets, ['parked.registrar.test']);
+  assert.deepStrictEqual(scan.subdomains.map(entry => entry.subdomain), ['blog.acme.test']);
+});
+
+test('found names are enumerated again up to the depth limit', async () => {
+  const zone = {
+    'dev.acme.test': { A: ['198.51.100.20'] },
+    'api.dev.acme.test': { A: ['198.51.100.21'] },
+    'dev.api.dev.acme.test': { A: ['198.51.100.22'] },
+    'api.dev.api.dev.acme.test': { A: ['198.51.100.23'] }
+  };
+
+  const shallow = await enumerate(zone, { words: ['dev', 'api'] });
+  assert.deepStrictEqual(shallow.subdomains.map(entry => entry.subdomain), ['dev.acme.test']);
+
+  const deep = await enumerate(zone, { words: ['dev', 'api'], depth: 10 });
+  assert.strictEqual(deep.depth, 3);
+  assert.deepStrictEqual(deep.subdomains.map(entry => [entry.subdomain, entry.depth]), [
+    ['dev.acme.test', 1],
+    ['api.dev.acme.test', 2],
+    ['dev.api.dev.acme.test', 3]
+  ]);
+});
+
+test('an uploaded wordlist is normalized and stored under the upload dir', () => {
+  const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'infohub-wordlists-'));
+  try {
+    const store = new WordlistStore({ uploadDir });
+    assert.deepStrictEqual(store.save('acme', [' WWW ', 'www', '# comment', 'bad label', 'api.v2', '-x']), { name: 'acme', source: 'uploaded', size: 2 });
+
+    const reopened = new WordlistStore({ uploadDir });
+    assert.deepStrictEqual(reopened.load('acme'), ['www', 'api.v2']);
+    assert.throws(() => reopened.save('small', ['www']), /bundled/);
+    assert.throws(() => reopened.load('../acme'), /Unknown wordlist/);
+  } finally {
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const TaskRunner = require('../task-runner');
+
+const tick = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Tasks that record how many of them (in all, and per host) run at once
+function tracked(count, host = null) {
+  const state = { running: 0, peak: 0 };
+  const tasks = Array.from({ length: count }, (_, i) => ({
+    host: typeof host === 'function' ? host(i) : host,
+    run: async () => {
+      state.running++;
+      state.peak = Math.max(state.peak, state.running);
+      await tick(10);
+      state.running--;
+      return i;
+    }
+  }));
+  return { state, tasks };
+}
+
+test('results come back in submission order and concurrency is capped', async () => {
+  const runner = new TaskRunner({ concurrency: 2 });
+  const { state, tasks } = tracked(6);
+  const results = await runner.run(tasks);
+
+  assert.deepStrictEqual(results.map(result => [result.status, result.value]), [0, 1, 2, 3, 4, 5].map(i => ['fulfilled', i]));
+  assert.strictEqual(state.peak, 2);
+  assert.strictEqual(runner.stats().completed, 6);
+  assert.strictEqual(runner.stats().peakRunning, 2);
+});
+
+test('a busy host does not hold back tasks for other hosts', async () => {
+  const runner = new TaskRunner({ concurrency: 4, perHostConcurrency: 1 });
+  const slow = tracked(3, 'slow.test');
+  const fast = tracked(3, i => `fast${i}.test`);
+  await runner.run([...slow.tasks, ...fast.tasks]);
+
+  assert.strictEqual(slow.state.peak, 1);
+  assert.strictEqual(fast.state.peak, 3);
+});
+
+test('a task past its timeout is reported and its signal aborted', async () => {
+  const runner = new TaskRunner({ taskTimeout: 20 });
+  let aborted = false;
+  const [outcome] = await runner.run([signal => new Promise((resolve) => {
+    signal.addEventListener('abort', () => {
+      aborted = true;
+      resolve('late');
+    });
+  })]);
+
+  assert.strictEqual(outcome.status, 'timeout');
+  assert.match(outcome.error.message, /timed out after 20ms/);
+  assert.strictEqual(aborted, true);
+  assert.strictEqual(runner.stats().timedOut, 1);
+});
+
+test('a timed-out task that ignores its signal keeps its slot until it settles', async () => {
+  const runner = new TaskRunner({ concurrency: 1, taskTimeout: 20 });
+  let startedSecond = null;
+  const firstDone = Date.now() + 80;
+  const results = await runner.run([
+    () => tick(80),
+    { timeout: 1000, run: async () => { startedSecond = Date.now(); } }
+  ]);
+
+  assert.strictEqual(results[0].status, 'timeout');
+  assert.strictEqual(results[1].status, 'fulfilled');
+  assert.ok(startedSecond >= firstDone - 5);
+});
+
+test('aborting the caller signal drops queued tasks and aborts running ones', async () => {
+  const runner = new TaskRunner({ concurrency: 1 });
+  const controller = new AbortController();
+  let started = 0;
+  const hang = signal => new Promise((resolve, reject) => {
+    started++;
+    signal.addEventListener('abort', () => reject(signal.reason));
+  });
+  const pending = runner.run([hang, hang, hang], { signal: controller.signal });
+  await tick(5);
+  controller.abort(new Error('cancelled'));
+  const results = await pending;
+
+  assert.deepStrictEqual(results.map(result => result.status), ['rejected', 'rejected', 'rejected']);
+  assert.ok(results.every(result => result.error.message === 'cancelled'));
+  assert.strictEqual(started, 1);
+  assert.deepStrictEqual([runner.stats().running, runner.stats().queued], [0, 0]);
+});
+
+test('per-call stats count only that call', async () => {
+  const runner = new TaskRunner();
+  await runner.run([async () => 1]);
+  const stats = runner.createStats();
+  await runner.run([async () => 1, async () => { throw new Error('boom'); }], { stats });
+
+  const summary = TaskRunner.summarize(stats);
+  assert.deepStrictEqual([summary.submitted, summary.completed, summary.failed], [2, 1, 1]);
+  assert.strictEqual(runner.stats().submitted, 3);
+});
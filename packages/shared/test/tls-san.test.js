@@ -0,0 +1,92 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tls = require('tls');
+const TaskRunner = require('../task-runner');
+const { TlsSanDiscovery, fetchPeerCertificate, parseSubjectAltNames } = require('../tls-san');
+
+const SANS = 'DNS:example.test,DNS:www.example.test,DNS:*.api.example.test,DNS:mail.example.test,DNS:other.test,IP:127.0.0.1';
+
+let dir;
+let server;
+let port;
+
+// Self-signed certificate carrying several SANs, made with the openssl CLI
+function createCertificate() {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'infohub-tls-san-'));
+  execFileSync('openssl', [
+    'req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-days', '1', '-subj', '/CN=example.test',
+    '-addext', `subjectAltName=${SANS}`,
+    '-keyout', path.join(dir, 'key.pem'), '-out', path.join(dir, 'cert.pem')
+  ], { stdio: 'ignore' });
+  return { key: fs.readFileSync(path.join(dir, 'key.pem')), cert: fs.readFileSync(path.join(dir, 'cert.pem')) };
+}
+
+let skip = false;
+
+before(async () => {
+  let credentials;
+  try {
+    credentials = createCertificate();
+  } catch {
+    skip = 'openssl is not available';
+    return;
+  }
+  server = tls.createServer(credentials, socket => socket.end());
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+after(() => {
+  if (server) server.close();
+  if (dir) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('parseSubjectAltNames keeps DNS names only, lower-cased', () => {
+  assert.deepStrictEqual(
+    parseSubjectAltNames('DNS:A.Example.com., DNS:*.example.com, IP Address:10.0.0.1'),
+    ['a.example.com', '*.example.com']
+  );
+  assert.deepStrictEqual(parseSubjectAltNames(undefined), []);
+});
+
+test('fetchPeerCertificate returns the certificate the server presents', async (t) => {
+  if (skip) return t.skip(skip);
+  const certificate = await fetchPeerCertificate('127.0.0.1', port);
+  assert.match(certificate.subjectaltname, /DNS:www\.example\.test/);
+});
+
+test('discover reports new in-scope names from every SAN and resolves them', async (t) => {
+  if (skip) return t.skip(skip);
+  const discovery = new TlsSanDiscovery({
+    runner: new TaskRunner(),
+    ports: [port],
+    resolveHost: async name => (name === 'www.example.test' ? { type: 'A', records: ['192.0.2.10'] } : null)
+  });
+
+  const found = await discovery.discover('127.0.0.1', 'example.test', [{ port }, { port: 22 }], ['mail.example.test']);
+  const byName = Object.fromEntries(found.map(entry => [entry.subdomain, entry]));
+
+  // the domain itself, known names and out-of-scope names are left out
+  assert.deepStrictEqual(Object.keys(byName).sort(), ['api.example.test', 'www.example.test']);
+  assert.deepStrictEqual(byName['www.example.test'], {
+    subdomain: 'www.example.test',
+    status: 'active',
+    type: 'A',
+    records: ['192.0.2.10'],
+    source: 'tls-san',
+    san: 'www.example.test',
+    foundOn: `127.0.0.1:${port}`
+  });
+  // a wildcard SAN names its parent zone
+  assert.strictEqual(byName['api.example.test'].san, '*.api.example.test');
+  assert.strictEqual(byName['api.example.test'].status, 'unresolved');
+});
+
+test('discover skips targets with no TLS port open', async () => {
+  const discovery = new TlsSanDiscovery({ runner: new TaskRunner() });
+  assert.deepStrictEqual(await discovery.discover('127.0.0.1', 'example.test', [{ port: 22 }]), []);
+});
@@ -0,0 +1,104 @@
+// Passive subdomain discovery from TLS certificate Subject Alternative Names
+const tls = require('tls');
+const net = require('net');
+
+const TLS_PORTS = [443, 993, 995];
+
+function fetchPeerCertificate(host, port, options = {}) {
+  return new Promise((resolve, reject) => {
+    const socket = tls.connect({
+      host,
+      port,
+      servername: net.isIP(host) ? undefined : host,
+      rejectUnauthorized: false,
+      timeout: options.timeout || 5000,
+      lookup: options.lookup,
+      signal: options.signal
+    }, () => {
+      const certificate = socket.getPeerCertificate();
+      socket.end();
+      if (!certificate || Object.keys(certificate).length === 0) {
+        reject(new Error('No peer certificate presented'));
+      } else {
+        resolve(certificate);
+      }
+    });
+
+    socket.on('error', reject);
+    socket.on('timeout', () => {
+      socket.destroy(new Error('TLS handshake timeout'));
+    });
+  });
+}
+
+// "DNS:a.example.com, DNS:*.example.com, IP Address:10.0.0.1" -> ['a.example.com', '*.example.com']
+function parseSubjectAltNames(subjectaltname) {
+  if (!subjectaltname) return [];
+  return subjectaltname
+    .split(/,\s*/)
+    .filter(entry => entry.startsWith('DNS:'))
+    .map(entry => entry.slice(4).trim().toLowerCase().replace(/\.$/, ''))
+    .filter(Boolean);
+}
+
+function inScope(name, domain) {
+  return name === domain || name.endsWith(`.${domain}`);
+}
+
+class TlsSanDiscovery {
+  constructor(options = {}) {
+    this.runner = options.runner;
+    this.resolveHost = options.resolveHost || null;
+    this.timeout = options.timeout || 5000;
+    this.ports = options.ports || TLS_PORTS;
+  }
+
+  // Handshakes with every open TLS port on the target and returns new in-scope names
+  async discover(target, domain, openPorts, known = [], options = {}) {
+    const ports = openPorts.map(entry => entry.port).filter(port => this.ports.includes(port));
+    if (ports.length === 0 || !domain) return [];
+
+    const handshakes = await this.runner.run(ports.map(port => ({
+      host: target,
+      run: signal => fetchPeerCertificate(target, port, { timeout: this.timeout, lookup: options.lookup, signal })
+    })), { stats: options.stats, signal: options.signal });
+
+    const seen = new Set([domain.toLowerCase(), ...known.map(name => name.toLowerCase())]);
+    const candidates = new Map();
+
+    handshakes.forEach((handshake, i) => {
+      if (handshake.status !== 'fulfilled') return;
+      for (const san of parseSubjectAltNames(handshake.value.subjectaltname)) {
+        // A wildcard SAN still tells us the parent zone exists
+        const name = san.replace(/^\*\./, '');
+        if (!inScope(name, domain) || seen.has(name) || candidates.has(name)) continue;
+        candidates.set(name, { san, foundOn: `${target}:${ports[i]}` });
+      }
+    });
+
+    const names = [...candidates.keys()];
+    const answers = this.resolveHost
+      ? await this.runner.run(names.map(name => ({ host: 'dns', run: () => this.resolveHost(name) })), { stats: options.stats, signal: options.signal })
+      : [];
+
+    return names.map((name, i) => {
+      const answer = answers[i] && answers[i].value;
+      return {
+        subdomain: name,
+        status: answer ? 'active' : 'unresolved',
+        type: answer ? answer.type : null,
+        records: answer ? answer.records : null,
+        source: 'tls-san',
+        san: candidates.get(name).san,
+        foundOn: candidates.get(name).foundOn
+      };
+    });
+  }
+}
+
+module.exports = {
+  TlsSanDiscovery,
+  fetchPeerCertificate,
+  parseSubjectAltNames,
+  TLS_PORTS
+};
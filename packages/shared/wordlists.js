@@ -0,0 +1,82 @@
+// Subdomain wordlists: bundled small/medium/large lists plus user uploads
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const BUNDLED_DIR = path.join(__dirname, 'data', 'wordlists');
+const BUNDLED = ['small', 'medium', 'large'];
+const MAX_WORDS = 20000;
+const NAME_PATTERN = /^[a-z0-9_-]{1,40}$/;
+const LABEL_PATTERN = /^[a-z0-9_](?:[a-z0-9_-]{0,61}[a-z0-9])?$/;
+
+class WordlistStore {
+  constructor(options = {}) {
+    // Uploads are kept with the other app data (like the breach corpus), not in a temp dir the OS may clear
+    this.uploadDir = options.uploadDir || process.env.WORDLIST_DIR || path.join(os.homedir(), '.infohub', 'wordlists');
+    this.cache = new Map();
+  }
+
+  list() {
+    let uploaded = [];
+    try {
+      uploaded = fs.readdirSync(this.uploadDir)
+        .filter(file => file.endsWith('.txt'))
+        .map(file => file.slice(0, -4))
+        .filter(name => !BUNDLED.includes(name));
+    } catch (e) {
+      // No uploads yet
+    }
+
+    return [
+      ...BUNDLED.map(name => ({ name, source: 'bundled', size: this.load(name).length })),
+      ...uploaded.map(name => ({ name, source: 'uploaded', size: this.load(name).length }))
+    ];
+  }
+
+  has(name) {
+    if (BUNDLED.includes(name)) return true;
+    return NAME_PATTERN.test(name) && fs.existsSync(this.uploadPath(name));
+  }
+
+  load(name) {
+    if (this.cache.has(name)) return this.cache.get(name);
+    if (!this.has(name)) throw new Error(`Unknown wordlist: ${name}`);
+
+    const file = BUNDLED.includes(name) ? path.join(BUNDLED_DIR, `${name}.txt`) : this.uploadPath(name);
+    const words = WordlistStore.normalize(fs.readFileSync(file, 'utf8').split(/\r?\n/));
+    this.cache.set(name, words);
+    return words;
+  }
+
+  save(name, words) {
+    if (!NAME_PATTERN.test(name)) throw new Error('Wordlist name must be 1-40 characters of a-z, 0-9, _ or -');
+    if (BUNDLED.includes(name)) throw new Error(`Cannot overwrite bundled wordlist: ${name}`);
+
+    const normalized = WordlistStore.normalize(words);
+    if (normalized.length === 0) throw new Error('Wordlist contains no valid labels');
+
+    fs.mkdirSync(this.uploadDir, { recursive: true });
+    fs.writeFileSync(this.uploadPath(name), normalized.join('\n') + '\n');
+    this.cache.set(name, normalized);
+    return { name, source: 'uploaded', size: normalized.length };
+  }
+
+  // Lower-cases, trims, drops comments/invalid labels and de-duplicates
+  static normalize(words) {
+    const seen = new Set();
+    for (const raw of words) {
+      const word = String(raw).trim().toLowerCase();
+      if (!word || word.startsWith('#')) continue;
+      if (!word.split('.').every(label => LABEL_PATTERN.test(label))) continue;
+      seen.add(word);
+      if (seen.size >= MAX_WORDS) break;
+    }
+    return [...seen];
+  }
+
+  uploadPath(name) {
+    return path.join(this.uploadDir, `${name}.txt`);
+  }
+}
+
+module.exports = WordlistStore;
@@ -1,8 +1,55 @@
-// Simple background worker
-console.log('✅ InfoHub Worker started');
-console.log('Listening for background tasks...');
-
-// Keep worker running
-setInterval(() => {
-  // Background processing happens here
-}, 5000);
+// Background worker: processes scan jobs queued by the API in the database from DATABASE_URL
+const OSINTEngine = require('../shared/osint-modules');
+const { JobQueue, Worker, SqlJobBackend } = require('../shared/job-queue');
+const { createDatabase, migrate } = require('../api/db');
+const InvestigationStore = require('../api/db/investigations');
+const AuditLog = require('../api/db/audit-log');
+const { createScanHandlers } = require('../api/jobs/scans');
+const { createMaintenanceHandlers } = require('../api/jobs/maintenance');
+
+const database = createDatabase();
+
+if (!database || process.env.JOB_BACKEND === 'memory') {
+  // Without a durable queue the API works its in-memory jobs itself
+  console.log('ℹ️ InfoHub Worker idle: no DATABASE_URL, jobs run inside the API process');
+} else {
+  const investigations = new InvestigationStore({ db: database });
+  const queue = new JobQueue({ backend: new SqlJobBackend({ db: database }) });
+  const worker = new Worker({
+    queue,
+    handlers: {
+      ...createScanHandlers({ osint: new OSINTEngine(), investigations, auditLog: new AuditLog({ db: database }) }),
+      ...createMaintenanceHandlers({ investigations })
+    },
+    concurrency: parseInt(process.env.WORKER_CONCURRENCY, 10) || 2,
+    pollInterval: parseInt(process.env.WORKER_POLL_INTERVAL, 10) || 1000
+  });
+
+  // Running jobs are finished before exit; a job cut off by a hard kill is picked up again once its lease expires
+  const shutdown = async (signal) => {
+    console.log(`${signal} received, waiting for ${worker.active.size} running job(s)...`);
+    await worker.stop();
+    await database.close();
+    process.exit(0);
+  };
+  process.once('SIGINT', () => shutdown('SIGINT'));
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+
+  migrate(database)
+    .then(async () => {
+      worker.start();
+      console.log(`✅ InfoHub Worker ${worker.id} started (concurrency ${worker.concurrency})`);
+
+      // After a master key rotation (or once encryption is enabled) the existing rows are moved over in the background;
+      // a run queued or in progress from before a restart covers them already
+      const stale = await investigations.countStale();
+      if (stale > 0 && !(await queue.findActive('reencrypt'))) {
+        const job = await queue.enqueue('reencrypt', {});
+        console.log(`${stale} row(s) not on master key ${investigations.encryption.currentKeyId}, queued re-encryption job ${job.id}`);
+      }
+    })
+    .catch(error => {
+      console.error('Database migration failed:', error);
+      process.exit(1);
+    });
+}
@@ -1,8 +1,16 @@
 // InfoHub OSINT Telegram Bot
-// Simple bot simulation for demonstration
+// Webhook bot backed by the shared OSINT engine
 
 const express = require('express');
+const OSINTEngine = require('./packages/shared/osint-modules');
+const { parsePhone } = require('./packages/shared/phone');
+const { toLegacyRows } = require('./packages/shared/legacy-rows');
+
 const app = express();
+const osint = new OSINTEngine();
+
+// Telegram rejects messages over 4096 characters
+const MAX_ROWS = 15;
 
 // Telegram Bot Token (use environment variable in production)
 const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN || 'YOUR_BOT_TOKEN';
@@ -56,16 +64,20 @@ async function performTelegramSearch(chatId, query) {
   await sendMessage(chatId, '🔍 Searching... Please wait...');
   
   try {
-    // Simulate search (in production, call your OSINT API)
-    const results = await simulateSearch(query);
+    const findings = await searchFindings(query);
+    // The bot still renders the legacy row format
+    const results = toLegacyRows(findings).slice(0, MAX_ROWS);
     
-    let message = `🕵️ <b>OSINT Results for:</b> ${query}\n\n`;
+    let message = `🕵️ <b>OSINT Results for:</b> ${escapeHtml(query)}\n\n`;
     
     results.forEach((result, index) => {
-      const statusEmoji = result.status === 'success' ? '✅' : result.status === 'warning' ? '⚠️' : '❌';
-      message += `${statusEmoji} <b>${result.platform}</b>\n${result.data}\n\n`;
+      const statusEmoji = result.status === 'success' ? '✅' : result.status === 'warning' ? '⚠️' : result.status === 'info' ? 'ℹ️' : '❌';
+      message += `${statusEmoji} <b>${escapeHtml(result.platform)}</b>\n${escapeHtml(result.data)}\n\n`;
     });
     
+    if (findings.length > MAX_ROWS) {
+      message += `… ${findings.length - MAX_ROWS} more results\n\n`;
+    }
     message += '💎 Get full results at https://infohub-osint.vercel.app';
     
     await sendMessage(chatId, message);
@@ -75,21 +87,24 @@ async function performTelegramSearch(chatId, query) {
   }
 }
 
-async function simulateSearch(query) {
-  // Simulate OSINT search results
-  const platforms = ['GitHub', 'Twitter', 'Instagram', 'LinkedIn'];
-  const results = [];
+async function searchFindings(query) {
+  if (query.includes('@')) {
+    return osint.emailFindings(await osint.emailAnalysis(query));
+  }
   
-  for (const platform of platforms) {
-    const found = Math.random() > 0.5;
-    results.push({
-      platform,
-      status: found ? 'success' : 'error',
-      data: found ? 'Profile found' : 'Profile not found'
-    });
+  if (/^\+?[\d\s().-]+$/.test(query) && parsePhone(query).valid) {
+    return [osint.phoneFinding(await osint.phoneAnalysis(query))];
   }
   
-  return results;
+  if (/^([a-z0-9-]+\.)+[a-z]{2,}$/i.test(query)) {
+    return osint.domainFindings(query);
+  }
+  
+  return osint.socialMediaScan(query);
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
 }
 
 // Set webhook (run once)